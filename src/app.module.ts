@@ -8,20 +8,25 @@ import { APP_FILTER, APP_PIPE, APP_GUARD } from '@nestjs/core';
 import { UsersModule } from './modules/users/users.module';
 import { TasksModule } from './modules/tasks/tasks.module';
 import { AuthModule } from './modules/auth/auth.module';
+import { ProjectsModule } from './modules/projects/projects.module';
+import { RolesModule } from './modules/roles/roles.module';
+import { OrganizationsModule } from './modules/organizations/organizations.module';
 import { TaskProcessorModule } from './queues/task-processor/task-processor.module';
 import { ScheduledTasksModule } from './queues/scheduled-tasks/scheduled-tasks.module';
+import { EmailModule } from './queues/email/email.module';
 import { CommonModule } from './common/common.module';
 import { GlobalExceptionFilter } from './common/filters/global-exception.filter';
 import { ErrorSanitizationService } from './common/services/error-sanitization.service';
 import { RequestSizeLimitMiddleware } from './common/middleware/request-size-limit.middleware';
 import jwtConfig from './config/jwt.config';
+import oidcConfig from './config/oidc.config';
 
 @Module({
   imports: [
     // Configuration
     ConfigModule.forRoot({
       isGlobal: true,
-      load: [jwtConfig],
+      load: [jwtConfig, oidcConfig],
     }),
 
     // Database
@@ -76,12 +81,12 @@ import jwtConfig from './config/jwt.config';
     ThrottlerModule.forRootAsync({
       imports: [ConfigModule],
       inject: [ConfigService],
-      useFactory: (configService: ConfigService) => ([
+      useFactory: (configService: ConfigService) => [
         {
           ttl: 60,
           limit: 10,
         },
-      ]),
+      ],
     }),
 
     // Common services module
@@ -91,10 +96,14 @@ import jwtConfig from './config/jwt.config';
     UsersModule,
     TasksModule,
     AuthModule,
+    ProjectsModule,
+    RolesModule,
+    OrganizationsModule,
 
     // Queue processing modules
     TaskProcessorModule,
     ScheduledTasksModule,
+    EmailModule,
   ],
   providers: [
     // Global exception filter for secure error handling
@@ -109,13 +118,13 @@ import jwtConfig from './config/jwt.config';
     {
       provide: APP_PIPE,
       useValue: new ValidationPipe({
-        whitelist: true,           // Strip properties that don't have decorators
+        whitelist: true, // Strip properties that don't have decorators
         forbidNonWhitelisted: true, // Throw error if non-whitelisted properties exist
-        transform: true,           // Automatically transform payloads to DTO instances
+        transform: true, // Automatically transform payloads to DTO instances
         disableErrorMessages: false, // Keep error messages for development
         validateCustomDecorators: true, // Validate our custom decorators
         forbidUnknownValues: true, // Forbid unknown objects
-        stopAtFirstError: false,   // Validate all properties
+        stopAtFirstError: false, // Validate all properties
       }),
     },
     // Global throttler guard as fallback rate limiting
@@ -126,12 +135,10 @@ import jwtConfig from './config/jwt.config';
   ],
   exports: [
     // Common services are exported by CommonModule
-  ]
+  ],
 })
 export class AppModule implements NestModule {
   configure(consumer: MiddlewareConsumer) {
-    consumer
-      .apply(RequestSizeLimitMiddleware)
-      .forRoutes('*'); // Apply to all routes
+    consumer.apply(RequestSizeLimitMiddleware).forRoutes('*'); // Apply to all routes
   }
-}
\ No newline at end of file
+}
@@ -6,6 +6,7 @@ import { ErrorSanitizationService } from './services/error-sanitization.service'
 import { QueryPerformanceService } from './services/query-performance.service';
 import { GlobalExceptionFilter } from './filters/global-exception.filter';
 import { RateLimitGuard } from './guards/rate-limit.guard';
+import { IdempotencyInterceptor } from './interceptors/idempotency.interceptor';
 
 @Module({
   imports: [ConfigModule],
@@ -16,6 +17,7 @@ import { RateLimitGuard } from './guards/rate-limit.guard';
     QueryPerformanceService,
     GlobalExceptionFilter,
     RateLimitGuard,
+    IdempotencyInterceptor,
   ],
   exports: [
     RedisCacheService,
@@ -24,6 +26,7 @@ import { RateLimitGuard } from './guards/rate-limit.guard';
     QueryPerformanceService,
     GlobalExceptionFilter,
     RateLimitGuard,
+    IdempotencyInterceptor,
   ],
 })
-export class CommonModule { }
+export class CommonModule {}
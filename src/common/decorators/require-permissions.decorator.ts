@@ -0,0 +1,10 @@
+import { SetMetadata } from '@nestjs/common';
+import { PermissionName } from '../../modules/roles/enums/permission-name.enum';
+
+export const PERMISSIONS_KEY = 'permissions';
+
+/**
+ * Require every listed permission (checked by PermissionsGuard against request.user.permissions)
+ */
+export const RequirePermissions = (...permissions: PermissionName[]) =>
+  SetMetadata(PERMISSIONS_KEY, permissions);
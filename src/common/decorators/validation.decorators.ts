@@ -5,6 +5,7 @@ import {
   ValidatorConstraintInterface,
   ValidationArguments,
 } from 'class-validator';
+import { parseRRule } from '../utils/rrule';
 
 /**
  * Custom validator for strong passwords
@@ -113,12 +114,7 @@ export class IsSafeTextConstraint implements ValidatorConstraintInterface {
     }
 
     // Check for script-related content
-    const scriptPatterns = [
-      /javascript:/gi,
-      /vbscript:/gi,
-      /data:text\/html/gi,
-      /on\w+\s*=/gi,
-    ];
+    const scriptPatterns = [/javascript:/gi, /vbscript:/gi, /data:text\/html/gi, /on\w+\s*=/gi];
 
     if (scriptPatterns.some(pattern => pattern.test(text))) {
       return false;
@@ -137,7 +133,13 @@ export class IsSafeTextConstraint implements ValidatorConstraintInterface {
 
     // Check for NoSQL injection patterns
     const noSqlPatterns = [
-      /\$where/gi, /\$ne/gi, /\$gt/gi, /\$lt/gi, /\$regex/gi, /\$or/gi, /\$and/gi,
+      /\$where/gi,
+      /\$ne/gi,
+      /\$gt/gi,
+      /\$lt/gi,
+      /\$regex/gi,
+      /\$or/gi,
+      /\$and/gi,
     ];
 
     if (noSqlPatterns.some(pattern => pattern.test(text))) {
@@ -226,9 +228,28 @@ export class IsSafeFileNameConstraint implements ValidatorConstraintInterface {
 
     // Check for reserved names (Windows)
     const reservedNames = [
-      'CON', 'PRN', 'AUX', 'NUL',
-      'COM1', 'COM2', 'COM3', 'COM4', 'COM5', 'COM6', 'COM7', 'COM8', 'COM9',
-      'LPT1', 'LPT2', 'LPT3', 'LPT4', 'LPT5', 'LPT6', 'LPT7', 'LPT8', 'LPT9'
+      'CON',
+      'PRN',
+      'AUX',
+      'NUL',
+      'COM1',
+      'COM2',
+      'COM3',
+      'COM4',
+      'COM5',
+      'COM6',
+      'COM7',
+      'COM8',
+      'COM9',
+      'LPT1',
+      'LPT2',
+      'LPT3',
+      'LPT4',
+      'LPT5',
+      'LPT6',
+      'LPT7',
+      'LPT8',
+      'LPT9',
     ];
 
     const nameWithoutExtension = fileName.split('.')[0].toUpperCase();
@@ -292,3 +313,43 @@ export function ArrayMaxSize(maxSize: number, validationOptions?: ValidationOpti
     });
   };
 }
+
+/**
+ * Custom validator for iCalendar RRULE recurrence rules (the subset supported by parseRRule)
+ */
+@ValidatorConstraint({ name: 'isRRule', async: false })
+export class IsRRuleConstraint implements ValidatorConstraintInterface {
+  validate(rule: string, _args: ValidationArguments) {
+    if (!rule || typeof rule !== 'string') {
+      return false;
+    }
+
+    try {
+      parseRRule(rule);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  defaultMessage(args: ValidationArguments) {
+    try {
+      parseRRule(String(args.value ?? ''));
+    } catch (error) {
+      return `Invalid recurrenceRule: ${error instanceof Error ? error.message : 'Unknown error'}`;
+    }
+    return 'Invalid recurrenceRule';
+  }
+}
+
+export function IsRRule(validationOptions?: ValidationOptions) {
+  return function (object: object, propertyName: string) {
+    registerDecorator({
+      target: object.constructor,
+      propertyName: propertyName,
+      options: validationOptions,
+      constraints: [],
+      validator: IsRRuleConstraint,
+    });
+  };
+}
@@ -0,0 +1,47 @@
+import { ExecutionContext, ForbiddenException } from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { PermissionsGuard } from './permissions.guard';
+import { PermissionName } from '../../modules/roles/enums/permission-name.enum';
+
+describe('PermissionsGuard', () => {
+  let required: PermissionName[] | undefined;
+  const guard = new PermissionsGuard({
+    getAllAndOverride: () => required,
+  } as unknown as Reflector);
+
+  const context = (user?: { permissions?: string[] }) =>
+    ({
+      getHandler: () => undefined,
+      getClass: () => undefined,
+      switchToHttp: () => ({ getRequest: () => ({ user }) }),
+    }) as unknown as ExecutionContext;
+
+  beforeEach(() => {
+    required = [PermissionName.ROLES_MANAGE, PermissionName.USERS_READ_ANY];
+  });
+
+  it('passes when every required permission is granted', () => {
+    expect(
+      guard.canActivate(
+        context({ permissions: [PermissionName.USERS_READ_ANY, PermissionName.ROLES_MANAGE] }),
+      ),
+    ).toBe(true);
+  });
+
+  it('names the permissions that are missing', () => {
+    expect(() =>
+      guard.canActivate(context({ permissions: [PermissionName.USERS_READ_ANY] })),
+    ).toThrow(new ForbiddenException('Access denied. Missing permissions: roles:manage'));
+  });
+
+  it('treats a user without a permission list as having none', () => {
+    expect(() => guard.canActivate(context({}))).toThrow(ForbiddenException);
+    expect(() => guard.canActivate(context())).toThrow('User not authenticated');
+  });
+
+  it('lets anyone through on routes without requirements', () => {
+    required = undefined;
+
+    expect(guard.canActivate(context())).toBe(true);
+  });
+});
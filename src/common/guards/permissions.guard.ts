@@ -0,0 +1,36 @@
+import { Injectable, CanActivate, ExecutionContext, ForbiddenException } from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { PERMISSIONS_KEY } from '../decorators/require-permissions.decorator';
+
+@Injectable()
+export class PermissionsGuard implements CanActivate {
+  constructor(private reflector: Reflector) {}
+
+  canActivate(context: ExecutionContext): boolean {
+    const requiredPermissions = this.reflector.getAllAndOverride<string[]>(PERMISSIONS_KEY, [
+      context.getHandler(),
+      context.getClass(),
+    ]);
+
+    if (!requiredPermissions || requiredPermissions.length === 0) {
+      return true; // No specific permissions required
+    }
+
+    const request = context.switchToHttp().getRequest();
+    const user = request.user;
+
+    if (!user) {
+      throw new ForbiddenException('User not authenticated');
+    }
+
+    // Resolved from the user's role by the auth strategies
+    const granted: string[] = user.permissions ?? [];
+    const missing = requiredPermissions.filter(permission => !granted.includes(permission));
+
+    if (missing.length > 0) {
+      throw new ForbiddenException(`Access denied. Missing permissions: ${missing.join(', ')}`);
+    }
+
+    return true;
+  }
+}
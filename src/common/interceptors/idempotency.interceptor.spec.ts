@@ -0,0 +1,125 @@
+import {
+  BadRequestException,
+  CallHandler,
+  ConflictException,
+  ExecutionContext,
+} from '@nestjs/common';
+import { Observable, Subject, lastValueFrom, of, throwError } from 'rxjs';
+import { IdempotencyInterceptor } from './idempotency.interceptor';
+import { RedisCacheService } from '../services/redis-cache.service';
+
+describe('IdempotencyInterceptor', () => {
+  let interceptor: IdempotencyInterceptor;
+  let store: Map<string, unknown>; // Stands in for Redis, keyed like the real cache
+  let cacheService: Record<string, jest.Mock>;
+  let response: { setHeader: jest.Mock };
+
+  const storeKey = (key: string, options?: { organizationId?: string }) =>
+    `${options?.organizationId}:${key}`;
+
+  const context = (headers: Record<string, string>, body: unknown = { title: 'Task' }) =>
+    ({
+      switchToHttp: () => ({
+        getRequest: () => ({
+          method: 'POST',
+          originalUrl: '/tasks',
+          headers,
+          body,
+          user: { id: 'user-1', organizationId: 'org-1' },
+        }),
+        getResponse: () => response,
+      }),
+    }) as ExecutionContext;
+
+  const handler = (result: Observable<unknown> = of({ id: 'task-1' })) => ({
+    handle: jest.fn(() => result),
+  });
+
+  const run = (headers: Record<string, string>, next: CallHandler, body?: unknown) =>
+    lastValueFrom(interceptor.intercept(context(headers, body), next));
+
+  beforeEach(() => {
+    store = new Map();
+    response = { setHeader: jest.fn() };
+    cacheService = {
+      setIfNotExists: jest.fn(async (key, value, options) => {
+        if (store.has(storeKey(key, options))) {
+          return false;
+        }
+        store.set(storeKey(key, options), value);
+        return true;
+      }),
+      get: jest.fn(async (key, _namespace, organizationId) =>
+        store.get(storeKey(key, { organizationId })),
+      ),
+      set: jest.fn(async (key, value, options) => store.set(storeKey(key, options), value)),
+      delete: jest.fn(async (key, _namespace, organizationId) =>
+        store.delete(storeKey(key, { organizationId })),
+      ),
+    };
+
+    interceptor = new IdempotencyInterceptor(cacheService as unknown as RedisCacheService);
+  });
+
+  it('leaves requests without the header alone', async () => {
+    const next = handler();
+
+    await expect(run({}, next)).resolves.toEqual({ id: 'task-1' });
+    expect(cacheService.setIfNotExists).not.toHaveBeenCalled();
+  });
+
+  it('replays the stored response for a repeat instead of running it again', async () => {
+    const next = handler();
+
+    await run({ 'idempotency-key': 'key-1' }, next);
+    await expect(run({ 'idempotency-key': 'key-1' }, next)).resolves.toEqual({ id: 'task-1' });
+
+    expect(next.handle).toHaveBeenCalledTimes(1);
+    expect(response.setHeader).toHaveBeenCalledWith('Idempotent-Replayed', 'true');
+    expect(cacheService.set).toHaveBeenCalledWith(
+      'user-1:key-1',
+      expect.objectContaining({ completed: true, body: { id: 'task-1' } }),
+      { ttl: 24 * 60 * 60, namespace: 'idempotency', organizationId: 'org-1' },
+    );
+  });
+
+  it('rejects a key reused for a different request', async () => {
+    await run({ 'idempotency-key': 'key-1' }, handler());
+
+    await expect(
+      run({ 'idempotency-key': 'key-1' }, handler(), { title: 'Other task' }),
+    ).rejects.toThrow('Idempotency-Key has already been used with a different request');
+  });
+
+  it('rejects a repeat while the first request is still running', async () => {
+    const pending = new Subject<unknown>();
+    const first = run({ 'idempotency-key': 'key-1' }, handler(pending));
+    const next = handler();
+
+    await expect(run({ 'idempotency-key': 'key-1' }, next)).rejects.toThrow(
+      new ConflictException('A request with this Idempotency-Key is still being processed'),
+    );
+    expect(next.handle).not.toHaveBeenCalled();
+
+    pending.next({ id: 'task-1' });
+    pending.complete();
+    await expect(first).resolves.toEqual({ id: 'task-1' });
+  });
+
+  it('releases the key when the request fails, so it can be retried', async () => {
+    await expect(
+      run({ 'idempotency-key': 'key-1' }, handler(throwError(() => new Error('boom')))),
+    ).rejects.toThrow('boom');
+
+    expect(store.size).toBe(0);
+    await expect(run({ 'idempotency-key': 'key-1' }, handler())).resolves.toEqual({
+      id: 'task-1',
+    });
+  });
+
+  it.each(['', 'has space', 'x'.repeat(256)])('rejects the malformed key %p', async key => {
+    expect(() => interceptor.intercept(context({ 'idempotency-key': key }), handler())).toThrow(
+      BadRequestException,
+    );
+  });
+});
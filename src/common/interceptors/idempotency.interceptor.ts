@@ -0,0 +1,134 @@
+import {
+  Injectable,
+  NestInterceptor,
+  ExecutionContext,
+  CallHandler,
+  BadRequestException,
+  ConflictException,
+  Logger,
+} from '@nestjs/common';
+import { Observable, from, of, throwError } from 'rxjs';
+import { catchError, mergeMap } from 'rxjs/operators';
+import { createHash } from 'crypto';
+import { RedisCacheService } from '../services/redis-cache.service';
+
+export const IDEMPOTENCY_KEY_HEADER = 'idempotency-key';
+
+interface IdempotencyRecord {
+  fingerprint: string; // Hash of the method, URL and body the key was first used with
+  completed: boolean;
+  body?: unknown; // Response body, replayed for repeats once completed
+}
+
+/**
+ * Makes POST endpoints safe to retry with an Idempotency-Key header.
+ *
+ * The first request with a key runs normally and its response is kept in Redis for 24 hours,
+ * scoped to the user. Repeats get that response back (with Idempotent-Replayed: true) instead
+ * of running again; reusing the key for a different request, or while the first one is still
+ * running, is a 409. Failed requests release the key so they can be retried.
+ */
+@Injectable()
+export class IdempotencyInterceptor implements NestInterceptor {
+  private readonly logger = new Logger(IdempotencyInterceptor.name);
+  private readonly NAMESPACE = 'idempotency';
+  private readonly RESPONSE_TTL = 24 * 60 * 60; // Replay window in seconds
+  private readonly IN_PROGRESS_TTL = 5 * 60; // Frees the key if the process dies mid-request
+  private readonly MAX_KEY_LENGTH = 255;
+
+  constructor(private readonly cacheService: RedisCacheService) {}
+
+  intercept(context: ExecutionContext, next: CallHandler): Observable<unknown> {
+    const request = context.switchToHttp().getRequest();
+    const response = context.switchToHttp().getResponse();
+    const idempotencyKey: string | undefined = request.headers[IDEMPOTENCY_KEY_HEADER];
+
+    if (idempotencyKey === undefined) {
+      return next.handle();
+    }
+
+    if (
+      !idempotencyKey ||
+      idempotencyKey.length > this.MAX_KEY_LENGTH ||
+      !/^[\x21-\x7e]+$/.test(idempotencyKey)
+    ) {
+      throw new BadRequestException(
+        `Idempotency-Key must be 1-${this.MAX_KEY_LENGTH} printable characters without spaces`,
+      );
+    }
+
+    // ✅ SECURITY: Keys are scoped to the user, so one user can never replay another's response
+    const cacheKey = `${request.user?.id ?? 'anonymous'}:${idempotencyKey}`;
+    // ✅ TENANCY: ...and to the organization, so a replay never carries another tenant's data
+    const organizationId: string | undefined = request.user?.organizationId;
+    const fingerprint = createHash('sha256')
+      .update(JSON.stringify([request.method, request.originalUrl, request.body ?? null]))
+      .digest('hex');
+
+    return from(this.claim(cacheKey, fingerprint, organizationId)).pipe(
+      mergeMap(replay => {
+        if (replay) {
+          response.setHeader('Idempotent-Replayed', 'true');
+          return of(replay.body);
+        }
+
+        return next.handle().pipe(
+          mergeMap(async body => {
+            await this.cacheService.set<IdempotencyRecord>(
+              cacheKey,
+              { fingerprint, completed: true, body },
+              { ttl: this.RESPONSE_TTL, namespace: this.NAMESPACE, organizationId },
+            );
+            return body;
+          }),
+          catchError(error => {
+            // ✅ RELIABILITY: Nothing was stored, so the client may retry with the same key
+            return from(this.cacheService.delete(cacheKey, this.NAMESPACE, organizationId)).pipe(
+              mergeMap(() => throwError(() => error)),
+            );
+          }),
+        );
+      }),
+    );
+  }
+
+  /**
+   * Reserve the key for this request. Returns the stored record when the request is a repeat
+   * whose response can be replayed, null when this request should run.
+   */
+  private async claim(
+    cacheKey: string,
+    fingerprint: string,
+    organizationId?: string,
+  ): Promise<IdempotencyRecord | null> {
+    const claimed = await this.cacheService.setIfNotExists<IdempotencyRecord>(
+      cacheKey,
+      { fingerprint, completed: false },
+      { ttl: this.IN_PROGRESS_TTL, namespace: this.NAMESPACE, organizationId },
+    );
+    if (claimed) {
+      return null;
+    }
+
+    const existing = await this.cacheService.get<IdempotencyRecord>(
+      cacheKey,
+      this.NAMESPACE,
+      organizationId,
+    );
+    if (!existing) {
+      // Expired between the two calls; running again is what an expired key means anyway
+      return null;
+    }
+
+    if (existing.fingerprint !== fingerprint) {
+      this.logger.warn(`Idempotency-Key reused with a different request: ${cacheKey}`);
+      throw new ConflictException('Idempotency-Key has already been used with a different request');
+    }
+
+    if (!existing.completed) {
+      throw new ConflictException('A request with this Idempotency-Key is still being processed');
+    }
+
+    return existing;
+  }
+}
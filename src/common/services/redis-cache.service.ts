@@ -5,8 +5,12 @@ import Redis from 'ioredis';
 export interface CacheOptions {
   ttl?: number; // Time to live in seconds
   namespace?: string; // Cache namespace for organization
+  organizationId?: string; // ✅ TENANCY: Tenant the value belongs to, part of the key so tenants never share entries
 }
 
+// Pass as organizationId to deletePattern to match the keys of every organization
+export const ALL_ORGANIZATIONS = '*';
+
 @Injectable()
 export class RedisCacheService implements OnModuleInit, OnModuleDestroy {
   private readonly logger = new Logger(RedisCacheService.name);
@@ -14,7 +18,7 @@ export class RedisCacheService implements OnModuleInit, OnModuleDestroy {
   private readonly defaultTtl = 300; // 5 minutes default
   private readonly keyPrefix = 'cache:';
 
-  constructor(private readonly configService: ConfigService) { }
+  constructor(private readonly configService: ConfigService) {}
 
   async onModuleInit() {
     try {
@@ -46,7 +50,7 @@ export class RedisCacheService implements OnModuleInit, OnModuleDestroy {
    */
   async set<T>(key: string, value: T, options: CacheOptions = {}): Promise<void> {
     try {
-      const finalKey = this.buildKey(key, options.namespace);
+      const finalKey = this.buildKey(key, options.namespace, options.organizationId);
       const ttl = options.ttl || this.defaultTtl;
 
       // ✅ PERFORMANCE: Fast JSON serialization
@@ -62,12 +66,54 @@ export class RedisCacheService implements OnModuleInit, OnModuleDestroy {
     }
   }
 
+  /**
+   * ✅ CONCURRENCY: Atomic set-if-absent (SET NX), returns false when the key already exists
+   * Lets concurrent requests race for a key without a separate get/set round trip
+   */
+  async setIfNotExists<T>(key: string, value: T, options: CacheOptions = {}): Promise<boolean> {
+    try {
+      const finalKey = this.buildKey(key, options.namespace, options.organizationId);
+      const ttl = options.ttl || this.defaultTtl;
+
+      const result = await this.redis.set(finalKey, JSON.stringify(value), 'EX', ttl, 'NX');
+
+      this.logger.debug(`Cache SET NX: ${finalKey} (TTL: ${ttl}s, set: ${result === 'OK'})`);
+      return result === 'OK';
+    } catch (error) {
+      this.logger.error(`Cache SET NX failed for key: ${key}`, error);
+      // ✅ RELIABILITY: Behave as if the key was free so a cache outage doesn't block writes
+      return true;
+    }
+  }
+
+  /**
+   * ✅ CONCURRENCY: Atomic counter (INCR); the TTL is set when the counter is created, so it
+   * counts within a fixed window. Returns null if Redis is unavailable.
+   */
+  async increment(key: string, options: CacheOptions = {}): Promise<number | null> {
+    try {
+      const finalKey = this.buildKey(key, options.namespace, options.organizationId);
+      const ttl = options.ttl || this.defaultTtl;
+
+      const count = await this.redis.incr(finalKey);
+      if (count === 1) {
+        await this.redis.expire(finalKey, ttl);
+      }
+
+      this.logger.debug(`Cache INCR: ${finalKey} = ${count} (TTL: ${ttl}s)`);
+      return count;
+    } catch (error) {
+      this.logger.error(`Cache INCR failed for key: ${key}`, error);
+      return null; // ✅ RELIABILITY: Callers decide how to degrade
+    }
+  }
+
   /**
    * ✅ OPTIMIZED: High-performance cache get with automatic deserialization
    */
-  async get<T>(key: string, namespace?: string): Promise<T | null> {
+  async get<T>(key: string, namespace?: string, organizationId?: string): Promise<T | null> {
     try {
-      const finalKey = this.buildKey(key, namespace);
+      const finalKey = this.buildKey(key, namespace, organizationId);
       const value = await this.redis.get(finalKey);
 
       if (!value) {
@@ -86,9 +132,9 @@ export class RedisCacheService implements OnModuleInit, OnModuleDestroy {
   /**
    * ✅ OPTIMIZED: Efficient cache deletion
    */
-  async delete(key: string, namespace?: string): Promise<boolean> {
+  async delete(key: string, namespace?: string, organizationId?: string): Promise<boolean> {
     try {
-      const finalKey = this.buildKey(key, namespace);
+      const finalKey = this.buildKey(key, namespace, organizationId);
       const result = await this.redis.del(finalKey);
 
       this.logger.debug(`Cache DELETE: ${finalKey} (deleted: ${result > 0})`);
@@ -102,9 +148,13 @@ export class RedisCacheService implements OnModuleInit, OnModuleDestroy {
   /**
    * ✅ OPTIMIZED: Bulk delete with pattern matching for cache invalidation
    */
-  async deletePattern(pattern: string, namespace?: string): Promise<number> {
+  async deletePattern(
+    pattern: string,
+    namespace?: string,
+    organizationId?: string,
+  ): Promise<number> {
     try {
-      const finalPattern = this.buildKey(pattern, namespace);
+      const finalPattern = this.buildKey(pattern, namespace, organizationId);
       const keys = await this.redis.keys(finalPattern);
 
       if (keys.length === 0) {
@@ -125,9 +175,9 @@ export class RedisCacheService implements OnModuleInit, OnModuleDestroy {
   /**
    * ✅ OPTIMIZED: Check if key exists without fetching value
    */
-  async exists(key: string, namespace?: string): Promise<boolean> {
+  async exists(key: string, namespace?: string, organizationId?: string): Promise<boolean> {
     try {
-      const finalKey = this.buildKey(key, namespace);
+      const finalKey = this.buildKey(key, namespace, organizationId);
       const result = await this.redis.exists(finalKey);
       return result === 1;
     } catch (error) {
@@ -142,10 +192,10 @@ export class RedisCacheService implements OnModuleInit, OnModuleDestroy {
   async getOrSet<T>(
     key: string,
     factory: () => Promise<T>,
-    options: CacheOptions = {}
+    options: CacheOptions = {},
   ): Promise<T> {
     // Try to get from cache first
-    const cached = await this.get<T>(key, options.namespace);
+    const cached = await this.get<T>(key, options.namespace, options.organizationId);
     if (cached !== null) {
       return cached;
     }
@@ -160,10 +210,12 @@ export class RedisCacheService implements OnModuleInit, OnModuleDestroy {
   }
 
   /**
-   * ✅ PERFORMANCE: Efficient key building with namespace support
+   * ✅ PERFORMANCE: Efficient key building with namespace and tenant support
+   * namespace:org:<organizationId>:key, so one tenant's keys can't be read or cleared as another's
    */
-  private buildKey(key: string, namespace?: string): string {
-    return namespace ? `${namespace}:${key}` : key;
+  private buildKey(key: string, namespace?: string, organizationId?: string): string {
+    const scopedKey = organizationId ? `org:${organizationId}:${key}` : key;
+    return namespace ? `${namespace}:${scopedKey}` : scopedKey;
   }
 
   /**
@@ -176,7 +228,11 @@ export class RedisCacheService implements OnModuleInit, OnModuleDestroy {
 
       return {
         connected: this.redis.status === 'ready',
-        memory: info.split('\r\n').find(line => line.startsWith('used_memory_human:'))?.split(':')[1] || 'unknown',
+        memory:
+          info
+            .split('\r\n')
+            .find(line => line.startsWith('used_memory_human:'))
+            ?.split(':')[1] || 'unknown',
         keys: dbsize,
       };
     } catch (error) {
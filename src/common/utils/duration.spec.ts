@@ -0,0 +1,16 @@
+import { durationToMs } from './duration';
+
+describe('durationToMs', () => {
+  it.each([
+    ['30s', 30 * 1000],
+    ['15m', 15 * 60 * 1000],
+    ['24h', 24 * 60 * 60 * 1000],
+    ['7d', 7 * 24 * 60 * 60 * 1000],
+  ])('converts %p', (duration, ms) => {
+    expect(durationToMs(duration, 0)).toBe(ms);
+  });
+
+  it.each(['', '15', '1.5h', '2w', ' 15m', '15 minutes'])('falls back for %p', duration => {
+    expect(durationToMs(duration, 1234)).toBe(1234);
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Milliseconds in a duration like "15m", "7d", "24h" or "30s" (the format of the *_EXPIRATION
+ * settings), or `fallbackMs` if it can't be parsed.
+ */
+export function durationToMs(duration: string, fallbackMs: number): number {
+  const match = String(duration).match(/^(\d+)([dhms])$/);
+  if (!match) {
+    return fallbackMs;
+  }
+
+  const unitMs = { d: 24 * 60 * 60 * 1000, h: 60 * 60 * 1000, m: 60 * 1000, s: 1000 };
+  return parseInt(match[1], 10) * unitMs[match[2] as keyof typeof unitMs];
+}
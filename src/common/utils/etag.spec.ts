@@ -0,0 +1,24 @@
+import { parseIfMatch, toETag } from './etag';
+
+describe('toETag', () => {
+  it('quotes the version as a strong tag', () => {
+    expect(toETag(3)).toBe('"3"');
+  });
+});
+
+describe('parseIfMatch', () => {
+  it('has no precondition without the header or with "*"', () => {
+    expect(parseIfMatch(undefined)).toBeUndefined();
+    expect(parseIfMatch(' * ')).toBeUndefined();
+  });
+
+  it('reads every strong tag of the list', () => {
+    expect(parseIfMatch('"3", "4"')).toEqual([3, 4]);
+  });
+
+  it('drops weak and foreign tags, so they never match', () => {
+    expect(parseIfMatch('W/"3", "abc", 5, "6"')).toEqual([6]);
+    // Nothing left means nothing can match, unlike a missing header
+    expect(parseIfMatch('W/"3"')).toEqual([]);
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Entity tags for optimistic concurrency on versioned rows.
+ *
+ * The tag is the row version as a strong ETag, e.g. "3". Clients send it back in If-Match
+ * and the write is rejected with 412 Precondition Failed once the row has moved on.
+ */
+
+export function toETag(version: number): string {
+  return `"${version}"`;
+}
+
+/**
+ * Versions accepted by an If-Match header, or undefined when there is no precondition
+ * (header absent or "*"). If-Match uses strong comparison, so weak (W/) and foreign tags
+ * are dropped and can never match.
+ */
+export function parseIfMatch(header: string | undefined): number[] | undefined {
+  if (header === undefined || header.trim() === '*') {
+    return undefined;
+  }
+
+  return header
+    .split(',')
+    .map(tag => /^"(\d+)"$/.exec(tag.trim()))
+    .filter((match): match is RegExpExecArray => match !== null)
+    .map(match => parseInt(match[1], 10));
+}
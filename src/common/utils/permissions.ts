@@ -0,0 +1,12 @@
+import { PermissionName } from '../../modules/roles/enums/permission-name.enum';
+
+/**
+ * Whether a permission list (request.user.permissions) grants a permission. A missing list
+ * grants nothing.
+ */
+export function hasPermission(
+  permissions: readonly string[] | undefined,
+  permission: PermissionName,
+): boolean {
+  return !!permissions?.includes(permission);
+}
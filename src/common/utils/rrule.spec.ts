@@ -0,0 +1,77 @@
+import { nextOccurrence, parseRRule } from './rrule';
+
+const at = (iso: string) => new Date(iso);
+const next = (rule: string, previous: string) =>
+  nextOccurrence(parseRRule(rule), at(previous))?.toISOString() ?? null;
+
+describe('parseRRule', () => {
+  it('parses every supported part', () => {
+    expect(parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=5;BYDAY=FR,MO,FR')).toEqual({
+      freq: 'WEEKLY',
+      interval: 2,
+      count: 5,
+      byDay: [0, 4],
+    });
+    expect(parseRRule('freq=monthly;bymonthday=15,1;until=20261231')).toEqual({
+      freq: 'MONTHLY',
+      interval: 1,
+      byMonthDay: [1, 15],
+      until: at('2026-12-31T23:59:59.999Z'), // A date-only UNTIL includes the whole day
+    });
+  });
+
+  it.each([
+    ['', 'RRULE is empty'],
+    ['FREQ=HOURLY', 'FREQ must be one of DAILY, WEEKLY, MONTHLY, YEARLY'],
+    ['FREQ=DAILY;FREQ=WEEKLY', 'Duplicate RRULE part FREQ'],
+    ['FREQ=DAILY;INTERVAL', 'Malformed RRULE part "INTERVAL"'],
+    ['FREQ=DAILY;BYHOUR=9', 'Unsupported RRULE part(s): BYHOUR'],
+    ['FREQ=DAILY;INTERVAL=0', 'INTERVAL must be between 1 and 1000'],
+    ['FREQ=DAILY;COUNT=-1', 'COUNT must be a positive integer'],
+    ['FREQ=DAILY;COUNT=3;UNTIL=20260101', 'COUNT and UNTIL cannot both be set'],
+    ['FREQ=DAILY;UNTIL=20260231', 'UNTIL is not a valid date'],
+    ['FREQ=DAILY;BYDAY=MO', 'BYDAY is only supported with FREQ=WEEKLY'],
+    ['FREQ=WEEKLY;BYDAY=1MO', 'Invalid BYDAY value "1MO"'],
+    ['FREQ=MONTHLY;BYMONTHDAY=32', 'BYMONTHDAY must be between 1 and 31'],
+  ])('rejects %p', (rule, message) => {
+    expect(() => parseRRule(rule)).toThrow(message);
+  });
+});
+
+describe('nextOccurrence', () => {
+  it('steps daily and weekly by the interval, keeping the time of day', () => {
+    expect(next('FREQ=DAILY;INTERVAL=3', '2026-03-01T09:30:00Z')).toBe('2026-03-04T09:30:00.000Z');
+    expect(next('FREQ=WEEKLY;INTERVAL=2', '2026-03-02T09:30:00Z')).toBe('2026-03-16T09:30:00.000Z');
+  });
+
+  it('walks through the BYDAY days before moving to the next active week', () => {
+    // 2026-03-02 is a Monday
+    expect(next('FREQ=WEEKLY;BYDAY=MO,FR', '2026-03-02T09:00:00Z')).toBe(
+      '2026-03-06T09:00:00.000Z',
+    );
+    expect(next('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR', '2026-03-06T09:00:00Z')).toBe(
+      '2026-03-16T09:00:00.000Z',
+    );
+  });
+
+  it('skips months without the day instead of clamping it', () => {
+    expect(next('FREQ=MONTHLY', '2026-01-31T08:00:00Z')).toBe('2026-03-31T08:00:00.000Z');
+    expect(next('FREQ=MONTHLY;BYMONTHDAY=1,15', '2026-01-15T08:00:00Z')).toBe(
+      '2026-02-01T08:00:00.000Z',
+    );
+    expect(next('FREQ=MONTHLY;INTERVAL=12', '2026-12-10T08:00:00Z')).toBe(
+      '2027-12-10T08:00:00.000Z',
+    );
+  });
+
+  it('only repeats Feb 29 in leap years', () => {
+    expect(next('FREQ=YEARLY', '2024-02-29T00:00:00Z')).toBe('2028-02-29T00:00:00.000Z');
+  });
+
+  it('stops once UNTIL has passed', () => {
+    expect(next('FREQ=DAILY;UNTIL=20260302', '2026-03-01T23:00:00Z')).toBe(
+      '2026-03-02T23:00:00.000Z',
+    );
+    expect(next('FREQ=DAILY;UNTIL=20260302T120000Z', '2026-03-01T23:00:00Z')).toBeNull();
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Minimal iCalendar RRULE (RFC 5545) support for recurring tasks.
+ *
+ * Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL,
+ * BYDAY (WEEKLY only, plain weekdays such as MO,WE,FR) and BYMONTHDAY (MONTHLY only, 1-31).
+ * All date math is done in UTC and keeps the time of day of the previous occurrence.
+ */
+
+export type RRuleFrequency = 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY';
+
+export interface ParsedRRule {
+  freq: RRuleFrequency;
+  interval: number;
+  count?: number; // Total occurrences in the series, including the first one
+  until?: Date; // Inclusive upper bound for occurrence dates
+  byDay?: number[]; // 0 = Monday ... 6 = Sunday, sorted
+  byMonthDay?: number[]; // Sorted
+}
+
+const FREQUENCIES: RRuleFrequency[] = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+// Weeks start on Monday, the RFC 5545 default WKST
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an RRULE string (with or without the leading "RRULE:"). Throws an Error describing the
+ * first problem found so callers can surface it as a validation message.
+ */
+export function parseRRule(rule: string): ParsedRRule {
+  const body = rule.trim().replace(/^RRULE:/i, '');
+  if (!body) {
+    throw new Error('RRULE is empty');
+  }
+
+  const parts = new Map<string, string>();
+  for (const part of body.split(';')) {
+    const [key, value, ...rest] = part.split('=');
+    if (!key || value === undefined || rest.length > 0 || value === '') {
+      throw new Error(`Malformed RRULE part "${part}"`);
+    }
+    const name = key.toUpperCase();
+    if (parts.has(name)) {
+      throw new Error(`Duplicate RRULE part ${name}`);
+    }
+    parts.set(name, value.toUpperCase());
+  }
+
+  const unsupported = [...parts.keys()].filter(
+    name => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY'].includes(name),
+  );
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported RRULE part(s): ${unsupported.join(', ')}`);
+  }
+
+  const freq = parts.get('FREQ') as RRuleFrequency | undefined;
+  if (!freq || !FREQUENCIES.includes(freq)) {
+    throw new Error(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+
+  const parsed: ParsedRRule = { freq, interval: 1 };
+
+  if (parts.has('INTERVAL')) {
+    parsed.interval = parsePositiveInt(parts.get('INTERVAL')!, 'INTERVAL', 1000);
+  }
+
+  if (parts.has('COUNT') && parts.has('UNTIL')) {
+    throw new Error('COUNT and UNTIL cannot both be set');
+  }
+  if (parts.has('COUNT')) {
+    parsed.count = parsePositiveInt(parts.get('COUNT')!, 'COUNT', 10000);
+  }
+  if (parts.has('UNTIL')) {
+    parsed.until = parseUntil(parts.get('UNTIL')!);
+  }
+
+  if (parts.has('BYDAY')) {
+    if (freq !== 'WEEKLY') {
+      throw new Error('BYDAY is only supported with FREQ=WEEKLY');
+    }
+    const days = parts
+      .get('BYDAY')!
+      .split(',')
+      .map(day => {
+        const index = WEEKDAYS.indexOf(day);
+        if (index === -1) {
+          throw new Error(`Invalid BYDAY value "${day}"`);
+        }
+        return index;
+      });
+    parsed.byDay = [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  if (parts.has('BYMONTHDAY')) {
+    if (freq !== 'MONTHLY') {
+      throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+    }
+    const days = parts
+      .get('BYMONTHDAY')!
+      .split(',')
+      .map(day => parsePositiveInt(day, 'BYMONTHDAY', 31));
+    parsed.byMonthDay = [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  return parsed;
+}
+
+/**
+ * The first occurrence strictly after `previous`, or null once UNTIL has passed.
+ * COUNT is not applied here since it depends on how many occurrences the series already has.
+ */
+export function nextOccurrence(rule: ParsedRRule, previous: Date): Date | null {
+  const next = computeNext(rule, previous);
+  if (!next || (rule.until && next.getTime() > rule.until.getTime())) {
+    return null;
+  }
+  return next;
+}
+
+function computeNext(rule: ParsedRRule, previous: Date): Date | null {
+  switch (rule.freq) {
+    case 'DAILY':
+      return new Date(previous.getTime() + rule.interval * DAY_MS);
+
+    case 'WEEKLY': {
+      if (!rule.byDay) {
+        return new Date(previous.getTime() + rule.interval * 7 * DAY_MS);
+      }
+      // Remaining days later in the same week first, then the first day of the next active week
+      const weekday = (previous.getUTCDay() + 6) % 7;
+      const laterThisWeek = rule.byDay.find(day => day > weekday);
+      if (laterThisWeek !== undefined) {
+        return new Date(previous.getTime() + (laterThisWeek - weekday) * DAY_MS);
+      }
+      const startOfNextWeek = previous.getTime() + (rule.interval * 7 - weekday) * DAY_MS;
+      return new Date(startOfNextWeek + rule.byDay[0] * DAY_MS);
+    }
+
+    case 'MONTHLY': {
+      const days = rule.byMonthDay ?? [previous.getUTCDate()];
+      const laterThisMonth = days.find(
+        day =>
+          day > previous.getUTCDate() &&
+          day <= daysInMonth(previous.getUTCFullYear(), previous.getUTCMonth()),
+      );
+      if (laterThisMonth !== undefined) {
+        return withDate(
+          previous,
+          previous.getUTCFullYear(),
+          previous.getUTCMonth(),
+          laterThisMonth,
+        );
+      }
+      // Months without a matching day (e.g. the 31st in April) are skipped, as RFC 5545 requires
+      for (let step = 1; step <= 48; step++) {
+        const monthIndex = previous.getUTCMonth() + step * rule.interval;
+        const year = previous.getUTCFullYear() + Math.floor(monthIndex / 12);
+        const month = monthIndex % 12;
+        const day = days.find(candidate => candidate <= daysInMonth(year, month));
+        if (day !== undefined) {
+          return withDate(previous, year, month, day);
+        }
+      }
+      return null;
+    }
+
+    case 'YEARLY': {
+      // Feb 29 only recurs in leap years
+      for (let step = 1; step <= 8; step++) {
+        const year = previous.getUTCFullYear() + step * rule.interval;
+        if (previous.getUTCDate() <= daysInMonth(year, previous.getUTCMonth())) {
+          return withDate(previous, year, previous.getUTCMonth(), previous.getUTCDate());
+        }
+      }
+      return null;
+    }
+  }
+}
+
+function parsePositiveInt(value: string, name: string, max: number): number {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  const parsed = parseInt(value, 10);
+  if (parsed < 1 || parsed > max) {
+    throw new Error(`${name} must be between 1 and ${max}`);
+  }
+  return parsed;
+}
+
+function parseUntil(value: string): Date {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    throw new Error('UNTIL must look like YYYYMMDD or YYYYMMDDTHHMMSSZ');
+  }
+  const [, year, month, day, hours, minutes, seconds] = match;
+  // A date-only UNTIL includes that whole day
+  const until =
+    hours === undefined
+      ? Date.UTC(+year, +month - 1, +day, 23, 59, 59, 999)
+      : Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds);
+  if (Number.isNaN(until) || new Date(until).getUTCDate() !== +day) {
+    throw new Error('UNTIL is not a valid date');
+  }
+  return new Date(until);
+}
+
+function daysInMonth(year: number, month: number): number {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function withDate(time: Date, year: number, month: number, day: number): Date {
+  return new Date(
+    Date.UTC(
+      year,
+      month,
+      day,
+      time.getUTCHours(),
+      time.getUTCMinutes(),
+      time.getUTCSeconds(),
+      time.getUTCMilliseconds(),
+    ),
+  );
+}
@@ -0,0 +1,28 @@
+import { decryptSecret, encryptSecret } from './secret-box';
+
+describe('secret-box', () => {
+  it('round-trips a secret', () => {
+    const stored = encryptSecret('JBSWY3DPEHPK3PXP', 'key-material');
+
+    expect(stored).toMatch(/^[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+$/);
+    expect(decryptSecret(stored, 'key-material')).toBe('JBSWY3DPEHPK3PXP');
+  });
+
+  it('uses a fresh IV for every encryption', () => {
+    expect(encryptSecret('secret', 'key-material')).not.toBe(
+      encryptSecret('secret', 'key-material'),
+    );
+  });
+
+  it('refuses to decrypt with the wrong key or tampered data', () => {
+    const stored = encryptSecret('secret', 'key-material');
+    const [iv, authTag, encrypted] = stored.split(':');
+    const tampered = Buffer.from(encrypted, 'base64');
+    tampered[0] ^= 1;
+
+    expect(() => decryptSecret(stored, 'other-key')).toThrow();
+    expect(() =>
+      decryptSecret([iv, authTag, tampered.toString('base64')].join(':'), 'key-material'),
+    ).toThrow();
+  });
+});
@@ -0,0 +1,26 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+
+/**
+ * AES-256-GCM for secrets that have to be stored readable (TOTP secrets, signing keys).
+ * The key is derived from `keyMaterial`; the output is `iv:authTag:ciphertext` in base64.
+ */
+
+export function encryptSecret(secret: string, keyMaterial: string): string {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', deriveKey(keyMaterial), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+export function decryptSecret(stored: string, keyMaterial: string): string {
+  const [iv, authTag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = createDecipheriv('aes-256-gcm', deriveKey(keyMaterial), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function deriveKey(keyMaterial: string): Buffer {
+  return createHash('sha256').update(keyMaterial).digest();
+}
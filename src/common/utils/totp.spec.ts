@@ -0,0 +1,53 @@
+import { buildOtpAuthUri, generateTotp, generateTotpSecret, totpStep, verifyTotp } from './totp';
+
+// RFC 6238 appendix B: the ASCII seed "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+  ])('matches the RFC 6238 SHA1 vector at T=%p', (seconds, code) => {
+    expect(generateTotp(RFC_SECRET, totpStep(seconds * 1000))).toBe(code);
+  });
+
+  it('accepts codes one step either side of now, and returns the matching step', () => {
+    const now = 1234567890 * 1000;
+    const current = totpStep(now);
+
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, current - 1), 1, now)).toBe(current - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, current + 1), 1, now)).toBe(current + 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, current + 2), 1, now)).toBeNull();
+  });
+
+  it('ignores spaces but rejects anything that is not six digits', () => {
+    const now = 59 * 1000;
+
+    expect(verifyTotp(RFC_SECRET, '287 082', 0, now)).toBe(1);
+    expect(verifyTotp(RFC_SECRET, '28708', 0, now)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', 0, now)).toBeNull();
+  });
+
+  it('generates 160-bit base32 secrets', () => {
+    const secret = generateTotpSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateTotpSecret()).not.toBe(secret);
+  });
+
+  it('builds an otpauth URI authenticator apps understand', () => {
+    const uri = new URL(buildOtpAuthUri(RFC_SECRET, 'ada@example.com', 'TaskFlow'));
+
+    expect(`${uri.protocol}//${uri.host}`).toBe('otpauth://totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/TaskFlow:ada@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: RFC_SECRET,
+      issuer: 'TaskFlow',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30',
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { registerAs } from '@nestjs/config';
+
+export interface OidcProviderConfig {
+  id: string; // Used in URLs, e.g. /auth/oidc/:id/authorize
+  name: string;
+  issuer: string;
+  clientId: string;
+  clientSecret?: string; // Omitted for public clients, PKCE protects the code exchange
+  scopes: string;
+  allowSignup: boolean; // Create accounts for unknown users on first sign-in
+}
+
+/**
+ * Identity providers for single sign-on. OIDC_PROVIDERS lists their ids, and each one is
+ * configured through OIDC_<ID>_* variables (the id upper-cased, dashes as underscores):
+ * ISSUER, CLIENT_ID and optionally CLIENT_SECRET, NAME, SCOPES and ALLOW_SIGNUP.
+ */
+export default registerAs('oidc', () => {
+  const ids = (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(id => id.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers: OidcProviderConfig[] = ids.map(id => {
+    if (!/^[a-z0-9-]+$/.test(id)) {
+      throw new Error(`OIDC provider id "${id}" may only contain letters, digits and dashes`);
+    }
+
+    const prefix = `OIDC_${id.toUpperCase().replace(/-/g, '_')}_`;
+    const issuer = process.env[`${prefix}ISSUER`];
+    const clientId = process.env[`${prefix}CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+      throw new Error(
+        `${prefix}ISSUER and ${prefix}CLIENT_ID are required for OIDC provider "${id}"`,
+      );
+    }
+
+    // ✅ SECURITY: Plain HTTP only for an IdP on this machine (e.g. a mock server in development)
+    const { protocol, hostname } = new URL(issuer);
+    if (protocol !== 'https:' && !['localhost', '127.0.0.1'].includes(hostname)) {
+      throw new Error(`${prefix}ISSUER must use https`);
+    }
+
+    return {
+      id,
+      name: process.env[`${prefix}NAME`] || id,
+      issuer: issuer.replace(/\/+$/, ''),
+      clientId,
+      clientSecret: process.env[`${prefix}CLIENT_SECRET`] || undefined,
+      scopes: process.env[`${prefix}SCOPES`] || 'openid email profile',
+      allowSignup: (process.env[`${prefix}ALLOW_SIGNUP`] || 'true').toLowerCase() !== 'false',
+    };
+  });
+
+  return {
+    providers,
+    // Where the IdP sends users back to: <base>/auth/oidc/:id/callback
+    redirectBaseUrl: (
+      process.env.OIDC_REDIRECT_BASE_URL || `http://localhost:${process.env.PORT || 3000}`
+    ).replace(/\/+$/, ''),
+    stateExpiration: process.env.OIDC_STATE_EXPIRATION || '10m',
+  };
+});
@@ -2,6 +2,27 @@ import { DataSource, DataSourceOptions } from 'typeorm';
 import * as dotenv from 'dotenv';
 import { CreateInitialSchema1710752400000 } from './migrations/1710752400000-CreateInitialSchema';
 import { AddTaskIndexes1703000000000 } from './migrations/1703000000000-AddTaskIndexes';
+import { CreateTaskCommentsTable1792400000000 } from './migrations/1792400000000-CreateTaskCommentsTable';
+import { AddTaskParentHierarchy1792500000000 } from './migrations/1792500000000-AddTaskParentHierarchy';
+import { CreateTaskDependenciesTable1792600000000 } from './migrations/1792600000000-CreateTaskDependenciesTable';
+import { CreateTagsTables1792700000000 } from './migrations/1792700000000-CreateTagsTables';
+import { CreateProjectsTables1792800000000 } from './migrations/1792800000000-CreateProjectsTables';
+import { AddTaskSearchVector1792900000000 } from './migrations/1792900000000-AddTaskSearchVector';
+import { AddTaskRecurrence1793000000000 } from './migrations/1793000000000-AddTaskRecurrence';
+import { CreateTaskEventsTable1793100000000 } from './migrations/1793100000000-CreateTaskEventsTable';
+import { AddTaskSoftDelete1793200000000 } from './migrations/1793200000000-AddTaskSoftDelete';
+import { AddTaskVersion1793300000000 } from './migrations/1793300000000-AddTaskVersion';
+import { CreateTaskAssigneesAndWatchersTables1793400000000 } from './migrations/1793400000000-CreateTaskAssigneesAndWatchersTables';
+import { CreatePasswordResetTokensTable1793500000000 } from './migrations/1793500000000-CreatePasswordResetTokensTable';
+import { AddUserEmailVerifiedAt1793600000000 } from './migrations/1793600000000-AddUserEmailVerifiedAt';
+import { AddTwoFactorAuthentication1793700000000 } from './migrations/1793700000000-AddTwoFactorAuthentication';
+import { AddRefreshTokenFamilies1793800000000 } from './migrations/1793800000000-AddRefreshTokenFamilies';
+import { CreateApiKeysTable1793900000000 } from './migrations/1793900000000-CreateApiKeysTable';
+import { CreateRolesAndPermissionsTables1794000000000 } from './migrations/1794000000000-CreateRolesAndPermissionsTables';
+import { CreateJwtSigningKeysTable1794100000000 } from './migrations/1794100000000-CreateJwtSigningKeysTable';
+import { AddImpersonation1794200000000 } from './migrations/1794200000000-AddImpersonation';
+import { CreateUserIdentitiesTable1794300000000 } from './migrations/1794300000000-CreateUserIdentitiesTable';
+import { AddOrganizations1794400000000 } from './migrations/1794400000000-AddOrganizations';
 
 // Load environment variables
 dotenv.config();
@@ -14,7 +35,31 @@ export const dataSourceOptions: DataSourceOptions = {
   password: process.env.DB_PASSWORD || 'postgres',
   database: process.env.DB_DATABASE || 'taskflow',
   entities: [__dirname + '/../**/*.entity{.ts,.js}'],
-  migrations: [CreateInitialSchema1710752400000, AddTaskIndexes1703000000000],
+  migrations: [
+    CreateInitialSchema1710752400000,
+    AddTaskIndexes1703000000000,
+    CreateTaskCommentsTable1792400000000,
+    AddTaskParentHierarchy1792500000000,
+    CreateTaskDependenciesTable1792600000000,
+    CreateTagsTables1792700000000,
+    CreateProjectsTables1792800000000,
+    AddTaskSearchVector1792900000000,
+    AddTaskRecurrence1793000000000,
+    CreateTaskEventsTable1793100000000,
+    AddTaskSoftDelete1793200000000,
+    AddTaskVersion1793300000000,
+    CreateTaskAssigneesAndWatchersTables1793400000000,
+    CreatePasswordResetTokensTable1793500000000,
+    AddUserEmailVerifiedAt1793600000000,
+    AddTwoFactorAuthentication1793700000000,
+    AddRefreshTokenFamilies1793800000000,
+    CreateApiKeysTable1793900000000,
+    CreateRolesAndPermissionsTables1794000000000,
+    CreateJwtSigningKeysTable1794100000000,
+    AddImpersonation1794200000000,
+    CreateUserIdentitiesTable1794300000000,
+    AddOrganizations1794400000000,
+  ],
   migrationsTableName: 'migrations',
   synchronize: false, // Important: Set to false for production
   logging: process.env.NODE_ENV === 'development',
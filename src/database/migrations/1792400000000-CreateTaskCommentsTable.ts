@@ -0,0 +1,31 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class CreateTaskCommentsTable1792400000000 implements MigrationInterface {
+  name = 'CreateTaskCommentsTable1792400000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "task_comments" (
+        "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+        "content" text NOT NULL,
+        "task_id" uuid NOT NULL,
+        "author_id" uuid NOT NULL,
+        "mentioned_user_ids" uuid[] NOT NULL DEFAULT '{}',
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        "updated_at" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "fk_task_comments_task_id" FOREIGN KEY ("task_id") REFERENCES "tasks" ("id") ON DELETE CASCADE,
+        CONSTRAINT "fk_task_comments_author_id" FOREIGN KEY ("author_id") REFERENCES "users" ("id") ON DELETE CASCADE
+      )
+    `);
+
+    // ✅ PERFORMANCE: Comment threads are loaded per task in creation order
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_task_comments_task_created" ON "task_comments" ("task_id", "created_at")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_task_comments_task_created"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "task_comments"`);
+  }
+}
@@ -0,0 +1,30 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class AddTaskParentHierarchy1792500000000 implements MigrationInterface {
+  name = 'AddTaskParentHierarchy1792500000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      ALTER TABLE "tasks" ADD COLUMN IF NOT EXISTS "parent_task_id" uuid
+    `);
+
+    // ✅ INTEGRITY: Deleting a parent removes its subtree
+    await queryRunner.query(`
+      ALTER TABLE "tasks" ADD CONSTRAINT "fk_tasks_parent_task_id"
+      FOREIGN KEY ("parent_task_id") REFERENCES "tasks" ("id") ON DELETE CASCADE
+    `);
+
+    // ✅ PERFORMANCE: Subtask listings and progress roll-ups look up children by parent
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_tasks_parent_task_id" ON "tasks" ("parent_task_id")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_tasks_parent_task_id"`);
+    await queryRunner.query(
+      `ALTER TABLE "tasks" DROP CONSTRAINT IF EXISTS "fk_tasks_parent_task_id"`,
+    );
+    await queryRunner.query(`ALTER TABLE "tasks" DROP COLUMN IF EXISTS "parent_task_id"`);
+  }
+}
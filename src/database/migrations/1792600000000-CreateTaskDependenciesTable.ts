@@ -0,0 +1,29 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class CreateTaskDependenciesTable1792600000000 implements MigrationInterface {
+  name = 'CreateTaskDependenciesTable1792600000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "task_dependencies" (
+        "task_id" uuid NOT NULL,
+        "blocked_by_task_id" uuid NOT NULL,
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "pk_task_dependencies" PRIMARY KEY ("task_id", "blocked_by_task_id"),
+        CONSTRAINT "fk_task_dependencies_task_id" FOREIGN KEY ("task_id") REFERENCES "tasks" ("id") ON DELETE CASCADE,
+        CONSTRAINT "fk_task_dependencies_blocked_by" FOREIGN KEY ("blocked_by_task_id") REFERENCES "tasks" ("id") ON DELETE CASCADE,
+        CONSTRAINT "chk_task_dependencies_not_self" CHECK ("task_id" <> "blocked_by_task_id")
+      )
+    `);
+
+    // ✅ PERFORMANCE: Reverse lookups ("which tasks does this one block?")
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_task_dependencies_blocked_by" ON "task_dependencies" ("blocked_by_task_id")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_task_dependencies_blocked_by"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "task_dependencies"`);
+  }
+}
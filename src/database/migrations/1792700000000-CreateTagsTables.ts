@@ -0,0 +1,51 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class CreateTagsTables1792700000000 implements MigrationInterface {
+  name = 'CreateTagsTables1792700000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "tags" (
+        "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+        "name" varchar(50) NOT NULL,
+        "color" varchar(7),
+        "user_id" uuid NOT NULL,
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "fk_tags_user_id" FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE
+      )
+    `);
+
+    // ✅ INTEGRITY: Tag names are unique per owner
+    await queryRunner.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "uq_tags_user_name" ON "tags" ("user_id", "name")
+    `);
+
+    // ✅ PERFORMANCE: List filters match tags by name
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_tags_name" ON "tags" ("name")
+    `);
+
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "task_tags" (
+        "task_id" uuid NOT NULL,
+        "tag_id" uuid NOT NULL,
+        CONSTRAINT "pk_task_tags" PRIMARY KEY ("task_id", "tag_id"),
+        CONSTRAINT "fk_task_tags_task_id" FOREIGN KEY ("task_id") REFERENCES "tasks" ("id") ON DELETE CASCADE,
+        CONSTRAINT "fk_task_tags_tag_id" FOREIGN KEY ("tag_id") REFERENCES "tags" ("id") ON DELETE CASCADE
+      )
+    `);
+
+    // ✅ PERFORMANCE: Reverse lookups ("which tasks carry this tag?")
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_task_tags_tag_id" ON "task_tags" ("tag_id")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_task_tags_tag_id"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "task_tags"`);
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_tags_name"`);
+    await queryRunner.query(`DROP INDEX IF EXISTS "uq_tags_user_name"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "tags"`);
+  }
+}
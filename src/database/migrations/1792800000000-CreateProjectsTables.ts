@@ -0,0 +1,63 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class CreateProjectsTables1792800000000 implements MigrationInterface {
+  name = 'CreateProjectsTables1792800000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "projects" (
+        "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+        "name" varchar(100) NOT NULL,
+        "description" text,
+        "owner_id" uuid NOT NULL,
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        "updated_at" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "fk_projects_owner_id" FOREIGN KEY ("owner_id") REFERENCES "users" ("id") ON DELETE CASCADE
+      )
+    `);
+
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_projects_owner_id" ON "projects" ("owner_id")
+    `);
+
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "project_members" (
+        "project_id" uuid NOT NULL,
+        "user_id" uuid NOT NULL,
+        CONSTRAINT "pk_project_members" PRIMARY KEY ("project_id", "user_id"),
+        CONSTRAINT "fk_project_members_project_id" FOREIGN KEY ("project_id") REFERENCES "projects" ("id") ON DELETE CASCADE,
+        CONSTRAINT "fk_project_members_user_id" FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE
+      )
+    `);
+
+    // ✅ PERFORMANCE: Task visibility checks look up projects by member
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_project_members_user_id" ON "project_members" ("user_id")
+    `);
+
+    // ✅ PROJECTS: Deleting a project keeps its tasks and just detaches them
+    await queryRunner.query(`
+      ALTER TABLE "tasks" ADD COLUMN IF NOT EXISTS "project_id" uuid
+    `);
+
+    await queryRunner.query(`
+      ALTER TABLE "tasks"
+      ADD CONSTRAINT "fk_tasks_project_id"
+      FOREIGN KEY ("project_id") REFERENCES "projects" ("id") ON DELETE SET NULL
+    `);
+
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_tasks_project_id" ON "tasks" ("project_id")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_tasks_project_id"`);
+    await queryRunner.query(`ALTER TABLE "tasks" DROP CONSTRAINT IF EXISTS "fk_tasks_project_id"`);
+    await queryRunner.query(`ALTER TABLE "tasks" DROP COLUMN IF EXISTS "project_id"`);
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_project_members_user_id"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "project_members"`);
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_projects_owner_id"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "projects"`);
+  }
+}
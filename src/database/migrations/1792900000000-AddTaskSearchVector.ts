@@ -0,0 +1,27 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class AddTaskSearchVector1792900000000 implements MigrationInterface {
+  name = 'AddTaskSearchVector1792900000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    // ✅ SEARCH: Postgres keeps the document in sync with title/description on every write
+    // Title matches are weighted above description matches when ranking
+    await queryRunner.query(`
+      ALTER TABLE "tasks" ADD COLUMN IF NOT EXISTS "search_vector" tsvector
+      GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+        setweight(to_tsvector('english', coalesce("description", '')), 'B')
+      ) STORED
+    `);
+
+    // ✅ PERFORMANCE: GIN index so @@ matches don't scan the whole table
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_tasks_search_vector" ON "tasks" USING GIN ("search_vector")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_tasks_search_vector"`);
+    await queryRunner.query(`ALTER TABLE "tasks" DROP COLUMN IF EXISTS "search_vector"`);
+  }
+}
@@ -0,0 +1,32 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class AddTaskRecurrence1793000000000 implements MigrationInterface {
+  name = 'AddTaskRecurrence1793000000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      ALTER TABLE "tasks"
+      ADD COLUMN IF NOT EXISTS "recurrence_rule" varchar(255),
+      ADD COLUMN IF NOT EXISTS "recurrence_series_id" uuid,
+      ADD COLUMN IF NOT EXISTS "recurrence_index" integer NOT NULL DEFAULT 0
+    `);
+
+    // ✅ INTEGRITY: Each occurrence slot of a series exists at most once
+    // (completion and the backfill job may both try to create the same occurrence)
+    await queryRunner.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "uq_tasks_recurrence_occurrence"
+      ON "tasks" ("recurrence_series_id", "recurrence_index")
+      WHERE "recurrence_series_id" IS NOT NULL
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "uq_tasks_recurrence_occurrence"`);
+    await queryRunner.query(`
+      ALTER TABLE "tasks"
+      DROP COLUMN IF EXISTS "recurrence_index",
+      DROP COLUMN IF EXISTS "recurrence_series_id",
+      DROP COLUMN IF EXISTS "recurrence_rule"
+    `);
+  }
+}
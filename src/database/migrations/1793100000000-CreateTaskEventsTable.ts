@@ -0,0 +1,30 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class CreateTaskEventsTable1793100000000 implements MigrationInterface {
+  name = 'CreateTaskEventsTable1793100000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    // task_id deliberately has no foreign key so history survives task deletion
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "task_events" (
+        "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+        "task_id" uuid NOT NULL,
+        "type" varchar(20) NOT NULL,
+        "actor_id" uuid,
+        "changes" jsonb NOT NULL DEFAULT '{}',
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "fk_task_events_actor_id" FOREIGN KEY ("actor_id") REFERENCES "users" ("id") ON DELETE SET NULL
+      )
+    `);
+
+    // ✅ PERFORMANCE: History is paginated per task, newest first
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_task_events_task_created" ON "task_events" ("task_id", "created_at")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_task_events_task_created"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "task_events"`);
+  }
+}
@@ -0,0 +1,21 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class AddTaskSoftDelete1793200000000 implements MigrationInterface {
+  name = 'AddTaskSoftDelete1793200000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      ALTER TABLE "tasks" ADD COLUMN IF NOT EXISTS "deleted_at" TIMESTAMP
+    `);
+
+    // ✅ PERFORMANCE: Trash listing and the retention purge both range-scan on it
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_tasks_deleted_at" ON "tasks" ("deleted_at")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_tasks_deleted_at"`);
+    await queryRunner.query(`ALTER TABLE "tasks" DROP COLUMN IF EXISTS "deleted_at"`);
+  }
+}
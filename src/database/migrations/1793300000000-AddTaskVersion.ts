@@ -0,0 +1,16 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class AddTaskVersion1793300000000 implements MigrationInterface {
+  name = 'AddTaskVersion1793300000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    // ✅ CONCURRENCY: Bumped on every UPDATE, exposed as the task's ETag
+    await queryRunner.query(`
+      ALTER TABLE "tasks" ADD COLUMN IF NOT EXISTS "version" integer NOT NULL DEFAULT 1
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`ALTER TABLE "tasks" DROP COLUMN IF EXISTS "version"`);
+  }
+}
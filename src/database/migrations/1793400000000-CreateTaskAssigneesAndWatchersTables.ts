@@ -0,0 +1,43 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class CreateTaskAssigneesAndWatchersTables1793400000000 implements MigrationInterface {
+  name = 'CreateTaskAssigneesAndWatchersTables1793400000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "task_assignees" (
+        "task_id" uuid NOT NULL,
+        "user_id" uuid NOT NULL,
+        CONSTRAINT "pk_task_assignees" PRIMARY KEY ("task_id", "user_id"),
+        CONSTRAINT "fk_task_assignees_task_id" FOREIGN KEY ("task_id") REFERENCES "tasks" ("id") ON DELETE CASCADE,
+        CONSTRAINT "fk_task_assignees_user_id" FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE
+      )
+    `);
+
+    // ✅ PERFORMANCE: Task visibility checks look up tasks by assignee
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_task_assignees_user_id" ON "task_assignees" ("user_id")
+    `);
+
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "task_watchers" (
+        "task_id" uuid NOT NULL,
+        "user_id" uuid NOT NULL,
+        CONSTRAINT "pk_task_watchers" PRIMARY KEY ("task_id", "user_id"),
+        CONSTRAINT "fk_task_watchers_task_id" FOREIGN KEY ("task_id") REFERENCES "tasks" ("id") ON DELETE CASCADE,
+        CONSTRAINT "fk_task_watchers_user_id" FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE
+      )
+    `);
+
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_task_watchers_user_id" ON "task_watchers" ("user_id")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_task_watchers_user_id"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "task_watchers"`);
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_task_assignees_user_id"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "task_assignees"`);
+  }
+}
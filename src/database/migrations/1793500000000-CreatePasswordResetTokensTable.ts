@@ -0,0 +1,36 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class CreatePasswordResetTokensTable1793500000000 implements MigrationInterface {
+  name = 'CreatePasswordResetTokensTable1793500000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "password_reset_tokens" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "token_hash" varchar(255) NOT NULL,
+        "user_id" uuid NOT NULL,
+        "expires_at" TIMESTAMP NOT NULL,
+        "used_at" TIMESTAMP,
+        "ip_address" varchar(45),
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "pk_password_reset_tokens" PRIMARY KEY ("id"),
+        CONSTRAINT "fk_password_reset_tokens_user_id" FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE
+      )
+    `);
+
+    await queryRunner.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "uq_password_reset_tokens_token_hash" ON "password_reset_tokens" ("token_hash")
+    `);
+
+    // ✅ PERFORMANCE: Outstanding tokens are invalidated per user
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_password_reset_tokens_user_id" ON "password_reset_tokens" ("user_id")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_password_reset_tokens_user_id"`);
+    await queryRunner.query(`DROP INDEX IF EXISTS "uq_password_reset_tokens_token_hash"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "password_reset_tokens"`);
+  }
+}
@@ -0,0 +1,21 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class AddUserEmailVerifiedAt1793600000000 implements MigrationInterface {
+  name = 'AddUserEmailVerifiedAt1793600000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "email_verified_at" TIMESTAMP
+    `);
+
+    // Accounts created before verification existed are treated as verified, so turning on
+    // EMAIL_VERIFICATION_REQUIRED doesn't lock existing users out of their tasks
+    await queryRunner.query(`
+      UPDATE "users" SET "email_verified_at" = "created_at" WHERE "email_verified_at" IS NULL
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`ALTER TABLE "users" DROP COLUMN IF EXISTS "email_verified_at"`);
+  }
+}
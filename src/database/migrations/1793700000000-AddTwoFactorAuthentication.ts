@@ -0,0 +1,41 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class AddTwoFactorAuthentication1793700000000 implements MigrationInterface {
+  name = 'AddTwoFactorAuthentication1793700000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      ALTER TABLE "users"
+        ADD COLUMN IF NOT EXISTS "two_factor_secret" text,
+        ADD COLUMN IF NOT EXISTS "two_factor_enabled_at" TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS "two_factor_last_used_step" integer
+    `);
+
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "two_factor_recovery_codes" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "user_id" uuid NOT NULL,
+        "code_hash" varchar(255) NOT NULL,
+        "used_at" TIMESTAMP,
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "pk_two_factor_recovery_codes" PRIMARY KEY ("id"),
+        CONSTRAINT "fk_two_factor_recovery_codes_user_id" FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE
+      )
+    `);
+
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_two_factor_recovery_codes_user_id" ON "two_factor_recovery_codes" ("user_id")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_two_factor_recovery_codes_user_id"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "two_factor_recovery_codes"`);
+    await queryRunner.query(`
+      ALTER TABLE "users"
+        DROP COLUMN IF EXISTS "two_factor_last_used_step",
+        DROP COLUMN IF EXISTS "two_factor_enabled_at",
+        DROP COLUMN IF EXISTS "two_factor_secret"
+    `);
+  }
+}
@@ -0,0 +1,36 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class AddRefreshTokenFamilies1793800000000 implements MigrationInterface {
+  name = 'AddRefreshTokenFamilies1793800000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      ALTER TABLE "refresh_tokens"
+        ADD COLUMN IF NOT EXISTS "family_id" uuid,
+        ADD COLUMN IF NOT EXISTS "replaced_by_id" uuid
+    `);
+
+    // Every existing token starts its own family
+    await queryRunner.query(`
+      UPDATE "refresh_tokens" SET "family_id" = "id" WHERE "family_id" IS NULL
+    `);
+
+    await queryRunner.query(`
+      ALTER TABLE "refresh_tokens" ALTER COLUMN "family_id" SET NOT NULL
+    `);
+
+    // ✅ PERFORMANCE: Reuse detection and session revocation work on whole families
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_refresh_tokens_family_id" ON "refresh_tokens" ("family_id")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_refresh_tokens_family_id"`);
+    await queryRunner.query(`
+      ALTER TABLE "refresh_tokens"
+        DROP COLUMN IF EXISTS "replaced_by_id",
+        DROP COLUMN IF EXISTS "family_id"
+    `);
+  }
+}
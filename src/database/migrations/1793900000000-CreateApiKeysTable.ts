@@ -0,0 +1,38 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class CreateApiKeysTable1793900000000 implements MigrationInterface {
+  name = 'CreateApiKeysTable1793900000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "api_keys" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "user_id" uuid NOT NULL,
+        "name" varchar(100) NOT NULL,
+        "prefix" varchar(16) NOT NULL,
+        "key_hash" varchar(255) NOT NULL,
+        "scopes" text[] NOT NULL DEFAULT '{}',
+        "expires_at" TIMESTAMP,
+        "last_used_at" TIMESTAMP,
+        "revoked_at" TIMESTAMP,
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "pk_api_keys" PRIMARY KEY ("id"),
+        CONSTRAINT "fk_api_keys_user_id" FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE
+      )
+    `);
+
+    await queryRunner.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "uq_api_keys_key_hash" ON "api_keys" ("key_hash")
+    `);
+
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_api_keys_user_id" ON "api_keys" ("user_id")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_api_keys_user_id"`);
+    await queryRunner.query(`DROP INDEX IF EXISTS "uq_api_keys_key_hash"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "api_keys"`);
+  }
+}
@@ -0,0 +1,101 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+const PERMISSIONS: [string, string][] = [
+  ['tasks:read:any', 'See every task'],
+  ['tasks:create:any', 'Create tasks for other users'],
+  ['tasks:update:any', 'Update and reassign any task'],
+  ['tasks:delete:any', 'Delete and restore any task'],
+  ['comments:delete:any', 'Delete any comment'],
+  ['tags:manage:any', "Use and delete other users' tags"],
+  ['projects:read:any', 'See every project'],
+  ['projects:manage:any', 'Edit, delete and manage members of any project'],
+  ['users:read:any', 'List users and see any profile'],
+  ['users:create', 'Create users'],
+  ['users:update:any', "Update any user's profile"],
+  ['users:delete', 'Delete users'],
+  ['users:sessions:manage', "Revoke other users' sessions and lift lockouts"],
+  ['roles:manage', 'Manage roles and assign them to users'],
+  ['system:monitor', 'See performance, cache and queue metrics'],
+  ['system:manage', 'Trigger maintenance jobs and reset metrics'],
+];
+
+export class CreateRolesAndPermissionsTables1794000000000 implements MigrationInterface {
+  name = 'CreateRolesAndPermissionsTables1794000000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "permissions" (
+        "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+        "name" varchar(100) NOT NULL,
+        "description" varchar(255),
+        CONSTRAINT "uq_permissions_name" UNIQUE ("name")
+      )
+    `);
+
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "roles" (
+        "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+        "name" varchar(50) NOT NULL,
+        "description" varchar(255),
+        "is_system" boolean NOT NULL DEFAULT false,
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        "updated_at" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "uq_roles_name" UNIQUE ("name")
+      )
+    `);
+
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "role_permissions" (
+        "role_id" uuid NOT NULL,
+        "permission_id" uuid NOT NULL,
+        CONSTRAINT "pk_role_permissions" PRIMARY KEY ("role_id", "permission_id"),
+        CONSTRAINT "fk_role_permissions_role_id" FOREIGN KEY ("role_id") REFERENCES "roles" ("id") ON DELETE CASCADE,
+        CONSTRAINT "fk_role_permissions_permission_id" FOREIGN KEY ("permission_id") REFERENCES "permissions" ("id") ON DELETE CASCADE
+      )
+    `);
+
+    for (const [name, description] of PERMISSIONS) {
+      await queryRunner.query(
+        `INSERT INTO "permissions" ("name", "description") VALUES ($1, $2) ON CONFLICT ("name") DO NOTHING`,
+        [name, description],
+      );
+    }
+
+    // ✅ RBAC: Default roles reproduce the old behavior, admins may do anything and users
+    // only work with their own data
+    await queryRunner.query(`
+      INSERT INTO "roles" ("name", "description", "is_system") VALUES
+        ('admin', 'Full access', true),
+        ('user', 'Works with their own tasks and projects', true)
+      ON CONFLICT ("name") DO NOTHING
+    `);
+
+    await queryRunner.query(`
+      INSERT INTO "role_permissions" ("role_id", "permission_id")
+      SELECT r.id, p.id FROM "roles" r CROSS JOIN "permissions" p
+      WHERE r.name = 'admin'
+      ON CONFLICT DO NOTHING
+    `);
+
+    // Any other role names already in use become roles without permissions
+    await queryRunner.query(`
+      INSERT INTO "roles" ("name", "description")
+      SELECT DISTINCT u.role, NULL FROM "users" u
+      ON CONFLICT ("name") DO NOTHING
+    `);
+
+    // ✅ RBAC: users.role can only name an existing role, renaming a role carries its users along
+    await queryRunner.query(`
+      ALTER TABLE "users"
+      ADD CONSTRAINT "fk_users_role"
+      FOREIGN KEY ("role") REFERENCES "roles" ("name") ON UPDATE CASCADE
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`ALTER TABLE "users" DROP CONSTRAINT IF EXISTS "fk_users_role"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "role_permissions"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "roles"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "permissions"`);
+  }
+}
@@ -0,0 +1,24 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class CreateJwtSigningKeysTable1794100000000 implements MigrationInterface {
+  name = 'CreateJwtSigningKeysTable1794100000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "jwt_signing_keys" (
+        "kid" varchar(64) NOT NULL,
+        "algorithm" varchar(10) NOT NULL,
+        "public_key" text NOT NULL,
+        "private_key" text NOT NULL,
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        "activates_at" TIMESTAMP NOT NULL,
+        "retired_at" TIMESTAMP,
+        CONSTRAINT "pk_jwt_signing_keys" PRIMARY KEY ("kid")
+      )
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP TABLE IF EXISTS "jwt_signing_keys"`);
+  }
+}
@@ -0,0 +1,49 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class AddImpersonation1794200000000 implements MigrationInterface {
+  name = 'AddImpersonation1794200000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(
+      `INSERT INTO "permissions" ("name", "description") VALUES ($1, $2) ON CONFLICT ("name") DO NOTHING`,
+      ['users:impersonate', 'Act as another (non-admin) user'],
+    );
+
+    await queryRunner.query(`
+      INSERT INTO "role_permissions" ("role_id", "permission_id")
+      SELECT r.id, p.id FROM "roles" r CROSS JOIN "permissions" p
+      WHERE r.name = 'admin' AND p.name = 'users:impersonate'
+      ON CONFLICT DO NOTHING
+    `);
+
+    // No foreign keys: the audit trail has to outlive the users it mentions
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "impersonation_logs" (
+        "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+        "actor_id" uuid NOT NULL,
+        "user_id" uuid NOT NULL,
+        "action" varchar(20) NOT NULL,
+        "method" varchar(10),
+        "path" varchar(2048),
+        "status_code" integer,
+        "ip_address" varchar,
+        "created_at" TIMESTAMP NOT NULL DEFAULT now()
+      )
+    `);
+
+    // ✅ PERFORMANCE: The trail is read per admin or per impersonated user, newest first
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_impersonation_logs_actor_created" ON "impersonation_logs" ("actor_id", "created_at")
+    `);
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_impersonation_logs_user_created" ON "impersonation_logs" ("user_id", "created_at")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_impersonation_logs_user_created"`);
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_impersonation_logs_actor_created"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "impersonation_logs"`);
+    await queryRunner.query(`DELETE FROM "permissions" WHERE "name" = 'users:impersonate'`);
+  }
+}
@@ -0,0 +1,36 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class CreateUserIdentitiesTable1794300000000 implements MigrationInterface {
+  name = 'CreateUserIdentitiesTable1794300000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "user_identities" (
+        "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+        "user_id" uuid NOT NULL,
+        "provider" varchar(50) NOT NULL,
+        "subject" varchar(255) NOT NULL,
+        "email" varchar,
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        "last_login_at" TIMESTAMP,
+        CONSTRAINT "uq_user_identities_provider_subject" UNIQUE ("provider", "subject"),
+        CONSTRAINT "fk_user_identities_user_id" FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE
+      )
+    `);
+
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_user_identities_user_id" ON "user_identities" ("user_id")
+    `);
+
+    // ✅ SSO: Users provisioned by an identity provider have no password
+    await queryRunner.query(`ALTER TABLE "users" ALTER COLUMN "password" DROP NOT NULL`);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    // '!' is never a valid bcrypt hash, so these accounts still can't sign in with a password
+    await queryRunner.query(`UPDATE "users" SET "password" = '!' WHERE "password" IS NULL`);
+    await queryRunner.query(`ALTER TABLE "users" ALTER COLUMN "password" SET NOT NULL`);
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_user_identities_user_id"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "user_identities"`);
+  }
+}
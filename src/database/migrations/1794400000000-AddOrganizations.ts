@@ -0,0 +1,131 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class AddOrganizations1794400000000 implements MigrationInterface {
+  name = 'AddOrganizations1794400000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(
+      `INSERT INTO "permissions" ("name", "description") VALUES ($1, $2) ON CONFLICT ("name") DO NOTHING`,
+      ['organizations:manage', 'Members of your current organization and their roles'],
+    );
+
+    await queryRunner.query(`
+      INSERT INTO "role_permissions" ("role_id", "permission_id")
+      SELECT r.id, p.id FROM "roles" r CROSS JOIN "permissions" p
+      WHERE r.name = 'admin' AND p.name = 'organizations:manage'
+      ON CONFLICT DO NOTHING
+    `);
+
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "organizations" (
+        "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+        "name" varchar(100) NOT NULL,
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        "updated_at" TIMESTAMP NOT NULL DEFAULT now()
+      )
+    `);
+
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "organization_memberships" (
+        "organization_id" uuid NOT NULL,
+        "user_id" uuid NOT NULL,
+        "role" varchar(50) NOT NULL DEFAULT 'user',
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "pk_organization_memberships" PRIMARY KEY ("organization_id", "user_id"),
+        CONSTRAINT "fk_organization_memberships_organization_id" FOREIGN KEY ("organization_id") REFERENCES "organizations" ("id") ON DELETE CASCADE,
+        CONSTRAINT "fk_organization_memberships_user_id" FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE,
+        CONSTRAINT "fk_organization_memberships_role" FOREIGN KEY ("role") REFERENCES "roles" ("name") ON UPDATE CASCADE
+      )
+    `);
+
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_organization_memberships_user_id" ON "organization_memberships" ("user_id")
+    `);
+
+    // users.organization_id is the organization the user is currently working in
+    await queryRunner.query(`ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "organization_id" uuid`);
+    await queryRunner.query(`ALTER TABLE "tasks" ADD COLUMN IF NOT EXISTS "organization_id" uuid`);
+    await queryRunner.query(
+      `ALTER TABLE "projects" ADD COLUMN IF NOT EXISTS "organization_id" uuid`,
+    );
+
+    // ✅ BACKFILL: Everything that exists today moves into one organization, members keep their role
+    const [{ count }] = await queryRunner.query(
+      `SELECT COUNT(*) AS count FROM "users" WHERE "organization_id" IS NULL`,
+    );
+    if (parseInt(count, 10) > 0) {
+      const [{ id: organizationId }] = await queryRunner.query(
+        `INSERT INTO "organizations" ("name") VALUES ($1) RETURNING "id"`,
+        ['Default organization'],
+      );
+
+      await queryRunner.query(
+        `INSERT INTO "organization_memberships" ("organization_id", "user_id", "role")
+         SELECT $1, "id", "role" FROM "users" WHERE "organization_id" IS NULL
+         ON CONFLICT DO NOTHING`,
+        [organizationId],
+      );
+      await queryRunner.query(
+        `UPDATE "users" SET "organization_id" = $1 WHERE "organization_id" IS NULL`,
+        [organizationId],
+      );
+      await queryRunner.query(
+        `UPDATE "tasks" SET "organization_id" = $1 WHERE "organization_id" IS NULL`,
+        [organizationId],
+      );
+      await queryRunner.query(
+        `UPDATE "projects" SET "organization_id" = $1 WHERE "organization_id" IS NULL`,
+        [organizationId],
+      );
+    }
+
+    await queryRunner.query(`ALTER TABLE "users" ALTER COLUMN "organization_id" SET NOT NULL`);
+    await queryRunner.query(`ALTER TABLE "tasks" ALTER COLUMN "organization_id" SET NOT NULL`);
+    await queryRunner.query(`ALTER TABLE "projects" ALTER COLUMN "organization_id" SET NOT NULL`);
+
+    await queryRunner.query(`
+      ALTER TABLE "users"
+      ADD CONSTRAINT "fk_users_organization_id"
+      FOREIGN KEY ("organization_id") REFERENCES "organizations" ("id")
+    `);
+    await queryRunner.query(`
+      ALTER TABLE "tasks"
+      ADD CONSTRAINT "fk_tasks_organization_id"
+      FOREIGN KEY ("organization_id") REFERENCES "organizations" ("id") ON DELETE CASCADE
+    `);
+    await queryRunner.query(`
+      ALTER TABLE "projects"
+      ADD CONSTRAINT "fk_projects_organization_id"
+      FOREIGN KEY ("organization_id") REFERENCES "organizations" ("id") ON DELETE CASCADE
+    `);
+
+    // ✅ PERFORMANCE: Every task and project query is scoped to one organization
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_tasks_organization_created" ON "tasks" ("organization_id", "created_at")
+    `);
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_projects_organization_id" ON "projects" ("organization_id")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_projects_organization_id"`);
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_tasks_organization_created"`);
+    await queryRunner.query(
+      `ALTER TABLE "projects" DROP CONSTRAINT IF EXISTS "fk_projects_organization_id"`,
+    );
+    await queryRunner.query(
+      `ALTER TABLE "tasks" DROP CONSTRAINT IF EXISTS "fk_tasks_organization_id"`,
+    );
+    await queryRunner.query(
+      `ALTER TABLE "users" DROP CONSTRAINT IF EXISTS "fk_users_organization_id"`,
+    );
+    await queryRunner.query(`ALTER TABLE "projects" DROP COLUMN IF EXISTS "organization_id"`);
+    await queryRunner.query(`ALTER TABLE "tasks" DROP COLUMN IF EXISTS "organization_id"`);
+    await queryRunner.query(`ALTER TABLE "users" DROP COLUMN IF EXISTS "organization_id"`);
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_organization_memberships_user_id"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "organization_memberships"`);
+    await queryRunner.query(`DROP TABLE IF EXISTS "organizations"`);
+    await queryRunner.query(`DELETE FROM "permissions" WHERE "name" = 'organizations:manage'`);
+  }
+}
@@ -0,0 +1,33 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class AddImpersonationLogOrganization1794500000000 implements MigrationInterface {
+  name = 'AddImpersonationLogOrganization1794500000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    // The organization the impersonation token was issued in. No foreign key, like the rest of
+    // the audit trail.
+    await queryRunner.query(
+      `ALTER TABLE "impersonation_logs" ADD COLUMN IF NOT EXISTS "organization_id" uuid`,
+    );
+
+    // ✅ BACKFILL: Older entries go to the organization their admin works in. Entries whose admin
+    // is gone keep NULL and no longer show up in any organization's trail.
+    await queryRunner.query(`
+      UPDATE "impersonation_logs" log SET "organization_id" = u."organization_id"
+      FROM "users" u
+      WHERE u.id = log."actor_id" AND log."organization_id" IS NULL
+    `);
+
+    // ✅ PERFORMANCE: The trail is always read within one organization, newest first
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_impersonation_logs_organization_created" ON "impersonation_logs" ("organization_id", "created_at")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_impersonation_logs_organization_created"`);
+    await queryRunner.query(
+      `ALTER TABLE "impersonation_logs" DROP COLUMN IF EXISTS "organization_id"`,
+    );
+  }
+}
@@ -0,0 +1,40 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+export class CreateOrganizationInvitationsTable1794600000000 implements MigrationInterface {
+  name = 'CreateOrganizationInvitationsTable1794600000000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE IF NOT EXISTS "organization_invitations" (
+        "id" uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+        "organization_id" uuid NOT NULL,
+        "email" varchar NOT NULL,
+        "role" varchar(50) NOT NULL DEFAULT 'user',
+        "invited_by_id" uuid,
+        "expires_at" TIMESTAMP NOT NULL,
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "fk_organization_invitations_organization_id" FOREIGN KEY ("organization_id") REFERENCES "organizations" ("id") ON DELETE CASCADE,
+        CONSTRAINT "fk_organization_invitations_invited_by_id" FOREIGN KEY ("invited_by_id") REFERENCES "users" ("id") ON DELETE SET NULL,
+        CONSTRAINT "fk_organization_invitations_role" FOREIGN KEY ("role") REFERENCES "roles" ("name") ON UPDATE CASCADE ON DELETE CASCADE
+      )
+    `);
+
+    // ✅ INTEGRITY: One pending invitation per address and organization, inviting again renews it
+    await queryRunner.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "uq_organization_invitations_organization_email" ON "organization_invitations" ("organization_id", "email")
+    `);
+
+    // ✅ PERFORMANCE: Invitees look up their invitations by address
+    await queryRunner.query(`
+      CREATE INDEX IF NOT EXISTS "idx_organization_invitations_email" ON "organization_invitations" ("email")
+    `);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP INDEX IF EXISTS "idx_organization_invitations_email"`);
+    await queryRunner.query(
+      `DROP INDEX IF EXISTS "uq_organization_invitations_organization_email"`,
+    );
+    await queryRunner.query(`DROP TABLE IF EXISTS "organization_invitations"`);
+  }
+}
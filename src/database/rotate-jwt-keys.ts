@@ -0,0 +1,44 @@
+import { ConfigService } from '@nestjs/config';
+import dataSource from './data-source';
+import jwtConfig from '../config/jwt.config';
+import { JwtSigningKey } from '../modules/auth/entities/jwt-signing-key.entity';
+import { JwtKeysService } from '../modules/auth/services/jwt-keys.service';
+
+/**
+ * Rotate the access token signing key without a running app (same as POST /auth/keys/rotate).
+ * Running instances pick the new key up within a minute, no restart needed.
+ */
+async function rotateJwtKeys() {
+  try {
+    await dataSource.initialize();
+
+    // Reads JWT_* settings from the environment (loaded by data-source), like the app does
+    const configService = new ConfigService({ jwt: jwtConfig() });
+    const jwtKeysService = new JwtKeysService(
+      dataSource.getRepository(JwtSigningKey),
+      configService,
+    );
+
+    const key = await jwtKeysService.rotate();
+    console.log(
+      `Created signing key ${key.kid} (${key.algorithm}), signing from ${key.activatesAt.toISOString()}`,
+    );
+
+    const keys = await jwtKeysService.findAll();
+    keys.forEach(existing =>
+      console.log(
+        `- ${existing.kid} ${existing.algorithm} active ${existing.activatesAt.toISOString()}` +
+          (existing.retiredAt ? `, retired ${existing.retiredAt.toISOString()}` : ''),
+      ),
+    );
+  } catch (error) {
+    console.error('Error rotating JWT signing keys:', error);
+    process.exitCode = 1;
+  } finally {
+    if (dataSource.isInitialized) {
+      await dataSource.destroy();
+    }
+  }
+}
+
+rotateJwtKeys();
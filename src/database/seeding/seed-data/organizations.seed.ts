@@ -0,0 +1,19 @@
+export const organizations = [
+  {
+    id: '770e8400-e29b-41d4-a716-446655440000',
+    name: 'Demo Organization',
+  },
+];
+
+export const organizationMemberships = [
+  {
+    organizationId: '770e8400-e29b-41d4-a716-446655440000',
+    userId: '550e8400-e29b-41d4-a716-446655440000', // Admin user
+    role: 'admin',
+  },
+  {
+    organizationId: '770e8400-e29b-41d4-a716-446655440000',
+    userId: '550e8400-e29b-41d4-a716-446655440001', // Normal user
+    role: 'user',
+  },
+];
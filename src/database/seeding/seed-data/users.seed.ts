@@ -7,6 +7,8 @@ export const users = [
     name: 'Admin User',
     password: bcrypt.hashSync('admin123', 10),
     role: 'admin',
+    emailVerifiedAt: new Date(),
+    organizationId: '770e8400-e29b-41d4-a716-446655440000', // Demo organization
   },
   {
     id: '550e8400-e29b-41d4-a716-446655440001',
@@ -14,5 +16,7 @@ export const users = [
     name: 'Normal User',
     password: bcrypt.hashSync('user123', 10),
     role: 'user',
+    emailVerifiedAt: new Date(),
+    organizationId: '770e8400-e29b-41d4-a716-446655440000', // Demo organization
   },
-]; 
\ No newline at end of file
+];
@@ -2,6 +2,11 @@ import { DataSource } from 'typeorm';
 import { config } from 'dotenv';
 import { User } from '../../modules/users/entities/user.entity';
 import { Task } from '../../modules/tasks/entities/task.entity';
+import { Tag } from '../../modules/tasks/entities/tag.entity';
+import { Project } from '../../modules/projects/entities/project.entity';
+import { Organization } from '../../modules/organizations/entities/organization.entity';
+import { OrganizationMembership } from '../../modules/organizations/entities/organization-membership.entity';
+import { organizations, organizationMemberships } from './seed-data/organizations.seed';
 import { users } from './seed-data/users.seed';
 import { tasks } from './seed-data/tasks.seed';
 
@@ -16,7 +21,7 @@ const AppDataSource = new DataSource({
   username: process.env.DB_USERNAME || 'postgres',
   password: process.env.DB_PASSWORD || 'postgres',
   database: process.env.DB_DATABASE || 'taskflow',
-  entities: [User, Task],
+  entities: [User, Task, Tag, Project, Organization, OrganizationMembership],
   synchronize: false,
 });
 
@@ -30,12 +35,21 @@ async function main() {
     // Clear existing data
     await AppDataSource.getRepository(Task).delete({});
     await AppDataSource.getRepository(User).delete({});
+    await AppDataSource.getRepository(Organization).delete({});
     console.log('Existing data cleared');
 
+    // Seed organizations
+    await AppDataSource.getRepository(Organization).save(organizations);
+    console.log('Organizations seeded successfully');
+
     // Seed users
     await AppDataSource.getRepository(User).save(users);
     console.log('Users seeded successfully');
 
+    // Seed organization memberships
+    await AppDataSource.getRepository(OrganizationMembership).save(organizationMemberships);
+    console.log('Organization memberships seeded successfully');
+
     // Seed tasks
     await AppDataSource.getRepository(Task).save(tasks);
     console.log('Tasks seeded successfully');
@@ -51,4 +65,4 @@ async function main() {
 }
 
 // Run the seeding
-main(); 
\ No newline at end of file
+main();
@@ -0,0 +1,83 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  Get,
+  HttpCode,
+  HttpStatus,
+  Param,
+  ParseUUIDPipe,
+  Post,
+  UseGuards,
+} from '@nestjs/common';
+import { ApiBearerAuth, ApiOperation, ApiResponse, ApiTags } from '@nestjs/swagger';
+import { ApiKeyService } from './services/api-key.service';
+import { ApiKeyResponseDto, CreateApiKeyDto, CreatedApiKeyResponseDto } from './dto/api-key.dto';
+import { ApiKey } from './entities/api-key.entity';
+import { JwtAuthGuard } from './guards/jwt-auth.guard';
+import { CurrentUser } from './decorators/current-user.decorator';
+import { DenyWhileImpersonating } from './decorators/deny-while-impersonating.decorator';
+import { RateLimitGuard } from '../../common/guards/rate-limit.guard';
+import { RateLimit } from '../../common/decorators/rate-limit.decorator';
+
+/**
+ * The caller's personal API keys. Managing keys needs an access token, an API key can't be
+ * used to create or revoke keys, and neither can an admin impersonating the owner.
+ */
+@ApiTags('auth')
+@Controller('auth/api-keys')
+@UseGuards(JwtAuthGuard, RateLimitGuard)
+@DenyWhileImpersonating()
+@RateLimit({ limit: 30, windowMs: 60000 })
+@ApiBearerAuth()
+export class ApiKeysController {
+  constructor(private readonly apiKeyService: ApiKeyService) {}
+
+  @Get()
+  @ApiOperation({ summary: 'List your API keys' })
+  @ApiResponse({ status: 200, description: 'API keys, newest first', type: [ApiKeyResponseDto] })
+  async findAll(@CurrentUser() user: any): Promise<ApiKeyResponseDto[]> {
+    const apiKeys = await this.apiKeyService.findAll(user.id);
+    return apiKeys.map(apiKey => this.toResponse(apiKey));
+  }
+
+  @Post()
+  @ApiOperation({ summary: 'Create an API key (the key is only returned once)' })
+  @ApiResponse({ status: 201, description: 'API key created', type: CreatedApiKeyResponseDto })
+  @ApiResponse({ status: 400, description: 'Invalid scopes or expiry, or too many keys' })
+  async create(
+    @Body() createApiKeyDto: CreateApiKeyDto,
+    @CurrentUser() user: any,
+  ): Promise<CreatedApiKeyResponseDto> {
+    const { apiKey, key } = await this.apiKeyService.create(user.id, createApiKeyDto);
+    return { ...this.toResponse(apiKey), key };
+  }
+
+  @Delete(':id')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Revoke one of your API keys' })
+  @ApiResponse({ status: 200, description: 'API key revoked' })
+  @ApiResponse({ status: 404, description: 'API key not found' })
+  async remove(@Param('id', ParseUUIDPipe) id: string, @CurrentUser() user: any) {
+    await this.apiKeyService.revoke(user.id, id);
+
+    return {
+      success: true,
+      message: 'API key revoked',
+      apiKeyId: id,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  private toResponse(apiKey: ApiKey): ApiKeyResponseDto {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expiresAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      createdAt: apiKey.createdAt,
+    };
+  }
+}
@@ -1,26 +1,57 @@
 import { Body, Controller, Post, Req, HttpCode, HttpStatus, UseGuards } from '@nestjs/common';
 import { AuthService } from './auth.service';
+import { PasswordResetService } from './services/password-reset.service';
+import { EmailVerificationService } from './services/email-verification.service';
 import { LoginDto } from './dto/login.dto';
 import { RegisterDto } from './dto/register.dto';
 import { RefreshTokenDto, TokenResponseDto } from './dto/refresh-token.dto';
-import { ApiTags, ApiOperation, ApiResponse } from '@nestjs/swagger';
+import { ForgotPasswordDto, ResetPasswordDto } from './dto/password-reset.dto';
+import { TwoFactorChallengeResponseDto } from './dto/two-factor.dto';
+import { VerifyEmailDto } from './dto/verify-email.dto';
+import {
+  ApiTags,
+  ApiOperation,
+  ApiResponse,
+  ApiBearerAuth,
+  ApiExtraModels,
+  getSchemaPath,
+} from '@nestjs/swagger';
 import { Request } from 'express';
 import { RateLimitGuard } from '../../common/guards/rate-limit.guard';
 import { RateLimit } from '../../common/decorators/rate-limit.decorator';
+import { JwtAuthGuard } from './guards/jwt-auth.guard';
+import { CurrentUser } from './decorators/current-user.decorator';
 
 @ApiTags('auth')
 @Controller('auth')
 export class AuthController {
-  constructor(private readonly authService: AuthService) { }
+  constructor(
+    private readonly authService: AuthService,
+    private readonly passwordResetService: PasswordResetService,
+    private readonly emailVerificationService: EmailVerificationService,
+  ) {}
 
   @Post('login')
   @UseGuards(RateLimitGuard)
   @RateLimit({ limit: 5, windowMs: 60000 }) // 5 login attempts per minute per IP/user
   @ApiOperation({ summary: 'Login user and get access/refresh tokens' })
-  @ApiResponse({ status: 200, description: 'Login successful', type: TokenResponseDto })
+  @ApiExtraModels(TokenResponseDto, TwoFactorChallengeResponseDto)
+  @ApiResponse({
+    status: 200,
+    description: 'Login successful, or a two-factor challenge to complete through /auth/2fa/verify',
+    schema: {
+      oneOf: [
+        { $ref: getSchemaPath(TokenResponseDto) },
+        { $ref: getSchemaPath(TwoFactorChallengeResponseDto) },
+      ],
+    },
+  })
   @ApiResponse({ status: 401, description: 'Invalid credentials' })
   @ApiResponse({ status: 429, description: 'Too many login attempts' })
-  async login(@Body() loginDto: LoginDto, @Req() request: Request): Promise<TokenResponseDto> {
+  async login(
+    @Body() loginDto: LoginDto,
+    @Req() request: Request,
+  ): Promise<TokenResponseDto | TwoFactorChallengeResponseDto> {
     const deviceInfo = {
       userAgent: request.headers['user-agent'],
       ipAddress: request.ip,
@@ -35,7 +66,10 @@ export class AuthController {
   @ApiResponse({ status: 201, description: 'Registration successful', type: TokenResponseDto })
   @ApiResponse({ status: 400, description: 'Email already exists' })
   @ApiResponse({ status: 429, description: 'Too many registration attempts' })
-  async register(@Body() registerDto: RegisterDto, @Req() request: Request): Promise<TokenResponseDto> {
+  async register(
+    @Body() registerDto: RegisterDto,
+    @Req() request: Request,
+  ): Promise<TokenResponseDto> {
     const deviceInfo = {
       userAgent: request.headers['user-agent'],
       ipAddress: request.ip,
@@ -43,12 +77,15 @@ export class AuthController {
     return this.authService.register(registerDto, deviceInfo);
   }
 
-  @Post('refresh') 
+  @Post('refresh')
   @UseGuards(RateLimitGuard)
   @RateLimit({ limit: 10, windowMs: 60000 }) // 10 refresh attempts per minute per IP
   @ApiOperation({ summary: 'Refresh access token using refresh token' })
   @ApiResponse({ status: 200, description: 'Token refreshed successfully', type: TokenResponseDto })
-  @ApiResponse({ status: 401, description: 'Invalid or expired refresh token' })
+  @ApiResponse({
+    status: 401,
+    description: 'Invalid, expired or reused refresh token (reuse signs the session out)',
+  })
   @ApiResponse({ status: 429, description: 'Too many refresh attempts' })
   async refreshToken(@Body() refreshTokenDto: RefreshTokenDto): Promise<TokenResponseDto> {
     return this.authService.refreshToken(refreshTokenDto);
@@ -64,4 +101,80 @@ export class AuthController {
   async logout(@Body() refreshTokenDto: RefreshTokenDto): Promise<void> {
     await this.authService.logout(refreshTokenDto.refreshToken);
   }
-}
\ No newline at end of file
+
+  @Post('forgot-password')
+  @UseGuards(RateLimitGuard)
+  @RateLimit({ limit: 3, windowMs: 300000 }) // 3 reset requests per 5 minutes per IP
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Email a password reset link' })
+  @ApiResponse({ status: 200, description: 'Reset email sent if the account exists' })
+  @ApiResponse({ status: 429, description: 'Too many reset requests' })
+  async forgotPassword(@Body() forgotPasswordDto: ForgotPasswordDto, @Req() request: Request) {
+    await this.passwordResetService.requestReset(forgotPasswordDto.email, request.ip);
+
+    // ✅ SECURITY: Same response whether or not the email is registered
+    return {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent',
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  @Post('reset-password')
+  @UseGuards(RateLimitGuard)
+  @RateLimit({ limit: 5, windowMs: 300000 }) // 5 reset attempts per 5 minutes per IP
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Set a new password using a reset token (signs out all sessions)' })
+  @ApiResponse({ status: 200, description: 'Password reset successful' })
+  @ApiResponse({ status: 400, description: 'Invalid or expired reset token' })
+  @ApiResponse({ status: 429, description: 'Too many reset attempts' })
+  async resetPassword(@Body() resetPasswordDto: ResetPasswordDto) {
+    await this.passwordResetService.resetPassword(
+      resetPasswordDto.token,
+      resetPasswordDto.password,
+    );
+
+    return {
+      success: true,
+      message: 'Password has been reset. Please log in with your new password',
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  @Post('verify-email')
+  @UseGuards(RateLimitGuard)
+  @RateLimit({ limit: 10, windowMs: 60000 }) // 10 verification attempts per minute per IP
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Verify an email address using the link from the verification email' })
+  @ApiResponse({ status: 200, description: 'Email verified' })
+  @ApiResponse({ status: 400, description: 'Invalid or expired verification link' })
+  @ApiResponse({ status: 429, description: 'Too many verification attempts' })
+  async verifyEmail(@Body() verifyEmailDto: VerifyEmailDto) {
+    await this.emailVerificationService.verify(verifyEmailDto.token);
+
+    return {
+      success: true,
+      message: 'Email address verified',
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  @Post('resend-verification')
+  @UseGuards(JwtAuthGuard, RateLimitGuard)
+  @RateLimit({ limit: 3, windowMs: 300000 }) // 3 resends per 5 minutes per user
+  @HttpCode(HttpStatus.OK)
+  @ApiBearerAuth()
+  @ApiOperation({ summary: 'Send a new verification email to the current user' })
+  @ApiResponse({ status: 200, description: 'Verification email sent' })
+  @ApiResponse({ status: 409, description: 'Email is already verified' })
+  @ApiResponse({ status: 429, description: 'Too many resend attempts' })
+  async resendVerification(@CurrentUser() user: any) {
+    await this.emailVerificationService.resend(user.id);
+
+    return {
+      success: true,
+      message: 'A new verification email has been sent',
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
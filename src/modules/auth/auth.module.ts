@@ -1,35 +1,109 @@
 import { Module } from '@nestjs/common';
+import { APP_INTERCEPTOR } from '@nestjs/core';
 import { JwtModule } from '@nestjs/jwt';
 import { PassportModule } from '@nestjs/passport';
 import { TypeOrmModule } from '@nestjs/typeorm';
 import { ConfigModule, ConfigService } from '@nestjs/config';
+import { BullModule } from '@nestjs/bullmq';
 import { AuthService } from './auth.service';
 import { AuthController } from './auth.controller';
+import { TwoFactorController } from './two-factor.controller';
+import { SessionsController } from './sessions.controller';
+import { UserSessionsController } from './user-sessions.controller';
+import { UserLockoutController } from './user-lockout.controller';
+import { ApiKeysController } from './api-keys.controller';
+import { JwksController } from './jwks.controller';
+import { SigningKeysController } from './signing-keys.controller';
+import { ImpersonationController } from './impersonation.controller';
+import { OidcController } from './oidc.controller';
 import { JwtStrategy } from './strategies/jwt.strategy';
+import { ApiKeyStrategy } from './strategies/api-key.strategy';
 import { RefreshTokenService } from './services/refresh-token.service';
 import { RefreshToken } from './entities/refresh-token.entity';
+import { PasswordResetService } from './services/password-reset.service';
+import { EmailVerificationService } from './services/email-verification.service';
+import { TwoFactorService } from './services/two-factor.service';
+import { LoginAttemptService } from './services/login-attempt.service';
+import { ApiKeyService } from './services/api-key.service';
+import { JwtKeysService } from './services/jwt-keys.service';
+import { ImpersonationService } from './services/impersonation.service';
+import { OidcService } from './services/oidc.service';
+import { ImpersonationAuditInterceptor } from './interceptors/impersonation-audit.interceptor';
+import { TwoFactorRecoveryCode } from './entities/two-factor-recovery-code.entity';
+import { User } from '../users/entities/user.entity';
+import { PasswordResetToken } from './entities/password-reset-token.entity';
+import { ApiKey } from './entities/api-key.entity';
+import { JwtSigningKey } from './entities/jwt-signing-key.entity';
+import { ImpersonationLog } from './entities/impersonation-log.entity';
+import { UserIdentity } from './entities/user-identity.entity';
 import { UsersModule } from '../users/users.module';
+import { RolesModule } from '../roles/roles.module';
+import { OrganizationsModule } from '../organizations/organizations.module';
 import { CommonModule } from '../../common/common.module';
+import { EMAIL_QUEUE } from '../../queues/email/email-processor.service';
 
 @Module({
   imports: [
     UsersModule,
+    RolesModule, // Import to resolve permissions for authenticated users
+    OrganizationsModule, // Import to resolve permissions within the user's current organization
     CommonModule, // Import CommonModule to access RateLimitGuard
     PassportModule.register({ defaultStrategy: 'jwt' }),
-    TypeOrmModule.forFeature([RefreshToken]),
+    TypeOrmModule.forFeature([
+      RefreshToken,
+      PasswordResetToken,
+      TwoFactorRecoveryCode,
+      ApiKey,
+      JwtSigningKey,
+      ImpersonationLog,
+      UserIdentity,
+      User,
+    ]),
+    BullModule.registerQueue({
+      name: EMAIL_QUEUE,
+    }),
     JwtModule.registerAsync({
       imports: [ConfigModule],
       inject: [ConfigService],
+      // No module-wide secret: access tokens are signed with the rotating keys from JwtKeysService
       useFactory: (configService: ConfigService) => ({
-        secret: configService.get('jwt.secret'),
         signOptions: {
           expiresIn: configService.get('jwt.expiresIn'),
         },
       }),
     }),
   ],
-  controllers: [AuthController],
-  providers: [AuthService, JwtStrategy, RefreshTokenService],
+  controllers: [
+    AuthController,
+    TwoFactorController,
+    SessionsController,
+    UserSessionsController,
+    UserLockoutController,
+    ApiKeysController,
+    JwksController,
+    SigningKeysController,
+    ImpersonationController,
+    OidcController,
+  ],
+  providers: [
+    AuthService,
+    JwtStrategy,
+    ApiKeyStrategy,
+    RefreshTokenService,
+    PasswordResetService,
+    EmailVerificationService,
+    TwoFactorService,
+    LoginAttemptService,
+    ApiKeyService,
+    JwtKeysService,
+    ImpersonationService,
+    OidcService,
+    // Audits writes made with impersonation tokens on every route
+    {
+      provide: APP_INTERCEPTOR,
+      useClass: ImpersonationAuditInterceptor,
+    },
+  ],
   exports: [AuthService, RefreshTokenService],
 })
-export class AuthModule { } 
\ No newline at end of file
+export class AuthModule {}
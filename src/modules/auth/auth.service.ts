@@ -1,49 +1,98 @@
-import { Injectable, UnauthorizedException } from '@nestjs/common';
+import { Injectable, Logger, UnauthorizedException } from '@nestjs/common';
 import { JwtService } from '@nestjs/jwt';
 import { ConfigService } from '@nestjs/config';
 import { UsersService } from '../users/users.service';
 import { RefreshTokenService, DeviceInfo } from './services/refresh-token.service';
+import { EmailVerificationService } from './services/email-verification.service';
+import { TwoFactorService } from './services/two-factor.service';
+import { LoginAttemptService } from './services/login-attempt.service';
+import { JwtKeysService } from './services/jwt-keys.service';
 import { LoginDto } from './dto/login.dto';
 import { RegisterDto } from './dto/register.dto';
 import { RefreshTokenDto, TokenResponseDto } from './dto/refresh-token.dto';
+import { TwoFactorChallengeResponseDto, VerifyTwoFactorDto } from './dto/two-factor.dto';
 import * as bcrypt from 'bcrypt';
 
 @Injectable()
 export class AuthService {
+  private readonly logger = new Logger(AuthService.name);
+
   constructor(
     private readonly usersService: UsersService,
     private readonly jwtService: JwtService,
     private readonly configService: ConfigService,
     private readonly refreshTokenService: RefreshTokenService,
-  ) { }
-
-  async login(loginDto: LoginDto, deviceInfo?: DeviceInfo): Promise<TokenResponseDto> {
+    private readonly emailVerificationService: EmailVerificationService,
+    private readonly twoFactorService: TwoFactorService,
+    private readonly loginAttemptService: LoginAttemptService,
+    private readonly jwtKeysService: JwtKeysService,
+  ) {}
+
+  async login(
+    loginDto: LoginDto,
+    deviceInfo?: DeviceInfo,
+  ): Promise<TokenResponseDto | TwoFactorChallengeResponseDto> {
     const { email, password } = loginDto;
 
+    // ✅ SECURITY: Locked accounts get the same answer as a wrong password
+    await this.loginAttemptService.assertNotLocked(email);
+
     const user = await this.usersService.findByEmail(email);
 
     if (!user) {
+      await this.loginAttemptService.recordFailure(email);
       throw new UnauthorizedException('Invalid credentials');
     }
 
-    const passwordValid = await bcrypt.compare(password, user.password);
+    // Single sign-on users have no password to check against
+    const passwordValid = !!user.password && (await bcrypt.compare(password, user.password));
 
     if (!passwordValid) {
+      await this.loginAttemptService.recordFailure(email);
       throw new UnauthorizedException('Invalid credentials');
     }
 
-    // Generate tokens
-    const { accessToken, accessTokenExpiresAt } = this.generateAccessToken(user);
-    const { token: refreshToken, expiresAt: refreshTokenExpiresAt } =
-      await this.refreshTokenService.generateRefreshToken(user.id, deviceInfo);
+    await this.loginAttemptService.recordSuccess(email);
 
-    return {
-      accessToken,
-      refreshToken,
-      accessTokenExpiresAt: accessTokenExpiresAt.toISOString(),
-      refreshTokenExpiresAt: refreshTokenExpiresAt.toISOString(),
-      tokenType: 'Bearer',
-    };
+    return this.completeLogin(user, deviceInfo);
+  }
+
+  /**
+   * Finish a sign-in whose first factor checked out (password or identity provider)
+   */
+  async completeLogin(
+    user: any,
+    deviceInfo?: DeviceInfo,
+  ): Promise<TokenResponseDto | TwoFactorChallengeResponseDto> {
+    // ✅ 2FA: The first factor alone only earns a challenge, tokens come from /auth/2fa/verify
+    if (user.twoFactorEnabledAt) {
+      const { challengeToken, challengeExpiresAt } = this.twoFactorService.createLoginChallenge(
+        user.id,
+      );
+      return {
+        twoFactorRequired: true,
+        challengeToken,
+        challengeExpiresAt: challengeExpiresAt.toISOString(),
+      };
+    }
+
+    return this.issueTokens(user, deviceInfo);
+  }
+
+  /**
+   * Second login step for users with 2FA: trade the challenge and a code for tokens
+   */
+  async verifyTwoFactor(
+    verifyTwoFactorDto: VerifyTwoFactorDto,
+    deviceInfo?: DeviceInfo,
+  ): Promise<TokenResponseDto> {
+    const userId = await this.twoFactorService.verifyLoginChallenge(
+      verifyTwoFactorDto.challengeToken,
+      verifyTwoFactorDto.code,
+    );
+    const user = await this.usersService.findOne(userId);
+
+    return this.issueTokens(user, deviceInfo);
   }
 
   async register(registerDto: RegisterDto, deviceInfo?: DeviceInfo): Promise<TokenResponseDto> {
@@ -55,18 +104,18 @@ export class AuthService {
 
     const user = await this.usersService.create(registerDto);
 
-    // Generate tokens for new user
-    const { accessToken, accessTokenExpiresAt } = this.generateAccessToken(user);
-    const { token: refreshToken, expiresAt: refreshTokenExpiresAt } =
-      await this.refreshTokenService.generateRefreshToken(user.id, deviceInfo);
+    // ✅ VERIFICATION: The account works right away, but writes may be held back until
+    // the address is verified (see EmailVerifiedGuard); if the email can't be queued the user
+    // can still ask for it again through /auth/resend-verification
+    try {
+      await this.emailVerificationService.sendVerificationEmail(user);
+    } catch (error) {
+      this.logger.error(
+        `Failed to queue verification email for user ${user.id}: ${error instanceof Error ? error.message : 'Unknown error'}`,
+      );
+    }
 
-    return {
-      accessToken,
-      refreshToken,
-      accessTokenExpiresAt: accessTokenExpiresAt.toISOString(),
-      refreshTokenExpiresAt: refreshTokenExpiresAt.toISOString(),
-      tokenType: 'Bearer',
-    };
+    return this.issueTokens(user, deviceInfo);
   }
 
   /**
@@ -75,8 +124,13 @@ export class AuthService {
   async refreshToken(refreshTokenDto: RefreshTokenDto): Promise<TokenResponseDto> {
     const { refreshToken } = refreshTokenDto;
 
-    // Validate refresh token and get user ID
-    const userId = await this.refreshTokenService.validateRefreshToken(refreshToken);
+    // Consume the refresh token and get its successor (token rotation for security)
+    const {
+      userId,
+      familyId: sessionId,
+      token: newRefreshToken,
+      expiresAt: refreshTokenExpiresAt,
+    } = await this.refreshTokenService.rotateRefreshToken(refreshToken);
     const user = await this.usersService.findOne(userId);
 
     if (!user) {
@@ -84,11 +138,7 @@ export class AuthService {
     }
 
     // Generate new access token
-    const { accessToken, accessTokenExpiresAt } = this.generateAccessToken(user);
-
-    // Generate new refresh token (token rotation for security)
-    const { token: newRefreshToken, expiresAt: refreshTokenExpiresAt } =
-      await this.refreshTokenService.generateRefreshToken(user.id);
+    const { accessToken, accessTokenExpiresAt } = await this.generateAccessToken(user, sessionId);
 
     return {
       accessToken,
@@ -113,17 +163,46 @@ export class AuthService {
   }
 
   /**
-   * Generate access token with expiration
+   * Generate the access/refresh token pair for a fully authenticated user
    */
-  private generateAccessToken(user: any): { accessToken: string; accessTokenExpiresAt: Date } {
+  private async issueTokens(user: any, deviceInfo?: DeviceInfo): Promise<TokenResponseDto> {
+    const {
+      familyId: sessionId,
+      token: refreshToken,
+      expiresAt: refreshTokenExpiresAt,
+    } = await this.refreshTokenService.generateRefreshToken(user.id, deviceInfo);
+    const { accessToken, accessTokenExpiresAt } = await this.generateAccessToken(user, sessionId);
+
+    return {
+      accessToken,
+      refreshToken,
+      accessTokenExpiresAt: accessTokenExpiresAt.toISOString(),
+      refreshTokenExpiresAt: refreshTokenExpiresAt.toISOString(),
+      tokenType: 'Bearer',
+    };
+  }
+
+  /**
+   * Generate access token with expiration, signed with the current rotating key
+   */
+  private async generateAccessToken(
+    user: any,
+    sessionId: string,
+  ): Promise<{ accessToken: string; accessTokenExpiresAt: Date }> {
     const payload = {
       sub: user.id,
       email: user.email,
-      role: user.role
+      role: user.role,
+      sid: sessionId, // Refresh token the access token was issued with, i.e. the session
     };
 
     const expiresIn = this.configService.get('JWT_EXPIRATION', '15m');
-    const accessToken = this.jwtService.sign(payload);
+    const signingKey = await this.jwtKeysService.getSigningKey();
+    const accessToken = this.jwtService.sign(payload, {
+      privateKey: signingKey.privateKey,
+      algorithm: signingKey.algorithm,
+      keyid: signingKey.kid, // Tells verifiers which published key to check against
+    });
 
     // Calculate expiration date
     const accessTokenExpiresAt = this.calculateTokenExpiration(expiresIn);
@@ -166,19 +245,4 @@ export class AuthService {
 
     return user;
   }
-
-  async validateUserRoles(userId: string, requiredRoles: string[]): Promise<boolean> {
-    if (!requiredRoles || requiredRoles.length === 0) {
-      return true; // No specific roles required
-    }
-
-    const user = await this.usersService.findOne(userId);
-
-    if (!user) {
-      return false; // User not found
-    }
-
-    // Check if user has any of the required roles
-    return requiredRoles.includes(user.role);
-  }
-} 
\ No newline at end of file
+}
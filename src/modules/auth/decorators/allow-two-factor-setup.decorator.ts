@@ -0,0 +1,8 @@
+import { SetMetadata } from '@nestjs/common';
+
+export const ALLOW_TWO_FACTOR_SETUP_KEY = 'allowTwoFactorSetup';
+
+/**
+ * Lets users who still have to enroll in mandatory 2FA reach a route (see JwtAuthGuard)
+ */
+export const AllowTwoFactorSetup = () => SetMetadata(ALLOW_TWO_FACTOR_SETUP_KEY, true);
@@ -0,0 +1,17 @@
+import { SetMetadata, applyDecorators } from '@nestjs/common';
+import { ApiSecurity } from '@nestjs/swagger';
+import { ApiKeyScope } from '../enums/api-key-scope.enum';
+
+export const API_KEY_SCOPES_KEY = 'apiKeyScopes';
+
+export interface ApiKeyScopeRequirement {
+  read: ApiKeyScope; // Needed for GET/HEAD requests
+  write: ApiKeyScope; // Needed for everything else
+}
+
+/**
+ * Opens routes to personal API keys holding the given scopes. Routes without it only accept
+ * access tokens (see JwtAuthGuard).
+ */
+export const ApiKeyScopes = (requirement: ApiKeyScopeRequirement) =>
+  applyDecorators(SetMetadata(API_KEY_SCOPES_KEY, requirement), ApiSecurity('api-key'));
@@ -0,0 +1,9 @@
+import { SetMetadata } from '@nestjs/common';
+
+export const DENY_WHILE_IMPERSONATING_KEY = 'denyWhileImpersonating';
+
+/**
+ * Keeps impersonation tokens away from a route (see JwtAuthGuard), for actions that would
+ * outlive the impersonation, like creating credentials
+ */
+export const DenyWhileImpersonating = () => SetMetadata(DENY_WHILE_IMPERSONATING_KEY, true);
@@ -0,0 +1,71 @@
+import {
+  ArrayMinSize,
+  IsArray,
+  IsDateString,
+  IsEnum,
+  IsNotEmpty,
+  IsOptional,
+  IsString,
+  MaxLength,
+} from 'class-validator';
+import { ApiProperty } from '@nestjs/swagger';
+import { ApiKeyScope } from '../enums/api-key-scope.enum';
+
+export class CreateApiKeyDto {
+  @ApiProperty({ example: 'CI pipeline', description: 'Name to recognize the key by' })
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(100)
+  name: string;
+
+  @ApiProperty({
+    enum: ApiKeyScope,
+    isArray: true,
+    example: [ApiKeyScope.TASKS_READ],
+    description: 'What the key may do',
+  })
+  @IsArray()
+  @ArrayMinSize(1, { message: 'At least one scope is required' })
+  @IsEnum(ApiKeyScope, { each: true })
+  scopes: ApiKeyScope[];
+
+  @ApiProperty({
+    example: '2025-12-31T23:59:59Z',
+    required: false,
+    description: 'When the key stops working; never if omitted',
+  })
+  @IsOptional()
+  @IsDateString()
+  expiresAt?: string;
+}
+
+export class ApiKeyResponseDto {
+  @ApiProperty({ example: '123e4567-e89b-12d3-a456-426614174000' })
+  id: string;
+
+  @ApiProperty({ example: 'CI pipeline' })
+  name: string;
+
+  @ApiProperty({ example: 'tfk_3f9a1c0e', description: 'Start of the key, to tell keys apart' })
+  prefix: string;
+
+  @ApiProperty({ enum: ApiKeyScope, isArray: true, example: [ApiKeyScope.TASKS_READ] })
+  scopes: ApiKeyScope[];
+
+  @ApiProperty({ example: '2025-12-31T23:59:59.000Z', nullable: true })
+  expiresAt: Date | null;
+
+  @ApiProperty({ example: '2024-01-01T12:00:00.000Z', nullable: true })
+  lastUsedAt: Date | null;
+
+  @ApiProperty({ example: '2024-01-01T00:00:00.000Z' })
+  createdAt: Date;
+}
+
+export class CreatedApiKeyResponseDto extends ApiKeyResponseDto {
+  @ApiProperty({
+    example: 'tfk_3f9a1c0e...',
+    description: 'The key itself, shown only once. Send it in the X-API-Key header',
+  })
+  key: string;
+}
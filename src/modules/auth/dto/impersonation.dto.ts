@@ -0,0 +1,88 @@
+import { IsInt, IsOptional, IsUUID, Max, Min } from 'class-validator';
+import { Type } from 'class-transformer';
+import { ApiProperty } from '@nestjs/swagger';
+import { ImpersonationAction } from '../enums/impersonation-action.enum';
+
+export class ImpersonatedUserDto {
+  @ApiProperty({ example: '123e4567-e89b-12d3-a456-426614174000' })
+  id: string;
+
+  @ApiProperty({ example: 'john.doe@example.com' })
+  email: string;
+
+  @ApiProperty({ example: 'John Doe' })
+  name: string;
+
+  @ApiProperty({ example: 'user' })
+  role: string;
+}
+
+export class ImpersonationTokenResponseDto {
+  @ApiProperty({
+    example: 'eyJhbGciOiJSUzI1NiIsInR5cCI6IkpXVCIsImtpZCI6Ii4uLiJ9...',
+    description:
+      'Access token acting as the user, with an `act` claim naming you. It cannot be refreshed.',
+  })
+  accessToken: string;
+
+  @ApiProperty({ example: '2024-01-01T00:15:00.000Z' })
+  accessTokenExpiresAt: string;
+
+  @ApiProperty({ example: 'Bearer' })
+  tokenType: string;
+
+  @ApiProperty({ type: ImpersonatedUserDto })
+  user: ImpersonatedUserDto;
+}
+
+export class ImpersonationLogQueryDto {
+  @ApiProperty({ required: false, description: 'Only entries by this admin' })
+  @IsOptional()
+  @IsUUID()
+  actorId?: string;
+
+  @ApiProperty({ required: false, description: 'Only entries for this impersonated user' })
+  @IsOptional()
+  @IsUUID()
+  userId?: string;
+
+  @ApiProperty({ required: false, example: 50, description: 'Number of entries, newest first' })
+  @IsOptional()
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  @Max(200)
+  limit?: number = 50;
+}
+
+export class ImpersonationLogResponseDto {
+  @ApiProperty({ example: '123e4567-e89b-12d3-a456-426614174000' })
+  id: string;
+
+  @ApiProperty({ example: '123e4567-e89b-12d3-a456-426614174001', description: 'The admin' })
+  actorId: string;
+
+  @ApiProperty({
+    example: '123e4567-e89b-12d3-a456-426614174002',
+    description: 'The impersonated user',
+  })
+  userId: string;
+
+  @ApiProperty({ enum: ImpersonationAction, example: ImpersonationAction.WRITE })
+  action: ImpersonationAction;
+
+  @ApiProperty({ example: 'PATCH', nullable: true })
+  method: string | null;
+
+  @ApiProperty({ example: '/tasks/123e4567-e89b-12d3-a456-426614174003', nullable: true })
+  path: string | null;
+
+  @ApiProperty({ example: 200, nullable: true })
+  statusCode: number | null;
+
+  @ApiProperty({ example: '203.0.113.7', nullable: true })
+  ipAddress: string | null;
+
+  @ApiProperty({ example: '2024-01-01T00:00:00.000Z' })
+  createdAt: Date;
+}
@@ -0,0 +1,43 @@
+import { IsOptional, IsString, MaxLength } from 'class-validator';
+import { ApiProperty } from '@nestjs/swagger';
+
+export class OidcProviderResponseDto {
+  @ApiProperty({ example: 'corp', description: 'Provider id, used in /auth/oidc/:provider/*' })
+  id: string;
+
+  @ApiProperty({ example: 'Company SSO' })
+  name: string;
+}
+
+/**
+ * What the identity provider appends to the redirect back to us
+ */
+export class OidcCallbackQueryDto {
+  @ApiProperty({ required: false, description: 'Authorization code' })
+  @IsOptional()
+  @IsString()
+  @MaxLength(4096)
+  code?: string;
+
+  @ApiProperty({ required: false, description: 'The state sent with the authorization request' })
+  @IsOptional()
+  @IsString()
+  @MaxLength(4096)
+  state?: string;
+
+  @ApiProperty({
+    required: false,
+    example: 'access_denied',
+    description: 'Set when sign-in failed at the provider',
+  })
+  @IsOptional()
+  @IsString()
+  @MaxLength(255)
+  error?: string;
+
+  @ApiProperty({ required: false })
+  @IsOptional()
+  @IsString()
+  @MaxLength(1024)
+  error_description?: string;
+}
@@ -0,0 +1,30 @@
+import { IsEmail, IsNotEmpty, IsString, MaxLength } from 'class-validator';
+import { ApiProperty } from '@nestjs/swagger';
+import { IsStrongPassword } from '../../../common/decorators/validation.decorators';
+
+export class ForgotPasswordDto {
+  @ApiProperty({ example: 'john.doe@example.com' })
+  @IsEmail()
+  @IsNotEmpty()
+  email: string;
+}
+
+export class ResetPasswordDto {
+  @ApiProperty({
+    example: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08',
+    description: 'Token from the password reset email',
+  })
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(128)
+  token: string;
+
+  @ApiProperty({
+    example: 'MyNewSecure123!',
+    description: 'Strong password with uppercase, lowercase, number, and special character',
+  })
+  @IsString()
+  @IsNotEmpty()
+  @IsStrongPassword()
+  password: string;
+}
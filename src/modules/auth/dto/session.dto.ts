@@ -0,0 +1,40 @@
+import { IsIn, IsOptional } from 'class-validator';
+import { ApiProperty } from '@nestjs/swagger';
+
+export class SessionResponseDto {
+  @ApiProperty({ example: '123e4567-e89b-12d3-a456-426614174000' })
+  id: string;
+
+  @ApiProperty({ example: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)', required: false })
+  deviceInfo?: string;
+
+  @ApiProperty({ example: '203.0.113.7', required: false })
+  ipAddress?: string;
+
+  @ApiProperty({ example: '2024-01-01T00:00:00.000Z', description: 'When the user signed in' })
+  createdAt: Date;
+
+  @ApiProperty({
+    example: '2024-01-01T12:00:00.000Z',
+    required: false,
+    description: 'Last token refresh',
+  })
+  lastUsedAt?: Date;
+
+  @ApiProperty({ example: '2024-01-08T00:00:00.000Z' })
+  expiresAt: Date;
+
+  @ApiProperty({ example: true, description: 'Whether this is the session making the request' })
+  current: boolean;
+}
+
+export class RevokeSessionsQueryDto {
+  @ApiProperty({
+    required: false,
+    enum: ['current'],
+    description: 'Keep the session making the request signed in',
+  })
+  @IsOptional()
+  @IsIn(['current'])
+  except?: 'current';
+}
@@ -0,0 +1,29 @@
+import { ApiProperty } from '@nestjs/swagger';
+
+export class SigningKeyResponseDto {
+  @ApiProperty({
+    example: '3f0e7c52-9d2b-4f55-8a4e-1c1f9b0e6d21',
+    description: 'Key ID, the `kid` header of tokens it signs',
+  })
+  kid: string;
+
+  @ApiProperty({ enum: ['RS256', 'ES256'], example: 'RS256' })
+  algorithm: string;
+
+  @ApiProperty({ example: '2024-01-01T00:00:00.000Z' })
+  createdAt: Date;
+
+  @ApiProperty({
+    example: '2024-01-01T00:05:00.000Z',
+    description: 'When the key starts signing access tokens',
+  })
+  activatesAt: Date;
+
+  @ApiProperty({
+    example: null,
+    nullable: true,
+    description:
+      'When the key stopped (or will stop) signing; it verifies until its tokens have expired',
+  })
+  retiredAt: Date | null;
+}
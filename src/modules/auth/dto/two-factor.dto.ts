@@ -0,0 +1,57 @@
+import { IsJWT, IsNotEmpty, IsString, MaxLength } from 'class-validator';
+import { ApiProperty } from '@nestjs/swagger';
+
+export class TwoFactorCodeDto {
+  @ApiProperty({
+    example: '123456',
+    description: 'Code from the authenticator app, or an unused recovery code',
+  })
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(32)
+  code: string;
+}
+
+export class VerifyTwoFactorDto extends TwoFactorCodeDto {
+  @ApiProperty({
+    example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...',
+    description: 'Challenge token returned by /auth/login',
+  })
+  @IsNotEmpty()
+  @IsJWT()
+  challengeToken: string;
+}
+
+export class TwoFactorChallengeResponseDto {
+  @ApiProperty({ example: true, description: 'Login needs a second step through /auth/2fa/verify' })
+  twoFactorRequired: true;
+
+  @ApiProperty({ example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...' })
+  challengeToken: string;
+
+  @ApiProperty({
+    example: '2024-01-01T00:05:00.000Z',
+    description: 'Challenge token expiration time',
+  })
+  challengeExpiresAt: string;
+}
+
+export class TwoFactorEnrollmentResponseDto {
+  @ApiProperty({ example: 'JBSWY3DPEHPK3PXP', description: 'Base32 secret for manual entry' })
+  secret: string;
+
+  @ApiProperty({
+    example:
+      'otpauth://totp/TaskFlow%3Ajohn.doe%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=TaskFlow',
+    description: 'Provisioning URI to show as a QR code',
+  })
+  otpauthUrl: string;
+}
+
+export class TwoFactorRecoveryCodesResponseDto {
+  @ApiProperty({
+    example: ['3f9a1-0c2e4', '8b7d2-e1f03'],
+    description: 'One-time recovery codes, shown only once',
+  })
+  recoveryCodes: string[];
+}
@@ -0,0 +1,12 @@
+import { IsJWT, IsNotEmpty } from 'class-validator';
+import { ApiProperty } from '@nestjs/swagger';
+
+export class VerifyEmailDto {
+  @ApiProperty({
+    example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...',
+    description: 'Token from the verification email',
+  })
+  @IsNotEmpty()
+  @IsJWT()
+  token: string;
+}
@@ -0,0 +1,51 @@
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  ManyToOne,
+  JoinColumn,
+  CreateDateColumn,
+  Index,
+} from 'typeorm';
+import { User } from '../../users/entities/user.entity';
+import { ApiKeyScope } from '../enums/api-key-scope.enum';
+
+@Entity('api_keys')
+@Index('idx_api_keys_user_id', ['userId'])
+export class ApiKey {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ name: 'user_id' })
+  userId: string;
+
+  @ManyToOne(() => User, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'user_id' })
+  user: User;
+
+  @Column({ length: 100 })
+  name: string;
+
+  // First characters of the key, so users can tell their keys apart
+  @Column({ length: 16 })
+  prefix: string;
+
+  @Index('uq_api_keys_key_hash', { unique: true })
+  @Column({ name: 'key_hash', select: false })
+  keyHash: string; // Hashed like refresh tokens, the key itself is only shown once
+
+  @Column({ type: 'text', array: true, default: '{}' })
+  scopes: ApiKeyScope[];
+
+  @Column({ name: 'expires_at', type: 'timestamp', nullable: true })
+  expiresAt: Date | null;
+
+  @Column({ name: 'last_used_at', type: 'timestamp', nullable: true })
+  lastUsedAt: Date | null;
+
+  @Column({ name: 'revoked_at', type: 'timestamp', nullable: true })
+  revokedAt: Date | null;
+
+  @CreateDateColumn({ name: 'created_at' })
+  createdAt: Date;
+}
@@ -0,0 +1,40 @@
+import { Column, CreateDateColumn, Entity, Index, PrimaryGeneratedColumn } from 'typeorm';
+import { ImpersonationAction } from '../enums/impersonation-action.enum';
+
+@Entity('impersonation_logs')
+@Index('idx_impersonation_logs_actor_created', ['actorId', 'createdAt'])
+@Index('idx_impersonation_logs_user_created', ['userId', 'createdAt'])
+@Index('idx_impersonation_logs_organization_created', ['organizationId', 'createdAt'])
+export class ImpersonationLog {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  // No foreign keys: the audit trail has to outlive the users it mentions
+  @Column({ name: 'actor_id', type: 'uuid' })
+  actorId: string; // The admin doing the impersonating
+
+  @Column({ name: 'user_id', type: 'uuid' })
+  userId: string; // The user being impersonated
+
+  // The organization the token was issued in, null for entries older than organizations
+  @Column({ name: 'organization_id', type: 'uuid', nullable: true })
+  organizationId: string | null;
+
+  @Column({ type: 'varchar', length: 20 })
+  action: ImpersonationAction;
+
+  @Column({ type: 'varchar', length: 10, nullable: true })
+  method: string | null;
+
+  @Column({ type: 'varchar', length: 2048, nullable: true })
+  path: string | null;
+
+  @Column({ name: 'status_code', type: 'int', nullable: true })
+  statusCode: number | null;
+
+  @Column({ name: 'ip_address', type: 'varchar', nullable: true })
+  ipAddress: string | null;
+
+  @CreateDateColumn({ name: 'created_at' })
+  createdAt: Date;
+}
@@ -0,0 +1,29 @@
+import { Entity, PrimaryColumn, Column, CreateDateColumn } from 'typeorm';
+
+export type JwtSigningAlgorithm = 'RS256' | 'ES256';
+
+@Entity('jwt_signing_keys')
+export class JwtSigningKey {
+  @PrimaryColumn({ length: 64 })
+  kid: string;
+
+  @Column({ type: 'varchar', length: 10 })
+  algorithm: JwtSigningAlgorithm;
+
+  @Column({ name: 'public_key', type: 'text' })
+  publicKey: string; // PEM (SPKI)
+
+  @Column({ name: 'private_key', type: 'text', select: false })
+  privateKey: string; // PEM (PKCS#8), encrypted at rest
+
+  @CreateDateColumn({ name: 'created_at' })
+  createdAt: Date;
+
+  // Published in the JWKS before it signs anything, so verifiers caching the JWKS know it
+  @Column({ name: 'activates_at', type: 'timestamp' })
+  activatesAt: Date;
+
+  // Stops signing when its successor activates, verifies until tokens it signed have expired
+  @Column({ name: 'retired_at', type: 'timestamp', nullable: true })
+  retiredAt: Date | null;
+}
@@ -0,0 +1,41 @@
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  ManyToOne,
+  JoinColumn,
+  CreateDateColumn,
+  Index,
+} from 'typeorm';
+import { User } from '../../users/entities/user.entity';
+
+@Entity('password_reset_tokens')
+@Index('idx_password_reset_tokens_user_id', ['userId'])
+export class PasswordResetToken {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Index('uq_password_reset_tokens_token_hash', { unique: true })
+  @Column({ name: 'token_hash' })
+  tokenHash: string; // Hashed like refresh tokens, the raw token only ever goes out in the email
+
+  @Column({ name: 'user_id' })
+  userId: string;
+
+  @ManyToOne(() => User, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'user_id' })
+  user: User;
+
+  @Column({ name: 'expires_at' })
+  expiresAt: Date;
+
+  // Set once the token has been redeemed (or superseded); a token is only valid while this is null
+  @Column({ name: 'used_at', type: 'timestamp', nullable: true })
+  usedAt: Date | null;
+
+  @Column({ name: 'ip_address', nullable: true })
+  ipAddress?: string; // IP the reset was requested from
+
+  @CreateDateColumn({ name: 'created_at' })
+  createdAt: Date;
+}
@@ -1,7 +1,17 @@
-import { Entity, PrimaryGeneratedColumn, Column, ManyToOne, JoinColumn, CreateDateColumn } from 'typeorm';
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  ManyToOne,
+  JoinColumn,
+  CreateDateColumn,
+  Index,
+  type Relation,
+} from 'typeorm';
 import { User } from '../../users/entities/user.entity';
 
 @Entity('refresh_tokens')
+@Index('idx_refresh_tokens_family_id', ['familyId'])
 export class RefreshToken {
   @PrimaryGeneratedColumn('uuid')
   id: string;
@@ -12,9 +22,9 @@ export class RefreshToken {
   @Column({ name: 'user_id' })
   userId: string;
 
-  @ManyToOne(() => User, (user) => user.refreshTokens, { onDelete: 'CASCADE' })
+  @ManyToOne(() => User, user => user.refreshTokens, { onDelete: 'CASCADE' })
   @JoinColumn({ name: 'user_id' })
-  user: User;
+  user: Relation<User>;
 
   @Column({ name: 'expires_at' })
   expiresAt: Date;
@@ -22,6 +32,15 @@ export class RefreshToken {
   @Column({ name: 'is_revoked', default: false })
   isRevoked: boolean;
 
+  // ✅ ROTATION: Every token issued by refreshing belongs to the family of the sign-in that
+  // started it (the first token's ID), which is also the session ID
+  @Column({ name: 'family_id', type: 'uuid' })
+  familyId: string;
+
+  // Set when the token is used to refresh; presenting it again means it was stolen
+  @Column({ name: 'replaced_by_id', type: 'uuid', nullable: true })
+  replacedById: string | null;
+
   @Column({ name: 'device_info', nullable: true })
   deviceInfo?: string; // Optional: track device/browser info
 
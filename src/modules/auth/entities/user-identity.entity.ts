@@ -0,0 +1,44 @@
+import {
+  Entity,
+  PrimaryGeneratedColumn,
+  Column,
+  ManyToOne,
+  JoinColumn,
+  CreateDateColumn,
+  Index,
+  Unique,
+} from 'typeorm';
+import { User } from '../../users/entities/user.entity';
+
+/**
+ * An account at an identity provider (OIDC) that signs in as a user
+ */
+@Entity('user_identities')
+@Unique('uq_user_identities_provider_subject', ['provider', 'subject'])
+@Index('idx_user_identities_user_id', ['userId'])
+export class UserIdentity {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ name: 'user_id' })
+  userId: string;
+
+  @ManyToOne(() => User, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'user_id' })
+  user: User;
+
+  @Column({ length: 50 })
+  provider: string; // Provider id from OIDC_PROVIDERS
+
+  @Column({ length: 255 })
+  subject: string; // The IdP's `sub` claim, stable for the account (unlike its email)
+
+  @Column({ type: 'varchar', nullable: true })
+  email: string | null; // Email the IdP reported at the last sign-in
+
+  @CreateDateColumn({ name: 'created_at' })
+  createdAt: Date;
+
+  @Column({ name: 'last_login_at', type: 'timestamp', nullable: true })
+  lastLoginAt: Date | null;
+}
@@ -0,0 +1,4 @@
+export enum ApiKeyScope {
+  TASKS_READ = 'tasks:read',
+  TASKS_WRITE = 'tasks:write',
+}
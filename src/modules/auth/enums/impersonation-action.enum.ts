@@ -0,0 +1,4 @@
+export enum ImpersonationAction {
+  START = 'start', // Impersonation token issued
+  WRITE = 'write', // Non-read request made with it
+}
@@ -0,0 +1,34 @@
+import { ExecutionContext, ForbiddenException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { EmailVerifiedGuard } from './email-verified.guard';
+
+describe('EmailVerifiedGuard', () => {
+  let required: string | undefined;
+  const guard = new EmailVerifiedGuard({
+    get: (_key: string, fallback: string) => required ?? fallback,
+  } as unknown as ConfigService);
+
+  const context = (method: string, emailVerified: boolean) =>
+    ({
+      switchToHttp: () => ({ getRequest: () => ({ method, user: { emailVerified } }) }),
+    }) as ExecutionContext;
+
+  beforeEach(() => {
+    required = undefined;
+  });
+
+  it('blocks writes from unverified users by default', () => {
+    expect(() => guard.canActivate(context('POST', false))).toThrow(ForbiddenException);
+    expect(guard.canActivate(context('POST', true))).toBe(true);
+  });
+
+  it('always allows reads', () => {
+    expect(guard.canActivate(context('GET', false))).toBe(true);
+  });
+
+  it('lets everyone through when EMAIL_VERIFICATION_REQUIRED is false', () => {
+    required = 'FALSE';
+
+    expect(guard.canActivate(context('PATCH', false))).toBe(true);
+  });
+});
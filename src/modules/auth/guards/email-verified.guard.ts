@@ -0,0 +1,36 @@
+import { Injectable, CanActivate, ExecutionContext, ForbiddenException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Blocks writes from users who haven't verified their email yet, when EMAIL_VERIFICATION_REQUIRED
+ * is on (the default). Reads are always allowed. Must run after JwtAuthGuard.
+ */
+@Injectable()
+export class EmailVerifiedGuard implements CanActivate {
+  constructor(private readonly configService: ConfigService) {}
+
+  canActivate(context: ExecutionContext): boolean {
+    const request = context.switchToHttp().getRequest();
+
+    if (READ_METHODS.includes(request.method) || !this.isRequired()) {
+      return true;
+    }
+
+    if (!request.user?.emailVerified) {
+      throw new ForbiddenException(
+        'Please verify your email address before creating or changing tasks',
+      );
+    }
+
+    return true;
+  }
+
+  private isRequired(): boolean {
+    return (
+      String(this.configService.get('EMAIL_VERIFICATION_REQUIRED', 'true')).toLowerCase() !==
+      'false'
+    );
+  }
+}
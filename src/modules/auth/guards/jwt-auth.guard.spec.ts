@@ -0,0 +1,69 @@
+import { ExecutionContext, ForbiddenException, UnauthorizedException } from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
+import { JwtAuthGuard } from './jwt-auth.guard';
+import { API_KEY_SCOPES_KEY } from '../decorators/api-key-scopes.decorator';
+import { DENY_WHILE_IMPERSONATING_KEY } from '../decorators/deny-while-impersonating.decorator';
+import { ApiKeyScope } from '../enums/api-key-scope.enum';
+
+describe('JwtAuthGuard', () => {
+  let metadata: Record<string, unknown>;
+  const guard = new JwtAuthGuard({
+    getAllAndOverride: (key: string) => metadata[key],
+  } as unknown as Reflector);
+
+  const context = (method: string) =>
+    ({
+      getHandler: () => undefined,
+      getClass: () => undefined,
+      switchToHttp: () => ({ getRequest: () => ({ method }) }),
+    }) as unknown as ExecutionContext;
+  const apiKeyUser = (scopes: ApiKeyScope[]) => ({ id: 'user-1', authMethod: 'api-key', scopes });
+
+  beforeEach(() => {
+    metadata = {};
+  });
+
+  it('rejects requests without a user', () => {
+    expect(() => guard.handleRequest(null, false, undefined, context('GET'))).toThrow(
+      UnauthorizedException,
+    );
+  });
+
+  describe('API keys', () => {
+    it('are refused on routes not opened to them', () => {
+      expect(() =>
+        guard.handleRequest(null, apiKeyUser([ApiKeyScope.TASKS_READ]), undefined, context('GET')),
+      ).toThrow(new ForbiddenException('API keys cannot be used for this endpoint'));
+    });
+
+    it('need the read scope for reads and the write scope for everything else', () => {
+      metadata[API_KEY_SCOPES_KEY] = {
+        read: ApiKeyScope.TASKS_READ,
+        write: ApiKeyScope.TASKS_WRITE,
+      };
+      const readOnly = apiKeyUser([ApiKeyScope.TASKS_READ]);
+
+      expect(guard.handleRequest(null, readOnly, undefined, context('HEAD'))).toBe(readOnly);
+      expect(() => guard.handleRequest(null, readOnly, undefined, context('DELETE'))).toThrow(
+        'This API key is missing the tasks:write scope',
+      );
+    });
+  });
+
+  it('refuses impersonation tokens on routes marked @DenyWhileImpersonating', () => {
+    const impersonated = { id: 'user-1', impersonator: { id: 'admin-1' } };
+
+    expect(guard.handleRequest(null, impersonated, undefined, context('POST'))).toBe(impersonated);
+
+    metadata[DENY_WHILE_IMPERSONATING_KEY] = true;
+    expect(() => guard.handleRequest(null, impersonated, undefined, context('POST'))).toThrow(
+      new ForbiddenException('This action is not available while impersonating a user'),
+    );
+  });
+
+  it('leaves access tokens to the usual permission checks', () => {
+    const user = { id: 'user-1', role: 'user' };
+
+    expect(guard.handleRequest(null, user, undefined, context('POST'))).toBe(user);
+  });
+});
@@ -1,5 +1,79 @@
-import { Injectable } from '@nestjs/common';
+import {
+  ExecutionContext,
+  ForbiddenException,
+  Injectable,
+  UnauthorizedException,
+} from '@nestjs/common';
+import { Reflector } from '@nestjs/core';
 import { AuthGuard } from '@nestjs/passport';
+import { ALLOW_TWO_FACTOR_SETUP_KEY } from '../decorators/allow-two-factor-setup.decorator';
+import { API_KEY_SCOPES_KEY, ApiKeyScopeRequirement } from '../decorators/api-key-scopes.decorator';
+import { DENY_WHILE_IMPERSONATING_KEY } from '../decorators/deny-while-impersonating.decorator';
 
+/**
+ * Accepts an access token (Bearer) or a personal API key (X-API-Key). API keys only work on
+ * routes marked with @ApiKeyScopes, and only with the scope the request needs. Impersonation
+ * tokens are refused on routes marked with @DenyWhileImpersonating.
+ */
 @Injectable()
-export class JwtAuthGuard extends AuthGuard('jwt') {} 
\ No newline at end of file
+export class JwtAuthGuard extends AuthGuard(['jwt', 'api-key']) {
+  constructor(private readonly reflector: Reflector) {
+    super();
+  }
+
+  handleRequest<TUser = any>(err: any, user: any, info: any, context: ExecutionContext): TUser {
+    if (err || !user) {
+      throw err || new UnauthorizedException();
+    }
+
+    // ✅ SECURITY: Accounts that must use 2FA (TWO_FACTOR_REQUIRED_FOR_ADMINS) can only enroll
+    // until they have it
+    if (user.twoFactorSetupRequired) {
+      const allowed = this.reflector.getAllAndOverride<boolean>(ALLOW_TWO_FACTOR_SETUP_KEY, [
+        context.getHandler(),
+        context.getClass(),
+      ]);
+
+      if (!allowed) {
+        throw new ForbiddenException(
+          'Two-factor authentication is required for this account. Set it up via /auth/2fa/setup',
+        );
+      }
+    }
+
+    if (user.impersonator) {
+      const denied = this.reflector.getAllAndOverride<boolean>(DENY_WHILE_IMPERSONATING_KEY, [
+        context.getHandler(),
+        context.getClass(),
+      ]);
+
+      if (denied) {
+        throw new ForbiddenException('This action is not available while impersonating a user');
+      }
+    }
+
+    if (user.authMethod === 'api-key') {
+      this.assertApiKeyScope(user.scopes, context);
+    }
+
+    return user;
+  }
+
+  private assertApiKeyScope(scopes: string[], context: ExecutionContext): void {
+    const requirement = this.reflector.getAllAndOverride<ApiKeyScopeRequirement>(
+      API_KEY_SCOPES_KEY,
+      [context.getHandler(), context.getClass()],
+    );
+
+    if (!requirement) {
+      throw new ForbiddenException('API keys cannot be used for this endpoint');
+    }
+
+    const { method } = context.switchToHttp().getRequest();
+    const scope = ['GET', 'HEAD'].includes(method) ? requirement.read : requirement.write;
+
+    if (!scopes.includes(scope)) {
+      throw new ForbiddenException(`This API key is missing the ${scope} scope`);
+    }
+  }
+}
@@ -0,0 +1,75 @@
+import {
+  Controller,
+  Get,
+  HttpCode,
+  HttpStatus,
+  Param,
+  ParseUUIDPipe,
+  Post,
+  Query,
+  Req,
+  UseGuards,
+} from '@nestjs/common';
+import { ApiBearerAuth, ApiOperation, ApiResponse, ApiTags } from '@nestjs/swagger';
+import { Request } from 'express';
+import { ImpersonationService } from './services/impersonation.service';
+import {
+  ImpersonationLogQueryDto,
+  ImpersonationLogResponseDto,
+  ImpersonationTokenResponseDto,
+} from './dto/impersonation.dto';
+import { JwtAuthGuard } from './guards/jwt-auth.guard';
+import { CurrentUser } from './decorators/current-user.decorator';
+import { DenyWhileImpersonating } from './decorators/deny-while-impersonating.decorator';
+import { PermissionsGuard } from '../../common/guards/permissions.guard';
+import { RequirePermissions } from '../../common/decorators/require-permissions.decorator';
+import { PermissionName } from '../roles/enums/permission-name.enum';
+
+@ApiTags('auth')
+@Controller('auth')
+@UseGuards(JwtAuthGuard, PermissionsGuard)
+@ApiBearerAuth()
+export class ImpersonationController {
+  constructor(private readonly impersonationService: ImpersonationService) {}
+
+  @Post('impersonate/:userId')
+  @HttpCode(HttpStatus.OK)
+  @RequirePermissions(PermissionName.USERS_IMPERSONATE)
+  @DenyWhileImpersonating() // No chains of impersonation
+  @ApiOperation({
+    summary: 'Get a short-lived access token acting as a user (requires users:impersonate)',
+  })
+  @ApiResponse({
+    status: 200,
+    description: 'Impersonation token issued',
+    type: ImpersonationTokenResponseDto,
+  })
+  @ApiResponse({ status: 400, description: 'Cannot impersonate yourself' })
+  @ApiResponse({
+    status: 403,
+    description: 'Admin access required, or the user is an administrator',
+  })
+  @ApiResponse({ status: 404, description: 'User not found' })
+  async impersonate(
+    @Param('userId', ParseUUIDPipe) userId: string,
+    @CurrentUser() user: any,
+    @Req() request: Request,
+  ): Promise<ImpersonationTokenResponseDto> {
+    return this.impersonationService.impersonate(user, userId, request.ip);
+  }
+
+  @Get('impersonation-logs')
+  @RequirePermissions(PermissionName.ROLES_MANAGE)
+  @ApiOperation({
+    summary:
+      'Impersonation audit trail of your current organization, newest first (requires roles:manage)',
+  })
+  @ApiResponse({ status: 200, description: 'Audit entries', type: [ImpersonationLogResponseDto] })
+  @ApiResponse({ status: 403, description: 'Admin access required' })
+  async findLogs(
+    @Query() query: ImpersonationLogQueryDto,
+    @CurrentUser() user: any,
+  ): Promise<ImpersonationLogResponseDto[]> {
+    return this.impersonationService.findLogs(query, user.organizationId);
+  }
+}
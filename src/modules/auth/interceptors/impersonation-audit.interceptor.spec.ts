@@ -0,0 +1,64 @@
+import { CallHandler, ExecutionContext, NotFoundException } from '@nestjs/common';
+import { lastValueFrom, of, throwError } from 'rxjs';
+import { ImpersonationAuditInterceptor } from './impersonation-audit.interceptor';
+import { ImpersonationService } from '../services/impersonation.service';
+
+describe('ImpersonationAuditInterceptor', () => {
+  let recordWrite: jest.Mock;
+  let interceptor: ImpersonationAuditInterceptor;
+
+  const impersonator = { id: 'admin-1', email: 'admin@example.com', name: 'Admin', role: 'admin' };
+  const context = (method: string, user: object | undefined) =>
+    ({
+      getType: () => 'http',
+      switchToHttp: () => ({
+        getRequest: () => ({ method, url: '/tasks', user }),
+        getResponse: () => ({ statusCode: 201 }),
+      }),
+    }) as unknown as ExecutionContext;
+  const handler = (result = of({ id: 'task-1' })): CallHandler => ({ handle: () => result });
+
+  beforeEach(() => {
+    recordWrite = jest.fn().mockResolvedValue(undefined);
+    interceptor = new ImpersonationAuditInterceptor({
+      recordWrite,
+    } as unknown as ImpersonationService);
+  });
+
+  it('records a write with the status it was answered with', async () => {
+    const user = { id: 'user-1', organizationId: 'org-1', impersonator };
+
+    await expect(
+      lastValueFrom(interceptor.intercept(context('POST', user), handler())),
+    ).resolves.toEqual({ id: 'task-1' });
+
+    expect(recordWrite).toHaveBeenCalledWith(
+      impersonator,
+      user,
+      expect.objectContaining({ method: 'POST' }),
+      201,
+    );
+  });
+
+  it('records failed writes too, and rethrows the error', async () => {
+    const user = { id: 'user-1', organizationId: 'org-1', impersonator };
+    const error = new NotFoundException('Task not found');
+
+    await expect(
+      lastValueFrom(
+        interceptor.intercept(context('DELETE', user), handler(throwError(() => error))),
+      ),
+    ).rejects.toBe(error);
+
+    expect(recordWrite).toHaveBeenCalledWith(impersonator, user, expect.anything(), 404);
+  });
+
+  it('leaves reads and regular sessions alone', async () => {
+    await lastValueFrom(
+      interceptor.intercept(context('GET', { id: 'user-1', impersonator }), handler()),
+    );
+    await lastValueFrom(interceptor.intercept(context('POST', { id: 'user-1' }), handler()));
+
+    expect(recordWrite).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,50 @@
+import {
+  CallHandler,
+  ExecutionContext,
+  HttpStatus,
+  Injectable,
+  NestInterceptor,
+} from '@nestjs/common';
+import { Observable, from, throwError } from 'rxjs';
+import { catchError, mergeMap } from 'rxjs/operators';
+import { ImpersonationService } from '../services/impersonation.service';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Records every write made with an impersonation token under the real admin's id, whether it
+ * succeeded or not. Registered globally; requests without an impersonator pass straight through.
+ */
+@Injectable()
+export class ImpersonationAuditInterceptor implements NestInterceptor {
+  constructor(private readonly impersonationService: ImpersonationService) {}
+
+  intercept(context: ExecutionContext, next: CallHandler): Observable<unknown> {
+    if (context.getType() !== 'http') {
+      return next.handle();
+    }
+
+    const request = context.switchToHttp().getRequest();
+    const response = context.switchToHttp().getResponse();
+    const { user } = request;
+
+    if (!user?.impersonator || READ_METHODS.includes(request.method)) {
+      return next.handle();
+    }
+
+    const record = (statusCode: number) =>
+      this.impersonationService.recordWrite(user.impersonator, user, request, statusCode);
+
+    return next.handle().pipe(
+      mergeMap(async body => {
+        await record(response.statusCode);
+        return body;
+      }),
+      catchError(error =>
+        from(record(error?.getStatus?.() ?? HttpStatus.INTERNAL_SERVER_ERROR)).pipe(
+          mergeMap(() => throwError(() => error)),
+        ),
+      ),
+    );
+  }
+}
@@ -0,0 +1,22 @@
+import { Controller, Get, Header } from '@nestjs/common';
+import { ApiOperation, ApiResponse, ApiTags } from '@nestjs/swagger';
+import { JwtKeysService } from './services/jwt-keys.service';
+
+/**
+ * Public keys for verifying access tokens, for services that check tokens themselves
+ */
+@ApiTags('auth')
+@Controller('.well-known')
+export class JwksController {
+  constructor(private readonly jwtKeysService: JwtKeysService) {}
+
+  @Get('jwks.json')
+  @Header('Cache-Control', 'public, max-age=300') // Shorter than JWT_KEY_ACTIVATION_DELAY
+  @ApiOperation({
+    summary: 'JSON Web Key Set with the current, upcoming and recently retired signing keys',
+  })
+  @ApiResponse({ status: 200, description: 'JWK set, matched to tokens by their `kid` header' })
+  async getJwks() {
+    return this.jwtKeysService.getJwks();
+  }
+}
@@ -0,0 +1,79 @@
+import { Controller, Get, Param, Query, Redirect, Req, UseGuards } from '@nestjs/common';
+import { ApiExtraModels, ApiOperation, ApiResponse, ApiTags, getSchemaPath } from '@nestjs/swagger';
+import { Request } from 'express';
+import { AuthService } from './auth.service';
+import { OidcService } from './services/oidc.service';
+import { OidcCallbackQueryDto, OidcProviderResponseDto } from './dto/oidc.dto';
+import { TokenResponseDto } from './dto/refresh-token.dto';
+import { TwoFactorChallengeResponseDto } from './dto/two-factor.dto';
+import { RateLimitGuard } from '../../common/guards/rate-limit.guard';
+import { RateLimit } from '../../common/decorators/rate-limit.decorator';
+
+/**
+ * Single sign-on: send the browser to /authorize, the identity provider sends it back to
+ * /callback, which answers like /auth/login
+ */
+@ApiTags('auth')
+@Controller('auth/oidc')
+export class OidcController {
+  constructor(
+    private readonly authService: AuthService,
+    private readonly oidcService: OidcService,
+  ) {}
+
+  @Get('providers')
+  @ApiOperation({ summary: 'List the identity providers you can sign in with' })
+  @ApiResponse({
+    status: 200,
+    description: 'Configured providers',
+    type: [OidcProviderResponseDto],
+  })
+  getProviders(): OidcProviderResponseDto[] {
+    return this.oidcService.getProviders();
+  }
+
+  @Get(':provider/authorize')
+  @UseGuards(RateLimitGuard)
+  @RateLimit({ limit: 20, windowMs: 60000 })
+  @Redirect()
+  @ApiOperation({ summary: 'Start signing in with an identity provider (redirects to it)' })
+  @ApiResponse({ status: 302, description: 'Redirect to the identity provider' })
+  @ApiResponse({ status: 404, description: 'Unknown identity provider' })
+  async authorize(@Param('provider') provider: string) {
+    return { url: await this.oidcService.createAuthorizationUrl(provider) };
+  }
+
+  @Get(':provider/callback')
+  @UseGuards(RateLimitGuard)
+  @RateLimit({ limit: 10, windowMs: 60000 })
+  @ApiOperation({ summary: 'Finish signing in with an identity provider (its redirect target)' })
+  @ApiExtraModels(TokenResponseDto, TwoFactorChallengeResponseDto)
+  @ApiResponse({
+    status: 200,
+    description: 'Signed in, or a two-factor challenge to complete through /auth/2fa/verify',
+    schema: {
+      oneOf: [
+        { $ref: getSchemaPath(TokenResponseDto) },
+        { $ref: getSchemaPath(TwoFactorChallengeResponseDto) },
+      ],
+    },
+  })
+  @ApiResponse({ status: 400, description: 'Missing or expired state, start again' })
+  @ApiResponse({
+    status: 401,
+    description: 'The identity provider rejected the sign-in, or its ID token was invalid',
+  })
+  @ApiResponse({ status: 409, description: 'An account with this unverified email already exists' })
+  async callback(
+    @Param('provider') provider: string,
+    @Query() query: OidcCallbackQueryDto,
+    @Req() request: Request,
+  ): Promise<TokenResponseDto | TwoFactorChallengeResponseDto> {
+    const user = await this.oidcService.authenticate(provider, query);
+    const deviceInfo = {
+      userAgent: request.headers['user-agent'],
+      ipAddress: request.ip,
+    };
+    return this.authService.completeLogin(user, deviceInfo);
+  }
+}
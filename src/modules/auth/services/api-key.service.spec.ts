@@ -0,0 +1,134 @@
+import { Test } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { BadRequestException, NotFoundException } from '@nestjs/common';
+import { IsNull } from 'typeorm';
+import { API_KEY_PREFIX, ApiKeyService } from './api-key.service';
+import { RefreshTokenService } from './refresh-token.service';
+import { ApiKey } from '../entities/api-key.entity';
+import { ApiKeyScope } from '../enums/api-key-scope.enum';
+
+const USER_ID = 'user-1';
+const SECRET = 'r4nd0m-t0ken-b0dy';
+const KEY = `${API_KEY_PREFIX}${SECRET}`;
+
+describe('ApiKeyService', () => {
+  let service: ApiKeyService;
+  let apiKeyRepository: Record<string, jest.Mock>;
+
+  beforeEach(async () => {
+    apiKeyRepository = {
+      count: jest.fn().mockResolvedValue(0),
+      create: jest.fn(data => data),
+      save: jest.fn(async data => ({ id: 'key-1', ...data })),
+      find: jest.fn().mockResolvedValue([]),
+      findOne: jest.fn().mockResolvedValue(null),
+      update: jest.fn().mockResolvedValue({ affected: 1 }),
+    };
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        ApiKeyService,
+        { provide: getRepositoryToken(ApiKey), useValue: apiKeyRepository },
+        {
+          provide: RefreshTokenService,
+          useValue: {
+            generateSecureToken: jest.fn(() => SECRET),
+            hashToken: jest.fn((token: string) => `hash(${token})`),
+          },
+        },
+      ],
+    }).compile();
+
+    service = moduleRef.get(ApiKeyService);
+  });
+
+  describe('create', () => {
+    it('returns the key once and stores only its hash and prefix', async () => {
+      const { apiKey, key } = await service.create(USER_ID, {
+        name: 'CI',
+        scopes: [ApiKeyScope.TASKS_READ, ApiKeyScope.TASKS_READ],
+      });
+
+      expect(key).toBe(KEY);
+      expect(apiKey).toEqual(
+        expect.objectContaining({
+          userId: USER_ID,
+          prefix: key.slice(0, 12),
+          keyHash: `hash(${key})`,
+          scopes: [ApiKeyScope.TASKS_READ],
+          expiresAt: null,
+        }),
+      );
+      expect(JSON.stringify(apiKeyRepository.save.mock.calls)).not.toContain(`"${key}"`);
+    });
+
+    it('rejects an expiry in the past', async () => {
+      await expect(
+        service.create(USER_ID, {
+          name: 'CI',
+          scopes: [ApiKeyScope.TASKS_READ],
+          expiresAt: '2020-01-01T00:00:00Z',
+        }),
+      ).rejects.toThrow('expiresAt must be in the future');
+    });
+
+    it('caps the number of active keys per user', async () => {
+      apiKeyRepository.count.mockResolvedValue(20);
+
+      await expect(
+        service.create(USER_ID, { name: 'CI', scopes: [ApiKeyScope.TASKS_READ] }),
+      ).rejects.toThrow(BadRequestException);
+      expect(apiKeyRepository.count).toHaveBeenCalledWith({
+        where: { userId: USER_ID, revokedAt: IsNull() },
+      });
+    });
+  });
+
+  describe('validate', () => {
+    const stored = (overrides: Partial<ApiKey> = {}) =>
+      ({ id: 'key-1', userId: USER_ID, expiresAt: null, lastUsedAt: null, ...overrides }) as ApiKey;
+
+    it('finds an active key by its hash and records when it was used', async () => {
+      apiKeyRepository.findOne.mockResolvedValue(stored());
+
+      const apiKey = await service.validate(KEY);
+
+      expect(apiKey?.id).toBe('key-1');
+      expect(apiKeyRepository.findOne).toHaveBeenCalledWith({
+        where: { keyHash: `hash(${KEY})`, revokedAt: IsNull() },
+      });
+      expect(apiKeyRepository.update).toHaveBeenCalledWith(
+        { id: 'key-1' },
+        { lastUsedAt: expect.any(Date) },
+      );
+    });
+
+    it("doesn't write lastUsedAt again within a minute", async () => {
+      apiKeyRepository.findOne.mockResolvedValue(stored({ lastUsedAt: new Date() }));
+
+      await service.validate(KEY);
+
+      expect(apiKeyRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('rejects expired keys and anything without the key prefix', async () => {
+      apiKeyRepository.findOne.mockResolvedValue(
+        stored({ expiresAt: new Date(Date.now() - 1000) }),
+      );
+
+      await expect(service.validate(KEY)).resolves.toBeNull();
+      await expect(service.validate('eyJhbGciOi...')).resolves.toBeNull();
+      expect(apiKeyRepository.findOne).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it("revokes only the caller's own active keys", async () => {
+    apiKeyRepository.update.mockResolvedValue({ affected: 0 });
+
+    await expect(service.revoke(USER_ID, 'key-9')).rejects.toThrow(NotFoundException);
+    expect(apiKeyRepository.update).toHaveBeenCalledWith(
+      { id: 'key-9', userId: USER_ID, revokedAt: IsNull() },
+      { revokedAt: expect.any(Date) },
+    );
+  });
+});
@@ -0,0 +1,115 @@
+import { BadRequestException, Injectable, Logger, NotFoundException } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { IsNull, Repository } from 'typeorm';
+import { ApiKey } from '../entities/api-key.entity';
+import { CreateApiKeyDto } from '../dto/api-key.dto';
+import { RefreshTokenService } from './refresh-token.service';
+
+export const API_KEY_PREFIX = 'tfk_';
+
+export interface CreatedApiKey {
+  apiKey: ApiKey;
+  key: string;
+}
+
+/**
+ * Personal API keys for scripts and CI. Keys are random tokens stored only as a hash (the same
+ * way as refresh tokens) and act as their owner, limited to their scopes.
+ */
+@Injectable()
+export class ApiKeyService {
+  private readonly logger = new Logger(ApiKeyService.name);
+  private readonly MAX_ACTIVE_KEYS = 20;
+  private readonly LAST_USED_RESOLUTION_MS = 60 * 1000; // Don't write on every request
+
+  constructor(
+    @InjectRepository(ApiKey)
+    private apiKeyRepository: Repository<ApiKey>,
+    private readonly refreshTokenService: RefreshTokenService,
+  ) {}
+
+  async create(userId: string, createApiKeyDto: CreateApiKeyDto): Promise<CreatedApiKey> {
+    const expiresAt = createApiKeyDto.expiresAt ? new Date(createApiKeyDto.expiresAt) : null;
+    if (expiresAt && expiresAt <= new Date()) {
+      throw new BadRequestException('expiresAt must be in the future');
+    }
+
+    const activeKeys = await this.apiKeyRepository.count({
+      where: { userId, revokedAt: IsNull() },
+    });
+    if (activeKeys >= this.MAX_ACTIVE_KEYS) {
+      throw new BadRequestException(
+        `You can have at most ${this.MAX_ACTIVE_KEYS} API keys, revoke one you no longer use`,
+      );
+    }
+
+    const key = `${API_KEY_PREFIX}${this.refreshTokenService.generateSecureToken()}`;
+    const apiKey = await this.apiKeyRepository.save(
+      this.apiKeyRepository.create({
+        userId,
+        name: createApiKeyDto.name,
+        prefix: key.slice(0, 12),
+        keyHash: this.refreshTokenService.hashToken(key),
+        scopes: [...new Set(createApiKeyDto.scopes)],
+        expiresAt,
+        lastUsedAt: null,
+        revokedAt: null,
+      }),
+    );
+
+    this.logger.log(`API key ${apiKey.id} created for user ${userId}`);
+
+    return { apiKey, key };
+  }
+
+  /**
+   * A user's keys that haven't been revoked, including expired ones
+   */
+  findAll(userId: string): Promise<ApiKey[]> {
+    return this.apiKeyRepository.find({
+      where: { userId, revokedAt: IsNull() },
+      order: { createdAt: 'DESC' },
+    });
+  }
+
+  async revoke(userId: string, id: string): Promise<void> {
+    const result = await this.apiKeyRepository.update(
+      { id, userId, revokedAt: IsNull() },
+      { revokedAt: new Date() },
+    );
+
+    if (!result.affected) {
+      throw new NotFoundException('API key not found');
+    }
+
+    this.logger.log(`API key ${id} revoked for user ${userId}`);
+  }
+
+  /**
+   * Look up a presented key. Returns null for unknown, revoked or expired keys.
+   */
+  async validate(key: string): Promise<ApiKey | null> {
+    if (!key.startsWith(API_KEY_PREFIX)) {
+      return null;
+    }
+
+    const apiKey = await this.apiKeyRepository.findOne({
+      where: { keyHash: this.refreshTokenService.hashToken(key), revokedAt: IsNull() },
+    });
+
+    if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+      return null;
+    }
+
+    const now = new Date();
+    if (
+      !apiKey.lastUsedAt ||
+      now.getTime() - apiKey.lastUsedAt.getTime() > this.LAST_USED_RESOLUTION_MS
+    ) {
+      await this.apiKeyRepository.update({ id: apiKey.id }, { lastUsedAt: now });
+      apiKey.lastUsedAt = now;
+    }
+
+    return apiKey;
+  }
+}
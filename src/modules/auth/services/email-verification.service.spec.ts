@@ -0,0 +1,107 @@
+import { Test } from '@nestjs/testing';
+import { getQueueToken } from '@nestjs/bullmq';
+import { ConfigService } from '@nestjs/config';
+import { JwtService } from '@nestjs/jwt';
+import { BadRequestException, ConflictException } from '@nestjs/common';
+import { EmailVerificationService } from './email-verification.service';
+import { UsersService } from '../../users/users.service';
+import { EMAIL_QUEUE } from '../../../queues/email/email-processor.service';
+
+const JWT_SECRET = 'test-secret';
+
+describe('EmailVerificationService', () => {
+  let service: EmailVerificationService;
+  let jwtService: JwtService;
+  let usersService: Record<string, jest.Mock>;
+  let emailQueue: { add: jest.Mock };
+  let user: { id: string; email: string; name: string; emailVerifiedAt: Date | null };
+
+  // The token the last verification email carried
+  const sentToken = (): string => emailQueue.add.mock.calls.at(-1)[1].token;
+
+  beforeEach(async () => {
+    user = { id: 'user-1', email: 'ada@example.com', name: 'Ada', emailVerifiedAt: null };
+    jwtService = new JwtService();
+    usersService = {
+      findOne: jest.fn(async () => user),
+      markEmailVerified: jest.fn(),
+    };
+    emailQueue = { add: jest.fn() };
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        EmailVerificationService,
+        { provide: JwtService, useValue: jwtService },
+        { provide: UsersService, useValue: usersService },
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key, fallback) => (key === 'jwt.secret' ? JWT_SECRET : fallback)),
+          },
+        },
+        { provide: getQueueToken(EMAIL_QUEUE), useValue: emailQueue },
+      ],
+    }).compile();
+
+    service = moduleRef.get(EmailVerificationService);
+  });
+
+  it('verifies the address a sent link names', async () => {
+    await service.sendVerificationEmail(user);
+
+    await service.verify(sentToken());
+
+    expect(usersService.markEmailVerified).toHaveBeenCalledWith('user-1');
+  });
+
+  it('treats following a link again as a no-op', async () => {
+    await service.sendVerificationEmail(user);
+    user.emailVerifiedAt = new Date();
+
+    await expect(service.verify(sentToken())).resolves.toBeUndefined();
+    expect(usersService.markEmailVerified).not.toHaveBeenCalled();
+  });
+
+  it('rejects a link for an address the user has changed away from', async () => {
+    await service.sendVerificationEmail(user);
+    user.email = 'ada@new.example.com';
+
+    await expect(service.verify(sentToken())).rejects.toThrow(
+      'This verification link is for a previous email address',
+    );
+  });
+
+  it("doesn't accept access tokens signed with the plain JWT secret", async () => {
+    const accessToken = jwtService.sign(
+      { sub: 'user-1', email: user.email, purpose: 'email-verification' },
+      { secret: JWT_SECRET },
+    );
+
+    await expect(service.verify(accessToken)).rejects.toThrow(BadRequestException);
+  });
+
+  it('rejects tokens issued for another purpose', async () => {
+    const token = jwtService.sign(
+      { sub: 'user-1', email: user.email, purpose: 'password-reset' },
+      { secret: `${JWT_SECRET}:email-verification` },
+    );
+
+    await expect(service.verify(token)).rejects.toThrow('Invalid or expired verification link');
+  });
+
+  it('rejects expired links', async () => {
+    const token = jwtService.sign(
+      { sub: 'user-1', email: user.email, purpose: 'email-verification' },
+      { secret: `${JWT_SECRET}:email-verification`, expiresIn: -10 },
+    );
+
+    await expect(service.verify(token)).rejects.toThrow('Invalid or expired verification link');
+  });
+
+  it("doesn't resend to an address that is already verified", async () => {
+    user.emailVerifiedAt = new Date();
+
+    await expect(service.resend('user-1')).rejects.toThrow(ConflictException);
+    expect(emailQueue.add).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,124 @@
+import { BadRequestException, ConflictException, Injectable, Logger } from '@nestjs/common';
+import { JwtService } from '@nestjs/jwt';
+import { ConfigService } from '@nestjs/config';
+import { InjectQueue } from '@nestjs/bullmq';
+import { Queue } from 'bullmq';
+import { User } from '../../users/entities/user.entity';
+import { UsersService } from '../../users/users.service';
+import {
+  EMAIL_QUEUE,
+  EmailVerificationEmailJob,
+} from '../../../queues/email/email-processor.service';
+
+const EMAIL_VERIFICATION_PURPOSE = 'email-verification';
+
+interface EmailVerificationPayload {
+  sub: string;
+  email: string;
+  purpose: typeof EMAIL_VERIFICATION_PURPOSE;
+  exp: number;
+}
+
+/**
+ * Verification links carry a signed token rather than one stored in the database: it names the
+ * user and the address being verified, so nothing has to be looked up or cleaned up, and a link
+ * for an address the user has since changed away from no longer verifies anything
+ */
+@Injectable()
+export class EmailVerificationService {
+  private readonly logger = new Logger(EmailVerificationService.name);
+
+  constructor(
+    private readonly usersService: UsersService,
+    private readonly jwtService: JwtService,
+    private readonly configService: ConfigService,
+    @InjectQueue(EMAIL_QUEUE)
+    private emailQueue: Queue,
+  ) {}
+
+  /**
+   * Queue an email with a fresh verification link for the user's current address
+   */
+  async sendVerificationEmail(user: Pick<User, 'id' | 'email' | 'name'>): Promise<void> {
+    const token = this.jwtService.sign(
+      { sub: user.id, email: user.email, purpose: EMAIL_VERIFICATION_PURPOSE },
+      {
+        secret: this.getSecret(),
+        expiresIn: this.configService.get('EMAIL_VERIFICATION_EXPIRATION', '24h'),
+      },
+    );
+    const { exp } = this.jwtService.decode(token) as EmailVerificationPayload;
+
+    const jobData: EmailVerificationEmailJob = {
+      userId: user.id,
+      email: user.email,
+      name: user.name,
+      token,
+      expiresAt: new Date(exp * 1000).toISOString(),
+    };
+    await this.emailQueue.add('email-verification', jobData, {
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 2000,
+      },
+    });
+
+    this.logger.debug(`Queued verification email for user ${user.id}`);
+  }
+
+  /**
+   * Mark the address in a verification link as verified. Following a link again is harmless.
+   */
+  async verify(token: string): Promise<void> {
+    let payload: EmailVerificationPayload;
+    try {
+      payload = this.jwtService.verify<EmailVerificationPayload>(token, {
+        secret: this.getSecret(),
+      });
+    } catch (error) {
+      throw new BadRequestException('Invalid or expired verification link');
+    }
+
+    if (payload.purpose !== EMAIL_VERIFICATION_PURPOSE) {
+      throw new BadRequestException('Invalid or expired verification link');
+    }
+
+    let user: User;
+    try {
+      user = await this.usersService.findOne(payload.sub);
+    } catch (error) {
+      throw new BadRequestException('Invalid or expired verification link');
+    }
+
+    // ✅ SECURITY: The link only vouches for the address it was sent to
+    if (user.email !== payload.email) {
+      throw new BadRequestException('This verification link is for a previous email address');
+    }
+
+    if (user.emailVerifiedAt) {
+      return;
+    }
+
+    await this.usersService.markEmailVerified(user.id);
+    this.logger.log(`Email verified for user ${user.id}`);
+  }
+
+  async resend(userId: string): Promise<void> {
+    const user = await this.usersService.findOne(userId);
+
+    if (user.emailVerifiedAt) {
+      throw new ConflictException('Email is already verified');
+    }
+
+    await this.sendVerificationEmail(user);
+  }
+
+  /**
+   * ✅ SECURITY: Signed with a key derived from the JWT secret, so a verification token can
+   * never pass as an access token (or the other way round)
+   */
+  private getSecret(): string {
+    return `${this.configService.get('jwt.secret')}:${EMAIL_VERIFICATION_PURPOSE}`;
+  }
+}
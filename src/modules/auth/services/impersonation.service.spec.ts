@@ -0,0 +1,214 @@
+import { Test } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { JwtService } from '@nestjs/jwt';
+import { ForbiddenException, UnauthorizedException } from '@nestjs/common';
+import { generateKeyPairSync } from 'crypto';
+import { ImpersonationService } from './impersonation.service';
+import { JwtKeysService } from './jwt-keys.service';
+import { ImpersonationLog } from '../entities/impersonation-log.entity';
+import { ImpersonationAction } from '../enums/impersonation-action.enum';
+import { UsersService } from '../../users/users.service';
+import { OrganizationsService } from '../../organizations/organizations.service';
+import { RolesService } from '../../roles/roles.service';
+import { PermissionName } from '../../roles/enums/permission-name.enum';
+
+const ORG_ID = 'org-1';
+const { publicKey, privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+describe('ImpersonationService', () => {
+  let service: ImpersonationService;
+  let jwtService: JwtService;
+  let config: Record<string, unknown>;
+  let impersonationLogRepository: Record<string, jest.Mock>;
+  let usersService: Record<string, jest.Mock>;
+  let rolesService: { hasPermission: jest.Mock };
+  let organizationsService: { getPermissions: jest.Mock };
+
+  const admin = {
+    id: 'admin-1',
+    email: 'admin@example.com',
+    role: 'admin',
+    organizationId: ORG_ID,
+  };
+  const user = { id: 'user-1', email: 'ada@example.com', name: 'Ada', role: 'user' };
+
+  beforeEach(async () => {
+    config = {};
+    impersonationLogRepository = {
+      create: jest.fn(entry => entry),
+      insert: jest.fn(),
+      find: jest.fn().mockResolvedValue([]),
+    };
+    usersService = {
+      findOneInOrganization: jest.fn().mockResolvedValue(user),
+      findOne: jest.fn().mockResolvedValue({ ...admin, name: 'Admin' }),
+    };
+    rolesService = { hasPermission: jest.fn().mockResolvedValue(true) };
+    organizationsService = {
+      getPermissions: jest.fn().mockResolvedValue([PermissionName.TASKS_READ_ANY]),
+    };
+    jwtService = new JwtService();
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        ImpersonationService,
+        { provide: getRepositoryToken(ImpersonationLog), useValue: impersonationLogRepository },
+        { provide: UsersService, useValue: usersService },
+        { provide: RolesService, useValue: rolesService },
+        { provide: OrganizationsService, useValue: organizationsService },
+        { provide: JwtService, useValue: jwtService },
+        {
+          provide: JwtKeysService,
+          useValue: {
+            getSigningKey: jest.fn().mockResolvedValue({
+              kid: 'key-1',
+              algorithm: 'ES256',
+              privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }).toString(),
+            }),
+          },
+        },
+        {
+          provide: ConfigService,
+          useValue: { get: jest.fn((key, fallback) => config[key] ?? fallback) },
+        },
+      ],
+    }).compile();
+
+    service = moduleRef.get(ImpersonationService);
+  });
+
+  describe('impersonate', () => {
+    it("issues a short-lived token naming the admin, pinned to the admin's organization", async () => {
+      config.IMPERSONATION_TOKEN_EXPIRATION = '5m';
+
+      const { accessToken, user: impersonated } = await service.impersonate(
+        admin,
+        'user-1',
+        '203.0.113.7',
+      );
+
+      const payload = jwtService.verify(accessToken, {
+        publicKey: publicKey.export({ type: 'spki', format: 'pem' }).toString(),
+        algorithms: ['ES256'],
+      });
+      expect(payload).toEqual(
+        expect.objectContaining({ sub: 'user-1', act: { sub: 'admin-1' }, org: ORG_ID }),
+      );
+      expect(payload.exp - payload.iat).toBe(5 * 60);
+      expect(impersonated.id).toBe('user-1');
+      expect(usersService.findOneInOrganization).toHaveBeenCalledWith('user-1', ORG_ID);
+      expect(impersonationLogRepository.insert).toHaveBeenCalledWith({
+        actorId: 'admin-1',
+        userId: 'user-1',
+        organizationId: ORG_ID,
+        action: ImpersonationAction.START,
+        ipAddress: '203.0.113.7',
+      });
+    });
+
+    it('never outlives a regular access token', async () => {
+      config.IMPERSONATION_TOKEN_EXPIRATION = '1h';
+
+      const { accessToken } = await service.impersonate(admin, 'user-1');
+
+      const { exp, iat } = jwtService.decode(accessToken);
+      expect(exp - iat).toBe(15 * 60);
+    });
+
+    it('refuses to impersonate yourself or another administrator', async () => {
+      await expect(service.impersonate(admin, 'admin-1')).rejects.toThrow(
+        'You cannot impersonate yourself',
+      );
+
+      organizationsService.getPermissions.mockResolvedValue([PermissionName.ROLES_MANAGE]);
+      await expect(service.impersonate(admin, 'user-1')).rejects.toThrow(
+        new ForbiddenException('Administrators cannot be impersonated'),
+      );
+      expect(impersonationLogRepository.insert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveImpersonator', () => {
+    const impersonated = { role: 'user', permissions: [PermissionName.TASKS_READ_ANY] };
+
+    it('returns the admin while they may still impersonate', async () => {
+      await expect(service.resolveImpersonator('admin-1', impersonated)).resolves.toEqual({
+        id: 'admin-1',
+        email: 'admin@example.com',
+        name: 'Admin',
+        role: 'admin',
+      });
+      expect(rolesService.hasPermission).toHaveBeenCalledWith(
+        'admin',
+        PermissionName.USERS_IMPERSONATE,
+      );
+    });
+
+    it('ends the impersonation when the admin loses the permission or is gone', async () => {
+      rolesService.hasPermission.mockResolvedValue(false);
+      await expect(service.resolveImpersonator('admin-1', impersonated)).rejects.toThrow(
+        UnauthorizedException,
+      );
+
+      usersService.findOne.mockRejectedValue(new Error('User not found'));
+      await expect(service.resolveImpersonator('admin-1', impersonated)).rejects.toThrow(
+        'Impersonation is no longer allowed',
+      );
+    });
+
+    it('ends the impersonation when the user has since become an administrator', async () => {
+      await expect(
+        service.resolveImpersonator('admin-1', {
+          role: 'user',
+          permissions: [PermissionName.USERS_IMPERSONATE],
+        }),
+      ).rejects.toThrow('Impersonation is no longer allowed');
+    });
+  });
+
+  describe('audit trail', () => {
+    it('records writes in the organization the token is pinned to', async () => {
+      await service.recordWrite(
+        { id: 'admin-1', email: admin.email, name: 'Admin', role: 'admin' },
+        { id: 'user-1', organizationId: ORG_ID },
+        { method: 'PATCH', originalUrl: '/tasks/task-1', url: '/task-1', ip: '203.0.113.7' },
+        200,
+      );
+
+      expect(impersonationLogRepository.insert).toHaveBeenCalledWith({
+        actorId: 'admin-1',
+        userId: 'user-1',
+        organizationId: ORG_ID,
+        action: ImpersonationAction.WRITE,
+        method: 'PATCH',
+        path: '/tasks/task-1',
+        statusCode: 200,
+        ipAddress: '203.0.113.7',
+      });
+    });
+
+    it("doesn't fail the request when the write can't be recorded", async () => {
+      impersonationLogRepository.insert.mockRejectedValue(new Error('connection lost'));
+
+      await expect(
+        service.recordWrite(
+          { id: 'admin-1', email: admin.email, name: 'Admin', role: 'admin' },
+          { id: 'user-1', organizationId: ORG_ID },
+          { method: 'DELETE', url: '/tasks/task-1' },
+          204,
+        ),
+      ).resolves.toBeUndefined();
+    });
+
+    it("only lists logs of the caller's organization", async () => {
+      await service.findLogs({ userId: 'user-1' }, ORG_ID);
+
+      expect(impersonationLogRepository.find).toHaveBeenCalledWith({
+        where: { organizationId: ORG_ID, userId: 'user-1' },
+        order: { createdAt: 'DESC' },
+        take: 50,
+      });
+    });
+  });
+});
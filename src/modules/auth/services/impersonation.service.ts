@@ -0,0 +1,225 @@
+import {
+  BadRequestException,
+  ForbiddenException,
+  Injectable,
+  Logger,
+  UnauthorizedException,
+} from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { JwtService } from '@nestjs/jwt';
+import { Repository } from 'typeorm';
+import { ImpersonationLog } from '../entities/impersonation-log.entity';
+import { ImpersonationAction } from '../enums/impersonation-action.enum';
+import { ImpersonationLogQueryDto, ImpersonationTokenResponseDto } from '../dto/impersonation.dto';
+import { JwtKeysService } from './jwt-keys.service';
+import { UsersService } from '../../users/users.service';
+import { OrganizationsService } from '../../organizations/organizations.service';
+import { ADMIN_ROLE, RolesService } from '../../roles/roles.service';
+import { PermissionName } from '../../roles/enums/permission-name.enum';
+import { durationToMs } from '../../../common/utils/duration';
+
+/**
+ * The admin behind an impersonation token, exposed as `request.user.impersonator`
+ */
+export interface Impersonator {
+  id: string;
+  email: string;
+  name: string;
+  role: string;
+}
+
+/**
+ * Lets support staff act as a user. Impersonation tokens are ordinary access tokens for the
+ * user with an `act` (actor) claim naming the admin (RFC 8693); they are short-lived and come
+ * without a refresh token. Starting an impersonation and every write made with the token are
+ * recorded in `impersonation_logs` under the admin's id and the organization they work in.
+ */
+@Injectable()
+export class ImpersonationService {
+  private readonly logger = new Logger(ImpersonationService.name);
+
+  constructor(
+    @InjectRepository(ImpersonationLog)
+    private impersonationLogRepository: Repository<ImpersonationLog>,
+    private readonly usersService: UsersService,
+    private readonly rolesService: RolesService,
+    private readonly organizationsService: OrganizationsService,
+    private readonly jwtService: JwtService,
+    private readonly jwtKeysService: JwtKeysService,
+    private readonly configService: ConfigService,
+  ) {}
+
+  async impersonate(
+    actor: any,
+    userId: string,
+    ipAddress?: string,
+  ): Promise<ImpersonationTokenResponseDto> {
+    if (userId === actor.id) {
+      throw new BadRequestException('You cannot impersonate yourself');
+    }
+
+    // ✅ TENANCY: Only members of the organization the admin is working in
+    const user = await this.usersService.findOneInOrganization(userId, actor.organizationId);
+
+    // ✅ SECURITY: Admins can't borrow each other's identity, judged by what the user could do in
+    // the organization the token will be pinned to
+    const permissions = await this.organizationsService.getPermissions(user, actor.organizationId);
+    if (this.isAdministrator(user.role, permissions ?? [])) {
+      throw new ForbiddenException('Administrators cannot be impersonated');
+    }
+
+    const ttlMs = this.getTokenTtlMs();
+    const signingKey = await this.jwtKeysService.getSigningKey();
+    const accessToken = this.jwtService.sign(
+      {
+        sub: user.id,
+        email: user.email,
+        role: user.role,
+        act: { sub: actor.id },
+        org: actor.organizationId, // ✅ TENANCY: Stays in the admin's organization whatever the user switches to
+      },
+      {
+        privateKey: signingKey.privateKey,
+        algorithm: signingKey.algorithm,
+        keyid: signingKey.kid,
+        expiresIn: Math.floor(ttlMs / 1000),
+      },
+    );
+
+    await this.record({
+      actorId: actor.id,
+      userId: user.id,
+      organizationId: actor.organizationId,
+      action: ImpersonationAction.START,
+      ipAddress,
+    });
+
+    this.logger.warn(`🚨 SECURITY EVENT: Admin ${actor.id} started impersonating user ${user.id}`, {
+      event: 'impersonation_started',
+      actorId: actor.id,
+      userId: user.id,
+      ipAddress,
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      accessToken,
+      accessTokenExpiresAt: new Date(Date.now() + ttlMs).toISOString(),
+      tokenType: 'Bearer',
+      user: { id: user.id, email: user.email, name: user.name, role: user.role },
+    };
+  }
+
+  /**
+   * The admin named by a token's `act` claim. Checked on every request, so an admin losing
+   * the permission (or the user becoming an admin) ends the impersonation right away.
+   * `user` is the impersonated user with their permissions in the token's organization.
+   */
+  async resolveImpersonator(
+    actorId: string,
+    user: { role: string; permissions: string[] },
+  ): Promise<Impersonator> {
+    const actor = await this.usersService.findOne(actorId).catch(() => null);
+
+    if (
+      !actor ||
+      !(await this.rolesService.hasPermission(actor.role, PermissionName.USERS_IMPERSONATE)) ||
+      this.isAdministrator(user.role, user.permissions)
+    ) {
+      throw new UnauthorizedException('Impersonation is no longer allowed');
+    }
+
+    return { id: actor.id, email: actor.email, name: actor.name, role: actor.role };
+  }
+
+  /**
+   * Record a write made with an impersonation token. Never throws, the request already happened.
+   */
+  async recordWrite(
+    impersonator: Impersonator,
+    user: { id: string; organizationId: string },
+    request: { method: string; originalUrl?: string; url: string; ip?: string },
+    statusCode: number,
+  ): Promise<void> {
+    const path = (request.originalUrl ?? request.url).slice(0, 2048);
+
+    this.logger.log(
+      `Admin ${impersonator.id} as user ${user.id}: ${request.method} ${path} ${statusCode}`,
+      {
+        event: 'impersonated_write',
+        actorId: impersonator.id,
+        userId: user.id,
+        method: request.method,
+        path,
+        statusCode,
+      },
+    );
+
+    try {
+      await this.record({
+        actorId: impersonator.id,
+        userId: user.id,
+        organizationId: user.organizationId,
+        action: ImpersonationAction.WRITE,
+        method: request.method,
+        path,
+        statusCode,
+        ipAddress: request.ip,
+      });
+    } catch (error) {
+      this.logger.error(
+        `Failed to record impersonated write by admin ${impersonator.id}: ${error instanceof Error ? error.message : 'Unknown error'}`,
+      );
+    }
+  }
+
+  /**
+   * The trail of one organization, so admins only see impersonations made in theirs
+   */
+  async findLogs(
+    query: ImpersonationLogQueryDto,
+    organizationId: string,
+  ): Promise<ImpersonationLog[]> {
+    return this.impersonationLogRepository.find({
+      where: {
+        organizationId,
+        ...(query.actorId && { actorId: query.actorId }),
+        ...(query.userId && { userId: query.userId }),
+      },
+      order: { createdAt: 'DESC' },
+      take: query.limit ?? 50,
+    });
+  }
+
+  private async record(entry: Partial<ImpersonationLog>): Promise<void> {
+    await this.impersonationLogRepository.insert(this.impersonationLogRepository.create(entry));
+  }
+
+  /**
+   * Anyone who could manage roles or impersonate others counts as an admin here
+   */
+  private isAdministrator(role: string, permissions: string[]): boolean {
+    return (
+      role === ADMIN_ROLE ||
+      permissions.includes(PermissionName.ROLES_MANAGE) ||
+      permissions.includes(PermissionName.USERS_IMPERSONATE)
+    );
+  }
+
+  /**
+   * IMPERSONATION_TOKEN_EXPIRATION, but never longer than a regular access token (signing keys
+   * are only trusted that long after they retire)
+   */
+  private getTokenTtlMs(): number {
+    const accessTokenTtlMs = durationToMs(
+      this.configService.get('jwt.expiresIn', '15m'),
+      15 * 60 * 1000,
+    );
+    const configuredMs = durationToMs(
+      this.configService.get('IMPERSONATION_TOKEN_EXPIRATION', '15m'),
+      15 * 60 * 1000,
+    );
+    return Math.min(configuredMs, accessTokenTtlMs);
+  }
+}
@@ -0,0 +1,263 @@
+import { Injectable, Logger, OnModuleInit } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { EntityManager, IsNull, LessThan, MoreThan, Repository } from 'typeorm';
+import { createPublicKey, generateKeyPairSync, JsonWebKey, randomUUID } from 'crypto';
+import { JwtSigningKey, JwtSigningAlgorithm } from '../entities/jwt-signing-key.entity';
+import { decryptSecret, encryptSecret } from '../../../common/utils/secret-box';
+import { durationToMs } from '../../../common/utils/duration';
+
+export interface SigningKey {
+  kid: string;
+  algorithm: JwtSigningAlgorithm;
+  privateKey: string;
+}
+
+export interface VerificationKey {
+  algorithm: JwtSigningAlgorithm;
+  publicKey: string;
+}
+
+export interface PublicJwk extends JsonWebKey {
+  kid: string;
+  alg: JwtSigningAlgorithm;
+  use: 'sig';
+}
+
+export const JWT_SIGNING_ALGORITHMS: JwtSigningAlgorithm[] = ['RS256', 'ES256'];
+
+// Any number works, it just has to be the same everywhere keys are created
+const KEY_ROTATION_LOCK_ID = 7_301_022;
+
+/**
+ * Asymmetric signing keys for access tokens, identified by the `kid` header.
+ *
+ * One key signs at a time. Rotating creates a successor that is published in the JWKS right
+ * away but only starts signing after JWT_KEY_ACTIVATION_DELAY (so verifiers caching the JWKS
+ * learn it first); the old key keeps verifying until every token it signed has expired. Keys
+ * are cached per instance and reloaded every minute, or sooner when an unknown `kid` shows up,
+ * so rotating on one instance reaches the others without a restart.
+ */
+@Injectable()
+export class JwtKeysService implements OnModuleInit {
+  private readonly logger = new Logger(JwtKeysService.name);
+  private readonly RELOAD_INTERVAL_MS = 60 * 1000;
+  private readonly UNKNOWN_KID_RELOAD_INTERVAL_MS = 10 * 1000; // Forged kids can't hammer the DB
+  private readonly CLOCK_SKEW_MS = 60 * 1000;
+
+  private keys: JwtSigningKey[] = [];
+  private signingKeys = new Map<string, SigningKey>();
+  private loadedAt = 0;
+
+  constructor(
+    @InjectRepository(JwtSigningKey)
+    private signingKeyRepository: Repository<JwtSigningKey>,
+    private readonly configService: ConfigService,
+  ) {}
+
+  async onModuleInit(): Promise<void> {
+    await this.ensureSigningKey();
+  }
+
+  /**
+   * Create the first key unless there already is one (several instances may start at once)
+   */
+  async ensureSigningKey(): Promise<void> {
+    await this.signingKeyRepository.manager.transaction(async manager => {
+      await manager.query('SELECT pg_advisory_xact_lock($1)', [KEY_ROTATION_LOCK_ID]);
+
+      const current = await manager.findOne(JwtSigningKey, { where: { retiredAt: IsNull() } });
+      if (!current) {
+        await this.createKey(manager, new Date());
+      }
+    });
+
+    await this.reload();
+  }
+
+  /**
+   * Create a successor for the current key, signing after JWT_KEY_ACTIVATION_DELAY
+   */
+  async rotate(): Promise<JwtSigningKey> {
+    const activationDelayMs = durationToMs(
+      this.configService.get('JWT_KEY_ACTIVATION_DELAY', '5m'),
+      5 * 60 * 1000,
+    );
+    const now = new Date();
+    const activatesAt = new Date(now.getTime() + activationDelayMs);
+
+    const key = await this.signingKeyRepository.manager.transaction(async manager => {
+      await manager.query('SELECT pg_advisory_xact_lock($1)', [KEY_ROTATION_LOCK_ID]);
+
+      // Rotating again before the last successor activated replaces it, it never signed anything
+      await manager.delete(JwtSigningKey, { activatesAt: MoreThan(now) });
+      await manager.delete(JwtSigningKey, {
+        retiredAt: LessThan(new Date(now.getTime() - this.getVerificationWindowMs())),
+      });
+      return this.createKey(manager, activatesAt);
+    });
+
+    await this.reload();
+    this.logger.log(
+      `JWT signing key ${key.kid} created, signing from ${activatesAt.toISOString()}`,
+    );
+
+    return key;
+  }
+
+  async getSigningKey(): Promise<SigningKey> {
+    if (Date.now() - this.loadedAt > this.RELOAD_INTERVAL_MS) {
+      await this.reload();
+    }
+
+    const now = Date.now();
+    const current = this.keys.find(
+      key => key.activatesAt.getTime() <= now && !this.isRetired(key, now),
+    );
+    if (!current) {
+      throw new Error('No active JWT signing key');
+    }
+
+    let signingKey = this.signingKeys.get(current.kid);
+    if (!signingKey) {
+      const { privateKey } = await this.signingKeyRepository
+        .createQueryBuilder('key')
+        .select(['key.kid', 'key.privateKey'])
+        .where('key.kid = :kid', { kid: current.kid })
+        .getOneOrFail();
+
+      signingKey = {
+        kid: current.kid,
+        algorithm: current.algorithm,
+        privateKey: decryptSecret(privateKey, this.getEncryptionKey()),
+      };
+      this.signingKeys.set(current.kid, signingKey);
+    }
+
+    return signingKey;
+  }
+
+  /**
+   * Public key for a token's `kid`, or null if it's unknown or no longer trusted
+   */
+  async getVerificationKey(kid: string): Promise<VerificationKey | null> {
+    let key = this.keys.find(candidate => candidate.kid === kid);
+
+    if (!key && Date.now() - this.loadedAt > this.UNKNOWN_KID_RELOAD_INTERVAL_MS) {
+      await this.reload();
+      key = this.keys.find(candidate => candidate.kid === kid);
+    }
+
+    if (!key || !this.isVerifiable(key, Date.now())) {
+      return null;
+    }
+
+    return { algorithm: key.algorithm, publicKey: key.publicKey };
+  }
+
+  /**
+   * Current, upcoming and recently retired keys as a JWK set
+   */
+  async getJwks(): Promise<{ keys: PublicJwk[] }> {
+    if (Date.now() - this.loadedAt > this.RELOAD_INTERVAL_MS) {
+      await this.reload();
+    }
+
+    const now = Date.now();
+    return {
+      keys: this.keys
+        .filter(key => this.isVerifiable(key, now))
+        .map(key => ({
+          ...createPublicKey(key.publicKey).export({ format: 'jwk' }),
+          kid: key.kid,
+          alg: key.algorithm,
+          use: 'sig' as const,
+        })),
+    };
+  }
+
+  async findAll(): Promise<JwtSigningKey[]> {
+    return this.signingKeyRepository.find({ order: { activatesAt: 'DESC' } });
+  }
+
+  private async reload(): Promise<void> {
+    // Newest first, so the first active key found is the one signing
+    this.keys = await this.signingKeyRepository.find({ order: { activatesAt: 'DESC' } });
+    this.loadedAt = Date.now();
+
+    const kids = new Set(this.keys.map(key => key.kid));
+    for (const kid of this.signingKeys.keys()) {
+      if (!kids.has(kid)) {
+        this.signingKeys.delete(kid);
+      }
+    }
+  }
+
+  private async createKey(manager: EntityManager, activatesAt: Date): Promise<JwtSigningKey> {
+    const algorithm = this.getAlgorithm();
+    const { publicKey, privateKey } =
+      algorithm === 'ES256'
+        ? generateKeyPairSync('ec', { namedCurve: 'P-256' })
+        : generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    // ✅ ROTATION: The current key retires when its successor starts signing
+    await manager
+      .createQueryBuilder()
+      .update(JwtSigningKey)
+      .set({ retiredAt: activatesAt })
+      .where('retired_at IS NULL OR retired_at > :now', { now: new Date() })
+      .execute();
+
+    const key = manager.create(JwtSigningKey, {
+      kid: randomUUID(),
+      algorithm,
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }).toString(),
+      privateKey: encryptSecret(
+        privateKey.export({ type: 'pkcs8', format: 'pem' }).toString(),
+        this.getEncryptionKey(),
+      ),
+      activatesAt,
+      retiredAt: null,
+    });
+
+    return manager.save(key);
+  }
+
+  private isRetired(key: JwtSigningKey, now: number): boolean {
+    return !!key.retiredAt && key.retiredAt.getTime() <= now;
+  }
+
+  /**
+   * Keys verify until the last token they could have signed has expired
+   */
+  private isVerifiable(key: JwtSigningKey, now: number): boolean {
+    return !key.retiredAt || key.retiredAt.getTime() + this.getVerificationWindowMs() > now;
+  }
+
+  private getVerificationWindowMs(): number {
+    const accessTokenTtlMs = durationToMs(
+      this.configService.get('jwt.expiresIn', '15m'),
+      15 * 60 * 1000,
+    );
+    return accessTokenTtlMs + this.CLOCK_SKEW_MS;
+  }
+
+  private getAlgorithm(): JwtSigningAlgorithm {
+    const configured = String(
+      this.configService.get('JWT_SIGNING_ALGORITHM', 'RS256'),
+    ).toUpperCase();
+    return JWT_SIGNING_ALGORITHMS.includes(configured as JwtSigningAlgorithm)
+      ? (configured as JwtSigningAlgorithm)
+      : 'RS256';
+  }
+
+  /**
+   * JWT_KEY_ENCRYPTION_KEY if set, otherwise derived from the JWT secret
+   */
+  private getEncryptionKey(): string {
+    return (
+      this.configService.get('JWT_KEY_ENCRYPTION_KEY') ||
+      `${this.configService.get('jwt.secret')}:jwt-signing-keys`
+    );
+  }
+}
@@ -0,0 +1,143 @@
+import { Test } from '@nestjs/testing';
+import { ConfigService } from '@nestjs/config';
+import { UnauthorizedException } from '@nestjs/common';
+import { LoginAttemptService } from './login-attempt.service';
+import { RedisCacheService } from '../../../common/services/redis-cache.service';
+
+const EMAIL = 'ada@example.com';
+
+describe('LoginAttemptService', () => {
+  let service: LoginAttemptService;
+  let store: Map<string, unknown>;
+  let cacheService: Record<string, jest.Mock>;
+  let config: Record<string, unknown>;
+
+  const fail = async (times: number, email = EMAIL) => {
+    for (let i = 0; i < times; i++) {
+      await service.recordFailure(email);
+    }
+  };
+  const lockTtl = (): number => cacheService.set.mock.calls.at(-1)[2].ttl;
+
+  beforeEach(async () => {
+    config = {};
+    store = new Map();
+    // In-memory stand-in for Redis; TTLs are recorded on the calls, not enforced
+    cacheService = {
+      get: jest.fn(async (key, namespace) => store.get(`${namespace}:${key}`) ?? null),
+      set: jest.fn(async (key, value, { namespace }) => {
+        store.set(`${namespace}:${key}`, value);
+      }),
+      increment: jest.fn(async (key, { namespace }) => {
+        const next = ((store.get(`${namespace}:${key}`) as number) ?? 0) + 1;
+        store.set(`${namespace}:${key}`, next);
+        return next;
+      }),
+      delete: jest.fn(async (key, namespace) => store.delete(`${namespace}:${key}`)),
+    };
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        LoginAttemptService,
+        { provide: RedisCacheService, useValue: cacheService },
+        {
+          provide: ConfigService,
+          useValue: { get: jest.fn((key, fallback) => config[key] ?? fallback) },
+        },
+      ],
+    }).compile();
+
+    service = moduleRef.get(LoginAttemptService);
+  });
+
+  describe('lockout', () => {
+    it('locks the account after the fifth failure with the same error as a wrong password', async () => {
+      await fail(4);
+      await expect(service.assertNotLocked(EMAIL)).resolves.toBeUndefined();
+
+      await fail(1);
+
+      await expect(service.assertNotLocked(EMAIL)).rejects.toThrow(
+        new UnauthorizedException('Invalid credentials'),
+      );
+      expect(lockTtl()).toBe(60);
+    });
+
+    it('doubles each further lockout within a day, up to the maximum', async () => {
+      const ttls: number[] = [];
+      for (let lockout = 0; lockout < 8; lockout++) {
+        await fail(5);
+        ttls.push(lockTtl());
+      }
+
+      expect(ttls).toEqual([60, 120, 240, 480, 960, 1920, 3600, 3600]);
+    });
+
+    it('uses the configured thresholds and ignores invalid ones', async () => {
+      config = {
+        LOGIN_MAX_FAILED_ATTEMPTS: '3',
+        LOGIN_LOCKOUT_BASE_SECONDS: '30',
+        LOGIN_LOCKOUT_MAX_SECONDS: 'never',
+      };
+
+      await fail(3);
+
+      expect(lockTtl()).toBe(30);
+    });
+
+    it('counts failures per account regardless of case, keyed by a hash', async () => {
+      await fail(3, EMAIL);
+      await fail(2, ' ADA@Example.com');
+
+      await expect(service.assertNotLocked(EMAIL)).rejects.toThrow(UnauthorizedException);
+      expect([...store.keys()].some(key => key.includes('ada'))).toBe(false);
+    });
+
+    it('forgets failures and lockout history after a successful login', async () => {
+      await fail(5);
+      store.delete([...store.keys()].find(key => key.includes(':lock:'))!); // Lock expired
+      await fail(4);
+
+      await service.recordSuccess(EMAIL);
+      await fail(5);
+
+      expect(lockTtl()).toBe(60);
+    });
+
+    it('lets an admin lift a lockout', async () => {
+      await fail(5);
+
+      await expect(service.unlock(EMAIL)).resolves.toBe(true);
+      await expect(service.assertNotLocked(EMAIL)).resolves.toBeUndefined();
+      await expect(service.unlock(EMAIL)).resolves.toBe(false);
+    });
+
+    it("doesn't throttle logins while Redis is unavailable", async () => {
+      cacheService.increment.mockResolvedValue(null);
+
+      await fail(10);
+
+      expect(cacheService.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('two-factor challenges', () => {
+    it('spends a challenge after too many wrong codes', async () => {
+      for (let i = 0; i < 4; i++) {
+        await service.recordChallengeFailure('challenge-1', 300);
+      }
+      await expect(service.assertChallengeUsable('challenge-1')).resolves.toBeUndefined();
+
+      await service.recordChallengeFailure('challenge-1', 300);
+
+      await expect(service.assertChallengeUsable('challenge-1')).rejects.toThrow(
+        'Too many invalid codes, sign in again',
+      );
+      await expect(service.assertChallengeUsable('challenge-2')).resolves.toBeUndefined();
+      expect(cacheService.increment).toHaveBeenCalledWith('challenge:challenge-1', {
+        ttl: 300,
+        namespace: 'login-attempts',
+      });
+    });
+  });
+});
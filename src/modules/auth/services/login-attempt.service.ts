@@ -0,0 +1,145 @@
+import { Injectable, Logger, UnauthorizedException } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { createHash } from 'crypto';
+import { RedisCacheService } from '../../../common/services/redis-cache.service';
+
+interface AccountLock {
+  lockedUntil: string;
+  lockouts: number;
+}
+
+/**
+ * Per-account brute-force protection for password logins, independent of the caller's IP.
+ *
+ * Failed attempts are counted per email in Redis. Reaching LOGIN_MAX_FAILED_ATTEMPTS locks the
+ * account for LOGIN_LOCKOUT_BASE_SECONDS, doubling with each further lockout within a day up to
+ * LOGIN_LOCKOUT_MAX_SECONDS. Wrong two-factor codes count as failed logins too. Unknown emails
+ * are counted and locked the same way, and a locked account gets the same "Invalid credentials"
+ * as a wrong password, so neither reveals which accounts exist. If Redis is down, logins are
+ * not throttled.
+ */
+@Injectable()
+export class LoginAttemptService {
+  private readonly logger = new Logger(LoginAttemptService.name);
+  private readonly NAMESPACE = 'login-attempts';
+  private readonly LOCKOUT_HISTORY_TTL = 24 * 60 * 60; // Lockouts within a day escalate
+
+  constructor(
+    private readonly cacheService: RedisCacheService,
+    private readonly configService: ConfigService,
+  ) {}
+
+  async assertNotLocked(email: string): Promise<void> {
+    const lock = await this.cacheService.get<AccountLock>(this.key('lock', email), this.NAMESPACE);
+
+    if (lock) {
+      this.logger.warn(
+        `Login attempt on locked account ${this.accountId(email)} (locked until ${lock.lockedUntil})`,
+      );
+      throw new UnauthorizedException('Invalid credentials');
+    }
+  }
+
+  async recordFailure(email: string): Promise<void> {
+    const failures = await this.cacheService.increment(this.key('failures', email), {
+      ttl: this.getSetting('LOGIN_FAILURE_WINDOW_SECONDS', 15 * 60),
+      namespace: this.NAMESPACE,
+    });
+
+    if (failures === null || failures < this.getSetting('LOGIN_MAX_FAILED_ATTEMPTS', 5)) {
+      return;
+    }
+
+    const lockouts =
+      (await this.cacheService.increment(this.key('lockouts', email), {
+        ttl: this.LOCKOUT_HISTORY_TTL,
+        namespace: this.NAMESPACE,
+      })) ?? 1;
+
+    // ✅ SECURITY: Exponential backoff, each lockout within a day lasts twice as long
+    const baseSeconds = this.getSetting('LOGIN_LOCKOUT_BASE_SECONDS', 60);
+    const maxSeconds = this.getSetting('LOGIN_LOCKOUT_MAX_SECONDS', 60 * 60);
+    const lockSeconds = Math.min(baseSeconds * 2 ** (lockouts - 1), maxSeconds);
+    const lockedUntil = new Date(Date.now() + lockSeconds * 1000).toISOString();
+
+    await this.cacheService.set<AccountLock>(
+      this.key('lock', email),
+      { lockedUntil, lockouts },
+      { ttl: lockSeconds, namespace: this.NAMESPACE },
+    );
+    await this.cacheService.delete(this.key('failures', email), this.NAMESPACE);
+
+    this.logger.warn(
+      `🚨 SECURITY EVENT: Account ${this.accountId(email)} locked for ${lockSeconds}s after ${failures} failed logins`,
+      {
+        event: 'account_locked',
+        account: this.accountId(email),
+        failedAttempts: failures,
+        lockouts,
+        lockedUntil,
+        timestamp: new Date().toISOString(),
+      },
+    );
+  }
+
+  async recordSuccess(email: string): Promise<void> {
+    await this.cacheService.delete(this.key('failures', email), this.NAMESPACE);
+    await this.cacheService.delete(this.key('lockouts', email), this.NAMESPACE);
+  }
+
+  /**
+   * Lift a lockout and forget previous failures (admin action)
+   */
+  async unlock(email: string): Promise<boolean> {
+    const wasLocked = await this.cacheService.delete(this.key('lock', email), this.NAMESPACE);
+    await this.recordSuccess(email);
+
+    this.logger.log(`Account ${this.accountId(email)} unlocked`);
+    return wasLocked;
+  }
+
+  /**
+   * ✅ 2FA: A login challenge is spent once it has seen TWO_FACTOR_MAX_FAILED_ATTEMPTS wrong codes,
+   * so each round of guesses costs a fresh password login
+   */
+  async assertChallengeUsable(challengeId: string): Promise<void> {
+    const failures = await this.cacheService.get<number>(
+      `challenge:${challengeId}`,
+      this.NAMESPACE,
+    );
+
+    if (failures !== null && failures >= this.getSetting('TWO_FACTOR_MAX_FAILED_ATTEMPTS', 5)) {
+      throw new UnauthorizedException('Too many invalid codes, sign in again');
+    }
+  }
+
+  /**
+   * Count a wrong code against a challenge, for as long as the challenge itself is valid
+   */
+  async recordChallengeFailure(challengeId: string, ttlSeconds: number): Promise<void> {
+    const failures = await this.cacheService.increment(`challenge:${challengeId}`, {
+      ttl: ttlSeconds,
+      namespace: this.NAMESPACE,
+    });
+
+    if (failures !== null && failures === this.getSetting('TWO_FACTOR_MAX_FAILED_ATTEMPTS', 5)) {
+      this.logger.warn(`Two-factor challenge invalidated after ${failures} wrong codes`);
+    }
+  }
+
+  private key(kind: 'failures' | 'lockouts' | 'lock', email: string): string {
+    return `${kind}:${this.accountId(email)}`;
+  }
+
+  /**
+   * ✅ SECURITY: Keys and logs use a hash of the email, so they don't leak addresses
+   */
+  private accountId(email: string): string {
+    return createHash('sha256').update(email.trim().toLowerCase()).digest('hex').slice(0, 32);
+  }
+
+  private getSetting(name: string, defaultValue: number): number {
+    const configured = Number(this.configService.get(name, defaultValue));
+    return Number.isFinite(configured) && configured > 0 ? configured : defaultValue;
+  }
+}
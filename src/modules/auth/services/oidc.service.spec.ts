@@ -0,0 +1,253 @@
+import { Test } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { JwtService } from '@nestjs/jwt';
+import { ConflictException, ForbiddenException, UnauthorizedException } from '@nestjs/common';
+import { createHash, generateKeyPairSync } from 'crypto';
+import { OidcService } from './oidc.service';
+import { UserIdentity } from '../entities/user-identity.entity';
+import { UsersService } from '../../users/users.service';
+import { OidcProviderConfig } from '../../../config/oidc.config';
+
+const ISSUER = 'https://idp.example.com';
+const CLIENT_ID = 'taskflow';
+const { publicKey, privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+describe('OidcService', () => {
+  let service: OidcService;
+  let jwtService: JwtService;
+  let provider: OidcProviderConfig;
+  let identityRepository: Record<string, jest.Mock>;
+  let usersService: Record<string, jest.Mock>;
+  let tokenRequests: { headers: Record<string, string>; body: URLSearchParams }[];
+  let idTokenClaims: Record<string, unknown>;
+  let idToken: string | undefined; // Sent instead of a token signed with idTokenClaims
+
+  // The fake IdP answers discovery, the token endpoint and its JWKS
+  const idp = async (url: string | URL | Request, init?: RequestInit) => {
+    const json = (body: unknown, status = 200) =>
+      new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+      });
+
+    switch (String(url)) {
+      case `${ISSUER}/.well-known/openid-configuration`:
+        return json({
+          issuer: ISSUER,
+          authorization_endpoint: `${ISSUER}/authorize`,
+          token_endpoint: `${ISSUER}/token`,
+          jwks_uri: `${ISSUER}/jwks`,
+        });
+      case `${ISSUER}/token`: {
+        const body = init!.body as URLSearchParams;
+        tokenRequests.push({ headers: init!.headers as Record<string, string>, body });
+        return json({ id_token: idToken ?? signIdToken(idTokenClaims) });
+      }
+      case `${ISSUER}/jwks`:
+        return json({
+          keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'idp-key-1', use: 'sig' }],
+        });
+      default:
+        return json({ error: 'not_found' }, 404);
+    }
+  };
+  const signIdToken = (claims: Record<string, unknown>) =>
+    jwtService.sign(claims, {
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }).toString(),
+      algorithm: 'ES256',
+      keyid: 'idp-key-1',
+      issuer: ISSUER,
+      ...(!claims.aud && { audience: CLIENT_ID }),
+      expiresIn: 60,
+    });
+
+  // Start a sign-in and come back with what the IdP would send
+  const signIn = async (claims: Record<string, unknown> = {}) => {
+    const authorizationUrl = new URL(await service.createAuthorizationUrl('acme'));
+    const state = authorizationUrl.searchParams.get('state')!;
+    idTokenClaims = {
+      sub: 'idp-user-1',
+      email: 'ada@example.com',
+      email_verified: true,
+      name: 'Ada',
+      nonce: authorizationUrl.searchParams.get('nonce'),
+      ...claims,
+    };
+    return service.authenticate('acme', { code: 'auth-code', state });
+  };
+
+  beforeEach(async () => {
+    provider = {
+      id: 'acme',
+      name: 'Acme SSO',
+      issuer: ISSUER,
+      clientId: CLIENT_ID,
+      clientSecret: 's3cret',
+      scopes: 'openid email profile',
+      allowSignup: true,
+    };
+    tokenRequests = [];
+    idToken = undefined;
+    identityRepository = {
+      findOne: jest.fn().mockResolvedValue(null),
+      update: jest.fn(),
+      insert: jest.fn(),
+    };
+    usersService = {
+      findOne: jest.fn(async id => ({ id })),
+      findByEmail: jest.fn().mockResolvedValue(null),
+      create: jest.fn(async dto => ({ id: 'user-new', ...dto })),
+    };
+    jwtService = new JwtService();
+    jest.spyOn(global, 'fetch').mockImplementation(idp as typeof fetch);
+
+    const config: Record<string, unknown> = {
+      'jwt.secret': 'test-secret',
+      'oidc.redirectBaseUrl': 'https://api.example.com',
+    };
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        OidcService,
+        { provide: getRepositoryToken(UserIdentity), useValue: identityRepository },
+        { provide: UsersService, useValue: usersService },
+        { provide: JwtService, useValue: jwtService },
+        {
+          provide: ConfigService,
+          useValue: {
+            get: jest.fn((key, fallback) =>
+              key === 'oidc.providers' ? [provider] : (config[key] ?? fallback),
+            ),
+          },
+        },
+      ],
+    }).compile();
+
+    service = moduleRef.get(OidcService);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('authorization code flow', () => {
+    it('sends the browser to the IdP with PKCE, and redeems the code with the verifier', async () => {
+      const authorizationUrl = new URL(await service.createAuthorizationUrl('acme'));
+      const params = Object.fromEntries(authorizationUrl.searchParams);
+
+      expect(authorizationUrl.origin + authorizationUrl.pathname).toBe(`${ISSUER}/authorize`);
+      expect(params).toEqual(
+        expect.objectContaining({
+          response_type: 'code',
+          client_id: CLIENT_ID,
+          redirect_uri: 'https://api.example.com/auth/oidc/acme/callback',
+          code_challenge_method: 'S256',
+        }),
+      );
+
+      idTokenClaims = { sub: 'idp-user-1', email: 'ada@example.com', nonce: params.nonce };
+      await service.authenticate('acme', { code: 'auth-code', state: params.state });
+
+      const [{ headers, body }] = tokenRequests;
+      const verifier = body.get('code_verifier')!;
+      expect(createHash('sha256').update(verifier).digest('base64url')).toBe(params.code_challenge);
+      expect(headers.Authorization).toBe(
+        `Basic ${Buffer.from(`${CLIENT_ID}:s3cret`).toString('base64')}`,
+      );
+    });
+
+    it('signs a linked identity in as its user', async () => {
+      identityRepository.findOne.mockResolvedValue({
+        id: 'identity-1',
+        userId: 'user-1',
+        email: 'ada@example.com',
+      });
+
+      await expect(signIn()).resolves.toEqual({ id: 'user-1' });
+      expect(identityRepository.findOne).toHaveBeenCalledWith({
+        where: { provider: 'acme', subject: 'idp-user-1' },
+      });
+      expect(identityRepository.insert).not.toHaveBeenCalled();
+    });
+
+    it('passes on an error the IdP redirected back with', async () => {
+      await expect(
+        service.authenticate('acme', {
+          error: 'access_denied',
+          error_description: 'User declined',
+        }),
+      ).rejects.toThrow('Sign-in was rejected by the identity provider: User declined');
+    });
+  });
+
+  describe('first sign-in', () => {
+    it('links to the account with the same email once the IdP has verified it', async () => {
+      usersService.findByEmail.mockResolvedValue({ id: 'user-1', email: 'ada@example.com' });
+
+      await expect(signIn()).resolves.toEqual(expect.objectContaining({ id: 'user-1' }));
+      expect(identityRepository.insert).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 'user-1', provider: 'acme', subject: 'idp-user-1' }),
+      );
+    });
+
+    it("won't take over an existing account through an unverified email", async () => {
+      usersService.findByEmail.mockResolvedValue({ id: 'user-1', email: 'ada@example.com' });
+
+      await expect(signIn({ email_verified: 'false' })).rejects.toThrow(ConflictException);
+      expect(identityRepository.insert).not.toHaveBeenCalled();
+    });
+
+    it('creates a passwordless user when signup is allowed', async () => {
+      await expect(signIn({ email_verified: 'true' })).resolves.toEqual(
+        expect.objectContaining({ id: 'user-new' }),
+      );
+      expect(usersService.create).toHaveBeenCalledWith(
+        { email: 'ada@example.com', name: 'Ada' },
+        { emailVerified: true },
+      );
+
+      provider.allowSignup = false;
+      await expect(signIn()).rejects.toThrow(ForbiddenException);
+    });
+
+    it('uses the identity a concurrent callback linked first', async () => {
+      identityRepository.insert.mockRejectedValue({ code: '23505' });
+      identityRepository.findOneOrFail = jest.fn().mockResolvedValue({ userId: 'user-7' });
+
+      await expect(signIn()).resolves.toEqual({ id: 'user-7' });
+    });
+  });
+
+  describe('ID token checks', () => {
+    it('rejects a token minted for another login', async () => {
+      await expect(signIn({ nonce: 'from-another-login' })).rejects.toThrow(
+        new UnauthorizedException('Invalid ID token from the identity provider'),
+      );
+    });
+
+    it('rejects a token issued to several audiences without naming us as azp', async () => {
+      await expect(
+        signIn({ aud: [CLIENT_ID, 'another-client'], azp: 'another-client' }),
+      ).rejects.toThrow('Invalid ID token from the identity provider');
+    });
+
+    it('refuses tokens signed with a shared secret', async () => {
+      idToken = jwtService.sign({ sub: 'idp-user-1' }, { secret: 's3cret' });
+
+      await expect(signIn()).rejects.toThrow(UnauthorizedException);
+    });
+
+    it("won't accept a state from another provider or a tampered one", async () => {
+      const authorizationUrl = new URL(await service.createAuthorizationUrl('acme'));
+      const state = authorizationUrl.searchParams.get('state')!;
+      provider.id = 'other';
+
+      await expect(service.authenticate('other', { code: 'auth-code', state })).rejects.toThrow(
+        'Invalid or expired sign-in, please start again',
+      );
+      await expect(
+        service.authenticate('other', { code: 'auth-code', state: `${state}x` }),
+      ).rejects.toThrow('Invalid or expired sign-in, please start again');
+    });
+  });
+});
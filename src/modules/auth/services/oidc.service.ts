@@ -0,0 +1,469 @@
+import {
+  BadGatewayException,
+  BadRequestException,
+  ConflictException,
+  ForbiddenException,
+  Injectable,
+  Logger,
+  NotFoundException,
+  UnauthorizedException,
+} from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { JwtService } from '@nestjs/jwt';
+import { Repository } from 'typeorm';
+import { createHash, createPublicKey, JsonWebKey, randomBytes } from 'crypto';
+import { UserIdentity } from '../entities/user-identity.entity';
+import { User } from '../../users/entities/user.entity';
+import { UsersService } from '../../users/users.service';
+import { OidcProviderConfig } from '../../../config/oidc.config';
+import { decryptSecret, encryptSecret } from '../../../common/utils/secret-box';
+import { durationToMs } from '../../../common/utils/duration';
+
+interface OidcDiscovery {
+  issuer: string;
+  authorization_endpoint: string;
+  token_endpoint: string;
+  jwks_uri: string;
+  userinfo_endpoint?: string;
+  token_endpoint_auth_methods_supported?: string[];
+}
+
+interface OidcClaims {
+  sub: string;
+  email?: string;
+  email_verified?: boolean | string; // Some IdPs send "true"
+  name?: string;
+  preferred_username?: string;
+}
+
+/**
+ * What the authorization request needs to remember until the callback. It travels encrypted
+ * in the `state` parameter, so no server-side storage is needed.
+ */
+interface LoginState {
+  provider: string;
+  codeVerifier: string; // PKCE
+  nonce: string;
+  expiresAt: number;
+}
+
+export interface OidcCallbackParams {
+  code?: string;
+  state?: string;
+  error?: string;
+  error_description?: string;
+}
+
+// ✅ SECURITY: Asymmetric algorithms only, never "none" or a shared secret
+const ID_TOKEN_ALGORITHMS = [
+  'RS256',
+  'RS384',
+  'RS512',
+  'PS256',
+  'PS384',
+  'PS512',
+  'ES256',
+  'ES384',
+  'ES512',
+];
+
+/**
+ * Single sign-on with OpenID Connect providers (authorization code flow with PKCE).
+ *
+ * Identities are linked to users through `user_identities` by the IdP's `sub`. On the first
+ * sign-in an identity is linked to the user with the same email if the IdP has verified that
+ * address, otherwise a passwordless user is created (unless the provider has ALLOW_SIGNUP=false).
+ * Discovery documents and JWKS are cached per instance.
+ */
+@Injectable()
+export class OidcService {
+  private readonly logger = new Logger(OidcService.name);
+  private readonly DISCOVERY_TTL_MS = 60 * 60 * 1000;
+  private readonly JWKS_TTL_MS = 60 * 60 * 1000;
+  private readonly JWKS_REFRESH_INTERVAL_MS = 60 * 1000; // Unknown kids can't make us hammer the IdP
+  private readonly HTTP_TIMEOUT_MS = 10 * 1000;
+  private readonly CLOCK_TOLERANCE_SECONDS = 60;
+
+  private discoveries = new Map<string, { document: OidcDiscovery; loadedAt: number }>();
+  private jwks = new Map<string, { keys: JsonWebKey[]; loadedAt: number }>();
+
+  constructor(
+    @InjectRepository(UserIdentity)
+    private identityRepository: Repository<UserIdentity>,
+    private readonly usersService: UsersService,
+    private readonly jwtService: JwtService,
+    private readonly configService: ConfigService,
+  ) {}
+
+  getProviders(): { id: string; name: string }[] {
+    return this.getProviderConfigs().map(({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * Where to send the browser to sign in with a provider
+   */
+  async createAuthorizationUrl(providerId: string): Promise<string> {
+    const provider = this.getProvider(providerId);
+    const discovery = await this.getDiscovery(provider);
+
+    const codeVerifier = randomBytes(32).toString('base64url');
+    const nonce = randomBytes(16).toString('base64url');
+    const state = this.createState({
+      provider: provider.id,
+      codeVerifier,
+      nonce,
+      expiresAt:
+        Date.now() +
+        durationToMs(this.configService.get('oidc.stateExpiration', '10m'), 10 * 60 * 1000),
+    });
+
+    const url = new URL(discovery.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: this.getRedirectUri(provider),
+      scope: provider.scopes,
+      state,
+      nonce,
+      code_challenge: createHash('sha256').update(codeVerifier).digest('base64url'),
+      code_challenge_method: 'S256',
+    }).toString();
+
+    return url.toString();
+  }
+
+  /**
+   * Handle the IdP's redirect back: exchange the code, verify the ID token and find (or
+   * create) the user it signs in as
+   */
+  async authenticate(providerId: string, params: OidcCallbackParams): Promise<User> {
+    const provider = this.getProvider(providerId);
+
+    if (params.error) {
+      throw new UnauthorizedException(
+        `Sign-in was rejected by the identity provider: ${params.error_description || params.error}`,
+      );
+    }
+
+    if (!params.code || !params.state) {
+      throw new BadRequestException('code and state are required');
+    }
+
+    const state = this.readState(params.state, provider.id);
+    const discovery = await this.getDiscovery(provider);
+    const tokens = await this.exchangeCode(provider, discovery, params.code, state.codeVerifier);
+    let claims = await this.verifyIdToken(provider, discovery, tokens.id_token, state.nonce);
+
+    // Some IdPs keep the email out of the ID token
+    if (!claims.email && discovery.userinfo_endpoint && tokens.access_token) {
+      claims = {
+        ...(await this.fetchUserInfo(discovery, tokens.access_token, claims.sub)),
+        ...claims,
+      };
+    }
+
+    return this.findOrProvisionUser(provider, claims);
+  }
+
+  private async findOrProvisionUser(
+    provider: OidcProviderConfig,
+    claims: OidcClaims,
+  ): Promise<User> {
+    const email = claims.email?.trim() || null;
+    const identity = await this.identityRepository.findOne({
+      where: { provider: provider.id, subject: claims.sub },
+    });
+
+    if (identity) {
+      await this.identityRepository.update(
+        { id: identity.id },
+        { lastLoginAt: new Date(), email: email ?? identity.email },
+      );
+      return this.usersService.findOne(identity.userId);
+    }
+
+    if (!email) {
+      throw new UnauthorizedException('The identity provider did not share an email address');
+    }
+
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    let user = await this.usersService.findByEmail(email);
+
+    if (user) {
+      // ✅ SECURITY: Only an address the IdP vouches for may sign in to an existing account
+      if (!emailVerified) {
+        throw new ConflictException(
+          'An account with this email already exists and the identity provider has not verified the address',
+        );
+      }
+    } else {
+      if (!provider.allowSignup) {
+        throw new ForbiddenException('There is no account for this identity');
+      }
+
+      // ✅ SSO: Just-in-time provisioning, without a password
+      user = await this.usersService.create(
+        { email, name: claims.name || claims.preferred_username || email },
+        { emailVerified },
+      );
+    }
+
+    try {
+      await this.identityRepository.insert({
+        userId: user.id,
+        provider: provider.id,
+        subject: claims.sub,
+        email,
+        lastLoginAt: new Date(),
+      });
+    } catch (error) {
+      // A concurrent callback for the same identity linked it first
+      if ((error as { code?: string }).code === '23505') {
+        const linked = await this.identityRepository.findOneOrFail({
+          where: { provider: provider.id, subject: claims.sub },
+        });
+        return this.usersService.findOne(linked.userId);
+      }
+      throw error;
+    }
+
+    this.logger.log(`Linked ${provider.id} identity ${claims.sub} to user ${user.id}`, {
+      event: 'identity_linked',
+      provider: provider.id,
+      userId: user.id,
+      timestamp: new Date().toISOString(),
+    });
+
+    return user;
+  }
+
+  private async exchangeCode(
+    provider: OidcProviderConfig,
+    discovery: OidcDiscovery,
+    code: string,
+    codeVerifier: string,
+  ): Promise<{ id_token: string; access_token?: string }> {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.getRedirectUri(provider),
+      code_verifier: codeVerifier,
+      client_id: provider.clientId,
+    });
+    const headers: Record<string, string> = {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json',
+    };
+
+    // client_secret_basic is the default every IdP supports, unless it says otherwise
+    if (provider.clientSecret) {
+      const methods = discovery.token_endpoint_auth_methods_supported;
+      if (!methods || methods.includes('client_secret_basic')) {
+        const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+      } else {
+        body.set('client_secret', provider.clientSecret);
+      }
+    }
+
+    const response = await this.request(discovery.token_endpoint, {
+      method: 'POST',
+      headers,
+      body,
+    });
+    const tokens = await response.json().catch(() => ({}));
+
+    if (!response.ok || typeof tokens.id_token !== 'string') {
+      this.logger.warn(
+        `Code exchange with ${provider.id} failed (${response.status}): ${tokens.error ?? 'no ID token'}`,
+      );
+      throw new UnauthorizedException('Sign-in with the identity provider failed');
+    }
+
+    return tokens;
+  }
+
+  private async verifyIdToken(
+    provider: OidcProviderConfig,
+    discovery: OidcDiscovery,
+    idToken: string,
+    nonce: string,
+  ): Promise<OidcClaims> {
+    const header = this.jwtService.decode(idToken, { complete: true })?.header;
+
+    if (!header || !ID_TOKEN_ALGORITHMS.includes(header.alg)) {
+      throw new UnauthorizedException('Invalid ID token from the identity provider');
+    }
+
+    const publicKey = await this.getIdTokenKey(discovery, header.alg, header.kid);
+
+    try {
+      const claims = this.jwtService.verify<OidcClaims & { aud: string | string[]; azp?: string }>(
+        idToken,
+        {
+          publicKey,
+          algorithms: [header.alg],
+          issuer: discovery.issuer,
+          audience: provider.clientId,
+          nonce, // ✅ SECURITY: Ties the token to this login, so it can't be replayed into another
+          clockTolerance: this.CLOCK_TOLERANCE_SECONDS,
+        },
+      );
+
+      // With several audiences, the token must have been issued to us (OIDC Core 3.1.3.7)
+      if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+        throw new Error('azp does not match the client id');
+      }
+
+      return claims;
+    } catch (error) {
+      this.logger.warn(
+        `Rejected ID token from ${provider.id}: ${error instanceof Error ? error.message : 'Unknown error'}`,
+      );
+      throw new UnauthorizedException('Invalid ID token from the identity provider');
+    }
+  }
+
+  /**
+   * PEM of the IdP key that signed a token, refetching the JWKS once if the kid is new
+   * (the IdP rotated its keys)
+   */
+  private async getIdTokenKey(
+    discovery: OidcDiscovery,
+    algorithm: string,
+    kid?: string,
+  ): Promise<string> {
+    const keyType = algorithm.startsWith('ES') ? 'EC' : 'RSA';
+    const findKey = (keys: JsonWebKey[]) => {
+      const candidates = keys.filter(key => key.kty === keyType && (!key.use || key.use === 'sig'));
+      return kid
+        ? candidates.find(key => key.kid === kid)
+        : candidates.length === 1
+          ? candidates[0]
+          : undefined;
+    };
+
+    let cached = this.jwks.get(discovery.jwks_uri);
+    let key =
+      cached && Date.now() - cached.loadedAt < this.JWKS_TTL_MS ? findKey(cached.keys) : undefined;
+
+    if (!key && (!cached || Date.now() - cached.loadedAt > this.JWKS_REFRESH_INTERVAL_MS)) {
+      const response = await this.request(discovery.jwks_uri);
+      const { keys } = await response.json().catch(() => ({ keys: undefined }));
+      if (!response.ok || !Array.isArray(keys)) {
+        throw new BadGatewayException('Could not load the identity provider keys');
+      }
+
+      cached = { keys, loadedAt: Date.now() };
+      this.jwks.set(discovery.jwks_uri, cached);
+      key = findKey(keys);
+    }
+
+    if (!key) {
+      throw new UnauthorizedException('Invalid ID token from the identity provider');
+    }
+
+    return createPublicKey({ key, format: 'jwk' })
+      .export({ type: 'spki', format: 'pem' })
+      .toString();
+  }
+
+  private async fetchUserInfo(
+    discovery: OidcDiscovery,
+    accessToken: string,
+    subject: string,
+  ): Promise<OidcClaims> {
+    const response = await this.request(discovery.userinfo_endpoint!, {
+      headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' },
+    });
+    const userInfo = await response.json().catch(() => null);
+
+    // ✅ SECURITY: UserInfo must describe the same account as the ID token (OIDC Core 5.3.2)
+    if (!response.ok || userInfo?.sub !== subject) {
+      throw new UnauthorizedException('Could not load the profile from the identity provider');
+    }
+
+    return userInfo;
+  }
+
+  private async getDiscovery(provider: OidcProviderConfig): Promise<OidcDiscovery> {
+    const cached = this.discoveries.get(provider.id);
+    if (cached && Date.now() - cached.loadedAt < this.DISCOVERY_TTL_MS) {
+      return cached.document;
+    }
+
+    const response = await this.request(`${provider.issuer}/.well-known/openid-configuration`);
+    const document: OidcDiscovery | null = await response.json().catch(() => null);
+
+    if (
+      !response.ok ||
+      !document?.authorization_endpoint ||
+      !document.token_endpoint ||
+      !document.jwks_uri
+    ) {
+      throw new BadGatewayException('Could not load the identity provider configuration');
+    }
+
+    // ✅ SECURITY: The document has to be about the issuer we trust (OIDC Discovery 4.3)
+    if (document.issuer.replace(/\/+$/, '') !== provider.issuer) {
+      this.logger.error(
+        `Issuer mismatch for ${provider.id}: configured ${provider.issuer}, got ${document.issuer}`,
+      );
+      throw new BadGatewayException('Could not load the identity provider configuration');
+    }
+
+    this.discoveries.set(provider.id, { document, loadedAt: Date.now() });
+    return document;
+  }
+
+  private async request(url: string, init: RequestInit = {}): Promise<Response> {
+    try {
+      return await fetch(url, { ...init, signal: AbortSignal.timeout(this.HTTP_TIMEOUT_MS) });
+    } catch (error) {
+      this.logger.error(
+        `Request to identity provider failed (${url}): ${error instanceof Error ? error.message : 'Unknown error'}`,
+      );
+      throw new BadGatewayException('The identity provider is unavailable');
+    }
+  }
+
+  private createState(state: LoginState): string {
+    return encryptSecret(JSON.stringify(state), this.getStateKey());
+  }
+
+  private readState(stored: string, providerId: string): LoginState {
+    let state: LoginState;
+    try {
+      state = JSON.parse(decryptSecret(stored, this.getStateKey()));
+    } catch {
+      throw new BadRequestException('Invalid or expired sign-in, please start again');
+    }
+
+    if (state.provider !== providerId || state.expiresAt < Date.now()) {
+      throw new BadRequestException('Invalid or expired sign-in, please start again');
+    }
+
+    return state;
+  }
+
+  private getProvider(id: string): OidcProviderConfig {
+    const provider = this.getProviderConfigs().find(candidate => candidate.id === id);
+    if (!provider) {
+      throw new NotFoundException('Unknown identity provider');
+    }
+    return provider;
+  }
+
+  private getProviderConfigs(): OidcProviderConfig[] {
+    return this.configService.get<OidcProviderConfig[]>('oidc.providers', []);
+  }
+
+  private getRedirectUri(provider: OidcProviderConfig): string {
+    return `${this.configService.get('oidc.redirectBaseUrl')}/auth/oidc/${provider.id}/callback`;
+  }
+
+  private getStateKey(): string {
+    return `${this.configService.get('jwt.secret')}:oidc-state`;
+  }
+}
@@ -0,0 +1,130 @@
+import { Test } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { getQueueToken } from '@nestjs/bullmq';
+import { ConfigService } from '@nestjs/config';
+import { BadRequestException } from '@nestjs/common';
+import { IsNull } from 'typeorm';
+import { PasswordResetService } from './password-reset.service';
+import { RefreshTokenService } from './refresh-token.service';
+import { PasswordResetToken } from '../entities/password-reset-token.entity';
+import { UsersService } from '../../users/users.service';
+import { EMAIL_QUEUE } from '../../../queues/email/email-processor.service';
+import { createMockQueryBuilder } from '../../../../test/utils/mock-query-builder';
+
+const USER = { id: 'user-1', email: 'ada@example.com', name: 'Ada' };
+
+describe('PasswordResetService', () => {
+  let service: PasswordResetService;
+  let tokensRepository: Record<string, jest.Mock>;
+  let refreshTokenService: Record<string, jest.Mock>;
+  let usersService: Record<string, jest.Mock>;
+  let emailQueue: { add: jest.Mock };
+  let config: Record<string, unknown>;
+  let claim: any; // The UPDATE that redeems a token
+
+  beforeEach(async () => {
+    config = {};
+    claim = createMockQueryBuilder();
+    tokensRepository = {
+      save: jest.fn(),
+      update: jest.fn(),
+      createQueryBuilder: jest.fn(() => claim),
+    };
+    refreshTokenService = {
+      generateSecureToken: jest.fn(() => 'raw-token'),
+      hashToken: jest.fn((token: string) => `hash(${token})`),
+      calculateExpirationDate: jest.fn(() => new Date('2026-03-01T11:00:00Z')),
+      revokeAllUserTokens: jest.fn(),
+    };
+    usersService = {
+      findByEmail: jest.fn().mockResolvedValue(USER),
+      update: jest.fn(),
+    };
+    emailQueue = { add: jest.fn() };
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        PasswordResetService,
+        { provide: getRepositoryToken(PasswordResetToken), useValue: tokensRepository },
+        { provide: RefreshTokenService, useValue: refreshTokenService },
+        { provide: UsersService, useValue: usersService },
+        {
+          provide: ConfigService,
+          useValue: { get: jest.fn((key, fallback) => config[key] ?? fallback) },
+        },
+        { provide: getQueueToken(EMAIL_QUEUE), useValue: emailQueue },
+      ],
+    }).compile();
+
+    service = moduleRef.get(PasswordResetService);
+  });
+
+  describe('requestReset', () => {
+    it('stores only the hash and emails the raw token', async () => {
+      await service.requestReset('ada@example.com', '203.0.113.7');
+
+      expect(tokensRepository.save).toHaveBeenCalledWith(
+        expect.objectContaining({
+          tokenHash: 'hash(raw-token)',
+          userId: USER.id,
+          usedAt: null,
+          ipAddress: '203.0.113.7',
+        }),
+      );
+      expect(emailQueue.add).toHaveBeenCalledWith(
+        'password-reset',
+        expect.objectContaining({ email: USER.email, token: 'raw-token' }),
+        expect.objectContaining({ removeOnComplete: true }),
+      );
+    });
+
+    it('voids the links sent before', async () => {
+      await service.requestReset('ada@example.com');
+
+      expect(tokensRepository.update).toHaveBeenCalledWith(
+        { userId: USER.id, usedAt: IsNull() },
+        { usedAt: expect.any(Date) },
+      );
+    });
+
+    it('resolves the same way for an unknown email', async () => {
+      usersService.findByEmail.mockResolvedValue(null);
+
+      await expect(service.requestReset('nobody@example.com')).resolves.toBeUndefined();
+      expect(tokensRepository.save).not.toHaveBeenCalled();
+      expect(emailQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('keeps links short-lived when the configured expiration is unusable', async () => {
+      config.PASSWORD_RESET_EXPIRATION = '2 weeks';
+
+      await service.requestReset('ada@example.com');
+
+      expect(refreshTokenService.calculateExpirationDate).toHaveBeenCalledWith('1h');
+    });
+  });
+
+  describe('resetPassword', () => {
+    it('claims an unused, unexpired token, sets the password and signs out everywhere', async () => {
+      claim.execute.mockResolvedValue({ affected: 1, raw: [{ user_id: USER.id }] });
+
+      await service.resetPassword('raw-token', 'N3w-Passw0rd!');
+
+      expect(claim.where).toHaveBeenCalledWith('token_hash = :tokenHash', {
+        tokenHash: 'hash(raw-token)',
+      });
+      expect(claim.andWhere).toHaveBeenCalledWith('used_at IS NULL');
+      expect(claim.andWhere).toHaveBeenCalledWith('expires_at > CURRENT_TIMESTAMP');
+      expect(usersService.update).toHaveBeenCalledWith(USER.id, { password: 'N3w-Passw0rd!' });
+      expect(refreshTokenService.revokeAllUserTokens).toHaveBeenCalledWith(USER.id);
+    });
+
+    it('rejects a token that is unknown, used or expired', async () => {
+      await expect(service.resetPassword('raw-token', 'N3w-Passw0rd!')).rejects.toThrow(
+        BadRequestException,
+      );
+      expect(usersService.update).not.toHaveBeenCalled();
+      expect(refreshTokenService.revokeAllUserTokens).not.toHaveBeenCalled();
+    });
+  });
+});
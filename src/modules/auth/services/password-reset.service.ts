@@ -0,0 +1,123 @@
+import { BadRequestException, Injectable, Logger } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { IsNull, Repository } from 'typeorm';
+import { ConfigService } from '@nestjs/config';
+import { InjectQueue } from '@nestjs/bullmq';
+import { Queue } from 'bullmq';
+import { PasswordResetToken } from '../entities/password-reset-token.entity';
+import { RefreshTokenService } from './refresh-token.service';
+import { UsersService } from '../../users/users.service';
+import { EMAIL_QUEUE, PasswordResetEmailJob } from '../../../queues/email/email-processor.service';
+
+@Injectable()
+export class PasswordResetService {
+  private readonly logger = new Logger(PasswordResetService.name);
+  private readonly DEFAULT_EXPIRATION = '1h';
+
+  constructor(
+    @InjectRepository(PasswordResetToken)
+    private passwordResetTokenRepository: Repository<PasswordResetToken>,
+    private readonly refreshTokenService: RefreshTokenService,
+    private readonly usersService: UsersService,
+    private readonly configService: ConfigService,
+    @InjectQueue(EMAIL_QUEUE)
+    private emailQueue: Queue,
+  ) {}
+
+  /**
+   * Email a single-use reset link to the account, if there is one. Resolves the same way
+   * whether or not the email is registered, so the endpoint can't be used to probe for accounts.
+   */
+  async requestReset(email: string, ipAddress?: string): Promise<void> {
+    const user = await this.usersService.findByEmail(email);
+    if (!user) {
+      this.logger.debug('Password reset requested for an unknown email');
+      return;
+    }
+
+    // ✅ SECURITY: Only the most recent link works
+    await this.invalidateOutstandingTokens(user.id);
+
+    const token = this.refreshTokenService.generateSecureToken();
+    const expiresAt = this.refreshTokenService.calculateExpirationDate(this.getExpiration());
+
+    const resetToken = new PasswordResetToken();
+    resetToken.tokenHash = this.refreshTokenService.hashToken(token);
+    resetToken.userId = user.id;
+    resetToken.expiresAt = expiresAt;
+    resetToken.usedAt = null;
+    resetToken.ipAddress = ipAddress;
+    await this.passwordResetTokenRepository.save(resetToken);
+
+    const jobData: PasswordResetEmailJob = {
+      userId: user.id,
+      email: user.email,
+      name: user.name,
+      token,
+      expiresAt: expiresAt.toISOString(),
+    };
+    await this.emailQueue.add('password-reset', jobData, {
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 2000,
+      },
+      // ✅ SECURITY: Don't keep the raw token around in Redis once the email is out
+      removeOnComplete: true,
+    });
+
+    this.logger.debug(`Queued password reset email for user ${user.id}`);
+  }
+
+  /**
+   * Redeem a reset token: set the new password and sign the user out everywhere
+   */
+  async resetPassword(token: string, newPassword: string): Promise<void> {
+    // ✅ CONCURRENCY: Claiming the token and checking it in one statement makes it single-use
+    // even when the same link is submitted twice at once
+    const result = await this.passwordResetTokenRepository
+      .createQueryBuilder()
+      .update(PasswordResetToken)
+      .set({ usedAt: () => 'CURRENT_TIMESTAMP' })
+      .where('token_hash = :tokenHash', { tokenHash: this.refreshTokenService.hashToken(token) })
+      .andWhere('used_at IS NULL')
+      .andWhere('expires_at > CURRENT_TIMESTAMP')
+      .returning('user_id')
+      .execute();
+
+    const userId: string | undefined = result.raw[0]?.user_id;
+    if (!userId) {
+      throw new BadRequestException('Invalid or expired password reset token');
+    }
+
+    await this.usersService.update(userId, { password: newPassword });
+
+    // ✅ SECURITY: Any other links that were sent are no longer needed, and every open
+    // session is signed out in case the old password was compromised
+    await this.invalidateOutstandingTokens(userId);
+    await this.refreshTokenService.revokeAllUserTokens(userId);
+
+    this.logger.log(`Password reset completed for user ${userId}`);
+  }
+
+  private async invalidateOutstandingTokens(userId: string): Promise<void> {
+    await this.passwordResetTokenRepository.update(
+      { userId, usedAt: IsNull() },
+      { usedAt: new Date() },
+    );
+  }
+
+  private getExpiration(): string {
+    const configured = this.configService.get('PASSWORD_RESET_EXPIRATION', this.DEFAULT_EXPIRATION);
+
+    // calculateExpirationDate falls back to 7 days on bad input, far too long for a reset link
+    if (!/^\d+[dhms]$/.test(configured)) {
+      this.logger.warn(
+        `Invalid PASSWORD_RESET_EXPIRATION, using the default of ${this.DEFAULT_EXPIRATION}`,
+      );
+      return this.DEFAULT_EXPIRATION;
+    }
+
+    return configured;
+  }
+}
@@ -0,0 +1,222 @@
+import { Test } from '@nestjs/testing';
+import { UnauthorizedException } from '@nestjs/common';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { Not } from 'typeorm';
+import { RefreshTokenService } from './refresh-token.service';
+import { RefreshToken } from '../entities/refresh-token.entity';
+import { RedisCacheService } from '../../../common/services/redis-cache.service';
+import { createMockQueryBuilder } from '../../../../test/utils/mock-query-builder';
+
+const USER_ID = 'user-1';
+
+describe('RefreshTokenService', () => {
+  let service: RefreshTokenService;
+  let refreshTokenRepository: Record<string, any>;
+  let cacheService: { set: jest.Mock; exists: jest.Mock };
+  let sessionsQuery: any;
+  let tokenQuery: any; // The locked lookup inside the rotation transaction
+  let txManager: Record<string, jest.Mock>;
+
+  beforeEach(async () => {
+    sessionsQuery = createMockQueryBuilder();
+    sessionsQuery.getRawAndEntities = jest.fn().mockResolvedValue({ entities: [], raw: [] });
+    tokenQuery = createMockQueryBuilder();
+    txManager = {
+      createQueryBuilder: jest.fn(() => tokenQuery),
+      update: jest.fn().mockResolvedValue({ affected: 1 }),
+      save: jest.fn(),
+    };
+    refreshTokenRepository = {
+      find: jest.fn().mockResolvedValue([]),
+      update: jest.fn().mockResolvedValue({ affected: 0 }),
+      createQueryBuilder: jest.fn(() => sessionsQuery),
+      manager: { save: jest.fn(), transaction: jest.fn(async work => work(txManager)) },
+    };
+    cacheService = { set: jest.fn(), exists: jest.fn().mockResolvedValue(false) };
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        RefreshTokenService,
+        { provide: getRepositoryToken(RefreshToken), useValue: refreshTokenRepository },
+        { provide: ConfigService, useValue: { get: jest.fn((_key, fallback) => fallback) } },
+        { provide: RedisCacheService, useValue: cacheService },
+      ],
+    }).compile();
+
+    service = moduleRef.get(RefreshTokenService);
+  });
+
+  it('starts a new session with each sign-in and stores only the token hash', async () => {
+    const issued = await service.generateRefreshToken(USER_ID, {
+      userAgent: 'Firefox',
+      ipAddress: '203.0.113.7',
+    });
+
+    expect(issued.familyId).toBe(issued.id);
+    expect(refreshTokenRepository.manager.save).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: issued.id,
+        tokenHash: service.hashToken(issued.token),
+        deviceInfo: 'Firefox',
+        ipAddress: '203.0.113.7',
+      }),
+    );
+    expect(refreshTokenRepository.manager.save.mock.calls[0][0].tokenHash).not.toBe(issued.token);
+  });
+
+  describe('sessions', () => {
+    it('lists one entry per session and marks the current one', async () => {
+      const signedInAt = new Date('2026-03-01T08:00:00Z');
+      const refreshedAt = new Date('2026-03-02T08:00:00Z');
+      sessionsQuery.getRawAndEntities.mockResolvedValue({
+        entities: [
+          { id: 'token-2', familyId: 'session-1', createdAt: refreshedAt, lastUsedAt: null },
+          { id: 'session-2', familyId: 'session-2', createdAt: signedInAt, lastUsedAt: null },
+        ],
+        raw: [{ signed_in_at: signedInAt }, { signed_in_at: signedInAt }],
+      });
+
+      const sessions = await service.getUserSessions(USER_ID, 'session-1');
+
+      expect(sessions).toEqual([
+        expect.objectContaining({
+          id: 'session-1',
+          createdAt: signedInAt,
+          lastUsedAt: refreshedAt, // Rotated at the latest refresh
+          current: true,
+        }),
+        expect.objectContaining({ id: 'session-2', lastUsedAt: null, current: false }),
+      ]);
+      expect(sessionsQuery.where).toHaveBeenCalledWith('token.userId = :userId', {
+        userId: USER_ID,
+      });
+    });
+
+    it('denylists a revoked session for the lifetime of its access tokens', async () => {
+      refreshTokenRepository.update.mockResolvedValue({ affected: 1 });
+
+      await expect(service.revokeUserSession(USER_ID, 'session-1')).resolves.toBe(true);
+
+      expect(refreshTokenRepository.update).toHaveBeenCalledWith(
+        { familyId: 'session-1', userId: USER_ID, isRevoked: false },
+        { isRevoked: true },
+      );
+      expect(cacheService.set).toHaveBeenCalledWith('revoked:session-1', true, {
+        ttl: 15 * 60,
+        namespace: 'sessions',
+      });
+    });
+
+    it("reports another user's or an unknown session as not revoked", async () => {
+      await expect(service.revokeUserSession(USER_ID, 'session-9')).resolves.toBe(false);
+      expect(cacheService.set).not.toHaveBeenCalled();
+    });
+
+    it('signs out everywhere else, keeping the current session', async () => {
+      refreshTokenRepository.find.mockResolvedValue([
+        { id: 'token-1', familyId: 'session-2' },
+        { id: 'token-2', familyId: 'session-2' },
+        { id: 'token-3', familyId: 'session-3' },
+      ]);
+      refreshTokenRepository.update.mockResolvedValue({ affected: 3 });
+
+      await expect(service.revokeAllUserTokens(USER_ID, 'session-1')).resolves.toBe(3);
+
+      expect(refreshTokenRepository.update).toHaveBeenCalledWith(
+        { userId: USER_ID, isRevoked: false, familyId: Not('session-1') },
+        { isRevoked: true },
+      );
+      expect(cacheService.set.mock.calls.map(([key]) => key)).toEqual([
+        'revoked:session-2',
+        'revoked:session-3',
+      ]);
+    });
+
+    it('checks the denylist for revoked sessions', async () => {
+      cacheService.exists.mockResolvedValue(true);
+
+      await expect(service.isSessionRevoked('session-1')).resolves.toBe(true);
+      expect(cacheService.exists).toHaveBeenCalledWith('revoked:session-1', 'sessions');
+    });
+  });
+
+  describe('rotation', () => {
+    const stored = (overrides: Partial<RefreshToken> = {}) => ({
+      id: 'token-1',
+      familyId: 'session-1',
+      userId: USER_ID,
+      deviceInfo: 'Firefox',
+      ipAddress: '203.0.113.7',
+      isRevoked: false,
+      replacedById: null,
+      expiresAt: new Date(Date.now() + 60_000),
+      ...overrides,
+    });
+
+    it('swaps the token for a successor in the same session', async () => {
+      tokenQuery.getOne.mockResolvedValue(stored());
+
+      const rotated = await service.rotateRefreshToken('old-token');
+
+      expect(tokenQuery.setLock).toHaveBeenCalledWith('pessimistic_write');
+      expect(tokenQuery.where).toHaveBeenCalledWith('token.tokenHash = :tokenHash', {
+        tokenHash: service.hashToken('old-token'),
+      });
+      expect(rotated).toEqual(expect.objectContaining({ familyId: 'session-1', userId: USER_ID }));
+      expect(txManager.save).toHaveBeenCalledWith(
+        expect.objectContaining({ id: rotated.id, familyId: 'session-1', deviceInfo: 'Firefox' }),
+      );
+      expect(txManager.update).toHaveBeenCalledWith(
+        RefreshToken,
+        { id: 'token-1' },
+        { isRevoked: true, replacedById: rotated.id, lastUsedAt: expect.any(Date) },
+      );
+    });
+
+    it('revokes and denylists the whole session when a rotated token is reused', async () => {
+      tokenQuery.getOne.mockResolvedValue(stored({ isRevoked: true, replacedById: 'token-2' }));
+
+      await expect(service.rotateRefreshToken('old-token')).rejects.toThrow(
+        new UnauthorizedException('Invalid refresh token'),
+      );
+
+      expect(txManager.update).toHaveBeenCalledWith(
+        RefreshToken,
+        { familyId: 'session-1', isRevoked: false },
+        { isRevoked: true },
+      );
+      expect(cacheService.set).toHaveBeenCalledWith('revoked:session-1', true, {
+        ttl: 15 * 60,
+        namespace: 'sessions',
+      });
+      expect(txManager.save).not.toHaveBeenCalled();
+    });
+
+    it('revokes an expired token instead of rotating it', async () => {
+      tokenQuery.getOne.mockResolvedValue(stored({ expiresAt: new Date(Date.now() - 1000) }));
+
+      await expect(service.rotateRefreshToken('old-token')).rejects.toThrow(
+        'Refresh token expired',
+      );
+      expect(txManager.update).toHaveBeenCalledWith(
+        RefreshToken,
+        { id: 'token-1' },
+        { isRevoked: true },
+      );
+      expect(txManager.save).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown and signed-out tokens without touching the session', async () => {
+      await expect(service.rotateRefreshToken('unknown')).rejects.toThrow('Invalid refresh token');
+
+      tokenQuery.getOne.mockResolvedValue(stored({ isRevoked: true }));
+      await expect(service.rotateRefreshToken('old-token')).rejects.toThrow(
+        'Invalid refresh token',
+      );
+
+      expect(txManager.update).not.toHaveBeenCalled();
+      expect(cacheService.set).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,20 +1,38 @@
 import { Injectable, Logger, UnauthorizedException } from '@nestjs/common';
 import { InjectRepository } from '@nestjs/typeorm';
-import { Repository, LessThan } from 'typeorm';
+import { EntityManager, Repository, LessThan, MoreThan, Not } from 'typeorm';
 import { ConfigService } from '@nestjs/config';
 import { RefreshToken } from '../entities/refresh-token.entity';
-import { createHash, randomBytes } from 'crypto';
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import { RedisCacheService } from '../../../common/services/redis-cache.service';
+import { durationToMs } from '../../../common/utils/duration';
 
 export interface RefreshTokenData {
+  id: string;
+  familyId: string; // Doubles as the session ID
   token: string;
   expiresAt: Date;
 }
 
+export interface RotatedRefreshTokenData extends RefreshTokenData {
+  userId: string;
+}
+
 export interface DeviceInfo {
   userAgent?: string;
   ipAddress?: string;
 }
 
+export interface ActiveSession {
+  id: string;
+  deviceInfo?: string;
+  ipAddress?: string;
+  createdAt: Date;
+  lastUsedAt?: Date;
+  expiresAt: Date;
+  current: boolean; // Whether this is the session making the request
+}
+
 @Injectable()
 export class RefreshTokenService {
   private readonly logger = new Logger(RefreshTokenService.name);
@@ -23,14 +41,17 @@ export class RefreshTokenService {
     @InjectRepository(RefreshToken)
     private refreshTokenRepository: Repository<RefreshToken>,
     private configService: ConfigService,
-  ) { }
+    private readonly cacheService: RedisCacheService,
+  ) {}
 
   /**
-   * Generate a new refresh token for a user
+   * Generate a new refresh token for a user, starting a new family (session) unless one is given
    */
   async generateRefreshToken(
     userId: string,
     deviceInfo?: DeviceInfo,
+    familyId?: string,
+    manager: EntityManager = this.refreshTokenRepository.manager,
   ): Promise<RefreshTokenData> {
     // Generate a cryptographically secure random token
     const token = this.generateSecureToken();
@@ -42,17 +63,22 @@ export class RefreshTokenService {
 
     // Create refresh token entity
     const refreshToken = new RefreshToken();
+    refreshToken.id = randomUUID();
+    refreshToken.familyId = familyId ?? refreshToken.id;
+    refreshToken.replacedById = null;
     refreshToken.tokenHash = tokenHash;
     refreshToken.userId = userId;
     refreshToken.expiresAt = expiresAt;
     refreshToken.deviceInfo = deviceInfo?.userAgent;
     refreshToken.ipAddress = deviceInfo?.ipAddress;
 
-    await this.refreshTokenRepository.save(refreshToken);
+    await manager.save(refreshToken);
 
     this.logger.debug(`Generated refresh token for user ${userId}`);
 
     return {
+      id: refreshToken.id,
+      familyId: refreshToken.familyId,
       token,
       expiresAt,
     };
@@ -91,28 +117,166 @@ export class RefreshTokenService {
     return refreshToken.userId;
   }
 
+  /**
+   * ✅ ROTATION: Consume a refresh token and issue its successor in the same family, keeping the
+   * device info and IP of the sign-in. A token that was already rotated means two parties hold
+   * it (one of them stole it), so its whole family is revoked and both have to sign in again.
+   */
+  async rotateRefreshToken(token: string): Promise<RotatedRefreshTokenData> {
+    const tokenHash = this.hashToken(token);
+
+    const outcome = await this.refreshTokenRepository.manager.transaction(async manager => {
+      // Concurrent refreshes with the same token are serialized; the second one is reuse
+      const refreshToken = await manager
+        .createQueryBuilder(RefreshToken, 'token')
+        .setLock('pessimistic_write')
+        .where('token.tokenHash = :tokenHash', { tokenHash })
+        .getOne();
+
+      if (!refreshToken) {
+        return { error: 'Invalid refresh token' } as const;
+      }
+
+      if (refreshToken.replacedById) {
+        const revoked = await manager.update(
+          RefreshToken,
+          { familyId: refreshToken.familyId, isRevoked: false },
+          { isRevoked: true },
+        );
+        return {
+          error: 'Invalid refresh token',
+          reused: refreshToken,
+          revoked: revoked.affected || 0,
+        } as const;
+      }
+
+      if (refreshToken.isRevoked) {
+        return { error: 'Invalid refresh token' } as const;
+      }
+
+      if (refreshToken.expiresAt < new Date()) {
+        await manager.update(RefreshToken, { id: refreshToken.id }, { isRevoked: true });
+        return { error: 'Refresh token expired' } as const;
+      }
+
+      const successor = await this.generateRefreshToken(
+        refreshToken.userId,
+        { userAgent: refreshToken.deviceInfo, ipAddress: refreshToken.ipAddress },
+        refreshToken.familyId,
+        manager,
+      );
+
+      await manager.update(
+        RefreshToken,
+        { id: refreshToken.id },
+        { isRevoked: true, replacedById: successor.id, lastUsedAt: new Date() },
+      );
+
+      return { rotated: { ...successor, userId: refreshToken.userId } } as const;
+    });
+
+    // Thrown outside the transaction so the family revocation commits
+    if ('reused' in outcome && outcome.reused) {
+      await this.denySessions([outcome.reused.familyId]);
+      this.logger.warn(
+        `🚨 SECURITY EVENT: Refresh token reuse detected for user ${outcome.reused.userId}, session ${outcome.reused.familyId} revoked`,
+        {
+          event: 'refresh_token_reuse',
+          userId: outcome.reused.userId,
+          familyId: outcome.reused.familyId,
+          tokenId: outcome.reused.id,
+          replacedById: outcome.reused.replacedById,
+          revokedTokens: outcome.revoked,
+          originalIpAddress: outcome.reused.ipAddress,
+          timestamp: new Date().toISOString(),
+        },
+      );
+    }
+
+    if ('error' in outcome) {
+      throw new UnauthorizedException(outcome.error);
+    }
+
+    this.logger.debug(`Rotated refresh token for user ${outcome.rotated.userId}`);
+
+    return outcome.rotated;
+  }
+
   /**
    * Revoke a specific refresh token
    */
   async revokeRefreshToken(tokenId: string): Promise<void> {
-    await this.refreshTokenRepository.update(
-      { id: tokenId },
-      { isRevoked: true },
-    );
+    await this.refreshTokenRepository.update({ id: tokenId }, { isRevoked: true });
 
     this.logger.debug(`Revoked refresh token ${tokenId}`);
   }
 
   /**
-   * Revoke all refresh tokens for a user
+   * Revoke one of a user's sessions (token family). Returns false if the user has no such
+   * active session.
    */
-  async revokeAllUserTokens(userId: string): Promise<void> {
-    await this.refreshTokenRepository.update(
-      { userId, isRevoked: false },
+  async revokeUserSession(userId: string, sessionId: string): Promise<boolean> {
+    const result = await this.refreshTokenRepository.update(
+      { familyId: sessionId, userId, isRevoked: false },
       { isRevoked: true },
     );
 
-    this.logger.debug(`Revoked all refresh tokens for user ${userId}`);
+    if (result.affected) {
+      await this.denySessions([sessionId]);
+    }
+
+    this.logger.debug(`Revoked session ${sessionId} for user ${userId}`);
+
+    return !!result.affected;
+  }
+
+  /**
+   * Revoke all refresh tokens for a user, optionally keeping one session (e.g. the current one).
+   * Returns the number of tokens revoked.
+   */
+  async revokeAllUserTokens(userId: string, exceptSessionId?: string): Promise<number> {
+    const where = {
+      userId,
+      isRevoked: false,
+      ...(exceptSessionId && { familyId: Not(exceptSessionId) }),
+    };
+    const activeTokens = await this.refreshTokenRepository.find({
+      where,
+      select: ['id', 'familyId'],
+    });
+    const result = await this.refreshTokenRepository.update(where, { isRevoked: true });
+
+    await this.denySessions(activeTokens.map(token => token.familyId));
+
+    this.logger.debug(
+      `Revoked all refresh tokens for user ${userId}${exceptSessionId ? ` except session ${exceptSessionId}` : ''}`,
+    );
+
+    return result.affected || 0;
+  }
+
+  /**
+   * ✅ SESSIONS: Whether the session an access token was issued for (its `sid`) has been revoked.
+   * Checked on every request, so it's a Redis lookup rather than a query; sessions that merely
+   * expire need no entry, their last access token was issued with a fresher refresh token.
+   */
+  async isSessionRevoked(sessionId: string): Promise<boolean> {
+    return this.cacheService.exists(`revoked:${sessionId}`, 'sessions');
+  }
+
+  /**
+   * Denylist sessions for as long as an access token issued for them can still be valid
+   */
+  private async denySessions(sessionIds: string[]): Promise<void> {
+    const ttl = Math.ceil(
+      durationToMs(this.configService.get('jwt.expiresIn', '15m'), 15 * 60 * 1000) / 1000,
+    );
+
+    await Promise.all(
+      [...new Set(sessionIds)].map(sessionId =>
+        this.cacheService.set(`revoked:${sessionId}`, true, { ttl, namespace: 'sessions' }),
+      ),
+    );
   }
 
   /**
@@ -140,23 +304,66 @@ export class RefreshTokenService {
       where: {
         userId,
         isRevoked: false,
+        expiresAt: MoreThan(new Date()),
       },
-      select: ['id', 'deviceInfo', 'ipAddress', 'createdAt', 'lastUsedAt'],
+      select: ['id', 'deviceInfo', 'ipAddress', 'createdAt', 'lastUsedAt', 'expiresAt'],
       order: { createdAt: 'DESC' },
     });
   }
 
   /**
-   * Generate a cryptographically secure token
+   * A user's signed-in sessions: one per token family, described by its active token
+   */
+  async getUserSessions(userId: string, currentSessionId?: string): Promise<ActiveSession[]> {
+    const { entities, raw } = await this.refreshTokenRepository
+      .createQueryBuilder('token')
+      .select([
+        'token.id',
+        'token.familyId',
+        'token.deviceInfo',
+        'token.ipAddress',
+        'token.createdAt',
+        'token.lastUsedAt',
+        'token.expiresAt',
+      ])
+      // The family's first token was issued at sign-in
+      .addSelect(
+        subQuery =>
+          subQuery
+            .select('MIN(family.created_at)')
+            .from(RefreshToken, 'family')
+            .where('family.family_id = token.family_id'),
+        'signed_in_at',
+      )
+      .where('token.userId = :userId', { userId })
+      .andWhere('token.isRevoked = false')
+      .andWhere('token.expiresAt > :now', { now: new Date() })
+      .orderBy('token.createdAt', 'DESC')
+      .getRawAndEntities();
+
+    return entities.map((token, index) => ({
+      id: token.familyId,
+      deviceInfo: token.deviceInfo,
+      ipAddress: token.ipAddress,
+      createdAt: raw[index].signed_in_at,
+      // A rotated-in token was created by the session's latest refresh
+      lastUsedAt: token.id !== token.familyId ? token.createdAt : token.lastUsedAt,
+      expiresAt: token.expiresAt,
+      current: token.familyId === currentSessionId,
+    }));
+  }
+
+  /**
+   * Generate a cryptographically secure token (also used for other single-use auth tokens)
    */
-  private generateSecureToken(): string {
+  generateSecureToken(): string {
     return randomBytes(32).toString('hex');
   }
 
   /**
-   * Hash a token for secure storage
+   * Hash a token for secure storage (shared so every auth token is stored the same way)
    */
-  private hashToken(token: string): string {
+  hashToken(token: string): string {
     const salt = this.configService.get('JWT_SECRET', 'fallback-salt');
     return createHash('sha256').update(`${salt}:${token}`).digest('hex');
   }
@@ -164,7 +371,7 @@ export class RefreshTokenService {
   /**
    * Calculate expiration date from duration string
    */
-  private calculateExpirationDate(duration: string): Date {
+  calculateExpirationDate(duration: string): Date {
     const now = new Date();
 
     // Parse duration (e.g., "7d", "24h", "30m", "10s")
@@ -0,0 +1,231 @@
+import { Test } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { JwtService } from '@nestjs/jwt';
+import {
+  BadRequestException,
+  ConflictException,
+  ForbiddenException,
+  UnauthorizedException,
+} from '@nestjs/common';
+import { IsNull } from 'typeorm';
+import { TwoFactorService } from './two-factor.service';
+import { RefreshTokenService } from './refresh-token.service';
+import { LoginAttemptService } from './login-attempt.service';
+import { User } from '../../users/entities/user.entity';
+import { UsersService } from '../../users/users.service';
+import { TwoFactorRecoveryCode } from '../entities/two-factor-recovery-code.entity';
+import { generateTotp, generateTotpSecret, totpStep } from '../../../common/utils/totp';
+import { encryptSecret } from '../../../common/utils/secret-box';
+import { createMockQueryBuilder } from '../../../../test/utils/mock-query-builder';
+
+const JWT_SECRET = 'test-secret';
+const ENCRYPTION_KEY = `${JWT_SECRET}:2fa-secret`;
+
+describe('TwoFactorService', () => {
+  let service: TwoFactorService;
+  let jwtService: JwtService;
+  let user: Partial<User>;
+  let usersRepository: Record<string, jest.Mock>;
+  let recoveryCodeRepository: Record<string, any>;
+  let recoveryCodeManager: Record<string, jest.Mock>;
+  let loginAttemptService: Record<string, jest.Mock>;
+  let config: Record<string, unknown>;
+  let stepClaim: any; // The UPDATE that uses up a TOTP step
+
+  const enable = (secret: string) => {
+    user.twoFactorSecret = encryptSecret(secret, ENCRYPTION_KEY);
+    user.twoFactorEnabledAt = new Date();
+  };
+
+  beforeEach(async () => {
+    config = { 'jwt.secret': JWT_SECRET };
+    user = {
+      id: 'user-1',
+      email: 'ada@example.com',
+      twoFactorSecret: null,
+      twoFactorEnabledAt: null,
+      twoFactorLastUsedStep: null,
+    };
+    stepClaim = createMockQueryBuilder({ execute: { affected: 1, raw: [] } });
+    const userQuery = createMockQueryBuilder();
+    userQuery.getOne.mockImplementation(async () => ({ ...user }));
+
+    usersRepository = {
+      // With an alias it's the user lookup, without one the step claim
+      createQueryBuilder: jest.fn((alias?: string) => (alias ? userQuery : stepClaim)),
+      update: jest.fn(async (_where, changes) => Object.assign(user, changes)),
+    };
+    recoveryCodeManager = { delete: jest.fn(), insert: jest.fn() };
+    recoveryCodeRepository = {
+      update: jest.fn().mockResolvedValue({ affected: 0 }),
+      delete: jest.fn(),
+      manager: { transaction: jest.fn(async work => work(recoveryCodeManager)) },
+    };
+    loginAttemptService = {
+      assertNotLocked: jest.fn(),
+      assertChallengeUsable: jest.fn(),
+      recordFailure: jest.fn(),
+      recordChallengeFailure: jest.fn(),
+      recordSuccess: jest.fn(),
+    };
+    jwtService = new JwtService();
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        TwoFactorService,
+        { provide: getRepositoryToken(User), useValue: usersRepository },
+        {
+          provide: getRepositoryToken(TwoFactorRecoveryCode),
+          useValue: recoveryCodeRepository,
+        },
+        { provide: UsersService, useValue: { invalidateCache: jest.fn() } },
+        {
+          provide: RefreshTokenService,
+          useValue: { hashToken: jest.fn((token: string) => `hash(${token})`) },
+        },
+        { provide: LoginAttemptService, useValue: loginAttemptService },
+        { provide: JwtService, useValue: jwtService },
+        {
+          provide: ConfigService,
+          useValue: { get: jest.fn((key, fallback) => config[key] ?? fallback) },
+        },
+      ],
+    }).compile();
+
+    service = moduleRef.get(TwoFactorService);
+  });
+
+  describe('enrollment', () => {
+    it('keeps the secret encrypted and hands out recovery codes once confirmed', async () => {
+      const { secret, otpauthUrl } = await service.beginEnrollment('user-1');
+
+      expect(user.twoFactorSecret).not.toContain(secret);
+      expect(otpauthUrl).toContain(`secret=${secret}`);
+
+      const step = totpStep();
+      const codes = await service.confirmEnrollment('user-1', generateTotp(secret, step));
+
+      expect(user.twoFactorEnabledAt).toBeInstanceOf(Date);
+      expect(user.twoFactorLastUsedStep).toBe(step);
+      expect(codes).toHaveLength(10);
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+      // Only hashes are stored, without the dash
+      expect(recoveryCodeManager.insert).toHaveBeenCalledWith(
+        TwoFactorRecoveryCode,
+        codes.map(code => ({
+          userId: 'user-1',
+          codeHash: `hash(${code.replace('-', '')})`,
+          usedAt: null,
+        })),
+      );
+    });
+
+    it('stays off when the confirmation code is wrong', async () => {
+      await service.beginEnrollment('user-1');
+
+      await expect(service.confirmEnrollment('user-1', '000000')).rejects.toThrow(
+        'Invalid verification code',
+      );
+      expect(user.twoFactorEnabledAt).toBeNull();
+    });
+
+    it("can't be started again while enabled", async () => {
+      enable(generateTotpSecret());
+
+      await expect(service.beginEnrollment('user-1')).rejects.toThrow(ConflictException);
+    });
+  });
+
+  describe('codes', () => {
+    it('accepts each TOTP step only once', async () => {
+      const secret = generateTotpSecret();
+      enable(secret);
+      stepClaim.execute.mockResolvedValue({ affected: 0, raw: [] });
+      const step = totpStep();
+
+      await expect(
+        service.regenerateRecoveryCodes('user-1', generateTotp(secret, step)),
+      ).rejects.toThrow('This code has already been used, wait for the next one');
+      expect(stepClaim.andWhere).toHaveBeenCalledWith(
+        expect.stringContaining('two_factor_last_used_step < :step'),
+        { step },
+      );
+    });
+
+    it('takes an unused recovery code, however it is typed', async () => {
+      enable(generateTotpSecret());
+      recoveryCodeRepository.update.mockResolvedValue({ affected: 1 });
+
+      await service.regenerateRecoveryCodes('user-1', 'ABCDE-12345');
+
+      expect(recoveryCodeRepository.update).toHaveBeenCalledWith(
+        { userId: 'user-1', codeHash: 'hash(abcde12345)', usedAt: IsNull() },
+        { usedAt: expect.any(Date) },
+      );
+    });
+
+    it('rejects a code that is neither', async () => {
+      enable(generateTotpSecret());
+
+      await expect(service.regenerateRecoveryCodes('user-1', 'abcde-12345')).rejects.toThrow(
+        new BadRequestException('Invalid two-factor code'),
+      );
+      expect(recoveryCodeManager.insert).not.toHaveBeenCalled();
+    });
+
+    it("can't be turned off by admins when it's mandatory for them", async () => {
+      config.TWO_FACTOR_REQUIRED_FOR_ADMINS = 'true';
+
+      await expect(service.disable('user-1', 'admin', '000000')).rejects.toThrow(
+        ForbiddenException,
+      );
+    });
+  });
+
+  describe('login challenge', () => {
+    it('returns the user once the challenge and code check out', async () => {
+      const secret = generateTotpSecret();
+      enable(secret);
+      const { challengeToken } = service.createLoginChallenge('user-1');
+
+      await expect(
+        service.verifyLoginChallenge(challengeToken, generateTotp(secret)),
+      ).resolves.toBe('user-1');
+      expect(loginAttemptService.recordSuccess).toHaveBeenCalledWith('ada@example.com');
+    });
+
+    it('counts a wrong code against both the account and the challenge', async () => {
+      enable(generateTotpSecret());
+      const { challengeToken } = service.createLoginChallenge('user-1');
+
+      await expect(service.verifyLoginChallenge(challengeToken, '000000')).rejects.toThrow(
+        UnauthorizedException,
+      );
+      expect(loginAttemptService.recordFailure).toHaveBeenCalledWith('ada@example.com');
+      expect(loginAttemptService.recordChallengeFailure).toHaveBeenCalledWith(
+        `hash(${challengeToken})`,
+        expect.any(Number),
+      );
+    });
+
+    it('refuses to check codes for a locked account', async () => {
+      enable(generateTotpSecret());
+      const { challengeToken } = service.createLoginChallenge('user-1');
+      loginAttemptService.assertNotLocked.mockRejectedValue(new UnauthorizedException('Locked'));
+
+      await expect(service.verifyLoginChallenge(challengeToken, '000000')).rejects.toThrow(
+        'Locked',
+      );
+      expect(recoveryCodeRepository.update).not.toHaveBeenCalled();
+    });
+
+    it("doesn't take an access token as a challenge", async () => {
+      const accessToken = jwtService.sign({ sub: 'user-1' }, { secret: JWT_SECRET });
+
+      await expect(service.verifyLoginChallenge(accessToken, '000000')).rejects.toThrow(
+        'Invalid or expired two-factor challenge',
+      );
+    });
+  });
+});
@@ -0,0 +1,318 @@
+import {
+  BadRequestException,
+  ConflictException,
+  ForbiddenException,
+  Injectable,
+  Logger,
+  NotFoundException,
+  UnauthorizedException,
+} from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { IsNull, Repository } from 'typeorm';
+import { JwtService } from '@nestjs/jwt';
+import { ConfigService } from '@nestjs/config';
+import { randomBytes } from 'crypto';
+import { User } from '../../users/entities/user.entity';
+import { UsersService } from '../../users/users.service';
+import { TwoFactorRecoveryCode } from '../entities/two-factor-recovery-code.entity';
+import { RefreshTokenService } from './refresh-token.service';
+import { LoginAttemptService } from './login-attempt.service';
+import { buildOtpAuthUri, generateTotpSecret, verifyTotp } from '../../../common/utils/totp';
+import { decryptSecret, encryptSecret } from '../../../common/utils/secret-box';
+
+const CHALLENGE_PURPOSE = '2fa-challenge';
+
+interface TwoFactorChallengePayload {
+  sub: string;
+  purpose: typeof CHALLENGE_PURPOSE;
+  exp: number;
+}
+
+export interface TwoFactorEnrollment {
+  secret: string;
+  otpauthUrl: string;
+}
+
+export interface TwoFactorChallenge {
+  challengeToken: string;
+  challengeExpiresAt: Date;
+}
+
+/**
+ * TOTP two-factor authentication: enrollment, recovery codes and the second login step.
+ *
+ * Secrets are encrypted at rest (they have to be readable to check codes), recovery codes are
+ * hashed the same way as refresh tokens. Between the password and the code, the client holds
+ * a short-lived challenge token signed with its own key, so it can't be used as an access token.
+ */
+@Injectable()
+export class TwoFactorService {
+  private readonly logger = new Logger(TwoFactorService.name);
+  private readonly RECOVERY_CODE_COUNT = 10;
+
+  constructor(
+    @InjectRepository(User)
+    private usersRepository: Repository<User>,
+    @InjectRepository(TwoFactorRecoveryCode)
+    private recoveryCodeRepository: Repository<TwoFactorRecoveryCode>,
+    private readonly usersService: UsersService,
+    private readonly refreshTokenService: RefreshTokenService,
+    private readonly loginAttemptService: LoginAttemptService,
+    private readonly jwtService: JwtService,
+    private readonly configService: ConfigService,
+  ) {}
+
+  /**
+   * ✅ POLICY: TWO_FACTOR_REQUIRED_FOR_ADMINS makes 2FA mandatory for the admin role
+   */
+  isRequiredFor(role: string): boolean {
+    return (
+      role === 'admin' &&
+      String(this.configService.get('TWO_FACTOR_REQUIRED_FOR_ADMINS', 'false')).toLowerCase() ===
+        'true'
+    );
+  }
+
+  /**
+   * Start enrollment with a new secret. Nothing changes for the user until it's confirmed;
+   * starting again replaces an unconfirmed secret.
+   */
+  async beginEnrollment(userId: string): Promise<TwoFactorEnrollment> {
+    const user = await this.findUserWithSecret(userId);
+
+    if (user.twoFactorEnabledAt) {
+      throw new ConflictException('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateTotpSecret();
+    await this.usersRepository.update(
+      { id: userId },
+      { twoFactorSecret: this.encryptSecret(secret), twoFactorLastUsedStep: null },
+    );
+
+    const issuer = this.configService.get('TWO_FACTOR_ISSUER', 'TaskFlow');
+    return {
+      secret,
+      otpauthUrl: buildOtpAuthUri(secret, user.email, issuer),
+    };
+  }
+
+  /**
+   * Turn 2FA on once the user proves their authenticator works. Returns the recovery codes,
+   * which are never shown again.
+   */
+  async confirmEnrollment(userId: string, code: string): Promise<string[]> {
+    const user = await this.findUserWithSecret(userId);
+
+    if (user.twoFactorEnabledAt) {
+      throw new ConflictException('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactorSecret) {
+      throw new BadRequestException('Start two-factor setup before confirming it');
+    }
+
+    const step = verifyTotp(this.decryptSecret(user.twoFactorSecret), code);
+    if (step === null) {
+      throw new BadRequestException('Invalid verification code');
+    }
+
+    await this.usersRepository.update(
+      { id: userId },
+      { twoFactorEnabledAt: new Date(), twoFactorLastUsedStep: step },
+    );
+    const recoveryCodes = await this.replaceRecoveryCodes(userId);
+
+    // ✅ CACHE INVALIDATION: The JWT strategy reads the 2FA state from the cached user
+    await this.usersService.invalidateCache(userId);
+
+    this.logger.log(`Two-factor authentication enabled for user ${userId}`);
+    return recoveryCodes;
+  }
+
+  async disable(userId: string, userRole: string, code: string): Promise<void> {
+    if (this.isRequiredFor(userRole)) {
+      throw new ForbiddenException('Two-factor authentication is mandatory for admin accounts');
+    }
+
+    await this.assertValidCode(userId, code, BadRequestException);
+
+    await this.usersRepository.update(
+      { id: userId },
+      { twoFactorSecret: null, twoFactorEnabledAt: null, twoFactorLastUsedStep: null },
+    );
+    await this.recoveryCodeRepository.delete({ userId });
+    await this.usersService.invalidateCache(userId);
+
+    this.logger.log(`Two-factor authentication disabled for user ${userId}`);
+  }
+
+  /**
+   * Replace all recovery codes, e.g. after running low or if they may have leaked
+   */
+  async regenerateRecoveryCodes(userId: string, code: string): Promise<string[]> {
+    await this.assertValidCode(userId, code, BadRequestException);
+    return this.replaceRecoveryCodes(userId);
+  }
+
+  /**
+   * First login step passed: hand out a challenge token to exchange for real tokens with a code
+   */
+  createLoginChallenge(userId: string): TwoFactorChallenge {
+    const challengeToken = this.jwtService.sign(
+      { sub: userId, purpose: CHALLENGE_PURPOSE },
+      {
+        secret: this.getChallengeSecret(),
+        expiresIn: this.configService.get('TWO_FACTOR_CHALLENGE_EXPIRATION', '5m'),
+      },
+    );
+    const { exp } = this.jwtService.decode(challengeToken) as TwoFactorChallengePayload;
+
+    return { challengeToken, challengeExpiresAt: new Date(exp * 1000) };
+  }
+
+  /**
+   * Second login step: check the challenge token and code, returning the user ID they belong to
+   */
+  async verifyLoginChallenge(challengeToken: string, code: string): Promise<string> {
+    let payload: TwoFactorChallengePayload;
+    try {
+      payload = this.jwtService.verify<TwoFactorChallengePayload>(challengeToken, {
+        secret: this.getChallengeSecret(),
+      });
+    } catch (error) {
+      throw new UnauthorizedException('Invalid or expired two-factor challenge');
+    }
+
+    if (payload.purpose !== CHALLENGE_PURPOSE) {
+      throw new UnauthorizedException('Invalid or expired two-factor challenge');
+    }
+
+    const user = await this.findUserWithSecret(payload.sub);
+    const challengeId = this.refreshTokenService.hashToken(challengeToken);
+
+    // ✅ SECURITY: The IP rate limit alone doesn't stop guessing from many addresses, so wrong
+    // codes count towards the account lockout and use up the challenge itself
+    await this.loginAttemptService.assertNotLocked(user.email);
+    await this.loginAttemptService.assertChallengeUsable(challengeId);
+
+    try {
+      await this.assertValidCode(payload.sub, code, UnauthorizedException);
+    } catch (error) {
+      if (error instanceof UnauthorizedException) {
+        await this.loginAttemptService.recordFailure(user.email);
+        await this.loginAttemptService.recordChallengeFailure(
+          challengeId,
+          Math.max(payload.exp - Math.floor(Date.now() / 1000), 1),
+        );
+      }
+      throw error;
+    }
+
+    await this.loginAttemptService.recordSuccess(user.email);
+    return payload.sub;
+  }
+
+  /**
+   * Accepts a current TOTP code (each one only once) or an unused recovery code
+   */
+  private async assertValidCode(
+    userId: string,
+    code: string,
+    errorType: typeof BadRequestException | typeof UnauthorizedException,
+  ): Promise<void> {
+    const user = await this.findUserWithSecret(userId);
+
+    if (!user.twoFactorEnabledAt || !user.twoFactorSecret) {
+      throw new errorType('Two-factor authentication is not enabled');
+    }
+
+    const step = verifyTotp(this.decryptSecret(user.twoFactorSecret), code);
+    if (step !== null) {
+      // ✅ SECURITY: Claim the step atomically so a code can't be used twice, even concurrently
+      const result = await this.usersRepository
+        .createQueryBuilder()
+        .update(User)
+        .set({ twoFactorLastUsedStep: step })
+        .where('id = :userId', { userId })
+        .andWhere('(two_factor_last_used_step IS NULL OR two_factor_last_used_step < :step)', {
+          step,
+        })
+        .execute();
+
+      if (result.affected) {
+        return;
+      }
+      throw new errorType('This code has already been used, wait for the next one');
+    }
+
+    const result = await this.recoveryCodeRepository.update(
+      { userId, codeHash: this.hashRecoveryCode(code), usedAt: IsNull() },
+      { usedAt: new Date() },
+    );
+    if (result.affected) {
+      this.logger.warn(`Recovery code used for user ${userId}`);
+      return;
+    }
+
+    throw new errorType('Invalid two-factor code');
+  }
+
+  private async replaceRecoveryCodes(userId: string): Promise<string[]> {
+    const codes = Array.from({ length: this.RECOVERY_CODE_COUNT }, () => {
+      const raw = randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await this.recoveryCodeRepository.manager.transaction(async manager => {
+      await manager.delete(TwoFactorRecoveryCode, { userId });
+      await manager.insert(
+        TwoFactorRecoveryCode,
+        codes.map(code => ({ userId, codeHash: this.hashRecoveryCode(code), usedAt: null })),
+      );
+    });
+
+    return codes;
+  }
+
+  private hashRecoveryCode(code: string): string {
+    // Dashes, spaces and case don't matter when typing a code in
+    return this.refreshTokenService.hashToken(code.replace(/[\s-]/g, '').toLowerCase());
+  }
+
+  private async findUserWithSecret(userId: string): Promise<User> {
+    const user = await this.usersRepository
+      .createQueryBuilder('user')
+      .addSelect(['user.twoFactorSecret', 'user.twoFactorLastUsedStep'])
+      .where('user.id = :userId', { userId })
+      .getOne();
+
+    if (!user) {
+      throw new NotFoundException('User not found');
+    }
+
+    return user;
+  }
+
+  private encryptSecret(secret: string): string {
+    return encryptSecret(secret, this.getEncryptionKey());
+  }
+
+  private decryptSecret(stored: string): string {
+    return decryptSecret(stored, this.getEncryptionKey());
+  }
+
+  /**
+   * TWO_FACTOR_ENCRYPTION_KEY if set, otherwise derived from the JWT secret (rotating that
+   * would then make every enrolled authenticator unusable)
+   */
+  private getEncryptionKey(): string {
+    return (
+      this.configService.get('TWO_FACTOR_ENCRYPTION_KEY') ||
+      `${this.configService.get('jwt.secret')}:2fa-secret`
+    );
+  }
+
+  private getChallengeSecret(): string {
+    return `${this.configService.get('jwt.secret')}:${CHALLENGE_PURPOSE}`;
+  }
+}
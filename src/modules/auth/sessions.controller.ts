@@ -0,0 +1,93 @@
+import {
+  BadRequestException,
+  Controller,
+  Delete,
+  Get,
+  HttpCode,
+  HttpStatus,
+  NotFoundException,
+  Param,
+  ParseUUIDPipe,
+  Query,
+  UseGuards,
+} from '@nestjs/common';
+import { ApiBearerAuth, ApiOperation, ApiResponse, ApiTags } from '@nestjs/swagger';
+import { RefreshTokenService } from './services/refresh-token.service';
+import { RevokeSessionsQueryDto, SessionResponseDto } from './dto/session.dto';
+import { JwtAuthGuard } from './guards/jwt-auth.guard';
+import { CurrentUser } from './decorators/current-user.decorator';
+import { DenyWhileImpersonating } from './decorators/deny-while-impersonating.decorator';
+import { RateLimitGuard } from '../../common/guards/rate-limit.guard';
+import { RateLimit } from '../../common/decorators/rate-limit.decorator';
+
+/**
+ * The caller's own sessions. A session is a refresh token family; revoking it stops it from
+ * refreshing, its current access token stays valid until it expires.
+ */
+@ApiTags('auth')
+@Controller('auth/sessions')
+@UseGuards(JwtAuthGuard, RateLimitGuard)
+@DenyWhileImpersonating()
+@RateLimit({ limit: 30, windowMs: 60000 })
+@ApiBearerAuth()
+export class SessionsController {
+  constructor(private readonly refreshTokenService: RefreshTokenService) {}
+
+  @Get()
+  @ApiOperation({ summary: 'List your active sessions' })
+  @ApiResponse({
+    status: 200,
+    description: 'Active sessions, newest first',
+    type: [SessionResponseDto],
+  })
+  findAll(@CurrentUser() user: any): Promise<SessionResponseDto[]> {
+    return this.refreshTokenService.getUserSessions(user.id, user.sessionId);
+  }
+
+  @Delete()
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({
+    summary: 'Revoke all your sessions, or all but the current one with ?except=current',
+  })
+  @ApiResponse({ status: 200, description: 'Sessions revoked' })
+  @ApiResponse({
+    status: 400,
+    description: 'The current session is unknown (token issued before sessions existed)',
+  })
+  async removeAll(@Query() query: RevokeSessionsQueryDto, @CurrentUser() user: any) {
+    if (query.except === 'current' && !user.sessionId) {
+      throw new BadRequestException('Current session is unknown, please sign in again');
+    }
+
+    const revoked = await this.refreshTokenService.revokeAllUserTokens(
+      user.id,
+      query.except === 'current' ? user.sessionId : undefined,
+    );
+
+    return {
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      revoked,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  @Delete(':id')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Revoke one of your sessions' })
+  @ApiResponse({ status: 200, description: 'Session revoked' })
+  @ApiResponse({ status: 404, description: 'Session not found' })
+  async remove(@Param('id', ParseUUIDPipe) id: string, @CurrentUser() user: any) {
+    const revoked = await this.refreshTokenService.revokeUserSession(user.id, id);
+    if (!revoked) {
+      throw new NotFoundException('Session not found');
+    }
+
+    return {
+      success: true,
+      message: 'Session revoked',
+      sessionId: id,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
@@ -0,0 +1,57 @@
+import { Controller, Get, HttpCode, HttpStatus, Post, UseGuards } from '@nestjs/common';
+import { ApiBearerAuth, ApiOperation, ApiResponse, ApiTags } from '@nestjs/swagger';
+import { JwtKeysService } from './services/jwt-keys.service';
+import { SigningKeyResponseDto } from './dto/signing-key.dto';
+import { JwtSigningKey } from './entities/jwt-signing-key.entity';
+import { JwtAuthGuard } from './guards/jwt-auth.guard';
+import { PermissionsGuard } from '../../common/guards/permissions.guard';
+import { RequirePermissions } from '../../common/decorators/require-permissions.decorator';
+import { PermissionName } from '../roles/enums/permission-name.enum';
+
+@ApiTags('auth')
+@Controller('auth/keys')
+@UseGuards(JwtAuthGuard, PermissionsGuard)
+@RequirePermissions(PermissionName.SYSTEM_MANAGE)
+@ApiBearerAuth()
+export class SigningKeysController {
+  constructor(private readonly jwtKeysService: JwtKeysService) {}
+
+  @Get()
+  @ApiOperation({ summary: 'List access token signing keys (requires system:manage)' })
+  @ApiResponse({
+    status: 200,
+    description: 'Signing keys, newest first',
+    type: [SigningKeyResponseDto],
+  })
+  @ApiResponse({ status: 403, description: 'Admin access required' })
+  async findAll(): Promise<SigningKeyResponseDto[]> {
+    const keys = await this.jwtKeysService.findAll();
+    return keys.map(key => this.toResponse(key));
+  }
+
+  @Post('rotate')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Rotate the access token signing key (requires system:manage)' })
+  @ApiResponse({ status: 200, description: 'New key created, it signs once activated' })
+  @ApiResponse({ status: 403, description: 'Admin access required' })
+  async rotate() {
+    const key = await this.jwtKeysService.rotate();
+
+    return {
+      success: true,
+      message: 'Signing key rotated, existing tokens stay valid until they expire',
+      key: this.toResponse(key),
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  private toResponse(key: JwtSigningKey): SigningKeyResponseDto {
+    return {
+      kid: key.kid,
+      algorithm: key.algorithm,
+      createdAt: key.createdAt,
+      activatesAt: key.activatesAt,
+      retiredAt: key.retiredAt,
+    };
+  }
+}
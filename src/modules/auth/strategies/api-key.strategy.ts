@@ -0,0 +1,85 @@
+import { Injectable, UnauthorizedException } from '@nestjs/common';
+import { PassportStrategy } from '@nestjs/passport';
+import { Strategy } from 'passport';
+import { Request } from 'express';
+import { UsersService } from '../../users/users.service';
+import { ApiKeyService } from '../services/api-key.service';
+import { TwoFactorService } from '../services/two-factor.service';
+import { OrganizationsService } from '../../organizations/organizations.service';
+
+export const API_KEY_HEADER = 'x-api-key';
+
+type VerifyCallback = (apiKey: string, done: (err: any, user?: any, info?: any) => void) => void;
+
+/**
+ * Passport strategy reading a personal API key from the X-API-Key header
+ */
+class HeaderApiKeyStrategy extends Strategy {
+  name = 'api-key';
+
+  constructor(private readonly verify: VerifyCallback) {
+    super();
+  }
+
+  authenticate(req: Request): void {
+    const apiKey = req.headers[API_KEY_HEADER];
+
+    if (typeof apiKey !== 'string' || !apiKey) {
+      return this.fail({ message: 'No API key' }, 401);
+    }
+
+    this.verify(apiKey, (err, user, info) => {
+      if (err) {
+        return this.error(err);
+      }
+      if (!user) {
+        return this.fail(info ?? { message: 'Invalid API key' }, 401);
+      }
+      return this.success(user, info);
+    });
+  }
+}
+
+@Injectable()
+export class ApiKeyStrategy extends PassportStrategy(HeaderApiKeyStrategy, 'api-key') {
+  constructor(
+    private apiKeyService: ApiKeyService,
+    private usersService: UsersService,
+    private twoFactorService: TwoFactorService,
+    private organizationsService: OrganizationsService,
+  ) {
+    super();
+  }
+
+  async validate(key: string) {
+    const apiKey = await this.apiKeyService.validate(key);
+    if (!apiKey) {
+      return null;
+    }
+
+    const user = await this.usersService.findOne(apiKey.userId);
+
+    // ✅ TENANCY: The key acts in the organization its owner currently works in
+    const permissions = await this.organizationsService.getPermissions(user, user.organizationId);
+    if (!permissions) {
+      throw new UnauthorizedException('Not a member of the current organization');
+    }
+
+    // Same shape as JwtStrategy, plus what the key may do (checked by JwtAuthGuard)
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      permissions,
+      organizationId: user.organizationId,
+      sessionId: undefined,
+      emailVerified: !!user.emailVerifiedAt,
+      twoFactorSetupRequired:
+        !user.twoFactorEnabledAt && this.twoFactorService.isRequiredFor(user.role),
+      authMethod: 'api-key',
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes,
+    };
+  }
+}
@@ -1,34 +1,89 @@
 import { Injectable, UnauthorizedException } from '@nestjs/common';
 import { PassportStrategy } from '@nestjs/passport';
 import { ExtractJwt, Strategy } from 'passport-jwt';
-import { ConfigService } from '@nestjs/config';
+import { JwtService } from '@nestjs/jwt';
 import { UsersService } from '../../users/users.service';
+import { TwoFactorService } from '../services/two-factor.service';
+import { ImpersonationService } from '../services/impersonation.service';
+import { RefreshTokenService } from '../services/refresh-token.service';
+import { OrganizationsService } from '../../organizations/organizations.service';
+import { JWT_SIGNING_ALGORITHMS, JwtKeysService } from '../services/jwt-keys.service';
 
 @Injectable()
 export class JwtStrategy extends PassportStrategy(Strategy) {
   constructor(
-    private configService: ConfigService,
+    jwtKeysService: JwtKeysService,
+    jwtService: JwtService,
     private usersService: UsersService,
+    private twoFactorService: TwoFactorService,
+    private organizationsService: OrganizationsService,
+    private impersonationService: ImpersonationService,
+    private refreshTokenService: RefreshTokenService,
   ) {
     super({
       jwtFromRequest: ExtractJwt.fromAuthHeaderAsBearerToken(),
       ignoreExpiration: false,
-      secretOrKey: configService.get('jwt.secret'),
+      algorithms: JWT_SIGNING_ALGORITHMS,
+      // ✅ ROTATION: Verify with the public key named by the token's kid, any trusted key works
+      secretOrKeyProvider: (
+        _request: unknown,
+        rawJwtToken: string,
+        done: (err: any, key?: string) => void,
+      ) => {
+        const header = jwtService.decode(rawJwtToken, { complete: true })?.header;
+
+        jwtKeysService
+          .getVerificationKey(header?.kid ?? '')
+          .then(key =>
+            key && key.algorithm === header?.alg
+              ? done(null, key.publicKey)
+              : done(new UnauthorizedException('Unknown signing key')),
+          )
+          .catch(error => done(error));
+      },
     });
   }
 
   async validate(payload: any) {
+    // ✅ SESSIONS: Signing a session out must end its access tokens too, not only its refresh token
+    if (payload.sid && (await this.refreshTokenService.isSessionRevoked(payload.sid))) {
+      throw new UnauthorizedException('Session has been revoked');
+    }
+
     const user = await this.usersService.findOne(payload.sub);
-    
+
     if (!user) {
       throw new UnauthorizedException('User not found');
     }
-    
+
+    // ✅ TENANCY: Permissions depend on the user's role in the organization they work in
+    // (impersonation tokens are pinned to the organization they were issued in)
+    const organizationId = payload.org ?? user.organizationId;
+    const permissions = await this.organizationsService.getPermissions(user, organizationId);
+    if (!permissions) {
+      throw new UnauthorizedException('Not a member of the current organization');
+    }
+
+    // ✅ IMPERSONATION: `act` names the admin acting as this user
+    const impersonator = payload.act
+      ? await this.impersonationService.resolveImpersonator(payload.act.sub, {
+          role: user.role,
+          permissions,
+        })
+      : undefined;
+
     return {
       id: user.id,
       email: user.email,
       name: user.name,
       role: user.role,
+      permissions,
+      organizationId,
+      sessionId: payload.sid,
+      emailVerified: !!user.emailVerifiedAt,
+      twoFactorSetupRequired:
+        !user.twoFactorEnabledAt && this.twoFactorService.isRequiredFor(user.role),
+      impersonator,
     };
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,124 @@
+import { Body, Controller, Post, Req, HttpCode, HttpStatus, UseGuards } from '@nestjs/common';
+import { ApiTags, ApiOperation, ApiResponse, ApiBearerAuth } from '@nestjs/swagger';
+import { Request } from 'express';
+import { AuthService } from './auth.service';
+import { TwoFactorService } from './services/two-factor.service';
+import { TokenResponseDto } from './dto/refresh-token.dto';
+import {
+  TwoFactorCodeDto,
+  TwoFactorEnrollmentResponseDto,
+  TwoFactorRecoveryCodesResponseDto,
+  VerifyTwoFactorDto,
+} from './dto/two-factor.dto';
+import { JwtAuthGuard } from './guards/jwt-auth.guard';
+import { CurrentUser } from './decorators/current-user.decorator';
+import { AllowTwoFactorSetup } from './decorators/allow-two-factor-setup.decorator';
+import { DenyWhileImpersonating } from './decorators/deny-while-impersonating.decorator';
+import { RateLimitGuard } from '../../common/guards/rate-limit.guard';
+import { RateLimit } from '../../common/decorators/rate-limit.decorator';
+
+@ApiTags('auth')
+@Controller('auth/2fa')
+@DenyWhileImpersonating() // An admin acting as a user must not change how they sign in
+export class TwoFactorController {
+  constructor(
+    private readonly authService: AuthService,
+    private readonly twoFactorService: TwoFactorService,
+  ) {}
+
+  @Post('verify')
+  @UseGuards(RateLimitGuard)
+  @RateLimit({ limit: 5, windowMs: 60000 }) // 5 code attempts per minute per IP
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Complete a two-factor login with the challenge token and a code' })
+  @ApiResponse({ status: 200, description: 'Login successful', type: TokenResponseDto })
+  @ApiResponse({ status: 401, description: 'Invalid code or expired challenge' })
+  @ApiResponse({ status: 429, description: 'Too many attempts' })
+  async verify(
+    @Body() verifyTwoFactorDto: VerifyTwoFactorDto,
+    @Req() request: Request,
+  ): Promise<TokenResponseDto> {
+    const deviceInfo = {
+      userAgent: request.headers['user-agent'],
+      ipAddress: request.ip,
+    };
+    return this.authService.verifyTwoFactor(verifyTwoFactorDto, deviceInfo);
+  }
+
+  @Post('setup')
+  @UseGuards(JwtAuthGuard, RateLimitGuard)
+  @RateLimit({ limit: 5, windowMs: 60000 })
+  @AllowTwoFactorSetup()
+  @HttpCode(HttpStatus.OK)
+  @ApiBearerAuth()
+  @ApiOperation({
+    summary: 'Start 2FA enrollment: get a TOTP secret and provisioning URI for a QR code',
+  })
+  @ApiResponse({
+    status: 200,
+    description: 'Enrollment started',
+    type: TwoFactorEnrollmentResponseDto,
+  })
+  @ApiResponse({ status: 409, description: 'Two-factor authentication is already enabled' })
+  setup(@CurrentUser() user: any): Promise<TwoFactorEnrollmentResponseDto> {
+    return this.twoFactorService.beginEnrollment(user.id);
+  }
+
+  @Post('confirm')
+  @UseGuards(JwtAuthGuard, RateLimitGuard)
+  @RateLimit({ limit: 5, windowMs: 60000 })
+  @AllowTwoFactorSetup()
+  @HttpCode(HttpStatus.OK)
+  @ApiBearerAuth()
+  @ApiOperation({ summary: 'Confirm 2FA enrollment with a code from the authenticator app' })
+  @ApiResponse({
+    status: 200,
+    description: '2FA enabled, recovery codes returned once',
+    type: TwoFactorRecoveryCodesResponseDto,
+  })
+  @ApiResponse({ status: 400, description: 'Invalid code or setup not started' })
+  @ApiResponse({ status: 409, description: 'Two-factor authentication is already enabled' })
+  async confirm(
+    @Body() codeDto: TwoFactorCodeDto,
+    @CurrentUser() user: any,
+  ): Promise<TwoFactorRecoveryCodesResponseDto> {
+    const recoveryCodes = await this.twoFactorService.confirmEnrollment(user.id, codeDto.code);
+    return { recoveryCodes };
+  }
+
+  @Post('recovery-codes')
+  @UseGuards(JwtAuthGuard, RateLimitGuard)
+  @RateLimit({ limit: 5, windowMs: 60000 })
+  @HttpCode(HttpStatus.OK)
+  @ApiBearerAuth()
+  @ApiOperation({ summary: 'Replace all recovery codes (requires a current code)' })
+  @ApiResponse({
+    status: 200,
+    description: 'New recovery codes, shown once',
+    type: TwoFactorRecoveryCodesResponseDto,
+  })
+  @ApiResponse({ status: 400, description: 'Invalid code or 2FA not enabled' })
+  async regenerateRecoveryCodes(
+    @Body() codeDto: TwoFactorCodeDto,
+    @CurrentUser() user: any,
+  ): Promise<TwoFactorRecoveryCodesResponseDto> {
+    const recoveryCodes = await this.twoFactorService.regenerateRecoveryCodes(
+      user.id,
+      codeDto.code,
+    );
+    return { recoveryCodes };
+  }
+
+  @Post('disable')
+  @UseGuards(JwtAuthGuard, RateLimitGuard)
+  @RateLimit({ limit: 5, windowMs: 60000 })
+  @HttpCode(HttpStatus.NO_CONTENT)
+  @ApiBearerAuth()
+  @ApiOperation({ summary: 'Turn off 2FA (requires a current code or a recovery code)' })
+  @ApiResponse({ status: 204, description: '2FA disabled' })
+  @ApiResponse({ status: 400, description: 'Invalid code or 2FA not enabled' })
+  @ApiResponse({ status: 403, description: '2FA is mandatory for this account' })
+  async disable(@Body() codeDto: TwoFactorCodeDto, @CurrentUser() user: any): Promise<void> {
+    await this.twoFactorService.disable(user.id, user.role, codeDto.code);
+  }
+}
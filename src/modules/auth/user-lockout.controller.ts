@@ -0,0 +1,53 @@
+import {
+  Controller,
+  HttpCode,
+  HttpStatus,
+  Param,
+  ParseUUIDPipe,
+  Post,
+  UseGuards,
+} from '@nestjs/common';
+import { ApiBearerAuth, ApiOperation, ApiResponse, ApiTags } from '@nestjs/swagger';
+import { LoginAttemptService } from './services/login-attempt.service';
+import { JwtAuthGuard } from './guards/jwt-auth.guard';
+import { CurrentUser } from './decorators/current-user.decorator';
+import { UsersService } from '../users/users.service';
+import { PermissionsGuard } from '../../common/guards/permissions.guard';
+import { RequirePermissions } from '../../common/decorators/require-permissions.decorator';
+import { PermissionName } from '../roles/enums/permission-name.enum';
+
+@ApiTags('users')
+@Controller('users/:id')
+@UseGuards(JwtAuthGuard, PermissionsGuard)
+@RequirePermissions(PermissionName.USERS_SESSIONS_MANAGE)
+@ApiBearerAuth()
+export class UserLockoutController {
+  constructor(
+    private readonly loginAttemptService: LoginAttemptService,
+    private readonly usersService: UsersService,
+  ) {}
+
+  @Post('unlock')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({
+    summary: 'Lift a login lockout and reset failed attempts (requires users:sessions:manage)',
+  })
+  @ApiResponse({ status: 200, description: 'Account unlocked' })
+  @ApiResponse({
+    status: 403,
+    description: 'Admin access required, or the user also belongs to other organizations',
+  })
+  @ApiResponse({ status: 404, description: 'User not found' })
+  async unlock(@Param('id', ParseUUIDPipe) id: string, @CurrentUser() currentUser: any) {
+    // ✅ TENANCY: The lockout covers the whole account, so only users of this organization alone
+    const user = await this.usersService.findOneManagedBy(id, currentUser.organizationId);
+    const wasLocked = await this.loginAttemptService.unlock(user.email);
+
+    return {
+      success: true,
+      message: wasLocked ? 'Account unlocked' : 'Account was not locked, failed attempts reset',
+      userId: id,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
@@ -0,0 +1,132 @@
+import {
+  BadRequestException,
+  Controller,
+  Delete,
+  Get,
+  HttpCode,
+  HttpStatus,
+  NotFoundException,
+  Param,
+  ParseUUIDPipe,
+  Query,
+  UseGuards,
+} from '@nestjs/common';
+import { ApiBearerAuth, ApiOperation, ApiResponse, ApiTags } from '@nestjs/swagger';
+import { RefreshTokenService } from './services/refresh-token.service';
+import { RevokeSessionsQueryDto, SessionResponseDto } from './dto/session.dto';
+import { JwtAuthGuard } from './guards/jwt-auth.guard';
+import { CurrentUser } from './decorators/current-user.decorator';
+import { UsersService } from '../users/users.service';
+import { PermissionsGuard } from '../../common/guards/permissions.guard';
+import { RequirePermissions } from '../../common/decorators/require-permissions.decorator';
+import { PermissionName } from '../roles/enums/permission-name.enum';
+
+/**
+ * Admin counterpart of SessionsController for any user's sessions. Lives in the auth module
+ * (which owns refresh tokens) because the users module can't depend on it.
+ */
+@ApiTags('users')
+@Controller('users/:id/sessions')
+@UseGuards(JwtAuthGuard, PermissionsGuard)
+@RequirePermissions(PermissionName.USERS_SESSIONS_MANAGE)
+@ApiBearerAuth()
+export class UserSessionsController {
+  constructor(
+    private readonly refreshTokenService: RefreshTokenService,
+    private readonly usersService: UsersService,
+  ) {}
+
+  @Get()
+  @ApiOperation({ summary: "List a user's active sessions (requires users:sessions:manage)" })
+  @ApiResponse({
+    status: 200,
+    description: 'Active sessions, newest first',
+    type: [SessionResponseDto],
+  })
+  @ApiResponse({ status: 403, description: 'Admin access required' })
+  @ApiResponse({ status: 404, description: 'User not found' })
+  async findAll(
+    @Param('id', ParseUUIDPipe) id: string,
+    @CurrentUser() user: any,
+  ): Promise<SessionResponseDto[]> {
+    await this.usersService.findOneInOrganization(id, user.organizationId);
+    return this.refreshTokenService.getUserSessions(id, user.sessionId);
+  }
+
+  @Delete()
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({
+    summary:
+      "Revoke all of a user's sessions (requires users:sessions:manage); ?except=current keeps your own",
+  })
+  @ApiResponse({ status: 200, description: 'Sessions revoked' })
+  @ApiResponse({
+    status: 403,
+    description: 'Admin access required, or the user also belongs to other organizations',
+  })
+  @ApiResponse({ status: 404, description: 'User not found' })
+  async removeAll(
+    @Param('id', ParseUUIDPipe) id: string,
+    @Query() query: RevokeSessionsQueryDto,
+    @CurrentUser() user: any,
+  ) {
+    if (query.except === 'current' && !user.sessionId) {
+      throw new BadRequestException('Current session is unknown, please sign in again');
+    }
+
+    await this.findManagedUser(id, user);
+    const revoked = await this.refreshTokenService.revokeAllUserTokens(
+      id,
+      query.except === 'current' ? user.sessionId : undefined,
+    );
+
+    return {
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      userId: id,
+      revoked,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  @Delete(':sessionId')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: "Revoke one of a user's sessions (requires users:sessions:manage)" })
+  @ApiResponse({ status: 200, description: 'Session revoked' })
+  @ApiResponse({
+    status: 403,
+    description: 'Admin access required, or the user also belongs to other organizations',
+  })
+  @ApiResponse({ status: 404, description: 'User or session not found' })
+  async remove(
+    @Param('id', ParseUUIDPipe) id: string,
+    @Param('sessionId', ParseUUIDPipe) sessionId: string,
+    @CurrentUser() user: any,
+  ) {
+    await this.findManagedUser(id, user);
+    const revoked = await this.refreshTokenService.revokeUserSession(id, sessionId);
+    if (!revoked) {
+      throw new NotFoundException('Session not found');
+    }
+
+    return {
+      success: true,
+      message: 'Session revoked',
+      userId: id,
+      sessionId,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * ✅ TENANCY: Signing someone out affects every organization they work in, so it's limited to
+   * users of the admin's organization alone (admins can always manage their own sessions)
+   */
+  private async findManagedUser(id: string, user: any): Promise<void> {
+    if (id === user.id) {
+      await this.usersService.findOne(id);
+    } else {
+      await this.usersService.findOneManagedBy(id, user.organizationId);
+    }
+  }
+}
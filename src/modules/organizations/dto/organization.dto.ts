@@ -0,0 +1,101 @@
+import { IsEmail, IsNotEmpty, IsOptional, IsString, MaxLength, MinLength } from 'class-validator';
+import { ApiProperty } from '@nestjs/swagger';
+import { IsSafeText } from '../../../common/decorators/validation.decorators';
+
+export class CreateOrganizationDto {
+  @ApiProperty({
+    example: 'Acme Inc.',
+    description: 'Organization name (2-100 characters, no HTML/scripts)',
+  })
+  @IsString()
+  @IsNotEmpty()
+  @MinLength(2)
+  @MaxLength(100)
+  @IsSafeText()
+  name: string;
+}
+
+export class InviteOrganizationMemberDto {
+  @ApiProperty({
+    example: 'jane.doe@example.com',
+    description: 'Email to invite, whether or not it has an account yet',
+  })
+  @IsEmail()
+  @MaxLength(255)
+  email: string;
+
+  @ApiProperty({
+    example: 'user',
+    required: false,
+    description: 'Role within the organization once accepted (defaults to user)',
+  })
+  @IsOptional()
+  @IsString()
+  @MaxLength(50)
+  role?: string;
+}
+
+export class UpdateOrganizationMemberDto {
+  @ApiProperty({ example: 'admin', description: 'Role within the organization' })
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(50)
+  role: string;
+}
+
+export class OrganizationResponseDto {
+  @ApiProperty({ example: '123e4567-e89b-12d3-a456-426614174000' })
+  id: string;
+
+  @ApiProperty({ example: 'Acme Inc.' })
+  name: string;
+
+  @ApiProperty({ example: 'admin', description: 'Your role within the organization' })
+  role: string;
+
+  @ApiProperty({
+    example: true,
+    description: 'Whether this is the organization you are working in',
+  })
+  current: boolean;
+}
+
+export class OrganizationMemberResponseDto {
+  @ApiProperty({ example: '123e4567-e89b-12d3-a456-426614174000' })
+  userId: string;
+
+  @ApiProperty({ example: 'jane.doe@example.com' })
+  email: string;
+
+  @ApiProperty({ example: 'Jane Doe' })
+  name: string;
+
+  @ApiProperty({ example: 'user' })
+  role: string;
+
+  @ApiProperty({ example: '2024-01-01T00:00:00.000Z' })
+  joinedAt: Date;
+}
+
+export class OrganizationInvitationResponseDto {
+  @ApiProperty({ example: '123e4567-e89b-12d3-a456-426614174000' })
+  id: string;
+
+  @ApiProperty({ example: '123e4567-e89b-12d3-a456-426614174001' })
+  organizationId: string;
+
+  @ApiProperty({ example: 'Acme Inc.' })
+  organizationName: string;
+
+  @ApiProperty({ example: 'jane.doe@example.com' })
+  email: string;
+
+  @ApiProperty({ example: 'user' })
+  role: string;
+
+  @ApiProperty({ example: '2024-01-08T00:00:00.000Z' })
+  expiresAt: Date;
+
+  @ApiProperty({ example: '2024-01-01T00:00:00.000Z' })
+  createdAt: Date;
+}
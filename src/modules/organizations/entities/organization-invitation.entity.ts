@@ -0,0 +1,47 @@
+import {
+  Column,
+  CreateDateColumn,
+  Entity,
+  Index,
+  JoinColumn,
+  ManyToOne,
+  PrimaryGeneratedColumn,
+} from 'typeorm';
+import { Organization } from './organization.entity';
+
+/**
+ * An invitation to join an organization, addressed to an email rather than an account: whoever
+ * verifies that address (now or after signing up) can accept it and becomes a member.
+ */
+@Entity('organization_invitations')
+@Index('uq_organization_invitations_organization_email', ['organizationId', 'email'], {
+  unique: true,
+})
+@Index('idx_organization_invitations_email', ['email'])
+export class OrganizationInvitation {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ name: 'organization_id', type: 'uuid' })
+  organizationId: string;
+
+  @ManyToOne(() => Organization, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'organization_id' })
+  organization: Organization;
+
+  @Column()
+  email: string; // Lowercased
+
+  // The membership role granted on acceptance
+  @Column({ length: 50, default: 'user' })
+  role: string;
+
+  @Column({ name: 'invited_by_id', type: 'uuid', nullable: true })
+  invitedById: string | null;
+
+  @Column({ name: 'expires_at', type: 'timestamp' })
+  expiresAt: Date;
+
+  @CreateDateColumn({ name: 'created_at' })
+  createdAt: Date;
+}
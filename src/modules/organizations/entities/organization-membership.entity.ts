@@ -0,0 +1,39 @@
+import {
+  Column,
+  CreateDateColumn,
+  Entity,
+  Index,
+  JoinColumn,
+  ManyToOne,
+  PrimaryColumn,
+} from 'typeorm';
+import { Organization } from './organization.entity';
+import { User } from '../../users/entities/user.entity';
+
+/**
+ * A user's membership of an organization, with the role they hold there
+ */
+@Entity('organization_memberships')
+@Index('idx_organization_memberships_user_id', ['userId'])
+export class OrganizationMembership {
+  @PrimaryColumn({ name: 'organization_id', type: 'uuid' })
+  organizationId: string;
+
+  @PrimaryColumn({ name: 'user_id', type: 'uuid' })
+  userId: string;
+
+  @ManyToOne(() => Organization, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'organization_id' })
+  organization: Organization;
+
+  @ManyToOne(() => User, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'user_id' })
+  user: User;
+
+  // References roles.name like users.role; platform-wide permissions are never granted through it
+  @Column({ length: 50, default: 'user' })
+  role: string;
+
+  @CreateDateColumn({ name: 'created_at' })
+  createdAt: Date;
+}
@@ -0,0 +1,223 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  Get,
+  HttpCode,
+  HttpStatus,
+  Param,
+  ParseUUIDPipe,
+  Patch,
+  Post,
+  UseGuards,
+} from '@nestjs/common';
+import { ApiBearerAuth, ApiOperation, ApiResponse, ApiTags } from '@nestjs/swagger';
+import { OrganizationsService } from './organizations.service';
+import {
+  CreateOrganizationDto,
+  InviteOrganizationMemberDto,
+  OrganizationInvitationResponseDto,
+  OrganizationMemberResponseDto,
+  OrganizationResponseDto,
+  UpdateOrganizationMemberDto,
+} from './dto/organization.dto';
+import { RateLimitGuard } from '../../common/guards/rate-limit.guard';
+import { RateLimit } from '../../common/decorators/rate-limit.decorator';
+import { PermissionsGuard } from '../../common/guards/permissions.guard';
+import { RequirePermissions } from '../../common/decorators/require-permissions.decorator';
+import { PermissionName } from '../roles/enums/permission-name.enum';
+import { ADMIN_ROLE } from '../roles/roles.service';
+import { JwtAuthGuard } from '../auth/guards/jwt-auth.guard';
+import { CurrentUser } from '../auth/decorators/current-user.decorator';
+import { DenyWhileImpersonating } from '../auth/decorators/deny-while-impersonating.decorator';
+
+@ApiTags('organizations')
+@Controller('organizations')
+@UseGuards(JwtAuthGuard, RateLimitGuard)
+@RateLimit({ limit: 100, windowMs: 60000 })
+@ApiBearerAuth()
+export class OrganizationsController {
+  constructor(private readonly organizationsService: OrganizationsService) {}
+
+  @Get()
+  @ApiOperation({ summary: 'List the organizations you are a member of' })
+  @ApiResponse({ status: 200, type: [OrganizationResponseDto] })
+  findAll(@CurrentUser() user: any): Promise<OrganizationResponseDto[]> {
+    return this.organizationsService.findForUser(user.id, user.organizationId);
+  }
+
+  @Post()
+  @DenyWhileImpersonating()
+  @ApiOperation({ summary: 'Create an organization (you become its admin)' })
+  @ApiResponse({ status: 201, type: OrganizationResponseDto })
+  async create(
+    @Body() createOrganizationDto: CreateOrganizationDto,
+    @CurrentUser() user: any,
+  ): Promise<OrganizationResponseDto> {
+    const organization = await this.organizationsService.create(createOrganizationDto, user.id);
+    return { id: organization.id, name: organization.name, role: ADMIN_ROLE, current: false };
+  }
+
+  @Post(':id/switch')
+  @HttpCode(HttpStatus.OK)
+  @DenyWhileImpersonating()
+  @ApiOperation({
+    summary: 'Work in another of your organizations (applies from the next request)',
+  })
+  @ApiResponse({ status: 200, description: 'Switched' })
+  @ApiResponse({ status: 404, description: 'Organization not found' })
+  async switch(@Param('id', ParseUUIDPipe) id: string, @CurrentUser() user: any) {
+    const organization = await this.organizationsService.switch(user.id, id);
+
+    return {
+      success: true,
+      message: `Now working in ${organization.name}`,
+      organizationId: organization.id,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  @Get('invitations')
+  @ApiOperation({ summary: 'List the pending invitations addressed to your email' })
+  @ApiResponse({ status: 200, type: [OrganizationInvitationResponseDto] })
+  findMyInvitations(@CurrentUser() user: any): Promise<OrganizationInvitationResponseDto[]> {
+    return this.organizationsService.findInvitationsFor(user);
+  }
+
+  @Post('invitations/:id/accept')
+  @HttpCode(HttpStatus.OK)
+  @DenyWhileImpersonating()
+  @ApiOperation({
+    summary: 'Accept an invitation and join its organization (needs a verified email)',
+  })
+  @ApiResponse({ status: 200, type: OrganizationResponseDto })
+  @ApiResponse({ status: 403, description: 'Email not verified' })
+  @ApiResponse({ status: 404, description: 'Invitation not found or expired' })
+  @ApiResponse({ status: 409, description: 'Already a member' })
+  acceptInvitation(
+    @Param('id', ParseUUIDPipe) id: string,
+    @CurrentUser() user: any,
+  ): Promise<OrganizationResponseDto> {
+    return this.organizationsService.acceptInvitation(id, user);
+  }
+
+  @Delete('invitations/:id')
+  @HttpCode(HttpStatus.NO_CONTENT)
+  @DenyWhileImpersonating()
+  @ApiOperation({ summary: 'Decline an invitation' })
+  @ApiResponse({ status: 204, description: 'Invitation declined' })
+  @ApiResponse({ status: 404, description: 'Invitation not found' })
+  async declineInvitation(
+    @Param('id', ParseUUIDPipe) id: string,
+    @CurrentUser() user: any,
+  ): Promise<void> {
+    await this.organizationsService.declineInvitation(id, user);
+  }
+
+  @Get('current/members')
+  @ApiOperation({ summary: 'List the members of your current organization' })
+  @ApiResponse({ status: 200, type: [OrganizationMemberResponseDto] })
+  findMembers(@CurrentUser() user: any): Promise<OrganizationMemberResponseDto[]> {
+    return this.organizationsService.findMembers(user.organizationId);
+  }
+
+  @Post('current/invitations')
+  @HttpCode(HttpStatus.ACCEPTED)
+  @UseGuards(PermissionsGuard)
+  @RequirePermissions(PermissionName.ORGANIZATIONS_MANAGE)
+  @ApiOperation({
+    summary:
+      'Invite an email address to your current organization, it joins once accepted (requires organizations:manage)',
+  })
+  @ApiResponse({ status: 202, description: 'Invitation sent' })
+  @ApiResponse({ status: 400, description: 'Role not found' })
+  async invite(@Body() inviteDto: InviteOrganizationMemberDto, @CurrentUser() user: any) {
+    await this.organizationsService.invite(user.organizationId, inviteDto, user.id);
+
+    // ✅ SECURITY: The same answer whether or not the address has an account
+    return {
+      success: true,
+      message: 'Invitation sent',
+      organizationId: user.organizationId,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  @Get('current/invitations')
+  @UseGuards(PermissionsGuard)
+  @RequirePermissions(PermissionName.ORGANIZATIONS_MANAGE)
+  @ApiOperation({
+    summary: 'List the invitations of your current organization (requires organizations:manage)',
+  })
+  @ApiResponse({ status: 200, type: [OrganizationInvitationResponseDto] })
+  findInvitations(@CurrentUser() user: any): Promise<OrganizationInvitationResponseDto[]> {
+    return this.organizationsService.findInvitations(user.organizationId);
+  }
+
+  @Delete('current/invitations/:id')
+  @HttpCode(HttpStatus.NO_CONTENT)
+  @UseGuards(PermissionsGuard)
+  @RequirePermissions(PermissionName.ORGANIZATIONS_MANAGE)
+  @ApiOperation({ summary: 'Revoke an invitation (requires organizations:manage)' })
+  @ApiResponse({ status: 204, description: 'Invitation revoked' })
+  @ApiResponse({ status: 404, description: 'Invitation not found' })
+  async revokeInvitation(
+    @Param('id', ParseUUIDPipe) id: string,
+    @CurrentUser() user: any,
+  ): Promise<void> {
+    await this.organizationsService.revokeInvitation(user.organizationId, id);
+  }
+
+  @Patch('current/members/:userId')
+  @UseGuards(PermissionsGuard)
+  @RequirePermissions(PermissionName.ORGANIZATIONS_MANAGE)
+  @ApiOperation({
+    summary: "Change a member's role in your current organization (requires organizations:manage)",
+  })
+  @ApiResponse({ status: 200, type: OrganizationMemberResponseDto })
+  @ApiResponse({ status: 403, description: 'You cannot change your own role' })
+  @ApiResponse({ status: 404, description: 'User is not a member of this organization' })
+  @ApiResponse({ status: 409, description: 'Nobody would be left to manage the organization' })
+  updateMember(
+    @Param('userId', ParseUUIDPipe) memberId: string,
+    @Body() updateMemberDto: UpdateOrganizationMemberDto,
+    @CurrentUser() user: any,
+  ): Promise<OrganizationMemberResponseDto> {
+    return this.organizationsService.updateMember(
+      user.organizationId,
+      memberId,
+      updateMemberDto.role,
+      user.id,
+    );
+  }
+
+  @Delete('current/members/:userId')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({
+    summary:
+      'Remove a member from your current organization (organizations:manage, or yourself to leave)',
+  })
+  @ApiResponse({ status: 200, description: 'Member removed' })
+  @ApiResponse({ status: 404, description: 'User is not a member of this organization' })
+  @ApiResponse({
+    status: 409,
+    description: "The user's only organization, or nobody would be left to manage it",
+  })
+  async removeMember(@Param('userId', ParseUUIDPipe) memberId: string, @CurrentUser() user: any) {
+    const organizationId = user.organizationId;
+    await this.organizationsService.removeMember(
+      organizationId,
+      memberId,
+      user.id,
+      user.permissions,
+    );
+
+    return {
+      success: true,
+      message: 'Member removed successfully',
+      organizationId,
+      userId: memberId,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
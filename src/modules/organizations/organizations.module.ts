@@ -0,0 +1,29 @@
+import { Module } from '@nestjs/common';
+import { TypeOrmModule } from '@nestjs/typeorm';
+import { BullModule } from '@nestjs/bullmq';
+import { OrganizationsService } from './organizations.service';
+import { OrganizationsController } from './organizations.controller';
+import { Organization } from './entities/organization.entity';
+import { OrganizationMembership } from './entities/organization-membership.entity';
+import { OrganizationInvitation } from './entities/organization-invitation.entity';
+import { User } from '../users/entities/user.entity';
+import { CommonModule } from '../../common/common.module';
+import { UsersModule } from '../users/users.module';
+import { RolesModule } from '../roles/roles.module';
+import { EMAIL_QUEUE } from '../../queues/email/email-processor.service';
+
+@Module({
+  imports: [
+    TypeOrmModule.forFeature([Organization, OrganizationMembership, OrganizationInvitation, User]),
+    CommonModule, // Import to access RateLimitGuard
+    UsersModule, // Import to look up members and refresh their cached profile
+    RolesModule, // Import to resolve membership roles to permissions
+    BullModule.registerQueue({
+      name: EMAIL_QUEUE,
+    }),
+  ],
+  controllers: [OrganizationsController],
+  providers: [OrganizationsService],
+  exports: [OrganizationsService],
+})
+export class OrganizationsModule {}
@@ -0,0 +1,288 @@
+import { Test } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { getQueueToken } from '@nestjs/bullmq';
+import { ConfigService } from '@nestjs/config';
+import { ConflictException, ForbiddenException, NotFoundException } from '@nestjs/common';
+import { OrganizationsService } from './organizations.service';
+import { Organization } from './entities/organization.entity';
+import { OrganizationMembership } from './entities/organization-membership.entity';
+import { OrganizationInvitation } from './entities/organization-invitation.entity';
+import { User } from '../users/entities/user.entity';
+import { UsersService } from '../users/users.service';
+import { RolesService } from '../roles/roles.service';
+import { PermissionName } from '../roles/enums/permission-name.enum';
+import { EMAIL_QUEUE } from '../../queues/email/email-processor.service';
+import { createMockQueryBuilder } from '../../../test/utils/mock-query-builder';
+
+const ORG_ID = 'org-1';
+const OTHER_ORG_ID = 'org-2';
+
+const ROLE_PERMISSIONS: Record<string, PermissionName[]> = {
+  admin: Object.values(PermissionName),
+  manager: [PermissionName.ORGANIZATIONS_MANAGE, PermissionName.TASKS_READ_ANY],
+  user: [],
+};
+
+describe('OrganizationsService', () => {
+  let service: OrganizationsService;
+  let membershipsRepository: Record<string, any>;
+  let invitationsRepository: Record<string, jest.Mock>;
+  let organizationsRepository: Record<string, jest.Mock>;
+  let manager: Record<string, jest.Mock>;
+  let emailQueue: { add: jest.Mock };
+  let rolesQuery: any; // Roles of the other members, for the last-manager check
+
+  const invitation = (overrides: Partial<OrganizationInvitation> = {}) => ({
+    id: 'invitation-1',
+    organizationId: ORG_ID,
+    organization: { id: ORG_ID, name: 'Acme' },
+    email: 'ada@example.com',
+    role: 'user',
+    expiresAt: new Date(Date.now() + 60_000),
+    ...overrides,
+  });
+  const ada = { id: 'user-1', email: 'Ada@Example.com', emailVerified: true };
+
+  beforeEach(async () => {
+    manager = {
+      delete: jest.fn().mockResolvedValue({ affected: 1 }),
+      exists: jest.fn().mockResolvedValue(false),
+      insert: jest.fn(),
+      query: jest.fn(),
+      update: jest.fn(),
+    };
+    rolesQuery = createMockQueryBuilder();
+    membershipsRepository = {
+      findOne: jest.fn().mockResolvedValue(null),
+      createQueryBuilder: jest.fn(() => rolesQuery),
+      update: jest.fn(),
+      manager: { transaction: jest.fn(async work => work(manager)) },
+    };
+    invitationsRepository = {
+      upsert: jest.fn(),
+      findOneOrFail: jest.fn().mockResolvedValue({ id: 'invitation-1' }),
+      findOne: jest.fn().mockResolvedValue(invitation()),
+      delete: jest.fn().mockResolvedValue({ affected: 1 }),
+    };
+    organizationsRepository = {
+      findOne: jest.fn().mockResolvedValue({ id: ORG_ID, name: 'Acme' }),
+    };
+    emailQueue = { add: jest.fn() };
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        OrganizationsService,
+        { provide: getRepositoryToken(Organization), useValue: organizationsRepository },
+        { provide: getRepositoryToken(OrganizationMembership), useValue: membershipsRepository },
+        { provide: getRepositoryToken(OrganizationInvitation), useValue: invitationsRepository },
+        { provide: getRepositoryToken(User), useValue: { update: jest.fn() } },
+        { provide: UsersService, useValue: { invalidateCache: jest.fn() } },
+        {
+          provide: RolesService,
+          useValue: {
+            assertExists: jest.fn(),
+            getPermissions: jest.fn(async (role: string) => ROLE_PERMISSIONS[role] ?? []),
+          },
+        },
+        { provide: ConfigService, useValue: { get: jest.fn((_key, fallback) => fallback) } },
+        { provide: getQueueToken(EMAIL_QUEUE), useValue: emailQueue },
+      ],
+    }).compile();
+
+    service = moduleRef.get(OrganizationsService);
+  });
+
+  describe('permissions', () => {
+    it("combine the platform permissions of the user's role with the tenant ones of their membership", async () => {
+      membershipsRepository.findOne.mockResolvedValue({ role: 'manager' });
+
+      const permissions = await service.getPermissions({ id: 'user-1', role: 'admin' }, ORG_ID);
+
+      expect(permissions).toEqual(
+        [
+          PermissionName.ORGANIZATIONS_MANAGE,
+          PermissionName.ROLES_MANAGE,
+          PermissionName.SYSTEM_MANAGE,
+          PermissionName.SYSTEM_MONITOR,
+          PermissionName.TASKS_READ_ANY,
+          PermissionName.USERS_IMPERSONATE,
+        ].sort(),
+      );
+    });
+
+    it('keep an admin who joined as a plain member a plain member there', async () => {
+      membershipsRepository.findOne.mockResolvedValue({ role: 'user' });
+
+      const permissions = await service.getPermissions({ id: 'user-1', role: 'admin' }, ORG_ID);
+
+      expect(permissions).not.toContain(PermissionName.TASKS_DELETE_ANY);
+      expect(permissions).not.toContain(PermissionName.ORGANIZATIONS_MANAGE);
+    });
+
+    it('never carry platform permissions in through an organization role', async () => {
+      membershipsRepository.findOne.mockResolvedValue({ role: 'admin' });
+
+      const permissions = await service.getPermissions({ id: 'user-1', role: 'user' }, ORG_ID);
+
+      expect(permissions).toContain(PermissionName.TASKS_DELETE_ANY);
+      expect(permissions).not.toContain(PermissionName.ROLES_MANAGE);
+      expect(permissions).not.toContain(PermissionName.USERS_IMPERSONATE);
+    });
+
+    it('are null outside your organizations, or without one', async () => {
+      await expect(
+        service.getPermissions({ id: 'user-1', role: 'admin' }, ORG_ID),
+      ).resolves.toBeNull();
+      await expect(
+        service.getPermissions({ id: 'user-1', role: 'admin' }, undefined as unknown as string),
+      ).resolves.toBeNull();
+      expect(membershipsRepository.findOne).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('invitations', () => {
+    it('renews the invitation for an address and emails it', async () => {
+      await service.invite(ORG_ID, { email: 'Ada@Example.com', role: 'manager' }, 'admin-1');
+
+      expect(invitationsRepository.upsert).toHaveBeenCalledWith(
+        {
+          organizationId: ORG_ID,
+          email: 'ada@example.com',
+          role: 'manager',
+          invitedById: 'admin-1',
+          expiresAt: expect.any(Date),
+        },
+        ['organizationId', 'email'],
+      );
+      const [name, job] = emailQueue.add.mock.calls[0];
+      expect(name).toBe('organization-invitation');
+      expect(job).toEqual(
+        expect.objectContaining({
+          invitationId: 'invitation-1',
+          email: 'ada@example.com',
+          organizationName: 'Acme',
+          role: 'manager',
+        }),
+      );
+      // ORGANIZATION_INVITATION_EXPIRATION defaults to a week
+      expect(new Date(job.expiresAt).getTime() - Date.now()).toBeGreaterThan(
+        7 * 24 * 60 * 60 * 1000 - 60_000,
+      );
+    });
+
+    it('lets the invited user join with the role they were invited as', async () => {
+      await expect(service.acceptInvitation('invitation-1', ada)).resolves.toEqual({
+        id: ORG_ID,
+        name: 'Acme',
+        role: 'user',
+        current: false,
+      });
+
+      expect(invitationsRepository.findOne).toHaveBeenCalledWith({
+        where: { id: 'invitation-1', email: 'ada@example.com' },
+        relations: ['organization'],
+      });
+      expect(manager.insert).toHaveBeenCalledWith(OrganizationMembership, {
+        organizationId: ORG_ID,
+        userId: 'user-1',
+        role: 'user',
+      });
+    });
+
+    it('needs a verified email address to accept', async () => {
+      await expect(
+        service.acceptInvitation('invitation-1', { ...ada, emailVerified: false }),
+      ).rejects.toThrow(ForbiddenException);
+      expect(invitationsRepository.findOne).not.toHaveBeenCalled();
+    });
+
+    it('treats expired invitations like missing ones', async () => {
+      invitationsRepository.findOne.mockResolvedValue(
+        invitation({ expiresAt: new Date(Date.now() - 1000) }),
+      );
+
+      await expect(service.acceptInvitation('invitation-1', ada)).rejects.toThrow(
+        new NotFoundException('Invitation not found'),
+      );
+      expect(manager.delete).not.toHaveBeenCalled();
+    });
+
+    it('refuses members, and invitations another request already accepted', async () => {
+      manager.exists.mockResolvedValue(true);
+      await expect(service.acceptInvitation('invitation-1', ada)).rejects.toThrow(
+        new ConflictException('You are already a member of this organization'),
+      );
+
+      manager.delete.mockResolvedValue({ affected: 0 });
+      await expect(service.acceptInvitation('invitation-1', ada)).rejects.toThrow(
+        NotFoundException,
+      );
+      expect(manager.insert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('members', () => {
+    it("won't demote the last member who can manage the organization", async () => {
+      membershipsRepository.findOne.mockResolvedValue({
+        userId: 'user-2',
+        role: 'manager',
+        user: { email: 'grace@example.com', name: 'Grace' },
+      });
+      rolesQuery.getRawMany.mockResolvedValue([{ role: 'user' }]);
+
+      await expect(service.updateMember(ORG_ID, 'user-2', 'user', 'user-1')).rejects.toThrow(
+        'The organization must keep at least one member who can manage it',
+      );
+
+      rolesQuery.getRawMany.mockResolvedValue([{ role: 'user' }, { role: 'admin' }]);
+      await expect(service.updateMember(ORG_ID, 'user-2', 'user', 'user-1')).resolves.toEqual(
+        expect.objectContaining({ userId: 'user-2', role: 'user' }),
+      );
+      expect(membershipsRepository.update).toHaveBeenCalledWith(
+        { organizationId: ORG_ID, userId: 'user-2' },
+        { role: 'user' },
+      );
+    });
+
+    it("doesn't let anyone change their own role", async () => {
+      await expect(service.updateMember(ORG_ID, 'user-1', 'admin', 'user-1')).rejects.toThrow(
+        'You cannot change your own role',
+      );
+    });
+
+    it('needs organizations:manage to remove someone else', async () => {
+      await expect(
+        service.removeMember(ORG_ID, 'user-2', 'user-1', [PermissionName.TASKS_READ_ANY]),
+      ).rejects.toThrow(ForbiddenException);
+    });
+
+    it('moves a removed member who worked in the organization to another of theirs', async () => {
+      membershipsRepository.findOne
+        .mockResolvedValueOnce({ userId: 'user-2', role: 'user' })
+        .mockResolvedValueOnce({ organizationId: OTHER_ORG_ID });
+
+      await service.removeMember(ORG_ID, 'user-2', 'user-1', [PermissionName.ORGANIZATIONS_MANAGE]);
+
+      expect(manager.delete).toHaveBeenCalledWith(OrganizationMembership, {
+        organizationId: ORG_ID,
+        userId: 'user-2',
+      });
+      expect(manager.update).toHaveBeenCalledWith(
+        User,
+        { id: 'user-2', organizationId: ORG_ID },
+        { organizationId: OTHER_ORG_ID },
+      );
+    });
+
+    it('keeps a member in their only organization', async () => {
+      membershipsRepository.findOne
+        .mockResolvedValueOnce({ userId: 'user-1', role: 'user' })
+        .mockResolvedValueOnce(null);
+
+      await expect(service.removeMember(ORG_ID, 'user-1', 'user-1')).rejects.toThrow(
+        'This is the only organization of the user, delete the user instead',
+      );
+      expect(membershipsRepository.manager.transaction).not.toHaveBeenCalled();
+    });
+  });
+});
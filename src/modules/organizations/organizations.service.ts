@@ -0,0 +1,500 @@
+import {
+  ConflictException,
+  ForbiddenException,
+  Injectable,
+  Logger,
+  NotFoundException,
+} from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { MoreThan, Not, Repository } from 'typeorm';
+import { ConfigService } from '@nestjs/config';
+import { InjectQueue } from '@nestjs/bullmq';
+import { Queue } from 'bullmq';
+import { Organization } from './entities/organization.entity';
+import { OrganizationMembership } from './entities/organization-membership.entity';
+import { OrganizationInvitation } from './entities/organization-invitation.entity';
+import {
+  CreateOrganizationDto,
+  InviteOrganizationMemberDto,
+  OrganizationInvitationResponseDto,
+  OrganizationMemberResponseDto,
+  OrganizationResponseDto,
+} from './dto/organization.dto';
+import { User } from '../users/entities/user.entity';
+import { UsersService } from '../users/users.service';
+import { ADMIN_ROLE, DEFAULT_ROLE, RolesService } from '../roles/roles.service';
+import { PermissionName } from '../roles/enums/permission-name.enum';
+import { hasPermission } from '../../common/utils/permissions';
+import { durationToMs } from '../../common/utils/duration';
+import {
+  EMAIL_QUEUE,
+  OrganizationInvitationEmailJob,
+} from '../../queues/email/email-processor.service';
+
+/**
+ * Permissions that concern the whole platform rather than one tenant. Only a user's own role
+ * (users.role) grants them, never their role within an organization.
+ */
+export const PLATFORM_PERMISSIONS: PermissionName[] = [
+  PermissionName.ROLES_MANAGE,
+  PermissionName.USERS_IMPERSONATE,
+  PermissionName.SYSTEM_MONITOR,
+  PermissionName.SYSTEM_MANAGE,
+];
+
+/**
+ * Organizations (tenants), their members and the invitations to join them.
+ *
+ * A user works in one organization at a time (users.organization_id) and their permissions there
+ * come from their role in the organization, plus the platform permissions of their own role.
+ * Tasks and projects are scoped to that organization by the services that own them.
+ */
+@Injectable()
+export class OrganizationsService {
+  private readonly logger = new Logger(OrganizationsService.name);
+
+  constructor(
+    @InjectRepository(Organization)
+    private organizationsRepository: Repository<Organization>,
+    @InjectRepository(OrganizationMembership)
+    private membershipsRepository: Repository<OrganizationMembership>,
+    @InjectRepository(OrganizationInvitation)
+    private invitationsRepository: Repository<OrganizationInvitation>,
+    @InjectRepository(User)
+    private usersRepository: Repository<User>,
+    private readonly usersService: UsersService,
+    private readonly rolesService: RolesService,
+    private readonly configService: ConfigService,
+    @InjectQueue(EMAIL_QUEUE)
+    private emailQueue: Queue,
+  ) {}
+
+  async findForUser(
+    userId: string,
+    currentOrganizationId?: string,
+  ): Promise<OrganizationResponseDto[]> {
+    const memberships = await this.membershipsRepository.find({
+      where: { userId },
+      relations: ['organization'],
+      order: { createdAt: 'ASC' },
+    });
+
+    return memberships.map(membership => ({
+      id: membership.organizationId,
+      name: membership.organization.name,
+      role: membership.role,
+      current: membership.organizationId === currentOrganizationId,
+    }));
+  }
+
+  /**
+   * Create an organization administered by its creator (who keeps working in the current one
+   * until they switch)
+   */
+  async create(
+    createOrganizationDto: CreateOrganizationDto,
+    userId: string,
+  ): Promise<Organization> {
+    const organization = await this.organizationsRepository.manager.transaction(async manager => {
+      const saved = await manager.save(
+        manager.create(Organization, { name: createOrganizationDto.name }),
+      );
+      await manager.save(
+        manager.create(OrganizationMembership, {
+          organizationId: saved.id,
+          userId,
+          role: ADMIN_ROLE,
+        }),
+      );
+      return saved;
+    });
+
+    this.logger.log(`Organization ${organization.id} created by user ${userId}`);
+    return organization;
+  }
+
+  /**
+   * Make one of the user's organizations the one they work in
+   */
+  async switch(userId: string, organizationId: string): Promise<Organization> {
+    const membership = await this.membershipsRepository.findOne({
+      where: { organizationId, userId },
+      relations: ['organization'],
+    });
+    if (!membership) {
+      throw new NotFoundException('Organization not found');
+    }
+
+    await this.usersRepository.update({ id: userId }, { organizationId });
+
+    // ✅ CACHE INVALIDATION: The JWT strategy reads the current organization from the cached user
+    await this.usersService.invalidateCache(userId);
+
+    return membership.organization;
+  }
+
+  async findMembers(organizationId: string): Promise<OrganizationMemberResponseDto[]> {
+    const memberships = await this.membershipsRepository
+      .createQueryBuilder('membership')
+      .innerJoin('membership.user', 'user')
+      // ✅ SECURITY: Never load member password hashes
+      .addSelect(['user.id', 'user.name', 'user.email'])
+      .where('membership.organizationId = :organizationId', { organizationId })
+      .orderBy('user.name', 'ASC')
+      .getMany();
+
+    return memberships.map(membership => this.toMemberResponse(membership));
+  }
+
+  /**
+   * Invite an email address to the organization. Nothing changes for the account behind it (or
+   * reveals whether there is one) until its owner accepts; inviting again renews the invitation.
+   */
+  async invite(
+    organizationId: string,
+    inviteDto: InviteOrganizationMemberDto,
+    inviterId: string,
+  ): Promise<void> {
+    const role = inviteDto.role ?? DEFAULT_ROLE;
+    await this.rolesService.assertExists(role);
+
+    const organization = await this.organizationsRepository.findOne({
+      where: { id: organizationId },
+    });
+    if (!organization) {
+      throw new NotFoundException('Organization not found');
+    }
+
+    const email = inviteDto.email.toLowerCase();
+    const expiresAt = new Date(Date.now() + this.getInvitationTtlMs());
+    await this.invitationsRepository.upsert(
+      { organizationId, email, role, invitedById: inviterId, expiresAt },
+      ['organizationId', 'email'],
+    );
+    const invitation = await this.invitationsRepository.findOneOrFail({
+      where: { organizationId, email },
+    });
+
+    const jobData: OrganizationInvitationEmailJob = {
+      invitationId: invitation.id,
+      email,
+      organizationName: organization.name,
+      role,
+      expiresAt: expiresAt.toISOString(),
+    };
+    await this.emailQueue.add('organization-invitation', jobData, {
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 2000,
+      },
+    });
+
+    this.logger.log(
+      `Invitation ${invitation.id} to organization ${organizationId} as ${role} sent by user ${inviterId}`,
+    );
+  }
+
+  async findInvitations(organizationId: string): Promise<OrganizationInvitationResponseDto[]> {
+    const invitations = await this.invitationsRepository.find({
+      where: { organizationId },
+      relations: ['organization'],
+      order: { createdAt: 'DESC' },
+    });
+
+    return invitations.map(invitation => this.toInvitationResponse(invitation));
+  }
+
+  async revokeInvitation(organizationId: string, invitationId: string): Promise<void> {
+    const result = await this.invitationsRepository.delete({ id: invitationId, organizationId });
+    if (!result.affected) {
+      throw new NotFoundException('Invitation not found');
+    }
+  }
+
+  /**
+   * Pending invitations addressed to the user's email
+   */
+  async findInvitationsFor(
+    user: Pick<User, 'email'>,
+  ): Promise<OrganizationInvitationResponseDto[]> {
+    const invitations = await this.invitationsRepository.find({
+      where: { email: user.email.toLowerCase(), expiresAt: MoreThan(new Date()) },
+      relations: ['organization'],
+      order: { createdAt: 'DESC' },
+    });
+
+    return invitations.map(invitation => this.toInvitationResponse(invitation));
+  }
+
+  /**
+   * Join the organization of an invitation addressed to the user's email. The address must be
+   * verified, otherwise anyone could sign up with it and take the invitation. The user keeps
+   * working in their current organization until they switch.
+   */
+  async acceptInvitation(
+    invitationId: string,
+    user: { id: string; email: string; emailVerified?: boolean },
+  ): Promise<OrganizationResponseDto> {
+    if (!user.emailVerified) {
+      throw new ForbiddenException('Verify your email address before accepting invitations');
+    }
+
+    const invitation = await this.findInvitationFor(invitationId, user);
+
+    await this.membershipsRepository.manager.transaction(async manager => {
+      // ✅ CONCURRENCY: Only one acceptance can claim the invitation
+      const claimed = await manager.delete(OrganizationInvitation, { id: invitation.id });
+      if (!claimed.affected) {
+        throw new NotFoundException('Invitation not found');
+      }
+
+      if (
+        await manager.exists(OrganizationMembership, {
+          where: { organizationId: invitation.organizationId, userId: user.id },
+        })
+      ) {
+        throw new ConflictException('You are already a member of this organization');
+      }
+
+      await manager.insert(OrganizationMembership, {
+        organizationId: invitation.organizationId,
+        userId: user.id,
+        role: invitation.role,
+      });
+    });
+
+    this.logger.log(
+      `User ${user.id} joined organization ${invitation.organizationId} as ${invitation.role}`,
+    );
+    return {
+      id: invitation.organizationId,
+      name: invitation.organization.name,
+      role: invitation.role,
+      current: false,
+    };
+  }
+
+  async declineInvitation(invitationId: string, user: Pick<User, 'email'>): Promise<void> {
+    const result = await this.invitationsRepository.delete({
+      id: invitationId,
+      email: user.email.toLowerCase(),
+    });
+    if (!result.affected) {
+      throw new NotFoundException('Invitation not found');
+    }
+  }
+
+  async updateMember(
+    organizationId: string,
+    memberId: string,
+    role: string,
+    actorId: string,
+  ): Promise<OrganizationMemberResponseDto> {
+    // ✅ SECURITY: Nobody can promote themselves, or lock themselves out by accident
+    if (memberId === actorId) {
+      throw new ForbiddenException('You cannot change your own role');
+    }
+
+    const membership = await this.findMembership(organizationId, memberId);
+    await this.rolesService.assertExists(role);
+
+    if (membership.role !== role) {
+      await this.assertKeepsManager(organizationId, membership, role);
+      membership.role = role;
+      await this.membershipsRepository.update({ organizationId, userId: memberId }, { role });
+    }
+
+    this.logger.log(`User ${memberId} is now ${role} in organization ${organizationId}`);
+    return this.toMemberResponse(membership);
+  }
+
+  /**
+   * Remove someone from an organization. Members may leave on their own, removing others needs
+   * organizations:manage. Their tasks stay in the organization.
+   */
+  async removeMember(
+    organizationId: string,
+    memberId: string,
+    actorId: string,
+    actorPermissions?: string[],
+  ): Promise<void> {
+    if (
+      memberId !== actorId &&
+      !hasPermission(actorPermissions, PermissionName.ORGANIZATIONS_MANAGE)
+    ) {
+      throw new ForbiddenException(
+        'Insufficient permission: organizations:manage is required to remove members',
+      );
+    }
+
+    const membership = await this.findMembership(organizationId, memberId);
+    await this.assertKeepsManager(organizationId, membership, null);
+
+    const otherMembership = await this.membershipsRepository.findOne({
+      where: { userId: memberId, organizationId: Not(organizationId) },
+      order: { createdAt: 'ASC' },
+    });
+    if (!otherMembership) {
+      throw new ConflictException(
+        'This is the only organization of the user, delete the user instead',
+      );
+    }
+
+    await this.membershipsRepository.manager.transaction(async manager => {
+      await manager.delete(OrganizationMembership, { organizationId, userId: memberId });
+
+      // ✅ SECURITY: Drop their access to the organization's projects and their task notifications
+      for (const table of ['task_assignees', 'task_watchers']) {
+        await manager.query(
+          `DELETE FROM ${table} link USING tasks t
+           WHERE link.task_id = t.id AND t.organization_id = $1 AND link.user_id = $2`,
+          [organizationId, memberId],
+        );
+      }
+      await manager.query(
+        `DELETE FROM project_members pm USING projects p
+         WHERE pm.project_id = p.id AND p.organization_id = $1 AND pm.user_id = $2 AND p.owner_id != $2`,
+        [organizationId, memberId],
+      );
+
+      // ✅ TENANCY: Someone working in the organization moves to another one of theirs
+      await manager.update(
+        User,
+        { id: memberId, organizationId },
+        { organizationId: otherMembership.organizationId },
+      );
+    });
+
+    await this.usersService.invalidateCache(memberId);
+    this.logger.log(`User ${memberId} removed from organization ${organizationId}`);
+  }
+
+  /**
+   * What a user may do while working in an organization: the platform permissions of their own
+   * role plus the tenant permissions of their role there. Null if they aren't a member.
+   */
+  async getPermissions(
+    user: Pick<User, 'id' | 'role'>,
+    organizationId: string,
+  ): Promise<PermissionName[] | null> {
+    // ✅ SECURITY: TypeORM ignores undefined conditions, which would match any membership
+    if (!organizationId) {
+      return null;
+    }
+
+    const membership = await this.membershipsRepository.findOne({
+      where: { organizationId, userId: user.id },
+      select: ['organizationId', 'userId', 'role'],
+    });
+    if (!membership) {
+      return null;
+    }
+
+    const [ownPermissions, membershipPermissions] = await Promise.all([
+      this.rolesService.getPermissions(user.role),
+      this.rolesService.getPermissions(membership.role),
+    ]);
+
+    // ✅ TENANCY: A global role only carries platform permissions into an organization, so an
+    // admin elsewhere added here as a plain member stays a plain member
+    return [
+      ...new Set([
+        ...ownPermissions.filter(permission => PLATFORM_PERMISSIONS.includes(permission)),
+        ...membershipPermissions.filter(permission => !PLATFORM_PERMISSIONS.includes(permission)),
+      ]),
+    ].sort();
+  }
+
+  private async findInvitationFor(
+    invitationId: string,
+    user: Pick<User, 'email'>,
+  ): Promise<OrganizationInvitation> {
+    // ✅ SECURITY: Invitations for other addresses look the same as ones that don't exist
+    const invitation = await this.invitationsRepository.findOne({
+      where: { id: invitationId, email: user.email.toLowerCase() },
+      relations: ['organization'],
+    });
+    if (!invitation || invitation.expiresAt <= new Date()) {
+      throw new NotFoundException('Invitation not found');
+    }
+    return invitation;
+  }
+
+  private async findMembership(
+    organizationId: string,
+    userId: string,
+  ): Promise<OrganizationMembership> {
+    const membership = await this.membershipsRepository.findOne({
+      where: { organizationId, userId },
+      relations: ['user'],
+    });
+    if (!membership) {
+      throw new NotFoundException('User is not a member of this organization');
+    }
+    return membership;
+  }
+
+  /**
+   * ✅ INTEGRITY: Someone must always be able to manage the organization's members
+   * newRole is the member's role after the change, null when they are leaving
+   */
+  private async assertKeepsManager(
+    organizationId: string,
+    membership: OrganizationMembership,
+    newRole: string | null,
+  ): Promise<void> {
+    const canManage = async (role: string) =>
+      (await this.rolesService.getPermissions(role)).includes(PermissionName.ORGANIZATIONS_MANAGE);
+
+    if (!(await canManage(membership.role)) || (newRole && (await canManage(newRole)))) {
+      return;
+    }
+
+    const otherRoles: { role: string }[] = await this.membershipsRepository
+      .createQueryBuilder('membership')
+      .select('DISTINCT membership.role', 'role')
+      .where('membership.organizationId = :organizationId', { organizationId })
+      .andWhere('membership.userId != :userId', { userId: membership.userId })
+      .getRawMany();
+
+    for (const { role } of otherRoles) {
+      if (await canManage(role)) {
+        return;
+      }
+    }
+
+    throw new ConflictException('The organization must keep at least one member who can manage it');
+  }
+
+  private getInvitationTtlMs(): number {
+    return durationToMs(
+      this.configService.get('ORGANIZATION_INVITATION_EXPIRATION', '7d'),
+      7 * 24 * 60 * 60 * 1000,
+    );
+  }
+
+  private toInvitationResponse(
+    invitation: OrganizationInvitation,
+  ): OrganizationInvitationResponseDto {
+    return {
+      id: invitation.id,
+      organizationId: invitation.organizationId,
+      organizationName: invitation.organization.name,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt,
+      createdAt: invitation.createdAt,
+    };
+  }
+
+  private toMemberResponse(membership: OrganizationMembership): OrganizationMemberResponseDto {
+    return {
+      userId: membership.userId,
+      email: membership.user.email,
+      name: membership.user.name,
+      role: membership.role,
+      joinedAt: membership.createdAt,
+    };
+  }
+}
@@ -0,0 +1,27 @@
+import { IsNotEmpty, IsOptional, IsString, MaxLength, MinLength } from 'class-validator';
+import { ApiProperty } from '@nestjs/swagger';
+import { IsSafeText } from '../../../common/decorators/validation.decorators';
+
+export class CreateProjectDto {
+  @ApiProperty({
+    example: 'Website relaunch',
+    description: 'Project name (2-100 characters, no HTML/scripts)',
+  })
+  @IsString()
+  @IsNotEmpty()
+  @MinLength(2)
+  @MaxLength(100)
+  @IsSafeText()
+  name: string;
+
+  @ApiProperty({
+    example: 'Everything needed to ship the new marketing site',
+    required: false,
+    description: 'Project description (max 2000 characters, no HTML/scripts)',
+  })
+  @IsString()
+  @IsOptional()
+  @MaxLength(2000)
+  @IsSafeText()
+  description?: string;
+}
@@ -0,0 +1,134 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Body,
+  Patch,
+  Param,
+  Delete,
+  UseGuards,
+  HttpCode,
+  HttpStatus,
+} from '@nestjs/common';
+import { ApiBearerAuth, ApiOperation, ApiTags, ApiResponse } from '@nestjs/swagger';
+import { ProjectsService } from './projects.service';
+import { CreateProjectDto } from './dto/create-project.dto';
+import { UpdateProjectDto } from './dto/update-project.dto';
+import { AddProjectMemberDto } from './dto/add-project-member.dto';
+import { RateLimitGuard } from '../../common/guards/rate-limit.guard';
+import { RateLimit } from '../../common/decorators/rate-limit.decorator';
+import { JwtAuthGuard } from '../auth/guards/jwt-auth.guard';
+import { CurrentUser } from '../auth/decorators/current-user.decorator';
+
+@ApiTags('projects')
+@Controller('projects')
+@UseGuards(JwtAuthGuard, RateLimitGuard)
+@RateLimit({ limit: 100, windowMs: 60000 })
+@ApiBearerAuth()
+export class ProjectsController {
+  constructor(private readonly projectsService: ProjectsService) {}
+
+  @Post()
+  @ApiOperation({ summary: 'Create a project (the creator becomes its owner)' })
+  @ApiResponse({ status: 201, description: 'Project created successfully' })
+  create(@Body() createProjectDto: CreateProjectDto, @CurrentUser() user: any) {
+    return this.projectsService.create(createProjectDto, user.organizationId, user.id);
+  }
+
+  @Get()
+  @ApiOperation({ summary: 'List projects you are a member of (admins see all)' })
+  @ApiResponse({ status: 200, description: 'Projects retrieved successfully' })
+  findAll(@CurrentUser() user: any) {
+    return this.projectsService.findAll(user.organizationId, user.id, user.permissions);
+  }
+
+  @Get(':id')
+  @ApiOperation({ summary: 'Find a project by ID, with its members' })
+  @ApiResponse({ status: 404, description: 'Project not found' })
+  findOne(@Param('id') id: string, @CurrentUser() user: any) {
+    return this.projectsService.findOne(id, user.organizationId, user.id, user.permissions);
+  }
+
+  @Patch(':id')
+  @ApiOperation({ summary: 'Update a project (owner or admin)' })
+  @ApiResponse({ status: 200, description: 'Project updated successfully' })
+  @ApiResponse({ status: 403, description: 'Only the project owner can manage this project' })
+  @ApiResponse({ status: 404, description: 'Project not found' })
+  update(
+    @Param('id') id: string,
+    @Body() updateProjectDto: UpdateProjectDto,
+    @CurrentUser() user: any,
+  ) {
+    return this.projectsService.update(
+      id,
+      updateProjectDto,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+  }
+
+  @Delete(':id')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Delete a project (its tasks are kept and detached)' })
+  @ApiResponse({ status: 200, description: 'Project deleted successfully' })
+  @ApiResponse({ status: 403, description: 'Only the project owner can manage this project' })
+  @ApiResponse({ status: 404, description: 'Project not found' })
+  async remove(@Param('id') id: string, @CurrentUser() user: any) {
+    await this.projectsService.remove(id, user.organizationId, user.id, user.permissions);
+
+    return {
+      success: true,
+      message: 'Project deleted successfully',
+      projectId: id,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  @Post(':id/members')
+  @ApiOperation({ summary: 'Add a member to a project (owner or admin)' })
+  @ApiResponse({ status: 201, description: 'Member added successfully' })
+  @ApiResponse({ status: 400, description: 'User not found' })
+  @ApiResponse({ status: 409, description: 'User is already a member' })
+  addMember(
+    @Param('id') id: string,
+    @Body() addMemberDto: AddProjectMemberDto,
+    @CurrentUser() user: any,
+  ) {
+    return this.projectsService.addMember(
+      id,
+      addMemberDto.userId,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+  }
+
+  @Delete(':id/members/:userId')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Remove a member from a project (owner, admin, or the member leaving)' })
+  @ApiResponse({ status: 200, description: 'Member removed successfully' })
+  @ApiResponse({ status: 400, description: 'The owner cannot be removed' })
+  @ApiResponse({ status: 404, description: 'Project or member not found' })
+  async removeMember(
+    @Param('id') id: string,
+    @Param('userId') memberId: string,
+    @CurrentUser() user: any,
+  ) {
+    await this.projectsService.removeMember(
+      id,
+      memberId,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+
+    return {
+      success: true,
+      message: 'Member removed successfully',
+      projectId: id,
+      userId: memberId,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
@@ -0,0 +1,21 @@
+import { Module } from '@nestjs/common';
+import { TypeOrmModule } from '@nestjs/typeorm';
+import { ProjectsService } from './projects.service';
+import { ProjectsController } from './projects.controller';
+import { Project } from './entities/project.entity';
+import { CommonModule } from '../../common/common.module';
+import { UsersModule } from '../users/users.module';
+import { TasksModule } from '../tasks/tasks.module';
+
+@Module({
+  imports: [
+    TypeOrmModule.forFeature([Project]),
+    CommonModule, // Import to access RateLimitGuard
+    UsersModule, // Import to access UsersService for member validation
+    TasksModule, // Import to access TasksService for cache invalidation
+  ],
+  controllers: [ProjectsController],
+  providers: [ProjectsService],
+  exports: [ProjectsService, TypeOrmModule],
+})
+export class ProjectsModule {}
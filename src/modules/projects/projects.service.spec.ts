@@ -0,0 +1,161 @@
+import { Test } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import {
+  BadRequestException,
+  ConflictException,
+  ForbiddenException,
+  NotFoundException,
+} from '@nestjs/common';
+import { ProjectsService } from './projects.service';
+import { Project } from './entities/project.entity';
+import { UsersService } from '../users/users.service';
+import { TasksService } from '../tasks/tasks.service';
+import { PermissionName } from '../roles/enums/permission-name.enum';
+import { createMockQueryBuilder } from '../../../test/utils/mock-query-builder';
+
+const ORG_ID = 'org-1';
+const OWNER_ID = 'user-owner';
+const MEMBER_ID = 'user-member';
+const OUTSIDER_ID = 'user-outsider';
+
+describe('ProjectsService', () => {
+  let service: ProjectsService;
+  let projectsRepository: Record<string, jest.Mock>;
+  let usersService: { findOneInOrganization: jest.Mock };
+  let tasksService: { clearTaskCaches: jest.Mock };
+  let projectQuery: any;
+  let members: any; // The project's members relation
+
+  const project = () => ({
+    id: 'project-1',
+    name: 'Launch',
+    organizationId: ORG_ID,
+    ownerId: OWNER_ID,
+    members: [{ id: OWNER_ID }, { id: MEMBER_ID }],
+  });
+
+  beforeEach(async () => {
+    projectQuery = createMockQueryBuilder({ getOne: project() });
+    members = createMockQueryBuilder();
+    members.add = jest.fn();
+    members.remove = jest.fn();
+
+    projectsRepository = {
+      create: jest.fn(data => data),
+      save: jest.fn(async data => ({ id: 'project-1', ...data })),
+      update: jest.fn(),
+      delete: jest.fn(),
+      // With an alias it's a project query, without one the members relation
+      createQueryBuilder: jest.fn((alias?: string) => (alias ? projectQuery : members)),
+    };
+    usersService = { findOneInOrganization: jest.fn().mockResolvedValue({ id: OUTSIDER_ID }) };
+    tasksService = { clearTaskCaches: jest.fn() };
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        ProjectsService,
+        { provide: getRepositoryToken(Project), useValue: projectsRepository },
+        { provide: UsersService, useValue: usersService },
+        { provide: TasksService, useValue: tasksService },
+      ],
+    }).compile();
+
+    service = moduleRef.get(ProjectsService);
+  });
+
+  it('makes the creator owner and first member', async () => {
+    await service.create({ name: 'Launch' }, ORG_ID, OWNER_ID);
+
+    expect(projectsRepository.create).toHaveBeenCalledWith(
+      expect.objectContaining({ organizationId: ORG_ID, ownerId: OWNER_ID }),
+    );
+    expect(members.add).toHaveBeenCalledWith(OWNER_ID);
+  });
+
+  describe('findOne', () => {
+    it('shows a project to its members', async () => {
+      await expect(service.findOne('project-1', ORG_ID, MEMBER_ID)).resolves.toMatchObject({
+        id: 'project-1',
+      });
+    });
+
+    it('hides a project from non-members', async () => {
+      await expect(service.findOne('project-1', ORG_ID, OUTSIDER_ID)).rejects.toThrow(
+        NotFoundException,
+      );
+    });
+
+    it('shows any project of the organization with projects:read:any', async () => {
+      await expect(
+        service.findOne('project-1', ORG_ID, OUTSIDER_ID, [PermissionName.PROJECTS_READ_ANY]),
+      ).resolves.toBeDefined();
+    });
+  });
+
+  it('lists only the projects a user belongs to', async () => {
+    await service.findAll(ORG_ID, MEMBER_ID);
+
+    expect(projectQuery.andWhere).toHaveBeenCalledWith('pm.user_id = :userId', {
+      userId: MEMBER_ID,
+    });
+  });
+
+  describe('members', () => {
+    it('lets the owner add someone from the organization', async () => {
+      await service.addMember('project-1', OUTSIDER_ID, ORG_ID, OWNER_ID);
+
+      expect(usersService.findOneInOrganization).toHaveBeenCalledWith(OUTSIDER_ID, ORG_ID);
+      expect(members.add).toHaveBeenCalledWith(OUTSIDER_ID);
+      expect(tasksService.clearTaskCaches).toHaveBeenCalledWith(ORG_ID);
+    });
+
+    it('only lets the owner manage members', async () => {
+      await expect(service.addMember('project-1', OUTSIDER_ID, ORG_ID, MEMBER_ID)).rejects.toThrow(
+        ForbiddenException,
+      );
+      expect(members.add).not.toHaveBeenCalled();
+    });
+
+    it('rejects users of other organizations', async () => {
+      usersService.findOneInOrganization.mockRejectedValue(new NotFoundException());
+
+      await expect(service.addMember('project-1', OUTSIDER_ID, ORG_ID, OWNER_ID)).rejects.toThrow(
+        BadRequestException,
+      );
+    });
+
+    it('rejects existing members', async () => {
+      await expect(service.addMember('project-1', MEMBER_ID, ORG_ID, OWNER_ID)).rejects.toThrow(
+        ConflictException,
+      );
+    });
+
+    it('lets members leave on their own', async () => {
+      await service.removeMember('project-1', MEMBER_ID, ORG_ID, MEMBER_ID);
+
+      expect(members.remove).toHaveBeenCalledWith(MEMBER_ID);
+    });
+
+    it('never removes the owner', async () => {
+      await expect(service.removeMember('project-1', OWNER_ID, ORG_ID, OWNER_ID)).rejects.toThrow(
+        'The project owner cannot be removed from the project',
+      );
+    });
+
+    it('reports someone who is not a member', async () => {
+      await expect(
+        service.removeMember('project-1', OUTSIDER_ID, ORG_ID, OWNER_ID),
+      ).rejects.toThrow(NotFoundException);
+      expect(members.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  it('only lets the owner delete the project, unless projects:manage:any', async () => {
+    await expect(service.remove('project-1', ORG_ID, MEMBER_ID)).rejects.toThrow(
+      ForbiddenException,
+    );
+
+    await service.remove('project-1', ORG_ID, MEMBER_ID, [PermissionName.PROJECTS_MANAGE_ANY]);
+    expect(projectsRepository.delete).toHaveBeenCalledWith({ id: 'project-1' });
+  });
+});
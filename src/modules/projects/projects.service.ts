@@ -0,0 +1,187 @@
+import {
+  Injectable,
+  NotFoundException,
+  BadRequestException,
+  ConflictException,
+  ForbiddenException,
+} from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Repository } from 'typeorm';
+import { Project } from './entities/project.entity';
+import { CreateProjectDto } from './dto/create-project.dto';
+import { UpdateProjectDto } from './dto/update-project.dto';
+import { UsersService } from '../users/users.service';
+import { TasksService } from '../tasks/tasks.service';
+import { hasPermission } from '../../common/utils/permissions';
+import { PermissionName } from '../roles/enums/permission-name.enum';
+
+@Injectable()
+export class ProjectsService {
+  constructor(
+    @InjectRepository(Project)
+    private projectsRepository: Repository<Project>,
+    private readonly usersService: UsersService,
+    private readonly tasksService: TasksService,
+  ) {}
+
+  async create(
+    createProjectDto: CreateProjectDto,
+    organizationId: string,
+    userId: string,
+  ): Promise<Project> {
+    const project = await this.projectsRepository.save(
+      this.projectsRepository.create({ ...createProjectDto, organizationId, ownerId: userId }),
+    );
+
+    // ✅ MEMBERSHIP: The owner is always a member
+    await this.membersRelation(project.id).add(userId);
+
+    return this.findOne(project.id, organizationId, userId);
+  }
+
+  findAll(organizationId: string, userId: string, userPermissions?: string[]): Promise<Project[]> {
+    const queryBuilder = this.projectsRepository
+      .createQueryBuilder('project')
+      .where('project.organizationId = :organizationId', { organizationId })
+      .orderBy('project.createdAt', 'DESC');
+
+    // ✅ AUTHORIZATION: Non-admin users only see projects they belong to
+    if (!hasPermission(userPermissions, PermissionName.PROJECTS_READ_ANY)) {
+      queryBuilder
+        .innerJoin('project_members', 'pm', 'pm.project_id = project.id')
+        .andWhere('pm.user_id = :userId', { userId });
+    }
+
+    return queryBuilder.getMany();
+  }
+
+  async findOne(
+    id: string,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<Project> {
+    const project = await this.projectsRepository
+      .createQueryBuilder('project')
+      .leftJoin('project.members', 'member')
+      // ✅ SECURITY: Never load member password hashes
+      .addSelect(['member.id', 'member.name', 'member.email'])
+      .where('project.id = :id', { id })
+      .andWhere('project.organizationId = :organizationId', { organizationId })
+      .getOne();
+
+    // ✅ AUTHORIZATION: Hide projects from non-members rather than revealing they exist
+    if (
+      !project ||
+      (!hasPermission(userPermissions, PermissionName.PROJECTS_READ_ANY) &&
+        !project.members.some(member => member.id === userId))
+    ) {
+      throw new NotFoundException('Project not found');
+    }
+
+    return project;
+  }
+
+  async update(
+    id: string,
+    updateProjectDto: UpdateProjectDto,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<Project> {
+    const project = await this.findOne(id, organizationId, userId, userPermissions);
+    this.assertCanManage(project, userId, userPermissions);
+
+    await this.projectsRepository.update({ id }, updateProjectDto);
+
+    return this.findOne(id, organizationId, userId, userPermissions);
+  }
+
+  async remove(
+    id: string,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<void> {
+    const project = await this.findOne(id, organizationId, userId, userPermissions);
+    this.assertCanManage(project, userId, userPermissions);
+
+    // Tasks stay with their owners; project_id is set to NULL by the foreign key
+    await this.projectsRepository.delete({ id });
+
+    // ✅ CACHE INVALIDATION: Members lose visibility of the project's tasks
+    await this.tasksService.clearTaskCaches(organizationId);
+  }
+
+  async addMember(
+    id: string,
+    memberId: string,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<Project> {
+    const project = await this.findOne(id, organizationId, userId, userPermissions);
+    this.assertCanManage(project, userId, userPermissions);
+
+    // ✅ TENANCY: Projects are shared within their organization only
+    try {
+      await this.usersService.findOneInOrganization(memberId, organizationId);
+    } catch (error) {
+      throw new BadRequestException('Invalid userId: User not found');
+    }
+
+    if (project.members.some(member => member.id === memberId)) {
+      throw new ConflictException('User is already a member of this project');
+    }
+
+    await this.membersRelation(id).add(memberId);
+
+    // ✅ CACHE INVALIDATION: The new member can now see the project's tasks
+    await this.tasksService.clearTaskCaches(organizationId);
+
+    return this.findOne(id, organizationId, userId, userPermissions);
+  }
+
+  async removeMember(
+    id: string,
+    memberId: string,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<void> {
+    const project = await this.findOne(id, organizationId, userId, userPermissions);
+
+    // ✅ AUTHORIZATION: Members may leave on their own, otherwise owner/admin only
+    if (memberId !== userId) {
+      this.assertCanManage(project, userId, userPermissions);
+    }
+
+    if (memberId === project.ownerId) {
+      throw new BadRequestException('The project owner cannot be removed from the project');
+    }
+
+    if (!project.members.some(member => member.id === memberId)) {
+      throw new NotFoundException('User is not a member of this project');
+    }
+
+    await this.membersRelation(id).remove(memberId);
+
+    // ✅ CACHE INVALIDATION: Cached task reads must not outlive the membership
+    await this.tasksService.clearTaskCaches(organizationId);
+  }
+
+  private assertCanManage(project: Project, userId: string, userPermissions?: string[]): void {
+    if (
+      !hasPermission(userPermissions, PermissionName.PROJECTS_MANAGE_ANY) &&
+      project.ownerId !== userId
+    ) {
+      throw new ForbiddenException(
+        'Insufficient permission: Only the project owner can manage this project',
+      );
+    }
+  }
+
+  private membersRelation(projectId: string) {
+    return this.projectsRepository.createQueryBuilder().relation(Project, 'members').of(projectId);
+  }
+}
@@ -0,0 +1,43 @@
+import {
+  ArrayUnique,
+  IsArray,
+  IsEnum,
+  IsNotEmpty,
+  IsOptional,
+  IsString,
+  Matches,
+  MaxLength,
+} from 'class-validator';
+import { ApiProperty } from '@nestjs/swagger';
+import { PermissionName } from '../enums/permission-name.enum';
+
+export class CreateRoleDto {
+  @ApiProperty({
+    example: 'moderator',
+    description: 'Role name (lowercase letters, digits, dashes and underscores)',
+  })
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(50)
+  @Matches(/^[a-z0-9_-]+$/, {
+    message: 'name may only contain lowercase letters, digits, dashes and underscores',
+  })
+  name: string;
+
+  @ApiProperty({ example: 'Keeps comments civil', required: false })
+  @IsOptional()
+  @IsString()
+  @MaxLength(255)
+  description?: string;
+
+  @ApiProperty({
+    enum: PermissionName,
+    isArray: true,
+    example: [PermissionName.COMMENTS_DELETE_ANY],
+    description: 'Permissions granted by the role',
+  })
+  @IsArray()
+  @ArrayUnique()
+  @IsEnum(PermissionName, { each: true })
+  permissions: PermissionName[];
+}
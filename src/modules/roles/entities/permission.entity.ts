@@ -0,0 +1,14 @@
+import { Column, Entity, PrimaryGeneratedColumn } from 'typeorm';
+import { PermissionName } from '../enums/permission-name.enum';
+
+@Entity('permissions')
+export class Permission {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ type: 'varchar', length: 100, unique: true })
+  name: PermissionName;
+
+  @Column({ type: 'varchar', length: 255, nullable: true })
+  description: string | null;
+}
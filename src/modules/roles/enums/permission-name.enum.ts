@@ -0,0 +1,24 @@
+/**
+ * Everything a role can grant. `:any` permissions lift the "only your own" restriction that
+ * applies to everyone else. New values need a migration inserting them into `permissions`.
+ */
+export enum PermissionName {
+  TASKS_READ_ANY = 'tasks:read:any',
+  TASKS_CREATE_ANY = 'tasks:create:any', // Create tasks for other users
+  TASKS_UPDATE_ANY = 'tasks:update:any',
+  TASKS_DELETE_ANY = 'tasks:delete:any',
+  COMMENTS_DELETE_ANY = 'comments:delete:any',
+  TAGS_MANAGE_ANY = 'tags:manage:any',
+  PROJECTS_READ_ANY = 'projects:read:any',
+  PROJECTS_MANAGE_ANY = 'projects:manage:any',
+  USERS_READ_ANY = 'users:read:any',
+  USERS_CREATE = 'users:create',
+  USERS_UPDATE_ANY = 'users:update:any',
+  USERS_DELETE = 'users:delete',
+  USERS_SESSIONS_MANAGE = 'users:sessions:manage', // Sessions and lockouts of other users
+  USERS_IMPERSONATE = 'users:impersonate', // Act as another (non-admin) user
+  ROLES_MANAGE = 'roles:manage', // Edit roles and assign them to users
+  ORGANIZATIONS_MANAGE = 'organizations:manage', // Members of your current organization and their roles
+  SYSTEM_MONITOR = 'system:monitor',
+  SYSTEM_MANAGE = 'system:manage',
+}
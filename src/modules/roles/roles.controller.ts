@@ -0,0 +1,92 @@
+import {
+  Body,
+  Controller,
+  Delete,
+  Get,
+  HttpCode,
+  HttpStatus,
+  Param,
+  ParseUUIDPipe,
+  Patch,
+  Post,
+  UseGuards,
+} from '@nestjs/common';
+import { ApiBearerAuth, ApiOperation, ApiResponse, ApiTags } from '@nestjs/swagger';
+import { RolesService } from './roles.service';
+import { CreateRoleDto } from './dto/create-role.dto';
+import { UpdateRoleDto } from './dto/update-role.dto';
+import { PermissionName } from './enums/permission-name.enum';
+import { JwtAuthGuard } from '../auth/guards/jwt-auth.guard';
+import { PermissionsGuard } from '../../common/guards/permissions.guard';
+import { RequirePermissions } from '../../common/decorators/require-permissions.decorator';
+import { RateLimitGuard } from '../../common/guards/rate-limit.guard';
+import { RateLimit } from '../../common/decorators/rate-limit.decorator';
+
+@ApiTags('roles')
+@Controller('roles')
+@UseGuards(JwtAuthGuard, PermissionsGuard, RateLimitGuard)
+@RequirePermissions(PermissionName.ROLES_MANAGE)
+@RateLimit({ limit: 30, windowMs: 60000 })
+@ApiBearerAuth()
+export class RolesController {
+  constructor(private readonly rolesService: RolesService) {}
+
+  @Get()
+  @ApiOperation({ summary: 'List roles with their permissions' })
+  @ApiResponse({ status: 200, description: 'Roles retrieved successfully' })
+  @ApiResponse({ status: 403, description: 'roles:manage permission required' })
+  findAll() {
+    return this.rolesService.findAll();
+  }
+
+  @Get('permissions')
+  @ApiOperation({ summary: 'List every permission a role can grant' })
+  @ApiResponse({ status: 200, description: 'Permissions retrieved successfully' })
+  findAllPermissions() {
+    return this.rolesService.findAllPermissions();
+  }
+
+  @Get(':id')
+  @ApiOperation({ summary: 'Find a role by ID' })
+  @ApiResponse({ status: 404, description: 'Role not found' })
+  findOne(@Param('id', ParseUUIDPipe) id: string) {
+    return this.rolesService.findOne(id);
+  }
+
+  @Post()
+  @ApiOperation({ summary: 'Create a role' })
+  @ApiResponse({ status: 201, description: 'Role created successfully' })
+  @ApiResponse({ status: 409, description: 'A role with this name already exists' })
+  create(@Body() createRoleDto: CreateRoleDto) {
+    return this.rolesService.create(createRoleDto);
+  }
+
+  @Patch(':id')
+  @ApiOperation({ summary: "Update a role's name, description or permissions" })
+  @ApiResponse({ status: 200, description: 'Role updated successfully' })
+  @ApiResponse({
+    status: 403,
+    description: 'Built-in roles cannot be renamed, the admin role keeps every permission',
+  })
+  @ApiResponse({ status: 404, description: 'Role not found' })
+  update(@Param('id', ParseUUIDPipe) id: string, @Body() updateRoleDto: UpdateRoleDto) {
+    return this.rolesService.update(id, updateRoleDto);
+  }
+
+  @Delete(':id')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Delete a role that no user has' })
+  @ApiResponse({ status: 200, description: 'Role deleted successfully' })
+  @ApiResponse({ status: 403, description: 'Built-in roles cannot be deleted' })
+  @ApiResponse({ status: 409, description: 'Role is still assigned to users' })
+  async remove(@Param('id', ParseUUIDPipe) id: string) {
+    await this.rolesService.remove(id);
+
+    return {
+      success: true,
+      message: 'Role deleted successfully',
+      roleId: id,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
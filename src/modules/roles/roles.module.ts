@@ -0,0 +1,20 @@
+import { Module } from '@nestjs/common';
+import { TypeOrmModule } from '@nestjs/typeorm';
+import { RolesService } from './roles.service';
+import { RolesController } from './roles.controller';
+import { Role } from './entities/role.entity';
+import { Permission } from './entities/permission.entity';
+import { User } from '../users/entities/user.entity';
+import { OrganizationMembership } from '../organizations/entities/organization-membership.entity';
+import { CommonModule } from '../../common/common.module';
+
+@Module({
+  imports: [
+    TypeOrmModule.forFeature([Role, Permission, User, OrganizationMembership]),
+    CommonModule, // Import to access RedisCacheService and RateLimitGuard
+  ],
+  controllers: [RolesController],
+  providers: [RolesService],
+  exports: [RolesService],
+})
+export class RolesModule {}
@@ -0,0 +1,166 @@
+import { Test } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { BadRequestException, ConflictException, ForbiddenException } from '@nestjs/common';
+import { ADMIN_ROLE, RolesService } from './roles.service';
+import { Role } from './entities/role.entity';
+import { Permission } from './entities/permission.entity';
+import { PermissionName } from './enums/permission-name.enum';
+import { User } from '../users/entities/user.entity';
+import { OrganizationMembership } from '../organizations/entities/organization-membership.entity';
+import { RedisCacheService } from '../../common/services/redis-cache.service';
+
+const permission = (name: PermissionName) => ({ id: `permission-${name}`, name }) as Permission;
+
+describe('RolesService', () => {
+  let service: RolesService;
+  let roles: Role[];
+  let rolesRepository: Record<string, jest.Mock>;
+  let permissionsRepository: Record<string, jest.Mock>;
+  let usersRepository: Record<string, jest.Mock>;
+  let membershipsRepository: Record<string, jest.Mock>;
+  let cacheService: Record<string, jest.Mock>;
+
+  const role = (overrides: Partial<Role>) =>
+    ({
+      id: `role-${overrides.name}`,
+      description: null,
+      isSystem: false,
+      permissions: [],
+      ...overrides,
+    }) as Role;
+  const lookup = (where: { id?: string; name?: string }) =>
+    roles.find(r => (where.id ? r.id === where.id : r.name === where.name)) ?? null;
+
+  beforeEach(async () => {
+    roles = [
+      role({ name: ADMIN_ROLE, isSystem: true }),
+      role({ name: 'user', isSystem: true }),
+      role({ name: 'moderator', permissions: [permission(PermissionName.COMMENTS_DELETE_ANY)] }),
+    ];
+    rolesRepository = {
+      findOne: jest.fn(async ({ where }) => lookup(where)),
+      exists: jest.fn(async ({ where }) => !!lookup(where)),
+      create: jest.fn(data => data),
+      save: jest.fn(async data => {
+        const saved = { id: data.id ?? `role-${data.name}`, ...data };
+        roles = [...roles.filter(r => r.id !== saved.id), saved];
+        return saved;
+      }),
+      remove: jest.fn(),
+    };
+    permissionsRepository = {
+      find: jest.fn(async ({ where }) => where.name.value.map(permission)),
+    };
+    usersRepository = { count: jest.fn().mockResolvedValue(0) };
+    membershipsRepository = { count: jest.fn().mockResolvedValue(0) };
+    cacheService = {
+      getOrSet: jest.fn((_key, factory) => factory()),
+      delete: jest.fn(),
+    };
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        RolesService,
+        { provide: getRepositoryToken(Role), useValue: rolesRepository },
+        { provide: getRepositoryToken(Permission), useValue: permissionsRepository },
+        { provide: getRepositoryToken(User), useValue: usersRepository },
+        { provide: getRepositoryToken(OrganizationMembership), useValue: membershipsRepository },
+        { provide: RedisCacheService, useValue: cacheService },
+      ],
+    }).compile();
+
+    service = moduleRef.get(RolesService);
+  });
+
+  describe('permissions', () => {
+    it("resolves a role's permissions through the cache, sorted", async () => {
+      roles[2].permissions.push(permission(PermissionName.TAGS_MANAGE_ANY));
+
+      await expect(service.getPermissions('moderator')).resolves.toEqual([
+        PermissionName.COMMENTS_DELETE_ANY,
+        PermissionName.TAGS_MANAGE_ANY,
+      ]);
+      expect(cacheService.getOrSet).toHaveBeenCalledWith(
+        'role:moderator:permissions',
+        expect.any(Function),
+        { ttl: 300, namespace: 'roles' },
+      );
+    });
+
+    it('grants nothing for an unknown role', async () => {
+      await expect(service.getPermissions('ghost')).resolves.toEqual([]);
+      await expect(service.hasPermission('ghost', PermissionName.TASKS_READ_ANY)).resolves.toBe(
+        false,
+      );
+    });
+  });
+
+  describe('create', () => {
+    it('creates a custom role with the named permissions', async () => {
+      const created = await service.create({
+        name: 'auditor',
+        permissions: [PermissionName.TASKS_READ_ANY, PermissionName.USERS_READ_ANY],
+      });
+
+      expect(created).toEqual(expect.objectContaining({ name: 'auditor', isSystem: false }));
+      expect(created.permissions.map(p => p.name)).toEqual([
+        PermissionName.TASKS_READ_ANY,
+        PermissionName.USERS_READ_ANY,
+      ]);
+    });
+
+    it('rejects a taken name and unknown permissions', async () => {
+      await expect(service.create({ name: 'moderator', permissions: [] })).rejects.toThrow(
+        ConflictException,
+      );
+
+      permissionsRepository.find.mockResolvedValue([]);
+      await expect(
+        service.create({ name: 'auditor', permissions: [PermissionName.TASKS_READ_ANY] }),
+      ).rejects.toThrow(new BadRequestException('Unknown permission'));
+    });
+  });
+
+  describe('update', () => {
+    it('drops the cached permissions of both names when a role is renamed', async () => {
+      await service.update('role-moderator', { name: 'helper' });
+
+      expect(cacheService.delete).toHaveBeenCalledWith('role:moderator:permissions', 'roles');
+      expect(cacheService.delete).toHaveBeenCalledWith('role:helper:permissions', 'roles');
+    });
+
+    it("doesn't rename built-in roles or change what admins can do", async () => {
+      await expect(service.update('role-user', { name: 'member' })).rejects.toThrow(
+        'Built-in roles cannot be renamed',
+      );
+      await expect(service.update('role-admin', { permissions: [] })).rejects.toThrow(
+        new ForbiddenException('The admin role always has every permission'),
+      );
+      expect(rolesRepository.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('remove', () => {
+    it('deletes an unused custom role', async () => {
+      await service.remove('role-moderator');
+
+      expect(rolesRepository.remove).toHaveBeenCalledWith(roles[2]);
+      expect(cacheService.delete).toHaveBeenCalledWith('role:moderator:permissions', 'roles');
+    });
+
+    it('keeps roles that are built in or still assigned to users or members', async () => {
+      await expect(service.remove('role-user')).rejects.toThrow(ForbiddenException);
+
+      usersRepository.count.mockResolvedValueOnce(2);
+      await expect(service.remove('role-moderator')).rejects.toThrow(
+        'Role is assigned to 2 user(s), give them another role first',
+      );
+
+      membershipsRepository.count.mockResolvedValueOnce(1);
+      await expect(service.remove('role-moderator')).rejects.toThrow(
+        'Role is used by 1 organization member(s), give them another role first',
+      );
+      expect(rolesRepository.remove).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,190 @@
+import {
+  BadRequestException,
+  ConflictException,
+  ForbiddenException,
+  Injectable,
+  Logger,
+  NotFoundException,
+} from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { In, Repository } from 'typeorm';
+import { Role } from './entities/role.entity';
+import { Permission } from './entities/permission.entity';
+import { PermissionName } from './enums/permission-name.enum';
+import { CreateRoleDto } from './dto/create-role.dto';
+import { UpdateRoleDto } from './dto/update-role.dto';
+import { User } from '../users/entities/user.entity';
+import { OrganizationMembership } from '../organizations/entities/organization-membership.entity';
+import { RedisCacheService } from '../../common/services/redis-cache.service';
+
+export const ADMIN_ROLE = 'admin';
+export const DEFAULT_ROLE = 'user';
+
+@Injectable()
+export class RolesService {
+  private readonly logger = new Logger(RolesService.name);
+  private readonly CACHE_NAMESPACE = 'roles';
+
+  constructor(
+    @InjectRepository(Role)
+    private rolesRepository: Repository<Role>,
+    @InjectRepository(Permission)
+    private permissionsRepository: Repository<Permission>,
+    @InjectRepository(User)
+    private usersRepository: Repository<User>,
+    @InjectRepository(OrganizationMembership)
+    private membershipsRepository: Repository<OrganizationMembership>,
+    private readonly cacheService: RedisCacheService,
+  ) {}
+
+  findAll(): Promise<Role[]> {
+    return this.rolesRepository.find({ relations: ['permissions'], order: { name: 'ASC' } });
+  }
+
+  async findOne(id: string): Promise<Role> {
+    const role = await this.rolesRepository.findOne({ where: { id }, relations: ['permissions'] });
+    if (!role) {
+      throw new NotFoundException('Role not found');
+    }
+    return role;
+  }
+
+  findAllPermissions(): Promise<Permission[]> {
+    return this.permissionsRepository.find({ order: { name: 'ASC' } });
+  }
+
+  async create(createRoleDto: CreateRoleDto): Promise<Role> {
+    await this.assertNameAvailable(createRoleDto.name);
+
+    const role = this.rolesRepository.create({
+      name: createRoleDto.name,
+      description: createRoleDto.description ?? null,
+      isSystem: false,
+      permissions: await this.resolvePermissions(createRoleDto.permissions),
+    });
+    const savedRole = await this.rolesRepository.save(role);
+
+    this.logger.log(`Role ${savedRole.name} created`);
+    return this.findOne(savedRole.id);
+  }
+
+  async update(id: string, updateRoleDto: UpdateRoleDto): Promise<Role> {
+    const role = await this.findOne(id);
+    const previousName = role.name;
+
+    if (updateRoleDto.name !== undefined && updateRoleDto.name !== role.name) {
+      if (role.isSystem) {
+        throw new ForbiddenException('Built-in roles cannot be renamed');
+      }
+      await this.assertNameAvailable(updateRoleDto.name);
+      role.name = updateRoleDto.name;
+    }
+
+    if (updateRoleDto.permissions) {
+      // ✅ SECURITY: Someone must always be able to manage roles
+      if (role.name === ADMIN_ROLE) {
+        throw new ForbiddenException('The admin role always has every permission');
+      }
+      role.permissions = await this.resolvePermissions(updateRoleDto.permissions);
+    }
+
+    if (updateRoleDto.description !== undefined) {
+      role.description = updateRoleDto.description;
+    }
+
+    // users.role follows a rename through ON UPDATE CASCADE
+    await this.rolesRepository.save(role);
+
+    // ✅ CACHE INVALIDATION: Signed-in users pick up the new permissions on their next request
+    await this.invalidateCache(previousName);
+    if (role.name !== previousName) {
+      await this.invalidateCache(role.name);
+    }
+
+    this.logger.log(`Role ${role.name} updated`);
+    return this.findOne(id);
+  }
+
+  async remove(id: string): Promise<void> {
+    const role = await this.findOne(id);
+
+    if (role.isSystem) {
+      throw new ForbiddenException('Built-in roles cannot be deleted');
+    }
+
+    const assignedUsers = await this.usersRepository.count({ where: { role: role.name } });
+    if (assignedUsers > 0) {
+      throw new ConflictException(
+        `Role is assigned to ${assignedUsers} user(s), give them another role first`,
+      );
+    }
+
+    const assignedMemberships = await this.membershipsRepository.count({
+      where: { role: role.name },
+    });
+    if (assignedMemberships > 0) {
+      throw new ConflictException(
+        `Role is used by ${assignedMemberships} organization member(s), give them another role first`,
+      );
+    }
+
+    await this.rolesRepository.remove(role);
+    await this.invalidateCache(role.name);
+
+    this.logger.log(`Role ${role.name} deleted`);
+  }
+
+  /**
+   * Permissions granted by a role, cached since every authenticated request needs them.
+   * Unknown roles grant nothing.
+   */
+  getPermissions(roleName: string): Promise<PermissionName[]> {
+    return this.cacheService.getOrSet(
+      `role:${roleName}:permissions`,
+      async () => {
+        const role = await this.rolesRepository.findOne({
+          where: { name: roleName },
+          relations: ['permissions'],
+        });
+        return role ? role.permissions.map(permission => permission.name).sort() : [];
+      },
+      { ttl: 300, namespace: this.CACHE_NAMESPACE }, // 5 minutes TTL
+    );
+  }
+
+  async hasPermission(roleName: string, permission: PermissionName): Promise<boolean> {
+    return (await this.getPermissions(roleName)).includes(permission);
+  }
+
+  /**
+   * For assigning roles to users, which reference them by name
+   */
+  async assertExists(roleName: string): Promise<void> {
+    if (!(await this.rolesRepository.exists({ where: { name: roleName } }))) {
+      throw new BadRequestException(`Unknown role: ${roleName}`);
+    }
+  }
+
+  private async assertNameAvailable(name: string): Promise<void> {
+    if (await this.rolesRepository.exists({ where: { name } })) {
+      throw new ConflictException('A role with this name already exists');
+    }
+  }
+
+  private async resolvePermissions(names: PermissionName[]): Promise<Permission[]> {
+    if (names.length === 0) {
+      return [];
+    }
+
+    const permissions = await this.permissionsRepository.find({ where: { name: In(names) } });
+    if (permissions.length !== new Set(names).size) {
+      throw new BadRequestException('Unknown permission');
+    }
+
+    return permissions;
+  }
+
+  private async invalidateCache(roleName: string): Promise<void> {
+    await this.cacheService.delete(`role:${roleName}:permissions`, this.CACHE_NAMESPACE);
+  }
+}
@@ -0,0 +1,9 @@
+import { IsNotEmpty, IsUUID } from 'class-validator';
+import { ApiProperty } from '@nestjs/swagger';
+
+export class AddTaskParticipantDto {
+  @ApiProperty({ example: '550e8400-e29b-41d4-a716-446655440001' })
+  @IsUUID()
+  @IsNotEmpty()
+  userId: string;
+}
@@ -0,0 +1,15 @@
+import { ArrayMaxSize, ArrayMinSize, IsArray, IsUUID } from 'class-validator';
+import { ApiProperty } from '@nestjs/swagger';
+
+export class AttachTagsDto {
+  @ApiProperty({
+    example: ['770e8400-e29b-41d4-a716-446655440000'],
+    description: 'IDs of the tags to attach (1-20 tags)',
+    type: [String],
+  })
+  @IsArray()
+  @IsUUID('all', { each: true })
+  @ArrayMinSize(1, { message: 'At least one tag ID is required' })
+  @ArrayMaxSize(20, { message: 'Maximum 20 tags can be attached at once' })
+  tagIds: string[];
+}
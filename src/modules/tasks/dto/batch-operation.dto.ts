@@ -11,7 +11,7 @@ export class BatchOperationDto {
   @ApiProperty({
     example: ['660e8400-e29b-41d4-a716-446655440000', '660e8400-e29b-41d4-a716-446655440001'],
     description: 'Array of task IDs to process (1-100 tasks)',
-    type: [String]
+    type: [String],
   })
   @IsArray()
   @IsString({ each: true })
@@ -23,7 +23,7 @@ export class BatchOperationDto {
   @ApiProperty({
     enum: BatchAction,
     example: BatchAction.COMPLETE,
-    description: 'Action to perform on the tasks'
+    description: 'Action to perform on the tasks',
   })
   @IsEnum(BatchAction, { message: 'Action must be either "complete" or "delete"' })
   @IsNotEmpty()
@@ -33,25 +33,25 @@ export class BatchOperationDto {
 export class BatchOperationResponseDto {
   @ApiProperty({
     example: true,
-    description: 'Whether the batch operation was successful'
+    description: 'Whether the batch operation was successful',
   })
   success: boolean;
 
   @ApiProperty({
     example: 'Successfully completed 5 tasks',
-    description: 'Human-readable message about the operation result'
+    description: 'Human-readable message about the operation result',
   })
   message: string;
 
   @ApiProperty({
     example: 5,
-    description: 'Number of tasks successfully processed'
+    description: 'Number of tasks successfully processed',
   })
   processed: number;
 
   @ApiProperty({
     example: 0,
-    description: 'Number of tasks that failed to process'
+    description: 'Number of tasks that failed to process',
   })
   failed: number;
 
@@ -59,7 +59,7 @@ export class BatchOperationResponseDto {
     example: ['660e8400-e29b-41d4-a716-446655440000'],
     description: 'Array of task IDs that failed to process (if any)',
     required: false,
-    type: [String]
+    type: [String],
   })
   failedTaskIds?: string[];
 
@@ -67,7 +67,7 @@ export class BatchOperationResponseDto {
     example: ['660e8400-e29b-41d4-a716-446655440001', '660e8400-e29b-41d4-a716-446655440002'],
     description: 'Array of task IDs that were successfully processed',
     required: false,
-    type: [String]
+    type: [String],
   })
   successfulTaskIds?: string[];
 }
@@ -75,21 +75,23 @@ export class BatchOperationResponseDto {
 export class BulkUpdateTaskDto {
   @ApiProperty({
     example: [
-      { id: '660e8400-e29b-41d4-a716-446655440000', data: { status: 'IN_PROGRESS' } },
-      { id: '660e8400-e29b-41d4-a716-446655440001', data: { priority: 'HIGH' } }
+      { id: '660e8400-e29b-41d4-a716-446655440000', data: { status: 'IN_PROGRESS' }, version: 3 },
+      { id: '660e8400-e29b-41d4-a716-446655440001', data: { priority: 'HIGH' } },
     ],
-    description: 'Array of task update objects, each containing task ID and update data',
+    description:
+      'Array of task update objects, each containing task ID and update data. An optional version (the task ETag) makes the update fail for that task if it has been modified since',
     type: 'array',
     items: {
       type: 'object',
       properties: {
         id: { type: 'string', format: 'uuid' },
-        data: { $ref: '#/components/schemas/UpdateTaskDto' }
-      }
-    }
+        data: { $ref: '#/components/schemas/UpdateTaskDto' },
+        version: { type: 'integer', minimum: 1 },
+      },
+    },
   })
   @IsArray()
   @ArrayMinSize(1, { message: 'At least one task update is required' })
   @ArrayMaxSize(100, { message: 'Maximum 100 tasks can be updated at once' })
-  updates: Array<{ id: string; data: UpdateTaskDto }>;
+  updates: Array<{ id: string; data: UpdateTaskDto; version?: number }>;
 }
@@ -0,0 +1,22 @@
+import { IsNotEmpty, IsOptional, IsString, Matches, MaxLength } from 'class-validator';
+import { ApiProperty } from '@nestjs/swagger';
+import { Transform } from 'class-transformer';
+import { IsSafeText } from '../../../common/decorators/validation.decorators';
+
+export class CreateTagDto {
+  @ApiProperty({
+    example: 'backend',
+    description: 'Tag name (max 50 characters, stored lowercased)',
+  })
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(50)
+  @IsSafeText()
+  @Transform(({ value }) => (typeof value === 'string' ? value.trim().toLowerCase() : value))
+  name: string;
+
+  @ApiProperty({ example: '#3b82f6', required: false, description: 'Hex display color' })
+  @IsOptional()
+  @Matches(/^#[0-9a-fA-F]{6}$/, { message: 'color must be a hex color like #3b82f6' })
+  color?: string;
+}
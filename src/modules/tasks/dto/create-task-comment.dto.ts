@@ -0,0 +1,15 @@
+import { IsNotEmpty, IsString, MaxLength } from 'class-validator';
+import { ApiProperty } from '@nestjs/swagger';
+import { IsSafeText } from '../../../common/decorators/validation.decorators';
+
+export class CreateTaskCommentDto {
+  @ApiProperty({
+    example: 'Waiting on review from @jane.doe@example.com',
+    description: 'Comment text (max 5000 characters, no HTML/scripts). Mention users with @email',
+  })
+  @IsString()
+  @IsNotEmpty()
+  @MaxLength(5000)
+  @IsSafeText()
+  content: string;
+}
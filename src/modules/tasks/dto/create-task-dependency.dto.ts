@@ -0,0 +1,12 @@
+import { IsNotEmpty, IsUUID } from 'class-validator';
+import { ApiProperty } from '@nestjs/swagger';
+
+export class CreateTaskDependencyDto {
+  @ApiProperty({
+    example: '660e8400-e29b-41d4-a716-446655440000',
+    description: 'ID of the task that blocks this one',
+  })
+  @IsUUID()
+  @IsNotEmpty()
+  blockedByTaskId: string;
+}
@@ -1,14 +1,23 @@
-import { IsDate, IsEnum, IsNotEmpty, IsOptional, IsString, IsUUID, MaxLength, MinLength } from 'class-validator';
+import {
+  IsDate,
+  IsEnum,
+  IsNotEmpty,
+  IsOptional,
+  IsString,
+  IsUUID,
+  MaxLength,
+  MinLength,
+} from 'class-validator';
 import { ApiProperty } from '@nestjs/swagger';
 import { Transform } from 'class-transformer';
 import { TaskStatus } from '../enums/task-status.enum';
 import { TaskPriority } from '../enums/task-priority.enum';
-import { IsSafeText } from '../../../common/decorators/validation.decorators';
+import { IsSafeText, IsRRule } from '../../../common/decorators/validation.decorators';
 
 export class CreateTaskDto {
   @ApiProperty({
     example: 'Complete project documentation',
-    description: 'Task title (3-200 characters, no HTML/scripts)'
+    description: 'Task title (3-200 characters, no HTML/scripts)',
   })
   @IsString()
   @IsNotEmpty()
@@ -20,7 +29,7 @@ export class CreateTaskDto {
   @ApiProperty({
     example: 'Add details about API endpoints and data models',
     required: false,
-    description: 'Task description (max 2000 characters, no HTML/scripts)'
+    description: 'Task description (max 2000 characters, no HTML/scripts)',
   })
   @IsString()
   @IsOptional()
@@ -41,11 +50,40 @@ export class CreateTaskDto {
   @ApiProperty({ example: '2023-12-31T23:59:59Z', required: false })
   @IsDate()
   @IsOptional()
-  @Transform(({ value }) => value ? new Date(value) : undefined)
+  @Transform(({ value }) => (value ? new Date(value) : undefined))
   dueDate?: Date;
 
+  @ApiProperty({
+    example: '660e8400-e29b-41d4-a716-446655440000',
+    required: false,
+    description: 'Parent task ID to make this task a subtask',
+  })
+  @IsUUID()
+  @IsOptional()
+  parentTaskId?: string;
+
+  @ApiProperty({
+    example: '770e8400-e29b-41d4-a716-446655440000',
+    required: false,
+    description: 'Project the task belongs to (you must be a member)',
+  })
+  @IsUUID()
+  @IsOptional()
+  projectId?: string;
+
+  @ApiProperty({
+    example: 'FREQ=WEEKLY;BYDAY=MO',
+    required: false,
+    description:
+      'iCalendar RRULE (FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY); completing the task creates the next occurrence',
+  })
+  @IsOptional()
+  @MaxLength(255)
+  @IsRRule()
+  recurrenceRule?: string;
+
   @ApiProperty({ example: '123e4567-e89b-12d3-a456-426614174000' })
   @IsUUID()
   @IsNotEmpty()
   userId: string;
-} 
\ No newline at end of file
+}
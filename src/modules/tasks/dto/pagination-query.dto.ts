@@ -0,0 +1,31 @@
+import { ApiProperty } from '@nestjs/swagger';
+import { IsOptional, IsInt, Min, Max } from 'class-validator';
+import { Type } from 'class-transformer';
+
+export class PaginationQueryDto {
+  @ApiProperty({
+    example: 1,
+    minimum: 1,
+    required: false,
+    description: 'Page number (starts from 1)',
+  })
+  @IsOptional()
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  page?: number = 1;
+
+  @ApiProperty({
+    example: 20,
+    minimum: 1,
+    maximum: 100,
+    required: false,
+    description: 'Number of items per page (1-100)',
+  })
+  @IsOptional()
+  @Type(() => Number)
+  @IsInt()
+  @Min(1)
+  @Max(100)
+  limit?: number = 20;
+}
@@ -1,6 +1,19 @@
 import { ApiProperty } from '@nestjs/swagger';
-import { IsOptional, IsEnum, IsInt, Min, Max, IsString } from 'class-validator';
-import { Type } from 'class-transformer';
+import {
+  IsOptional,
+  IsEnum,
+  IsInt,
+  Min,
+  Max,
+  IsString,
+  IsBoolean,
+  IsIn,
+  IsArray,
+  ArrayMaxSize,
+  MaxLength,
+  IsUUID,
+} from 'class-validator';
+import { Type, Transform } from 'class-transformer';
 import { TaskStatus } from '../enums/task-status.enum';
 import { TaskPriority } from '../enums/task-priority.enum';
 
@@ -8,7 +21,7 @@ export class TaskFilterDto {
   @ApiProperty({
     enum: TaskStatus,
     required: false,
-    description: 'Filter tasks by status'
+    description: 'Filter tasks by status',
   })
   @IsOptional()
   @IsEnum(TaskStatus)
@@ -17,17 +30,90 @@ export class TaskFilterDto {
   @ApiProperty({
     enum: TaskPriority,
     required: false,
-    description: 'Filter tasks by priority'
+    description: 'Filter tasks by priority',
   })
   @IsOptional()
   @IsEnum(TaskPriority)
   priority?: TaskPriority;
 
+  @ApiProperty({
+    example: 'release notes',
+    required: false,
+    description: 'Full-text search over title and description; results are ranked by relevance',
+  })
+  @IsOptional()
+  @Transform(({ value }) =>
+    typeof value === 'string' && value.trim().length > 0 ? value.trim() : undefined,
+  )
+  @IsString()
+  @MaxLength(200)
+  q?: string;
+
+  @ApiProperty({
+    example: true,
+    required: false,
+    description: 'Only tasks that are (true) or are not (false) blocked by an open dependency',
+  })
+  @IsOptional()
+  // Read the raw query value: implicit conversion would turn the string "false" into true
+  @Transform(({ obj, key }) =>
+    obj[key] === undefined ? undefined : obj[key] === true || obj[key] === 'true',
+  )
+  @IsBoolean()
+  blocked?: boolean;
+
+  @ApiProperty({
+    example: 'backend,urgent',
+    required: false,
+    type: String,
+    description: 'Comma-separated tag names to filter by (max 20)',
+  })
+  @IsOptional()
+  @Transform(({ value }) =>
+    (Array.isArray(value) ? value : String(value).split(','))
+      .map((tag: string) => tag.trim().toLowerCase())
+      .filter((tag: string) => tag.length > 0),
+  )
+  @IsArray()
+  @ArrayMaxSize(20)
+  @IsString({ each: true })
+  @MaxLength(50, { each: true })
+  tags?: string[];
+
+  @ApiProperty({
+    enum: ['any', 'all'],
+    required: false,
+    description: 'Match tasks with any of the tags (default) or all of them',
+  })
+  @IsOptional()
+  @IsIn(['any', 'all'])
+  tagsMode?: 'any' | 'all' = 'any';
+
+  @ApiProperty({
+    example: '770e8400-e29b-41d4-a716-446655440000',
+    required: false,
+    description: 'Filter tasks by project',
+  })
+  @IsOptional()
+  @IsUUID()
+  projectId?: string;
+
+  @ApiProperty({
+    example: 'eyJzIjoiY3JlYXRlZEF0Ii...',
+    required: false,
+    description:
+      'Opaque cursor from a previous nextCursor/prevCursor; switches to keyset paging and ignores page',
+  })
+  @IsOptional()
+  @IsString()
+  @MaxLength(1000)
+  cursor?: string;
+
   @ApiProperty({
     example: 1,
     minimum: 1,
     required: false,
-    description: 'Page number (starts from 1)'
+    description: 'Page number (starts from 1)',
   })
   @IsOptional()
   @Type(() => Number)
@@ -40,7 +126,7 @@ export class TaskFilterDto {
     minimum: 1,
     maximum: 100,
     required: false,
-    description: 'Number of items per page (1-100)'
+    description: 'Number of items per page (1-100)',
   })
   @IsOptional()
   @Type(() => Number)
@@ -52,7 +138,7 @@ export class TaskFilterDto {
   @ApiProperty({
     example: 'title',
     required: false,
-    description: 'Sort by field (title, status, priority, createdAt, dueDate)'
+    description: 'Sort by field (title, status, priority, createdAt, dueDate)',
   })
   @IsOptional()
   @IsString()
@@ -61,7 +147,7 @@ export class TaskFilterDto {
   @ApiProperty({
     example: 'DESC',
     required: false,
-    description: 'Sort order (ASC or DESC)'
+    description: 'Sort order (ASC or DESC)',
   })
   @IsOptional()
   @IsString()
@@ -71,43 +157,60 @@ export class TaskFilterDto {
 export class PaginatedTaskResponseDto {
   @ApiProperty({
     description: 'Array of tasks',
-    type: 'array'
+    type: 'array',
   })
   data: any[];
 
   @ApiProperty({
     example: 25,
-    description: 'Total number of tasks matching the filter'
+    description: 'Total number of tasks matching the filter',
   })
   total: number;
 
   @ApiProperty({
     example: 1,
-    description: 'Current page number'
+    nullable: true,
+    description: 'Current page number (null when paging by cursor)',
   })
-  page: number;
+  page: number | null;
 
   @ApiProperty({
     example: 10,
-    description: 'Number of items per page'
+    description: 'Number of items per page',
   })
   limit: number;
 
   @ApiProperty({
     example: 3,
-    description: 'Total number of pages'
+    description: 'Total number of pages',
   })
   totalPages: number;
 
   @ApiProperty({
     example: true,
-    description: 'Whether there is a next page'
+    description: 'Whether there is a next page',
   })
   hasNext: boolean;
 
   @ApiProperty({
     example: false,
-    description: 'Whether there is a previous page'
+    description: 'Whether there is a previous page',
   })
   hasPrev: boolean;
-}
\ No newline at end of file
+
+  @ApiProperty({
+    example: 'eyJzIjoiY3JlYXRlZEF0Ii...',
+    nullable: true,
+    description:
+      'Cursor for the page after this one (null on the last page or when searching with q)',
+  })
+  nextCursor: string | null;
+
+  @ApiProperty({
+    example: null,
+    nullable: true,
+    description:
+      'Cursor for the page before this one (null on the first page or when searching with q)',
+  })
+  prevCursor: string | null;
+}
@@ -24,9 +24,74 @@ export class TaskResponseDto {
   @ApiProperty({ example: '123e4567-e89b-12d3-a456-426614174000' })
   userId: string;
 
+  @ApiProperty({ example: '660e8400-e29b-41d4-a716-446655440000', nullable: true })
+  parentTaskId: string | null;
+
+  @ApiProperty({ example: '770e8400-e29b-41d4-a716-446655440000', nullable: true })
+  projectId: string | null;
+
+  @ApiProperty({
+    example: 'FREQ=WEEKLY;BYDAY=MO',
+    nullable: true,
+    description: 'iCalendar RRULE for recurring tasks',
+  })
+  recurrenceRule: string | null;
+
+  @ApiProperty({
+    example: '880e8400-e29b-41d4-a716-446655440000',
+    nullable: true,
+    description: 'First task of the recurring series (null on the first task itself)',
+  })
+  recurrenceSeriesId: string | null;
+
+  @ApiProperty({ example: 4, description: 'Number of direct subtasks' })
+  subtaskCount: number;
+
+  @ApiProperty({ example: 3, description: 'Number of direct subtasks that are COMPLETED' })
+  completedSubtaskCount: number;
+
+  @ApiProperty({
+    example: 75,
+    nullable: true,
+    description:
+      'Percent of direct subtasks that are COMPLETED (null when the task has no subtasks)',
+  })
+  progress: number | null;
+
+  @ApiProperty({
+    example: 0.0759,
+    required: false,
+    description: 'Search relevance (only present when searching with q)',
+  })
+  rank?: number;
+
+  @ApiProperty({
+    example: {
+      title: 'Write <mark>release</mark> notes',
+      description: 'Draft the <mark>release</mark> announcement',
+    },
+    required: false,
+    description:
+      'Title and description fragments with matches wrapped in <mark> (only present when searching with q)',
+  })
+  highlights?: { title: string; description: string | null };
+
   @ApiProperty({ example: '2023-01-01T00:00:00.000Z' })
   createdAt: Date;
 
   @ApiProperty({ example: '2023-01-01T00:00:00.000Z' })
   updatedAt: Date;
-} 
\ No newline at end of file
+
+  @ApiProperty({
+    example: 3,
+    description: 'Incremented on every change; returned as the ETag for If-Match',
+  })
+  version: number;
+
+  @ApiProperty({
+    example: null,
+    nullable: true,
+    description: 'When the task was moved to the trash (only set in the trash listing)',
+  })
+  deletedAt: Date | null;
+}
@@ -0,0 +1,3 @@
+import { CreateTaskCommentDto } from './create-task-comment.dto';
+
+export class UpdateTaskCommentDto extends CreateTaskCommentDto {}
@@ -0,0 +1,36 @@
+import {
+  Column,
+  CreateDateColumn,
+  Entity,
+  Index,
+  JoinColumn,
+  ManyToOne,
+  PrimaryGeneratedColumn,
+  type Relation,
+} from 'typeorm';
+import { User } from '../../users/entities/user.entity';
+
+@Entity('tags')
+// ✅ INTEGRITY: Labels are personal, so names only need to be unique per owner
+@Index('uq_tags_user_name', ['userId', 'name'], { unique: true })
+@Index('idx_tags_name', ['name'])
+export class Tag {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  @Column({ length: 50 })
+  name: string; // Stored lowercased so filters match regardless of casing
+
+  @Column({ length: 7, nullable: true })
+  color?: string;
+
+  @Column({ name: 'user_id' })
+  userId: string;
+
+  @ManyToOne(() => User, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'user_id' })
+  user: Relation<User>;
+
+  @CreateDateColumn({ name: 'created_at' })
+  createdAt: Date;
+}
@@ -0,0 +1,26 @@
+import { CreateDateColumn, Entity, Index, JoinColumn, ManyToOne, PrimaryColumn } from 'typeorm';
+import { Task } from './task.entity';
+
+/**
+ * "Blocked by" link: the task can't start until the blocking task is COMPLETED
+ */
+@Entity('task_dependencies')
+@Index('idx_task_dependencies_blocked_by', ['blockedByTaskId'])
+export class TaskDependency {
+  @PrimaryColumn({ name: 'task_id', type: 'uuid' })
+  taskId: string;
+
+  @PrimaryColumn({ name: 'blocked_by_task_id', type: 'uuid' })
+  blockedByTaskId: string;
+
+  @ManyToOne(() => Task, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'task_id' })
+  task: Task;
+
+  @ManyToOne(() => Task, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'blocked_by_task_id' })
+  blockedByTask: Task;
+
+  @CreateDateColumn({ name: 'created_at' })
+  createdAt: Date;
+}
@@ -0,0 +1,41 @@
+import {
+  Column,
+  CreateDateColumn,
+  Entity,
+  Index,
+  JoinColumn,
+  ManyToOne,
+  PrimaryGeneratedColumn,
+} from 'typeorm';
+import { User } from '../../users/entities/user.entity';
+import { TaskEventType } from '../enums/task-event-type.enum';
+
+export type TaskFieldChanges = Record<string, { from: unknown; to: unknown }>;
+
+@Entity('task_events')
+// ✅ PERFORMANCE: History is always read per task, newest first
+@Index('idx_task_events_task_created', ['taskId', 'createdAt'])
+export class TaskEvent {
+  @PrimaryGeneratedColumn('uuid')
+  id: string;
+
+  // No foreign key: the audit trail has to outlive the task it describes
+  @Column({ name: 'task_id', type: 'uuid' })
+  taskId: string;
+
+  @Column({ type: 'varchar', length: 20 })
+  type: TaskEventType;
+
+  @Column({ name: 'actor_id', type: 'uuid', nullable: true })
+  actorId: string | null; // null for system changes (e.g. recurring occurrences, queue jobs)
+
+  @ManyToOne(() => User, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'actor_id' })
+  actor: User;
+
+  @Column({ type: 'jsonb', default: () => "'{}'" })
+  changes: TaskFieldChanges; // { field: { from, to } } for every field that changed
+
+  @CreateDateColumn({ name: 'created_at' })
+  createdAt: Date;
+}
@@ -1,7 +1,25 @@
-import { Column, CreateDateColumn, Entity, Index, JoinColumn, ManyToOne, PrimaryGeneratedColumn, UpdateDateColumn } from 'typeorm';
+import {
+  Column,
+  CreateDateColumn,
+  DeleteDateColumn,
+  Entity,
+  Index,
+  JoinColumn,
+  JoinTable,
+  ManyToMany,
+  ManyToOne,
+  OneToMany,
+  PrimaryGeneratedColumn,
+  UpdateDateColumn,
+  VersionColumn,
+  type Relation,
+} from 'typeorm';
 import { User } from '../../users/entities/user.entity';
 import { TaskStatus } from '../enums/task-status.enum';
 import { TaskPriority } from '../enums/task-priority.enum';
+import { Tag } from './tag.entity';
+import { Project } from '../../projects/entities/project.entity';
+import { Organization } from '../../organizations/entities/organization.entity';
 
 @Entity('tasks')
 // ✅ PERFORMANCE: Strategic indexes for frequently queried columns
@@ -10,6 +28,15 @@ import { TaskPriority } from '../enums/task-priority.enum';
 @Index('idx_tasks_user_id', ['userId'])
 @Index('idx_tasks_created_at', ['createdAt'])
 @Index('idx_tasks_due_date', ['dueDate'])
+@Index('idx_tasks_parent_task_id', ['parentTaskId'])
+@Index('idx_tasks_project_id', ['projectId'])
+@Index('idx_tasks_deleted_at', ['deletedAt'])
+@Index('idx_tasks_organization_created', ['organizationId', 'createdAt'])
+// ✅ RECURRENCE: One row per occurrence slot, so concurrent completions can't spawn duplicates
+@Index('uq_tasks_recurrence_occurrence', ['recurrenceSeriesId', 'recurrenceIndex'], {
+  unique: true,
+  where: '"recurrence_series_id" IS NOT NULL',
+})
 // ✅ PERFORMANCE: Composite indexes for complex queries
 @Index('idx_tasks_status_priority', ['status', 'priority'])
 @Index('idx_tasks_user_status', ['userId', 'status'])
@@ -44,13 +71,99 @@ export class Task {
   @Column({ name: 'user_id' })
   userId: string;
 
-  @ManyToOne(() => User, (user) => user.tasks)
+  @ManyToOne(() => User, user => user.tasks)
   @JoinColumn({ name: 'user_id' })
-  user: User;
+  user: Relation<User>;
+
+  // ✅ TENANCY: Tasks are only ever visible inside their organization
+  @Column({ name: 'organization_id', type: 'uuid' })
+  organizationId: string;
+
+  @ManyToOne(() => Organization, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'organization_id' })
+  organization: Organization;
+
+  @Column({ name: 'parent_task_id', type: 'uuid', nullable: true })
+  parentTaskId: string | null;
+
+  // ✅ HIERARCHY: Purging a parent removes its subtree (TasksService.remove trashes it only if cascade is requested)
+  @ManyToOne(() => Task, task => task.subtasks, { onDelete: 'CASCADE' })
+  @JoinColumn({ name: 'parent_task_id' })
+  parentTask: Task;
+
+  @OneToMany(() => Task, task => task.parentTask)
+  subtasks: Task[];
+
+  @Column({ name: 'project_id', type: 'uuid', nullable: true })
+  projectId: string | null;
+
+  // Deleting a project keeps its tasks, they just stop belonging to it
+  @ManyToOne(() => Project, { onDelete: 'SET NULL' })
+  @JoinColumn({ name: 'project_id' })
+  project: Relation<Project>;
+
+  // ✅ RECURRENCE: iCalendar RRULE; completing the task creates the next occurrence
+  @Column({ name: 'recurrence_rule', type: 'varchar', length: 255, nullable: true })
+  recurrenceRule: string | null;
+
+  // ID of the first task in the series (null on the first task itself)
+  @Column({ name: 'recurrence_series_id', type: 'uuid', nullable: true })
+  recurrenceSeriesId: string | null;
+
+  // Position in the series, 0 for the first task (COUNT limits are checked against it)
+  @Column({ name: 'recurrence_index', type: 'int', default: 0 })
+  recurrenceIndex: number;
+
+  // ✅ SEARCH: Generated by Postgres from title/description (GIN index lives in the migration)
+  @Index('idx_tasks_search_vector', { synchronize: false })
+  @Column({
+    name: 'search_vector',
+    type: 'tsvector',
+    nullable: true,
+    select: false,
+    generatedType: 'STORED',
+    asExpression: `setweight(to_tsvector('english', coalesce("title", '')), 'A') || setweight(to_tsvector('english', coalesce("description", '')), 'B')`,
+  })
+  searchVector?: string;
+
+  // ✅ ASSIGNEES: Responsible alongside the owner; assignees can see and update the task
+  @ManyToMany(() => User)
+  @JoinTable({
+    name: 'task_assignees',
+    joinColumn: { name: 'task_id', referencedColumnName: 'id' },
+    inverseJoinColumn: { name: 'user_id', referencedColumnName: 'id' },
+  })
+  assignees: User[];
+
+  // ✅ WATCHERS: Notified whenever the task's status changes
+  @ManyToMany(() => User)
+  @JoinTable({
+    name: 'task_watchers',
+    joinColumn: { name: 'task_id', referencedColumnName: 'id' },
+    inverseJoinColumn: { name: 'user_id', referencedColumnName: 'id' },
+  })
+  watchers: User[];
+
+  @ManyToMany(() => Tag)
+  @JoinTable({
+    name: 'task_tags',
+    joinColumn: { name: 'task_id', referencedColumnName: 'id' },
+    inverseJoinColumn: { name: 'tag_id', referencedColumnName: 'id' },
+  })
+  tags: Tag[];
 
   @CreateDateColumn({ name: 'created_at' })
   createdAt: Date;
 
   @UpdateDateColumn({ name: 'updated_at' })
   updatedAt: Date;
-} 
\ No newline at end of file
+
+  // ✅ CONCURRENCY: Incremented by TypeORM on every save/QueryBuilder update, served as the ETag
+  @VersionColumn({ default: 1 })
+  version: number;
+
+  // ✅ TRASH: Set when the task is moved to the trash; TypeORM leaves these rows out of
+  // find/QueryBuilder reads unless withDeleted() is used, raw SQL must filter on it explicitly
+  @DeleteDateColumn({ name: 'deleted_at', nullable: true })
+  deletedAt: Date | null;
+}
@@ -0,0 +1,152 @@
+import { Test } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { BadRequestException, ConflictException, NotFoundException } from '@nestjs/common';
+import { TagsService } from './tags.service';
+import { Tag } from '../entities/tag.entity';
+import { Task } from '../entities/task.entity';
+import { TasksService } from '../tasks.service';
+import { PermissionName } from '../../roles/enums/permission-name.enum';
+import { createMockQueryBuilder } from '../../../../test/utils/mock-query-builder';
+
+const ORG_ID = 'org-1';
+const USER_ID = 'user-1';
+
+describe('TagsService', () => {
+  let service: TagsService;
+  let tagsRepository: Record<string, jest.Mock>;
+  let tasksService: Record<string, jest.Mock>;
+  let tagsQuery: any;
+  let taskTags: any; // The task's tags relation
+
+  beforeEach(async () => {
+    tagsQuery = createMockQueryBuilder();
+    taskTags = createMockQueryBuilder();
+    taskTags.loadMany = jest.fn().mockResolvedValue([]);
+    taskTags.add = jest.fn();
+    taskTags.remove = jest.fn();
+
+    tagsRepository = {
+      findOne: jest.fn().mockResolvedValue(null),
+      find: jest.fn(),
+      create: jest.fn(data => data),
+      save: jest.fn(async data => ({ id: 'tag-new', ...data })),
+      delete: jest.fn(),
+      createQueryBuilder: jest.fn(() => tagsQuery),
+    };
+    tasksService = {
+      findOne: jest.fn(async (id: string) => ({ id, userId: USER_ID })),
+      clearTaskCaches: jest.fn(),
+    };
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        TagsService,
+        { provide: getRepositoryToken(Tag), useValue: tagsRepository },
+        {
+          provide: getRepositoryToken(Task),
+          useValue: { createQueryBuilder: jest.fn(() => taskTags) },
+        },
+        { provide: TasksService, useValue: tasksService },
+      ],
+    }).compile();
+
+    service = moduleRef.get(TagsService);
+  });
+
+  describe('create', () => {
+    it('creates a personal tag', async () => {
+      const tag = await service.create({ name: 'urgent' }, USER_ID);
+
+      expect(tag).toMatchObject({ name: 'urgent', userId: USER_ID });
+    });
+
+    it('rejects a name the user already has', async () => {
+      tagsRepository.findOne.mockResolvedValue({ id: 'tag-1', name: 'urgent' });
+
+      await expect(service.create({ name: 'urgent' }, USER_ID)).rejects.toThrow(ConflictException);
+    });
+  });
+
+  describe('attachToTask', () => {
+    it('only adds the tags that are not attached yet', async () => {
+      tagsQuery.getMany.mockResolvedValue([
+        { id: 'tag-1', name: 'urgent' },
+        { id: 'tag-2', name: 'backend' },
+      ]);
+      taskTags.loadMany
+        .mockResolvedValueOnce([{ id: 'tag-1', name: 'urgent' }])
+        .mockResolvedValueOnce([
+          { id: 'tag-1', name: 'urgent' },
+          { id: 'tag-2', name: 'backend' },
+        ]);
+
+      const tags = await service.attachToTask(
+        'task-1',
+        ['tag-1', 'tag-2', 'tag-2'],
+        ORG_ID,
+        USER_ID,
+      );
+
+      expect(taskTags.add).toHaveBeenCalledWith(['tag-2']);
+      expect(tags.map(tag => tag.name)).toEqual(['backend', 'urgent']);
+      expect(tasksService.clearTaskCaches).toHaveBeenCalledWith(ORG_ID, undefined, 'task-1');
+    });
+
+    it('leaves the task alone when every tag is already attached', async () => {
+      tagsQuery.getMany.mockResolvedValue([{ id: 'tag-1', name: 'urgent' }]);
+      taskTags.loadMany.mockResolvedValue([{ id: 'tag-1', name: 'urgent' }]);
+
+      await service.attachToTask('task-1', ['tag-1'], ORG_ID, USER_ID);
+
+      expect(taskTags.add).not.toHaveBeenCalled();
+      expect(tasksService.clearTaskCaches).not.toHaveBeenCalled();
+    });
+
+    it("names the tags that don't exist or belong to someone else", async () => {
+      tagsQuery.getMany.mockResolvedValue([{ id: 'tag-1', name: 'urgent' }]);
+
+      await expect(
+        service.attachToTask('task-1', ['tag-1', 'tag-9'], ORG_ID, USER_ID),
+      ).rejects.toThrow(new BadRequestException('Invalid tagIds: Tags not found: tag-9'));
+      expect(tagsQuery.where).toHaveBeenCalledWith('tag.userId = :userId', { userId: USER_ID });
+      expect(taskTags.add).not.toHaveBeenCalled();
+    });
+
+    it('refuses tasks the caller cannot see', async () => {
+      tasksService.findOne.mockRejectedValue(new NotFoundException('Task not found'));
+
+      await expect(service.attachToTask('task-1', ['tag-1'], ORG_ID, USER_ID)).rejects.toThrow(
+        NotFoundException,
+      );
+    });
+  });
+
+  describe('detachFromTask', () => {
+    it('reports a tag that is not attached', async () => {
+      taskTags.loadMany.mockResolvedValue([{ id: 'tag-1', name: 'urgent' }]);
+
+      await expect(service.detachFromTask('task-1', 'tag-2', ORG_ID, USER_ID)).rejects.toThrow(
+        'Tag is not attached to this task',
+      );
+      expect(taskTags.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('remove', () => {
+    it("reports someone else's tag as not found", async () => {
+      await expect(service.remove('tag-1', ORG_ID, USER_ID)).rejects.toThrow(NotFoundException);
+      expect(tagsRepository.delete).not.toHaveBeenCalled();
+    });
+
+    it("lets moderators delete tags of their organization's members", async () => {
+      tagsQuery.getOne.mockResolvedValue({ id: 'tag-1', userId: 'user-2' });
+
+      await service.remove('tag-1', ORG_ID, USER_ID, [PermissionName.TAGS_MANAGE_ANY]);
+
+      expect(tagsQuery.where).toHaveBeenCalledWith(expect.stringContaining('organization_id'), {
+        organizationId: ORG_ID,
+      });
+      expect(tagsRepository.delete).toHaveBeenCalledWith({ id: 'tag-1' });
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import {
+  Injectable,
+  NotFoundException,
+  BadRequestException,
+  ConflictException,
+} from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Repository, SelectQueryBuilder } from 'typeorm';
+import { Tag } from '../entities/tag.entity';
+import { Task } from '../entities/task.entity';
+import { CreateTagDto } from '../dto/create-tag.dto';
+import { TasksService } from '../tasks.service';
+import { hasPermission } from '../../../common/utils/permissions';
+import { PermissionName } from '../../roles/enums/permission-name.enum';
+
+@Injectable()
+export class TagsService {
+  constructor(
+    @InjectRepository(Tag)
+    private tagsRepository: Repository<Tag>,
+    @InjectRepository(Task)
+    private tasksRepository: Repository<Task>,
+    private readonly tasksService: TasksService,
+  ) {}
+
+  async create(createTagDto: CreateTagDto, userId: string): Promise<Tag> {
+    const existing = await this.tagsRepository.findOne({
+      where: { userId, name: createTagDto.name },
+    });
+    if (existing) {
+      throw new ConflictException('Tag already exists');
+    }
+
+    return this.tagsRepository.save(this.tagsRepository.create({ ...createTagDto, userId }));
+  }
+
+  findAll(userId: string): Promise<Tag[]> {
+    return this.tagsRepository.find({
+      where: { userId },
+      order: { name: 'ASC' },
+    });
+  }
+
+  async remove(
+    id: string,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<void> {
+    // ✅ AUTHORIZATION: Users manage their own tags, admins can moderate any tag in their organization
+    const tag = await this.usableTagsQuery(organizationId, userId, userPermissions)
+      .andWhere('tag.id = :id', { id })
+      .getOne();
+
+    if (!tag) {
+      throw new NotFoundException('Tag not found');
+    }
+
+    // task_tags rows go with it (ON DELETE CASCADE)
+    await this.tagsRepository.delete({ id });
+
+    // ✅ CACHE INVALIDATION: Any task or tag-filtered list may have included this tag
+    await this.tasksService.clearTaskCaches();
+  }
+
+  async attachToTask(
+    taskId: string,
+    tagIds: string[],
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<Tag[]> {
+    // ✅ AUTHORIZATION: Same ownership rules as reading the task itself
+    await this.tasksService.findOne(taskId, organizationId, userId, userPermissions);
+
+    const tags = await this.findUsableTags(tagIds, organizationId, userId, userPermissions);
+
+    // ✅ IDEMPOTENT: Re-attaching an already attached tag is a no-op
+    const attachedIds = (await this.findTaskTags(taskId)).map(tag => tag.id);
+    const newIds = tags.map(tag => tag.id).filter(id => !attachedIds.includes(id));
+
+    if (newIds.length > 0) {
+      await this.taskTagsRelation(taskId).add(newIds);
+      await this.tasksService.clearTaskCaches(organizationId, undefined, taskId);
+    }
+
+    return this.findTaskTags(taskId);
+  }
+
+  async detachFromTask(
+    taskId: string,
+    tagId: string,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<void> {
+    await this.tasksService.findOne(taskId, organizationId, userId, userPermissions);
+
+    const attached = await this.findTaskTags(taskId);
+    if (!attached.some(tag => tag.id === tagId)) {
+      throw new NotFoundException('Tag is not attached to this task');
+    }
+
+    await this.taskTagsRelation(taskId).remove(tagId);
+    await this.tasksService.clearTaskCaches(organizationId, undefined, taskId);
+  }
+
+  private async findTaskTags(taskId: string): Promise<Tag[]> {
+    const tags = await this.taskTagsRelation(taskId).loadMany<Tag>();
+    return tags.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  private taskTagsRelation(taskId: string) {
+    return this.tasksRepository.createQueryBuilder().relation(Task, 'tags').of(taskId);
+  }
+
+  /**
+   * Load tags by ID, making sure every one exists and the caller may use it
+   */
+  private async findUsableTags(
+    tagIds: string[],
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<Tag[]> {
+    const uniqueIds = [...new Set(tagIds)];
+    const tags = await this.usableTagsQuery(organizationId, userId, userPermissions)
+      .andWhere('tag.id IN (:...ids)', { ids: uniqueIds })
+      .getMany();
+
+    if (tags.length !== uniqueIds.length) {
+      const foundIds = tags.map(tag => tag.id);
+      const missing = uniqueIds.filter(id => !foundIds.includes(id));
+      throw new BadRequestException(`Invalid tagIds: Tags not found: ${missing.join(', ')}`);
+    }
+
+    return tags;
+  }
+
+  /**
+   * ✅ TENANCY: Tags are personal, tags:manage:any reaches those of the organization's members only
+   */
+  private usableTagsQuery(
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): SelectQueryBuilder<Tag> {
+    const queryBuilder = this.tagsRepository.createQueryBuilder('tag');
+
+    if (!hasPermission(userPermissions, PermissionName.TAGS_MANAGE_ANY)) {
+      return queryBuilder.where('tag.userId = :userId', { userId });
+    }
+
+    return queryBuilder.where(
+      `tag.userId IN (
+        SELECT membership.user_id FROM organization_memberships membership
+        WHERE membership.organization_id = :organizationId
+      )`,
+      { organizationId },
+    );
+  }
+}
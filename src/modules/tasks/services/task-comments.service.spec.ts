@@ -0,0 +1,190 @@
+import { Test } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { getQueueToken } from '@nestjs/bullmq';
+import { ForbiddenException, NotFoundException } from '@nestjs/common';
+import { TaskCommentsService } from './task-comments.service';
+import { TaskComment } from '../entities/task-comment.entity';
+import { TasksService } from '../tasks.service';
+import { UsersService } from '../../users/users.service';
+import { PermissionName } from '../../roles/enums/permission-name.enum';
+
+const ORG_ID = 'org-1';
+const AUTHOR_ID = 'user-author';
+
+describe('TaskCommentsService', () => {
+  let service: TaskCommentsService;
+  let commentsRepository: Record<string, jest.Mock>;
+  let taskQueue: { add: jest.Mock };
+  let tasksService: { findOne: jest.Mock };
+  let usersService: { findByEmail: jest.Mock; findOneInOrganization: jest.Mock };
+
+  const users: Record<string, { id: string; organizationId: string }> = {
+    'jane@example.com': { id: 'user-jane', organizationId: ORG_ID },
+    'bob@example.com': { id: 'user-bob', organizationId: ORG_ID },
+    'eve@other.com': { id: 'user-eve', organizationId: 'org-2' },
+    'author@example.com': { id: AUTHOR_ID, organizationId: ORG_ID },
+  };
+
+  beforeEach(async () => {
+    commentsRepository = {
+      create: jest.fn(data => ({ ...data })),
+      save: jest.fn(async comment => ({ id: comment.id ?? 'comment-1', ...comment })),
+      findOne: jest.fn(),
+      delete: jest.fn(),
+    };
+    taskQueue = { add: jest.fn() };
+    tasksService = { findOne: jest.fn().mockResolvedValue({ id: 'task-1' }) };
+    usersService = {
+      findByEmail: jest.fn(async (email: string) => users[email] ?? null),
+      findOneInOrganization: jest.fn(async (id: string, organizationId: string) => {
+        const user = Object.values(users).find(candidate => candidate.id === id);
+        if (!user || user.organizationId !== organizationId) {
+          throw new NotFoundException('User not found');
+        }
+        return user;
+      }),
+    };
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        TaskCommentsService,
+        { provide: getRepositoryToken(TaskComment), useValue: commentsRepository },
+        { provide: getQueueToken('task-processing'), useValue: taskQueue },
+        { provide: TasksService, useValue: tasksService },
+        { provide: UsersService, useValue: usersService },
+      ],
+    }).compile();
+
+    service = moduleRef.get(TaskCommentsService);
+  });
+
+  describe('create', () => {
+    it('saves the comment and notifies mentioned members of the organization', async () => {
+      const comment = await service.create(
+        'task-1',
+        { content: 'Thoughts @jane@example.com and @bob@example.com?' },
+        ORG_ID,
+        AUTHOR_ID,
+      );
+
+      expect(comment.mentionedUserIds).toEqual(['user-jane', 'user-bob']);
+      expect(taskQueue.add).toHaveBeenCalledWith(
+        'task-comment-mentioned',
+        expect.objectContaining({
+          taskId: 'task-1',
+          authorId: AUTHOR_ID,
+          mentionedUserIds: ['user-jane', 'user-bob'],
+        }),
+        expect.any(Object),
+      );
+    });
+
+    it('ignores unknown emails, self-mentions and users of other organizations', async () => {
+      const comment = await service.create(
+        'task-1',
+        { content: '@nobody@example.com @author@example.com @eve@other.com mail@example.com' },
+        ORG_ID,
+        AUTHOR_ID,
+      );
+
+      expect(comment.mentionedUserIds).toEqual([]);
+      expect(taskQueue.add).not.toHaveBeenCalled();
+    });
+
+    it('refuses comments on tasks the user cannot see', async () => {
+      tasksService.findOne.mockRejectedValue(new NotFoundException('Task not found'));
+
+      await expect(
+        service.create('task-1', { content: 'Hello' }, ORG_ID, AUTHOR_ID),
+      ).rejects.toThrow(NotFoundException);
+      expect(commentsRepository.save).not.toHaveBeenCalled();
+    });
+
+    it('keeps the comment when queueing notifications fails', async () => {
+      taskQueue.add.mockRejectedValue(new Error('Redis down'));
+
+      const comment = await service.create(
+        'task-1',
+        { content: '@jane@example.com' },
+        ORG_ID,
+        AUTHOR_ID,
+      );
+
+      expect(comment.id).toBe('comment-1');
+    });
+  });
+
+  describe('update', () => {
+    it('only notifies people who were not mentioned before', async () => {
+      commentsRepository.findOne.mockResolvedValue({
+        id: 'comment-1',
+        taskId: 'task-1',
+        authorId: AUTHOR_ID,
+        content: '@jane@example.com',
+        mentionedUserIds: ['user-jane'],
+      });
+
+      await service.update(
+        'task-1',
+        'comment-1',
+        { content: '@jane@example.com @bob@example.com' },
+        ORG_ID,
+        AUTHOR_ID,
+      );
+
+      expect(taskQueue.add).toHaveBeenCalledWith(
+        'task-comment-mentioned',
+        expect.objectContaining({ mentionedUserIds: ['user-bob'] }),
+        expect.any(Object),
+      );
+    });
+
+    it("refuses to edit someone else's comment", async () => {
+      commentsRepository.findOne.mockResolvedValue({
+        id: 'comment-1',
+        taskId: 'task-1',
+        authorId: 'user-jane',
+        mentionedUserIds: [],
+      });
+
+      await expect(
+        service.update('task-1', 'comment-1', { content: 'Edited' }, ORG_ID, AUTHOR_ID),
+      ).rejects.toThrow(ForbiddenException);
+      expect(commentsRepository.save).not.toHaveBeenCalled();
+    });
+
+    it('reports comments of another task as not found', async () => {
+      commentsRepository.findOne.mockResolvedValue(null);
+
+      await expect(
+        service.update('task-1', 'comment-9', { content: 'Edited' }, ORG_ID, AUTHOR_ID),
+      ).rejects.toThrow(NotFoundException);
+    });
+  });
+
+  describe('remove', () => {
+    beforeEach(() => {
+      commentsRepository.findOne.mockResolvedValue({
+        id: 'comment-1',
+        taskId: 'task-1',
+        authorId: 'user-jane',
+        mentionedUserIds: [],
+      });
+    });
+
+    it("refuses to delete someone else's comment without comments:delete:any", async () => {
+      await expect(service.remove('task-1', 'comment-1', ORG_ID, AUTHOR_ID, [])).rejects.toThrow(
+        ForbiddenException,
+      );
+      expect(commentsRepository.delete).not.toHaveBeenCalled();
+    });
+
+    it('lets moderators delete any comment', async () => {
+      await service.remove('task-1', 'comment-1', ORG_ID, AUTHOR_ID, [
+        PermissionName.COMMENTS_DELETE_ANY,
+      ]);
+
+      expect(commentsRepository.delete).toHaveBeenCalledWith({ id: 'comment-1' });
+    });
+  });
+});
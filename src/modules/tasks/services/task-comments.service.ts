@@ -0,0 +1,208 @@
+import { Injectable, Logger, NotFoundException, ForbiddenException } from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Repository } from 'typeorm';
+import { InjectQueue } from '@nestjs/bullmq';
+import { Queue } from 'bullmq';
+import { TaskComment } from '../entities/task-comment.entity';
+import { CreateTaskCommentDto } from '../dto/create-task-comment.dto';
+import { UpdateTaskCommentDto } from '../dto/update-task-comment.dto';
+import { TasksService } from '../tasks.service';
+import { UsersService } from '../../users/users.service';
+import { hasPermission } from '../../../common/utils/permissions';
+import { PermissionName } from '../../roles/enums/permission-name.enum';
+
+// Matches "@john.doe@example.com" and captures the email part
+const MENTION_PATTERN = /(?:^|\s)@([A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+@Injectable()
+export class TaskCommentsService {
+  private readonly logger = new Logger(TaskCommentsService.name);
+
+  constructor(
+    @InjectRepository(TaskComment)
+    private commentsRepository: Repository<TaskComment>,
+    @InjectQueue('task-processing')
+    private taskQueue: Queue,
+    private readonly tasksService: TasksService,
+    private readonly usersService: UsersService,
+  ) {}
+
+  async create(
+    taskId: string,
+    createCommentDto: CreateTaskCommentDto,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<TaskComment> {
+    // ✅ AUTHORIZATION: Same ownership rules as reading the task itself
+    await this.tasksService.findOne(taskId, organizationId, userId, userPermissions);
+
+    const mentionedUserIds = await this.resolveMentions(
+      createCommentDto.content,
+      organizationId,
+      userId,
+    );
+
+    const comment = this.commentsRepository.create({
+      content: createCommentDto.content,
+      taskId,
+      authorId: userId,
+      mentionedUserIds,
+    });
+    const savedComment = await this.commentsRepository.save(comment);
+
+    await this.enqueueMentionNotifications(savedComment, mentionedUserIds);
+
+    return savedComment;
+  }
+
+  async findAll(
+    taskId: string,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<TaskComment[]> {
+    await this.tasksService.findOne(taskId, organizationId, userId, userPermissions);
+
+    return this.commentsRepository
+      .createQueryBuilder('comment')
+      .leftJoin('comment.author', 'author')
+      .addSelect(['author.id', 'author.name', 'author.email'])
+      .where('comment.taskId = :taskId', { taskId })
+      .orderBy('comment.createdAt', 'ASC')
+      .getMany();
+  }
+
+  async findOne(
+    taskId: string,
+    commentId: string,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<TaskComment> {
+    await this.tasksService.findOne(taskId, organizationId, userId, userPermissions);
+
+    const comment = await this.commentsRepository.findOne({
+      where: { id: commentId, taskId },
+    });
+
+    if (!comment) {
+      throw new NotFoundException('Comment not found');
+    }
+
+    return comment;
+  }
+
+  async update(
+    taskId: string,
+    commentId: string,
+    updateCommentDto: UpdateTaskCommentDto,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<TaskComment> {
+    const comment = await this.findOne(taskId, commentId, organizationId, userId, userPermissions);
+
+    // ✅ AUTHORIZATION: Only the author can edit what they wrote
+    if (comment.authorId !== userId) {
+      throw new ForbiddenException('Insufficient permission: You can only edit your own comments');
+    }
+
+    const mentionedUserIds = await this.resolveMentions(
+      updateCommentDto.content,
+      organizationId,
+      userId,
+    );
+    const newlyMentioned = mentionedUserIds.filter(id => !comment.mentionedUserIds.includes(id));
+
+    comment.content = updateCommentDto.content;
+    comment.mentionedUserIds = mentionedUserIds;
+    const savedComment = await this.commentsRepository.save(comment);
+
+    // ✅ NOTIFICATION: Only notify people who weren't already mentioned
+    await this.enqueueMentionNotifications(savedComment, newlyMentioned);
+
+    return savedComment;
+  }
+
+  async remove(
+    taskId: string,
+    commentId: string,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<void> {
+    const comment = await this.findOne(taskId, commentId, organizationId, userId, userPermissions);
+
+    // ✅ AUTHORIZATION: Authors can delete their comments, admins can moderate any comment
+    if (
+      !hasPermission(userPermissions, PermissionName.COMMENTS_DELETE_ANY) &&
+      comment.authorId !== userId
+    ) {
+      throw new ForbiddenException(
+        'Insufficient permission: You can only delete your own comments',
+      );
+    }
+
+    await this.commentsRepository.delete({ id: comment.id });
+  }
+
+  /**
+   * Resolve @email mentions to user IDs, ignoring unknown emails, self-mentions and users
+   * outside the organization
+   */
+  private async resolveMentions(
+    content: string,
+    organizationId: string,
+    authorId: string,
+  ): Promise<string[]> {
+    const emails = new Set<string>();
+    for (const match of content.matchAll(MENTION_PATTERN)) {
+      emails.add(match[1]);
+    }
+
+    const userIds = new Set<string>();
+    for (const email of emails) {
+      const user = await this.usersService.findByEmail(email);
+      if (
+        user &&
+        user.id !== authorId &&
+        (await this.usersService.findOneInOrganization(user.id, organizationId).catch(() => null))
+      ) {
+        userIds.add(user.id);
+      }
+    }
+
+    return [...userIds];
+  }
+
+  private async enqueueMentionNotifications(
+    comment: TaskComment,
+    mentionedUserIds: string[],
+  ): Promise<void> {
+    if (mentionedUserIds.length === 0) {
+      return;
+    }
+
+    try {
+      await this.taskQueue.add(
+        'task-comment-mentioned',
+        {
+          taskId: comment.taskId,
+          commentId: comment.id,
+          authorId: comment.authorId,
+          mentionedUserIds,
+        },
+        {
+          attempts: 3,
+          backoff: { type: 'exponential', delay: 2000 },
+        },
+      );
+    } catch (error) {
+      // ✅ RESILIENT: A failed notification shouldn't lose the comment
+      this.logger.warn(
+        `Failed to queue mention notifications for comment ${comment.id}: ${error instanceof Error ? error.message : 'Unknown error'}`,
+      );
+    }
+  }
+}
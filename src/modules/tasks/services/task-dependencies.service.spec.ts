@@ -0,0 +1,151 @@
+import { Test } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import {
+  BadRequestException,
+  ConflictException,
+  ForbiddenException,
+  NotFoundException,
+} from '@nestjs/common';
+import { TaskDependenciesService } from './task-dependencies.service';
+import { TaskDependency } from '../entities/task-dependency.entity';
+import { Task } from '../entities/task.entity';
+import { TasksService } from '../tasks.service';
+import { PermissionName } from '../../roles/enums/permission-name.enum';
+
+const ORG_ID = 'org-1';
+const OWNER_ID = 'user-owner';
+const OTHER_ID = 'user-other';
+
+describe('TaskDependenciesService', () => {
+  let service: TaskDependenciesService;
+  let dependenciesRepository: Record<string, jest.Mock>;
+  let tasksRepository: { query: jest.Mock };
+  let tasksService: Record<string, jest.Mock>;
+
+  beforeEach(async () => {
+    dependenciesRepository = {
+      findOne: jest.fn().mockResolvedValue(null),
+      create: jest.fn(data => data),
+      save: jest.fn(async data => ({ id: 'dependency-1', ...data })),
+      delete: jest.fn().mockResolvedValue({ affected: 1 }),
+      query: jest.fn().mockResolvedValue([]), // No path back, so no cycle
+    };
+    tasksRepository = { query: jest.fn().mockResolvedValue([]) };
+    tasksService = {
+      findOne: jest.fn(async (id: string) => ({ id, userId: OWNER_ID })),
+      clearTaskCaches: jest.fn(),
+      applyVisibilityScope: jest.fn(),
+    };
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        TaskDependenciesService,
+        { provide: getRepositoryToken(TaskDependency), useValue: dependenciesRepository },
+        { provide: getRepositoryToken(Task), useValue: tasksRepository },
+        { provide: TasksService, useValue: tasksService },
+      ],
+    }).compile();
+
+    service = moduleRef.get(TaskDependenciesService);
+  });
+
+  describe('add', () => {
+    it('links two tasks and refreshes the cached task', async () => {
+      const dependency = await service.add(
+        'task-a',
+        { blockedByTaskId: 'task-b' },
+        ORG_ID,
+        OWNER_ID,
+      );
+
+      expect(dependency).toMatchObject({ taskId: 'task-a', blockedByTaskId: 'task-b' });
+      expect(tasksService.clearTaskCaches).toHaveBeenCalledWith(ORG_ID, undefined, 'task-a');
+    });
+
+    it('rejects a task blocking itself', async () => {
+      await expect(
+        service.add('task-a', { blockedByTaskId: 'task-a' }, ORG_ID, OWNER_ID),
+      ).rejects.toThrow(BadRequestException);
+    });
+
+    it('rejects a link that would close a cycle', async () => {
+      // task-b is already (transitively) blocked by task-a
+      dependenciesRepository.query.mockResolvedValue([{ '?column?': 1 }]);
+
+      await expect(
+        service.add('task-a', { blockedByTaskId: 'task-b' }, ORG_ID, OWNER_ID),
+      ).rejects.toThrow('Dependency would create a cycle');
+      expect(dependenciesRepository.query).toHaveBeenCalledWith(expect.any(String), [
+        'task-b',
+        'task-a',
+      ]);
+      expect(dependenciesRepository.save).not.toHaveBeenCalled();
+    });
+
+    it('rejects a duplicate link', async () => {
+      dependenciesRepository.findOne.mockResolvedValue({ taskId: 'task-a' });
+
+      await expect(
+        service.add('task-a', { blockedByTaskId: 'task-b' }, ORG_ID, OWNER_ID),
+      ).rejects.toThrow(ConflictException);
+    });
+
+    it('reports a blocker the caller cannot see as invalid', async () => {
+      tasksService.findOne.mockImplementation(async (id: string) => {
+        if (id === 'task-b') {
+          throw new NotFoundException('Task not found');
+        }
+        return { id, userId: OWNER_ID };
+      });
+
+      await expect(
+        service.add('task-a', { blockedByTaskId: 'task-b' }, ORG_ID, OWNER_ID),
+      ).rejects.toThrow('Invalid blockedByTaskId: Task not found');
+    });
+
+    it('takes update rights on the blocked task', async () => {
+      tasksService.findOne.mockImplementation(async (id: string) => ({ id, userId: OTHER_ID }));
+
+      await expect(
+        service.add('task-a', { blockedByTaskId: 'task-b' }, ORG_ID, OWNER_ID),
+      ).rejects.toThrow(ForbiddenException);
+
+      // Assignees may, like they may update the task
+      tasksRepository.query.mockResolvedValue([{ '?column?': 1 }]);
+      await expect(
+        service.add('task-a', { blockedByTaskId: 'task-b' }, ORG_ID, OWNER_ID),
+      ).resolves.toBeDefined();
+    });
+
+    it('lets tasks:update:any link any visible task', async () => {
+      tasksService.findOne.mockImplementation(async (id: string) => ({ id, userId: OTHER_ID }));
+
+      await expect(
+        service.add('task-a', { blockedByTaskId: 'task-b' }, ORG_ID, OWNER_ID, [
+          PermissionName.TASKS_UPDATE_ANY,
+        ]),
+      ).resolves.toBeDefined();
+      expect(tasksRepository.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('remove', () => {
+    it('reports a missing link', async () => {
+      dependenciesRepository.delete.mockResolvedValue({ affected: 0 });
+
+      await expect(service.remove('task-a', 'task-b', ORG_ID, OWNER_ID)).rejects.toThrow(
+        'Dependency not found',
+      );
+      expect(tasksService.clearTaskCaches).not.toHaveBeenCalled();
+    });
+
+    it("refuses to unblock someone else's task", async () => {
+      tasksService.findOne.mockResolvedValue({ id: 'task-a', userId: OTHER_ID });
+
+      await expect(service.remove('task-a', 'task-b', ORG_ID, OWNER_ID)).rejects.toThrow(
+        ForbiddenException,
+      );
+      expect(dependenciesRepository.delete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import {
+  Injectable,
+  NotFoundException,
+  BadRequestException,
+  ConflictException,
+  ForbiddenException,
+} from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Repository } from 'typeorm';
+import { Task } from '../entities/task.entity';
+import { TaskDependency } from '../entities/task-dependency.entity';
+import { CreateTaskDependencyDto } from '../dto/create-task-dependency.dto';
+import { TasksService } from '../tasks.service';
+import { hasPermission } from '../../../common/utils/permissions';
+import { PermissionName } from '../../roles/enums/permission-name.enum';
+
+export interface TaskDependencies {
+  blockedBy: Task[];
+  blocks: Task[];
+}
+
+@Injectable()
+export class TaskDependenciesService {
+  constructor(
+    @InjectRepository(TaskDependency)
+    private dependenciesRepository: Repository<TaskDependency>,
+    @InjectRepository(Task)
+    private tasksRepository: Repository<Task>,
+    private readonly tasksService: TasksService,
+  ) {}
+
+  async findAll(
+    taskId: string,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<TaskDependencies> {
+    // ✅ AUTHORIZATION: Same ownership rules as reading the task itself
+    await this.tasksService.findOne(taskId, organizationId, userId, userPermissions);
+
+    const [blockedBy, blocks] = await Promise.all([
+      this.findLinkedTasks(
+        'dep.blockedByTaskId = task.id AND dep.taskId = :taskId',
+        taskId,
+        organizationId,
+        userId,
+        userPermissions,
+      ),
+      this.findLinkedTasks(
+        'dep.taskId = task.id AND dep.blockedByTaskId = :taskId',
+        taskId,
+        organizationId,
+        userId,
+        userPermissions,
+      ),
+    ]);
+
+    return { blockedBy, blocks };
+  }
+
+  async add(
+    taskId: string,
+    createDependencyDto: CreateTaskDependencyDto,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<TaskDependency> {
+    const { blockedByTaskId } = createDependencyDto;
+
+    if (blockedByTaskId === taskId) {
+      throw new BadRequestException('A task cannot be blocked by itself');
+    }
+
+    // ✅ AUTHORIZATION: Both ends of the link must be visible to the caller, and blocking a task
+    // changes what can be done with it, so that takes update rights on it
+    const task = await this.tasksService.findOne(taskId, organizationId, userId, userPermissions);
+    await this.assertCanUpdate(task, userId, userPermissions);
+    try {
+      await this.tasksService.findOne(blockedByTaskId, organizationId, userId, userPermissions);
+    } catch (error) {
+      if (error instanceof NotFoundException) {
+        throw new BadRequestException('Invalid blockedByTaskId: Task not found');
+      }
+      throw error;
+    }
+
+    const existing = await this.dependenciesRepository.findOne({
+      where: { taskId, blockedByTaskId },
+    });
+    if (existing) {
+      throw new ConflictException('Dependency already exists');
+    }
+
+    // ✅ INTEGRITY: Reject links that would make the task (transitively) block itself
+    if (await this.isTransitivelyBlockedBy(blockedByTaskId, taskId)) {
+      throw new BadRequestException('Dependency would create a cycle');
+    }
+
+    const dependency = await this.dependenciesRepository.save(
+      this.dependenciesRepository.create({ taskId, blockedByTaskId }),
+    );
+
+    // ✅ CACHE INVALIDATION: Blocked/unblocked list filters depend on these links
+    await this.tasksService.clearTaskCaches(organizationId, undefined, taskId);
+
+    return dependency;
+  }
+
+  async remove(
+    taskId: string,
+    blockedByTaskId: string,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<void> {
+    const task = await this.tasksService.findOne(taskId, organizationId, userId, userPermissions);
+    await this.assertCanUpdate(task, userId, userPermissions);
+
+    const result = await this.dependenciesRepository.delete({ taskId, blockedByTaskId });
+    if (!result.affected) {
+      throw new NotFoundException('Dependency not found');
+    }
+
+    await this.tasksService.clearTaskCaches(organizationId, undefined, taskId);
+  }
+
+  /**
+   * ✅ AUTHORIZATION: Same rules as updating the task, owners and assignees or tasks:update:any
+   */
+  private async assertCanUpdate(
+    task: Task,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<void> {
+    if (hasPermission(userPermissions, PermissionName.TASKS_UPDATE_ANY) || task.userId === userId) {
+      return;
+    }
+
+    const rows = await this.tasksRepository.query(
+      'SELECT 1 FROM task_assignees WHERE task_id = $1 AND user_id = $2',
+      [task.id, userId],
+    );
+    if (rows.length === 0) {
+      throw new ForbiddenException(
+        'Insufficient permission: Only the task owner or an assignee can change its dependencies',
+      );
+    }
+  }
+
+  /**
+   * Walk the "blocked by" graph from taskId and report whether it reaches targetId
+   */
+  private async isTransitivelyBlockedBy(taskId: string, targetId: string): Promise<boolean> {
+    // UNION (not UNION ALL) drops already-visited nodes, so the walk terminates
+    const rows = await this.dependenciesRepository.query(
+      `
+      WITH RECURSIVE chain(id) AS (
+        SELECT blocked_by_task_id FROM task_dependencies WHERE task_id = $1
+        UNION
+        SELECT dep.blocked_by_task_id FROM task_dependencies dep
+        INNER JOIN chain ON dep.task_id = chain.id
+      )
+      SELECT 1 FROM chain WHERE id = $2 LIMIT 1
+      `,
+      [taskId, targetId],
+    );
+
+    return rows.length > 0;
+  }
+
+  private findLinkedTasks(
+    joinCondition: string,
+    taskId: string,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<Task[]> {
+    const queryBuilder = this.tasksRepository
+      .createQueryBuilder('task')
+      .innerJoin(TaskDependency, 'dep', joinCondition, { taskId })
+      .select(['task.id', 'task.title', 'task.status', 'task.priority', 'task.dueDate'])
+      .where('task.organizationId = :organizationId', { organizationId })
+      .orderBy('task.createdAt', 'ASC');
+
+    // ✅ AUTHORIZATION: Non-admin users only see linked tasks visible to them
+    if (!hasPermission(userPermissions, PermissionName.TASKS_READ_ANY)) {
+      this.tasksService.applyVisibilityScope(queryBuilder, userId);
+    }
+
+    return queryBuilder.getMany();
+  }
+}
@@ -0,0 +1,149 @@
+import { Test } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import {
+  BadRequestException,
+  ConflictException,
+  ForbiddenException,
+  NotFoundException,
+} from '@nestjs/common';
+import { TaskParticipantsService } from './task-participants.service';
+import { Task } from '../entities/task.entity';
+import { TasksService } from '../tasks.service';
+import { UsersService } from '../../users/users.service';
+import { OrganizationsService } from '../../organizations/organizations.service';
+import { PermissionName } from '../../roles/enums/permission-name.enum';
+import { createMockQueryBuilder } from '../../../../test/utils/mock-query-builder';
+
+const ORG_ID = 'org-1';
+const OWNER_ID = 'user-owner';
+const MEMBER_ID = 'user-member';
+
+describe('TaskParticipantsService', () => {
+  let service: TaskParticipantsService;
+  let tasksService: Record<string, jest.Mock>;
+  let usersService: { findOneInOrganization: jest.Mock };
+  let organizationsService: { getPermissions: jest.Mock };
+  let participantsQuery: any;
+  let participants: any; // The task's assignees/watchers relation
+
+  beforeEach(async () => {
+    participantsQuery = createMockQueryBuilder();
+    participants = createMockQueryBuilder();
+    participants.add = jest.fn();
+    participants.remove = jest.fn();
+
+    tasksService = {
+      findOne: jest.fn(async (id: string) => ({ id, userId: OWNER_ID })),
+      clearTaskCaches: jest.fn(),
+    };
+    usersService = {
+      findOneInOrganization: jest.fn(async (id: string) => ({ id, roleId: 'role-user' })),
+    };
+    organizationsService = { getPermissions: jest.fn().mockResolvedValue([]) };
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        TaskParticipantsService,
+        {
+          provide: getRepositoryToken(Task),
+          useValue: {
+            manager: { createQueryBuilder: jest.fn(() => participantsQuery) },
+            createQueryBuilder: jest.fn(() => participants),
+          },
+        },
+        { provide: TasksService, useValue: tasksService },
+        { provide: UsersService, useValue: usersService },
+        { provide: OrganizationsService, useValue: organizationsService },
+      ],
+    }).compile();
+
+    service = moduleRef.get(TaskParticipantsService);
+  });
+
+  describe('add', () => {
+    it('lets the owner assign a member of the organization', async () => {
+      await service.add('task-1', 'assignees', MEMBER_ID, ORG_ID, OWNER_ID);
+
+      expect(participants.add).toHaveBeenCalledWith(MEMBER_ID);
+      // The assignee can see the task now, so their cached lists go
+      expect(tasksService.clearTaskCaches).toHaveBeenCalledWith(ORG_ID, MEMBER_ID, 'task-1');
+    });
+
+    it('only lets the owner assign people', async () => {
+      await expect(service.add('task-1', 'assignees', OWNER_ID, ORG_ID, MEMBER_ID)).rejects.toThrow(
+        ForbiddenException,
+      );
+
+      await service.add('task-1', 'assignees', OWNER_ID, ORG_ID, MEMBER_ID, [
+        PermissionName.TASKS_UPDATE_ANY,
+      ]);
+      expect(participants.add).toHaveBeenCalledWith(OWNER_ID);
+    });
+
+    it('lets anyone who can see the task watch it', async () => {
+      await service.add('task-1', 'watchers', MEMBER_ID, ORG_ID, MEMBER_ID);
+
+      expect(participants.add).toHaveBeenCalledWith(MEMBER_ID);
+      expect(tasksService.clearTaskCaches).not.toHaveBeenCalled();
+    });
+
+    it("won't add a watcher who can't see the task", async () => {
+      tasksService.findOne.mockImplementation(async (id: string, _org: string, userId: string) => {
+        if (userId === MEMBER_ID) {
+          throw new NotFoundException('Task not found');
+        }
+        return { id, userId: OWNER_ID };
+      });
+
+      await expect(service.add('task-1', 'watchers', MEMBER_ID, ORG_ID, OWNER_ID)).rejects.toThrow(
+        'Invalid userId: User cannot see this task',
+      );
+      // Judged by the watcher's permissions in this organization
+      expect(organizationsService.getPermissions).toHaveBeenCalledWith(
+        expect.objectContaining({ id: MEMBER_ID }),
+        ORG_ID,
+      );
+      expect(participants.add).not.toHaveBeenCalled();
+    });
+
+    it('rejects users of other organizations', async () => {
+      usersService.findOneInOrganization.mockRejectedValue(new NotFoundException());
+
+      await expect(service.add('task-1', 'assignees', MEMBER_ID, ORG_ID, OWNER_ID)).rejects.toThrow(
+        BadRequestException,
+      );
+    });
+
+    it('rejects someone who is already assigned', async () => {
+      participantsQuery.getMany.mockResolvedValue([{ id: MEMBER_ID }]);
+
+      await expect(service.add('task-1', 'assignees', MEMBER_ID, ORG_ID, OWNER_ID)).rejects.toThrow(
+        ConflictException,
+      );
+    });
+  });
+
+  describe('remove', () => {
+    it('lets people take themselves off a task', async () => {
+      participantsQuery.getMany.mockResolvedValue([{ id: MEMBER_ID }]);
+
+      await service.remove('task-1', 'assignees', MEMBER_ID, ORG_ID, MEMBER_ID);
+
+      expect(participants.remove).toHaveBeenCalledWith(MEMBER_ID);
+    });
+
+    it("doesn't let assignees remove each other", async () => {
+      participantsQuery.getMany.mockResolvedValue([{ id: MEMBER_ID }, { id: 'user-3' }]);
+
+      await expect(
+        service.remove('task-1', 'assignees', 'user-3', ORG_ID, MEMBER_ID),
+      ).rejects.toThrow('Insufficient permission: Only the task owner can manage assignees');
+    });
+
+    it('reports someone who is not a watcher', async () => {
+      await expect(
+        service.remove('task-1', 'watchers', MEMBER_ID, ORG_ID, OWNER_ID),
+      ).rejects.toThrow('User is not a watcher of this task');
+    });
+  });
+});
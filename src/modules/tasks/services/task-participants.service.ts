@@ -0,0 +1,167 @@
+import {
+  Injectable,
+  NotFoundException,
+  BadRequestException,
+  ConflictException,
+  ForbiddenException,
+} from '@nestjs/common';
+import { InjectRepository } from '@nestjs/typeorm';
+import { Repository } from 'typeorm';
+import { Task } from '../entities/task.entity';
+import { User } from '../../users/entities/user.entity';
+import { TasksService } from '../tasks.service';
+import { UsersService } from '../../users/users.service';
+import { OrganizationsService } from '../../organizations/organizations.service';
+import { hasPermission } from '../../../common/utils/permissions';
+import { PermissionName } from '../../roles/enums/permission-name.enum';
+
+export type TaskParticipantRelation = 'assignees' | 'watchers';
+
+const RELATION_LABELS: Record<TaskParticipantRelation, string> = {
+  assignees: 'an assignee',
+  watchers: 'a watcher',
+};
+
+const RELATION_TABLES: Record<TaskParticipantRelation, string> = {
+  assignees: 'task_assignees',
+  watchers: 'task_watchers',
+};
+
+/**
+ * People attached to a task besides its owner: assignees share responsibility for it (and may
+ * see and update it), watchers are notified when its status changes
+ */
+@Injectable()
+export class TaskParticipantsService {
+  constructor(
+    @InjectRepository(Task)
+    private tasksRepository: Repository<Task>,
+    private readonly tasksService: TasksService,
+    private readonly usersService: UsersService,
+    private readonly organizationsService: OrganizationsService,
+  ) {}
+
+  async findAll(
+    taskId: string,
+    relation: TaskParticipantRelation,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<User[]> {
+    // ✅ AUTHORIZATION: Same visibility rules as reading the task itself
+    await this.tasksService.findOne(taskId, organizationId, userId, userPermissions);
+
+    return this.findParticipants(taskId, relation);
+  }
+
+  async add(
+    taskId: string,
+    relation: TaskParticipantRelation,
+    memberId: string,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<User[]> {
+    const task = await this.tasksService.findOne(taskId, organizationId, userId, userPermissions);
+
+    // ✅ AUTHORIZATION: Anyone who can see a task may watch it, everything else is owner/admin only
+    if (!(relation === 'watchers' && memberId === userId)) {
+      this.assertCanManage(task, relation, userId, userPermissions);
+    }
+
+    let member: User;
+    try {
+      // ✅ TENANCY: Only members of the organization can take part in its tasks
+      member = await this.usersService.findOneInOrganization(memberId, organizationId);
+    } catch (error) {
+      throw new BadRequestException('Invalid userId: User not found');
+    }
+
+    // ✅ SECURITY: Watchers are told about status changes, so they must be able to see the task
+    // (being assigned grants that access, watching does not)
+    if (relation === 'watchers') {
+      const memberPermissions =
+        (await this.organizationsService.getPermissions(member, organizationId)) ?? [];
+      try {
+        await this.tasksService.findOne(taskId, organizationId, member.id, memberPermissions);
+      } catch (error) {
+        throw new BadRequestException('Invalid userId: User cannot see this task');
+      }
+    }
+
+    const participants = await this.findParticipants(taskId, relation);
+    if (participants.some(participant => participant.id === memberId)) {
+      throw new ConflictException(`User is already ${RELATION_LABELS[relation]} of this task`);
+    }
+
+    await this.participantsRelation(taskId, relation).add(memberId);
+
+    // ✅ CACHE INVALIDATION: Assignees gain visibility of the task (watchers aren't cached)
+    if (relation === 'assignees') {
+      await this.tasksService.clearTaskCaches(organizationId, memberId, taskId);
+    }
+
+    return this.findParticipants(taskId, relation);
+  }
+
+  async remove(
+    taskId: string,
+    relation: TaskParticipantRelation,
+    memberId: string,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<void> {
+    const task = await this.tasksService.findOne(taskId, organizationId, userId, userPermissions);
+
+    // ✅ AUTHORIZATION: People may take themselves off a task, otherwise owner/admin only
+    if (memberId !== userId) {
+      this.assertCanManage(task, relation, userId, userPermissions);
+    }
+
+    const participants = await this.findParticipants(taskId, relation);
+    if (!participants.some(participant => participant.id === memberId)) {
+      throw new NotFoundException(`User is not ${RELATION_LABELS[relation]} of this task`);
+    }
+
+    await this.participantsRelation(taskId, relation).remove(memberId);
+
+    // ✅ CACHE INVALIDATION: Cached task reads must not outlive the assignment
+    if (relation === 'assignees') {
+      await this.tasksService.clearTaskCaches(organizationId, memberId, taskId);
+    }
+  }
+
+  private assertCanManage(
+    task: Task,
+    relation: TaskParticipantRelation,
+    userId: string,
+    userPermissions?: string[],
+  ): void {
+    if (
+      !hasPermission(userPermissions, PermissionName.TASKS_UPDATE_ANY) &&
+      task.userId !== userId
+    ) {
+      throw new ForbiddenException(
+        `Insufficient permission: Only the task owner can manage ${relation}`,
+      );
+    }
+  }
+
+  private findParticipants(taskId: string, relation: TaskParticipantRelation): Promise<User[]> {
+    return (
+      this.tasksRepository.manager
+        .createQueryBuilder(User, 'user')
+        // ✅ SECURITY: Never load password hashes
+        .select(['user.id', 'user.name', 'user.email'])
+        .innerJoin(RELATION_TABLES[relation], 'participant', 'participant.user_id = user.id')
+        .where('participant.task_id = :taskId', { taskId })
+        .orderBy('user.name', 'ASC')
+        .getMany()
+    );
+  }
+
+  private participantsRelation(taskId: string, relation: TaskParticipantRelation) {
+    return this.tasksRepository.createQueryBuilder().relation(Task, relation).of(taskId);
+  }
+}
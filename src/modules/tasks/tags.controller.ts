@@ -0,0 +1,58 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Body,
+  Param,
+  Delete,
+  UseGuards,
+  HttpCode,
+  HttpStatus,
+} from '@nestjs/common';
+import { ApiBearerAuth, ApiOperation, ApiTags, ApiResponse } from '@nestjs/swagger';
+import { TagsService } from './services/tags.service';
+import { CreateTagDto } from './dto/create-tag.dto';
+import { RateLimitGuard } from '../../common/guards/rate-limit.guard';
+import { RateLimit } from '../../common/decorators/rate-limit.decorator';
+import { JwtAuthGuard } from '../auth/guards/jwt-auth.guard';
+import { CurrentUser } from '../auth/decorators/current-user.decorator';
+
+@ApiTags('tags')
+@Controller('tags')
+@UseGuards(JwtAuthGuard, RateLimitGuard)
+@RateLimit({ limit: 100, windowMs: 60000 })
+@ApiBearerAuth()
+export class TagsController {
+  constructor(private readonly tagsService: TagsService) {}
+
+  @Post()
+  @ApiOperation({ summary: 'Create a tag' })
+  @ApiResponse({ status: 201, description: 'Tag created successfully' })
+  @ApiResponse({ status: 409, description: 'Tag already exists' })
+  create(@Body() createTagDto: CreateTagDto, @CurrentUser() user: any) {
+    return this.tagsService.create(createTagDto, user.id);
+  }
+
+  @Get()
+  @ApiOperation({ summary: "List the current user's tags" })
+  @ApiResponse({ status: 200, description: 'Tags retrieved successfully' })
+  findAll(@CurrentUser() user: any) {
+    return this.tagsService.findAll(user.id);
+  }
+
+  @Delete(':id')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Delete a tag and detach it from every task' })
+  @ApiResponse({ status: 200, description: 'Tag deleted successfully' })
+  @ApiResponse({ status: 404, description: 'Tag not found' })
+  async remove(@Param('id') id: string, @CurrentUser() user: any) {
+    await this.tagsService.remove(id, user.organizationId, user.id, user.permissions);
+
+    return {
+      success: true,
+      message: 'Tag deleted successfully',
+      tagId: id,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
@@ -0,0 +1,131 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Body,
+  Patch,
+  Param,
+  Delete,
+  UseGuards,
+  HttpCode,
+  HttpStatus,
+} from '@nestjs/common';
+import { ApiBearerAuth, ApiOperation, ApiTags, ApiResponse } from '@nestjs/swagger';
+import { TaskCommentsService } from './services/task-comments.service';
+import { CreateTaskCommentDto } from './dto/create-task-comment.dto';
+import { UpdateTaskCommentDto } from './dto/update-task-comment.dto';
+import { RateLimitGuard } from '../../common/guards/rate-limit.guard';
+import { RateLimit } from '../../common/decorators/rate-limit.decorator';
+import { JwtAuthGuard } from '../auth/guards/jwt-auth.guard';
+import { ApiKeyScopes } from '../auth/decorators/api-key-scopes.decorator';
+import { ApiKeyScope } from '../auth/enums/api-key-scope.enum';
+import { EmailVerifiedGuard } from '../auth/guards/email-verified.guard';
+import { CurrentUser } from '../auth/decorators/current-user.decorator';
+
+@ApiTags('tasks')
+@Controller('tasks/:id/comments')
+// ✅ VERIFICATION: Same policy as TasksController, unverified users can read but not write
+@UseGuards(JwtAuthGuard, RateLimitGuard, EmailVerifiedGuard)
+@ApiKeyScopes({ read: ApiKeyScope.TASKS_READ, write: ApiKeyScope.TASKS_WRITE })
+@RateLimit({ limit: 100, windowMs: 60000 })
+@ApiBearerAuth()
+export class TaskCommentsController {
+  constructor(private readonly taskCommentsService: TaskCommentsService) {}
+
+  @Post()
+  @ApiOperation({ summary: 'Add a comment to a task (mention users with @email)' })
+  @ApiResponse({ status: 201, description: 'Comment created successfully' })
+  @ApiResponse({ status: 404, description: 'Task not found' })
+  create(
+    @Param('id') taskId: string,
+    @Body() createCommentDto: CreateTaskCommentDto,
+    @CurrentUser() user: any,
+  ) {
+    return this.taskCommentsService.create(
+      taskId,
+      createCommentDto,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+  }
+
+  @Get()
+  @ApiOperation({ summary: 'List the comments on a task, oldest first' })
+  @ApiResponse({ status: 200, description: 'Comments retrieved successfully' })
+  @ApiResponse({ status: 404, description: 'Task not found' })
+  findAll(@Param('id') taskId: string, @CurrentUser() user: any) {
+    return this.taskCommentsService.findAll(taskId, user.organizationId, user.id, user.permissions);
+  }
+
+  @Get(':commentId')
+  @ApiOperation({ summary: 'Find a task comment by ID' })
+  @ApiResponse({ status: 404, description: 'Task or comment not found' })
+  findOne(
+    @Param('id') taskId: string,
+    @Param('commentId') commentId: string,
+    @CurrentUser() user: any,
+  ) {
+    return this.taskCommentsService.findOne(
+      taskId,
+      commentId,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+  }
+
+  @Patch(':commentId')
+  @ApiOperation({ summary: 'Edit a comment (author only)' })
+  @ApiResponse({ status: 200, description: 'Comment updated successfully' })
+  @ApiResponse({
+    status: 403,
+    description: 'Insufficient permission: You can only edit your own comments',
+  })
+  @ApiResponse({ status: 404, description: 'Task or comment not found' })
+  update(
+    @Param('id') taskId: string,
+    @Param('commentId') commentId: string,
+    @Body() updateCommentDto: UpdateTaskCommentDto,
+    @CurrentUser() user: any,
+  ) {
+    return this.taskCommentsService.update(
+      taskId,
+      commentId,
+      updateCommentDto,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+  }
+
+  @Delete(':commentId')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Delete a comment (author or admin)' })
+  @ApiResponse({ status: 200, description: 'Comment deleted successfully' })
+  @ApiResponse({
+    status: 403,
+    description: 'Insufficient permission: You can only delete your own comments',
+  })
+  @ApiResponse({ status: 404, description: 'Task or comment not found' })
+  async remove(
+    @Param('id') taskId: string,
+    @Param('commentId') commentId: string,
+    @CurrentUser() user: any,
+  ) {
+    await this.taskCommentsService.remove(
+      taskId,
+      commentId,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+
+    return {
+      success: true,
+      message: 'Comment deleted successfully',
+      commentId,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
@@ -0,0 +1,103 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Body,
+  Param,
+  Delete,
+  UseGuards,
+  HttpCode,
+  HttpStatus,
+} from '@nestjs/common';
+import { ApiBearerAuth, ApiOperation, ApiTags, ApiResponse } from '@nestjs/swagger';
+import { TaskDependenciesService } from './services/task-dependencies.service';
+import { CreateTaskDependencyDto } from './dto/create-task-dependency.dto';
+import { RateLimitGuard } from '../../common/guards/rate-limit.guard';
+import { RateLimit } from '../../common/decorators/rate-limit.decorator';
+import { JwtAuthGuard } from '../auth/guards/jwt-auth.guard';
+import { ApiKeyScopes } from '../auth/decorators/api-key-scopes.decorator';
+import { ApiKeyScope } from '../auth/enums/api-key-scope.enum';
+import { EmailVerifiedGuard } from '../auth/guards/email-verified.guard';
+import { CurrentUser } from '../auth/decorators/current-user.decorator';
+
+@ApiTags('tasks')
+@Controller('tasks/:id/dependencies')
+// ✅ VERIFICATION: Same policy as TasksController, unverified users can read but not write
+@UseGuards(JwtAuthGuard, RateLimitGuard, EmailVerifiedGuard)
+@ApiKeyScopes({ read: ApiKeyScope.TASKS_READ, write: ApiKeyScope.TASKS_WRITE })
+@RateLimit({ limit: 100, windowMs: 60000 })
+@ApiBearerAuth()
+export class TaskDependenciesController {
+  constructor(private readonly taskDependenciesService: TaskDependenciesService) {}
+
+  @Get()
+  @ApiOperation({ summary: 'List the tasks blocking this task and the tasks it blocks' })
+  @ApiResponse({ status: 200, description: 'Dependencies retrieved successfully' })
+  @ApiResponse({ status: 404, description: 'Task not found' })
+  findAll(@Param('id') taskId: string, @CurrentUser() user: any) {
+    return this.taskDependenciesService.findAll(
+      taskId,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+  }
+
+  @Post()
+  @ApiOperation({ summary: 'Mark this task as blocked by another task' })
+  @ApiResponse({ status: 201, description: 'Dependency created successfully' })
+  @ApiResponse({
+    status: 400,
+    description: 'Invalid blocking task or dependency would create a cycle',
+  })
+  @ApiResponse({
+    status: 403,
+    description: 'Only the task owner or an assignee can change dependencies',
+  })
+  @ApiResponse({ status: 404, description: 'Task not found' })
+  @ApiResponse({ status: 409, description: 'Dependency already exists' })
+  add(
+    @Param('id') taskId: string,
+    @Body() createDependencyDto: CreateTaskDependencyDto,
+    @CurrentUser() user: any,
+  ) {
+    return this.taskDependenciesService.add(
+      taskId,
+      createDependencyDto,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+  }
+
+  @Delete(':blockedByTaskId')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Remove a "blocked by" link from this task' })
+  @ApiResponse({ status: 200, description: 'Dependency removed successfully' })
+  @ApiResponse({
+    status: 403,
+    description: 'Only the task owner or an assignee can change dependencies',
+  })
+  @ApiResponse({ status: 404, description: 'Task or dependency not found' })
+  async remove(
+    @Param('id') taskId: string,
+    @Param('blockedByTaskId') blockedByTaskId: string,
+    @CurrentUser() user: any,
+  ) {
+    await this.taskDependenciesService.remove(
+      taskId,
+      blockedByTaskId,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+
+    return {
+      success: true,
+      message: 'Dependency removed successfully',
+      taskId,
+      blockedByTaskId,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
@@ -0,0 +1,160 @@
+import {
+  Controller,
+  Get,
+  Post,
+  Body,
+  Param,
+  Delete,
+  UseGuards,
+  HttpCode,
+  HttpStatus,
+} from '@nestjs/common';
+import { ApiBearerAuth, ApiOperation, ApiTags, ApiResponse } from '@nestjs/swagger';
+import { TaskParticipantsService } from './services/task-participants.service';
+import { AddTaskParticipantDto } from './dto/add-task-participant.dto';
+import { RateLimitGuard } from '../../common/guards/rate-limit.guard';
+import { RateLimit } from '../../common/decorators/rate-limit.decorator';
+import { JwtAuthGuard } from '../auth/guards/jwt-auth.guard';
+import { ApiKeyScopes } from '../auth/decorators/api-key-scopes.decorator';
+import { ApiKeyScope } from '../auth/enums/api-key-scope.enum';
+import { EmailVerifiedGuard } from '../auth/guards/email-verified.guard';
+import { CurrentUser } from '../auth/decorators/current-user.decorator';
+
+@ApiTags('tasks')
+@Controller('tasks/:id')
+// ✅ VERIFICATION: Same policy as TasksController, unverified users can read but not write
+@UseGuards(JwtAuthGuard, RateLimitGuard, EmailVerifiedGuard)
+@ApiKeyScopes({ read: ApiKeyScope.TASKS_READ, write: ApiKeyScope.TASKS_WRITE })
+@RateLimit({ limit: 100, windowMs: 60000 })
+@ApiBearerAuth()
+export class TaskParticipantsController {
+  constructor(private readonly participantsService: TaskParticipantsService) {}
+
+  @Get('assignees')
+  @ApiOperation({ summary: 'List the users assigned to a task' })
+  @ApiResponse({ status: 404, description: 'Task not found' })
+  findAssignees(@Param('id') taskId: string, @CurrentUser() user: any) {
+    return this.participantsService.findAll(
+      taskId,
+      'assignees',
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+  }
+
+  @Post('assignees')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Assign a user to a task (owner or admin)' })
+  @ApiResponse({ status: 200, description: "The task's assignees after adding" })
+  @ApiResponse({ status: 400, description: 'User not found' })
+  @ApiResponse({ status: 403, description: 'Only the task owner can manage assignees' })
+  @ApiResponse({ status: 409, description: 'User is already an assignee' })
+  addAssignee(
+    @Param('id') taskId: string,
+    @Body() addParticipantDto: AddTaskParticipantDto,
+    @CurrentUser() user: any,
+  ) {
+    return this.participantsService.add(
+      taskId,
+      'assignees',
+      addParticipantDto.userId,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+  }
+
+  @Delete('assignees/:userId')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({
+    summary: 'Unassign a user from a task (owner, admin, or the assignee themselves)',
+  })
+  @ApiResponse({ status: 200, description: 'Assignee removed successfully' })
+  @ApiResponse({ status: 404, description: 'Task not found or user not assigned' })
+  async removeAssignee(
+    @Param('id') taskId: string,
+    @Param('userId') memberId: string,
+    @CurrentUser() user: any,
+  ) {
+    await this.participantsService.remove(
+      taskId,
+      'assignees',
+      memberId,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+
+    return {
+      success: true,
+      message: 'Assignee removed successfully',
+      taskId,
+      userId: memberId,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  @Get('watchers')
+  @ApiOperation({ summary: 'List the users watching a task' })
+  @ApiResponse({ status: 404, description: 'Task not found' })
+  findWatchers(@Param('id') taskId: string, @CurrentUser() user: any) {
+    return this.participantsService.findAll(
+      taskId,
+      'watchers',
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+  }
+
+  @Post('watchers')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Watch a task, or add another watcher (owner or admin)' })
+  @ApiResponse({ status: 200, description: "The task's watchers after adding" })
+  @ApiResponse({ status: 400, description: 'User not found or cannot see the task' })
+  @ApiResponse({ status: 403, description: 'Only the task owner can add other watchers' })
+  @ApiResponse({ status: 409, description: 'User is already a watcher' })
+  addWatcher(
+    @Param('id') taskId: string,
+    @Body() addParticipantDto: AddTaskParticipantDto,
+    @CurrentUser() user: any,
+  ) {
+    return this.participantsService.add(
+      taskId,
+      'watchers',
+      addParticipantDto.userId,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+  }
+
+  @Delete('watchers/:userId')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Stop watching a task, or remove another watcher (owner or admin)' })
+  @ApiResponse({ status: 200, description: 'Watcher removed successfully' })
+  @ApiResponse({ status: 404, description: 'Task not found or user not watching' })
+  async removeWatcher(
+    @Param('id') taskId: string,
+    @Param('userId') memberId: string,
+    @CurrentUser() user: any,
+  ) {
+    await this.participantsService.remove(
+      taskId,
+      'watchers',
+      memberId,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+
+    return {
+      success: true,
+      message: 'Watcher removed successfully',
+      taskId,
+      userId: memberId,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
@@ -0,0 +1,78 @@
+import {
+  Controller,
+  Post,
+  Body,
+  Param,
+  Delete,
+  UseGuards,
+  HttpCode,
+  HttpStatus,
+} from '@nestjs/common';
+import { ApiBearerAuth, ApiOperation, ApiTags, ApiResponse } from '@nestjs/swagger';
+import { TagsService } from './services/tags.service';
+import { AttachTagsDto } from './dto/attach-tags.dto';
+import { RateLimitGuard } from '../../common/guards/rate-limit.guard';
+import { RateLimit } from '../../common/decorators/rate-limit.decorator';
+import { JwtAuthGuard } from '../auth/guards/jwt-auth.guard';
+import { ApiKeyScopes } from '../auth/decorators/api-key-scopes.decorator';
+import { ApiKeyScope } from '../auth/enums/api-key-scope.enum';
+import { EmailVerifiedGuard } from '../auth/guards/email-verified.guard';
+import { CurrentUser } from '../auth/decorators/current-user.decorator';
+
+@ApiTags('tasks')
+@Controller('tasks/:id/tags')
+// ✅ VERIFICATION: Same policy as TasksController, unverified users can read but not write
+@UseGuards(JwtAuthGuard, RateLimitGuard, EmailVerifiedGuard)
+@ApiKeyScopes({ read: ApiKeyScope.TASKS_READ, write: ApiKeyScope.TASKS_WRITE })
+@RateLimit({ limit: 100, windowMs: 60000 })
+@ApiBearerAuth()
+export class TaskTagsController {
+  constructor(private readonly tagsService: TagsService) {}
+
+  @Post()
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Attach tags to a task' })
+  @ApiResponse({ status: 200, description: "The task's tags after attaching" })
+  @ApiResponse({ status: 400, description: 'Unknown tag IDs' })
+  @ApiResponse({ status: 404, description: 'Task not found' })
+  attach(
+    @Param('id') taskId: string,
+    @Body() attachTagsDto: AttachTagsDto,
+    @CurrentUser() user: any,
+  ) {
+    return this.tagsService.attachToTask(
+      taskId,
+      attachTagsDto.tagIds,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+  }
+
+  @Delete(':tagId')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({ summary: 'Detach a tag from a task' })
+  @ApiResponse({ status: 200, description: 'Tag detached successfully' })
+  @ApiResponse({ status: 404, description: 'Task not found or tag not attached' })
+  async detach(
+    @Param('id') taskId: string,
+    @Param('tagId') tagId: string,
+    @CurrentUser() user: any,
+  ) {
+    await this.tagsService.detachFromTask(
+      taskId,
+      tagId,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+
+    return {
+      success: true,
+      message: 'Tag detached successfully',
+      taskId,
+      tagId,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
@@ -1,25 +1,67 @@
-import { Controller, Get, Post, Body, Patch, Param, Delete, UseGuards, Query, HttpException, HttpStatus, ForbiddenException } from '@nestjs/common';
+import {
+  Controller,
+  Get,
+  Post,
+  Body,
+  Patch,
+  Param,
+  Delete,
+  UseGuards,
+  UseInterceptors,
+  Query,
+  Headers,
+  Res,
+  HttpException,
+  HttpStatus,
+  HttpCode,
+  ForbiddenException,
+  ParseUUIDPipe,
+  ParseArrayPipe,
+} from '@nestjs/common';
+import { Response } from 'express';
 import { TasksService } from './tasks.service';
 import { CreateTaskDto } from './dto/create-task.dto';
 import { UpdateTaskDto } from './dto/update-task.dto';
-import { BatchOperationDto, BatchOperationResponseDto, BatchAction, BulkUpdateTaskDto } from './dto/batch-operation.dto';
+import {
+  BatchOperationDto,
+  BatchOperationResponseDto,
+  BatchAction,
+  BulkUpdateTaskDto,
+} from './dto/batch-operation.dto';
 import { TaskFilterDto, PaginatedTaskResponseDto } from './dto/task-filter.dto';
-import { ApiBearerAuth, ApiOperation, ApiTags, ApiResponse } from '@nestjs/swagger';
+import { PaginationQueryDto } from './dto/pagination-query.dto';
+import {
+  ApiBearerAuth,
+  ApiOperation,
+  ApiTags,
+  ApiResponse,
+  ApiQuery,
+  ApiHeader,
+} from '@nestjs/swagger';
 import { TaskStatus } from './enums/task-status.enum';
 import { RateLimitGuard } from '../../common/guards/rate-limit.guard';
-import { RolesGuard } from '../../common/guards/roles.guard';
-import { Roles } from '../../common/decorators/roles.decorator';
+import { PermissionsGuard } from '../../common/guards/permissions.guard';
+import { RequirePermissions } from '../../common/decorators/require-permissions.decorator';
+import { hasPermission } from '../../common/utils/permissions';
+import { PermissionName } from '../roles/enums/permission-name.enum';
 import { OverdueTasksService } from '../../queues/scheduled-tasks/overdue-tasks.service';
 import { TaskProcessorService } from '../../queues/task-processor/task-processor.service';
 import { RateLimit } from '../../common/decorators/rate-limit.decorator';
 import { JwtAuthGuard } from '../auth/guards/jwt-auth.guard';
+import { ApiKeyScopes } from '../auth/decorators/api-key-scopes.decorator';
+import { ApiKeyScope } from '../auth/enums/api-key-scope.enum';
+import { EmailVerifiedGuard } from '../auth/guards/email-verified.guard';
 import { QueryPerformanceService } from '../../common/services/query-performance.service';
 import { RedisCacheService } from '../../common/services/redis-cache.service';
 import { CurrentUser } from '../auth/decorators/current-user.decorator';
+import { toETag, parseIfMatch } from '../../common/utils/etag';
+import { IdempotencyInterceptor } from '../../common/interceptors/idempotency.interceptor';
 
 @ApiTags('tasks')
 @Controller('tasks')
-@UseGuards(JwtAuthGuard, RateLimitGuard)
+// ✅ VERIFICATION: Unverified users can read but not write tasks (EMAIL_VERIFICATION_REQUIRED)
+@UseGuards(JwtAuthGuard, RateLimitGuard, EmailVerifiedGuard)
+@ApiKeyScopes({ read: ApiKeyScope.TASKS_READ, write: ApiKeyScope.TASKS_WRITE })
 @RateLimit({ limit: 100, windowMs: 60000 })
 @ApiBearerAuth()
 export class TasksController {
@@ -30,17 +72,32 @@ export class TasksController {
     private readonly overdueTasksService: OverdueTasksService,
     private readonly taskProcessorService: TaskProcessorService,
     // ✅ OPTIMIZED: Removed direct repository access, using service layer properly
-  ) { }
+  ) {}
 
   @Post()
   @ApiOperation({ summary: 'Create a new task' })
+  @UseInterceptors(IdempotencyInterceptor)
+  @ApiHeader({
+    name: 'Idempotency-Key',
+    required: false,
+    description:
+      'Retries with the same key replay the first response instead of running again (24h)',
+  })
+  @ApiResponse({
+    status: 409,
+    description: 'Idempotency-Key reused with a different request, or still in progress',
+  })
   create(@Body() createTaskDto: CreateTaskDto, @CurrentUser() user: any) {
-    // ✅ AUTHORIZATION: Only admin can assign tasks to others
-    if (createTaskDto.userId && user.role !== 'admin' && createTaskDto.userId !== user.id) {
+    // ✅ AUTHORIZATION: Only users with tasks:create:any can assign tasks to others
+    if (
+      createTaskDto.userId &&
+      !hasPermission(user.permissions, PermissionName.TASKS_CREATE_ANY) &&
+      createTaskDto.userId !== user.id
+    ) {
       throw new ForbiddenException('You can only create tasks for yourself');
     }
 
-    return this.tasksService.create(createTaskDto, user.id);
+    return this.tasksService.create(createTaskDto, user.organizationId, user.id, user.permissions);
   }
 
   @Get()
@@ -48,11 +105,18 @@ export class TasksController {
   @ApiResponse({
     status: 200,
     description: 'Tasks retrieved successfully with pagination',
-    type: PaginatedTaskResponseDto
+    type: PaginatedTaskResponseDto,
   })
-  async findAll(@Query() filters: TaskFilterDto, @CurrentUser() user: any): Promise<PaginatedTaskResponseDto> {
-    // ✅ AUTHORIZATION: Users can only see their own tasks, admins see all
-    const userFilters = user.role === 'admin' ? filters : { ...filters, userId: user.id };
+  async findAll(
+    @Query() filters: TaskFilterDto,
+    @CurrentUser() user: any,
+  ): Promise<PaginatedTaskResponseDto> {
+    // ✅ AUTHORIZATION: Users see their own tasks and their projects' tasks, tasks:read:any sees all
+    // ✅ TENANCY: Always within the organization the user works in
+    const organizationFilters = { ...filters, organizationId: user.organizationId };
+    const userFilters = hasPermission(user.permissions, PermissionName.TASKS_READ_ANY)
+      ? organizationFilters
+      : { ...organizationFilters, userId: user.id };
 
     // ✅ OPTIMIZED: Database-level filtering and pagination instead of memory operations
     return this.tasksService.findAllWithFilters(userFilters);
@@ -60,19 +124,41 @@ export class TasksController {
 
   @Get('stats')
   @ApiOperation({ summary: 'Get task statistics' })
-  async getStats(@CurrentUser() user: any) {
-    // ✅ AUTHORIZATION: Users see stats for their tasks only, admins see all
-    return this.tasksService.getTaskStatistics(user.id, user.role);
+  @ApiQuery({
+    name: 'projectId',
+    required: false,
+    description: 'Report on every task in this project (members only)',
+  })
+  @ApiResponse({ status: 404, description: 'Project not found' })
+  async getStats(
+    @Query('projectId', new ParseUUIDPipe({ optional: true })) projectId: string | undefined,
+    @CurrentUser() user: any,
+  ) {
+    // ✅ AUTHORIZATION: Users see stats for their tasks (or a project they belong to), admins see all
+    return this.tasksService.getTaskStatistics(
+      user.organizationId,
+      user.id,
+      user.permissions,
+      projectId,
+    );
+  }
+
+  @Get('trash')
+  @ApiOperation({ summary: 'List deleted tasks in the trash, most recently deleted first' })
+  @ApiResponse({ status: 200, description: 'Trashed tasks retrieved successfully with pagination' })
+  async findTrash(@Query() query: PaginationQueryDto, @CurrentUser() user: any) {
+    // ✅ AUTHORIZATION: Users see their own trashed tasks, admins see all
+    return this.tasksService.findTrash(user.organizationId, user.id, user.permissions, query);
   }
 
-  @UseGuards(JwtAuthGuard, RolesGuard)
-  @Roles('admin')
+  @UseGuards(JwtAuthGuard, PermissionsGuard)
+  @RequirePermissions(PermissionName.SYSTEM_MONITOR)
   @ApiBearerAuth()
   @Get('performance')
   @ApiOperation({ summary: 'Get database performance metrics and index usage (Admin only)' })
   @ApiResponse({
     status: 200,
-    description: 'Performance metrics retrieved successfully'
+    description: 'Performance metrics retrieved successfully',
   })
   @ApiResponse({ status: 401, description: 'Authentication required' })
   @ApiResponse({ status: 403, description: 'Admin access required' })
@@ -98,24 +184,24 @@ export class TasksController {
           totalIndexes: indexUsage.indexStats.length,
           tableSize: tableStats.tableSize,
           rowCount: tableStats.rowCount,
-        }
+        },
       };
     } catch (error) {
       throw new HttpException(
         `Failed to get performance metrics: ${error instanceof Error ? error.message : 'Unknown error'}`,
-        HttpStatus.INTERNAL_SERVER_ERROR
+        HttpStatus.INTERNAL_SERVER_ERROR,
       );
     }
   }
 
-  @UseGuards(JwtAuthGuard, RolesGuard)
-  @Roles('admin')
+  @UseGuards(JwtAuthGuard, PermissionsGuard)
+  @RequirePermissions(PermissionName.SYSTEM_MONITOR)
   @ApiBearerAuth()
   @Get('cache-stats')
   @ApiOperation({ summary: 'Get Redis cache statistics and performance metrics (Admin only)' })
   @ApiResponse({
     status: 200,
-    description: 'Cache statistics retrieved successfully'
+    description: 'Cache statistics retrieved successfully',
   })
   @ApiResponse({ status: 401, description: 'Authentication required' })
   @ApiResponse({ status: 403, description: 'Admin access required' })
@@ -128,40 +214,123 @@ export class TasksController {
         success: true,
         timestamp: new Date().toISOString(),
         cache: cacheStats,
-        message: cacheStats.connected ? 'Cache is operational' : 'Cache connection issues detected'
+        message: cacheStats.connected ? 'Cache is operational' : 'Cache connection issues detected',
       };
     } catch (error) {
       throw new HttpException(
         `Failed to get cache statistics: ${error instanceof Error ? error.message : 'Unknown error'}`,
-        HttpStatus.INTERNAL_SERVER_ERROR
+        HttpStatus.INTERNAL_SERVER_ERROR,
       );
     }
   }
 
   @Get(':id')
-  @ApiOperation({ summary: 'Find a task by ID' })
-  async findOne(@Param('id') id: string, @CurrentUser() user: any) {
+  @ApiOperation({ summary: 'Find a task by ID (the ETag header carries its version for If-Match)' })
+  async findOne(
+    @Param('id') id: string,
+    @CurrentUser() user: any,
+    @Res({ passthrough: true }) res: Response,
+  ) {
     // ✅ AUTHORIZATION: Check ownership at service level
-    return this.tasksService.findOne(id, user.id, user.role);
+    const task = await this.tasksService.findOne(
+      id,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
+
+    // ✅ CONCURRENCY: Clients send the ETag back in If-Match to update or delete safely
+    res.setHeader('ETag', toETag(task.version));
+    return task;
+  }
+
+  @Get(':id/subtasks')
+  @ApiOperation({ summary: 'List the direct subtasks of a task' })
+  @ApiResponse({ status: 200, description: 'Subtasks retrieved successfully' })
+  @ApiResponse({ status: 404, description: 'Task not found' })
+  async findSubtasks(@Param('id') id: string, @CurrentUser() user: any) {
+    // ✅ AUTHORIZATION: Check ownership of the parent at service level
+    return this.tasksService.findSubtasks(id, user.organizationId, user.id, user.permissions);
+  }
+
+  @Get(':id/history')
+  @ApiOperation({ summary: 'List the change history of a task, newest first' })
+  @ApiResponse({ status: 200, description: 'History retrieved successfully with pagination' })
+  @ApiResponse({ status: 404, description: 'Task not found' })
+  async findHistory(
+    @Param('id') id: string,
+    @Query() query: PaginationQueryDto,
+    @CurrentUser() user: any,
+  ) {
+    // ✅ AUTHORIZATION: Check visibility of the task at service level
+    return this.tasksService.findHistory(id, user.organizationId, user.id, user.permissions, query);
   }
 
   @Patch(':id')
   @ApiOperation({ summary: 'Update a task' })
+  @ApiHeader({
+    name: 'If-Match',
+    required: false,
+    description: 'ETag from GET /tasks/:id; the update is rejected if the task changed since',
+  })
   @ApiResponse({ status: 200, description: 'Task updated successfully' })
   @ApiResponse({ status: 404, description: 'Task not found' })
-  async update(@Param('id') id: string, @Body() updateTaskDto: UpdateTaskDto, @CurrentUser() user: any) {
+  @ApiResponse({ status: 412, description: 'Task has been modified since the If-Match version' })
+  async update(
+    @Param('id') id: string,
+    @Body() updateTaskDto: UpdateTaskDto,
+    @Headers('if-match') ifMatch: string | undefined,
+    @CurrentUser() user: any,
+    @Res({ passthrough: true }) res: Response,
+  ) {
     // ✅ AUTHORIZATION: Check ownership at service level
-    return this.tasksService.update(id, updateTaskDto, user.id, user.role);
+    const task = await this.tasksService.update(
+      id,
+      updateTaskDto,
+      user.organizationId,
+      user.id,
+      user.permissions,
+      {
+        expectedVersions: parseIfMatch(ifMatch),
+      },
+    );
+
+    res.setHeader('ETag', toETag(task.version));
+    return task;
   }
 
   @Delete(':id')
-  @ApiOperation({ summary: 'Delete a task' })
+  @ApiOperation({ summary: 'Move a task to the trash (restorable until the trash is purged)' })
   @ApiResponse({ status: 200, description: 'Task deleted successfully' })
-  @ApiResponse({ status: 403, description: 'Insufficient permission: You can only delete your own tasks' })
+  @ApiResponse({
+    status: 403,
+    description: 'Insufficient permission: You can only delete your own tasks',
+  })
   @ApiResponse({ status: 404, description: 'Task not found' })
-  async remove(@Param('id') id: string, @CurrentUser() user: any) {
+  @ApiResponse({ status: 409, description: 'Task has subtasks and cascade was not requested' })
+  @ApiResponse({ status: 412, description: 'Task has been modified since the If-Match version' })
+  @ApiQuery({
+    name: 'cascade',
+    required: false,
+    type: Boolean,
+    description: 'Also move all subtasks to the trash',
+  })
+  @ApiHeader({
+    name: 'If-Match',
+    required: false,
+    description: 'ETag from GET /tasks/:id; the delete is rejected if the task changed since',
+  })
+  async remove(
+    @Param('id') id: string,
+    @Query('cascade') cascade: string,
+    @Headers('if-match') ifMatch: string | undefined,
+    @CurrentUser() user: any,
+  ) {
     // ✅ AUTHORIZATION: Check ownership at service level
-    await this.tasksService.remove(id, user.id, user.role);
+    await this.tasksService.remove(id, user.organizationId, user.id, user.permissions, {
+      cascade: cascade === 'true',
+      expectedVersions: parseIfMatch(ifMatch),
+    });
 
     // ✅ RESPONSE: Return success message with task ID
     return {
@@ -173,18 +342,49 @@ export class TasksController {
     };
   }
 
+  @Post(':id/restore')
+  @HttpCode(HttpStatus.OK)
+  @ApiOperation({
+    summary: 'Restore a task from the trash, with the subtasks deleted along with it',
+  })
+  @ApiResponse({ status: 200, description: 'Task restored successfully' })
+  @ApiResponse({
+    status: 403,
+    description: 'Insufficient permission: You can only restore your own tasks',
+  })
+  @ApiResponse({ status: 404, description: 'Task not found in trash' })
+  @ApiResponse({ status: 409, description: 'Parent task is still in the trash' })
+  async restore(@Param('id') id: string, @CurrentUser() user: any) {
+    // ✅ AUTHORIZATION: Check ownership at service level
+    return this.tasksService.restore(id, user.organizationId, user.id, user.permissions);
+  }
+
   @Post('batch')
   @ApiOperation({ summary: 'Batch process multiple tasks' })
+  @UseInterceptors(IdempotencyInterceptor)
+  @ApiHeader({
+    name: 'Idempotency-Key',
+    required: false,
+    description:
+      'Retries with the same key replay the first response instead of running again (24h)',
+  })
+  @ApiResponse({
+    status: 409,
+    description: 'Idempotency-Key reused with a different request, or still in progress',
+  })
   @ApiResponse({
     status: 200,
     description: 'Batch operation completed successfully',
-    type: BatchOperationResponseDto
+    type: BatchOperationResponseDto,
   })
   @ApiResponse({
     status: 400,
-    description: 'Invalid input or validation error'
+    description: 'Invalid input or validation error',
   })
-  async batchProcess(@Body() batchOperation: BatchOperationDto, @CurrentUser() user: any): Promise<BatchOperationResponseDto> {
+  async batchProcess(
+    @Body() batchOperation: BatchOperationDto,
+    @CurrentUser() user: any,
+  ): Promise<BatchOperationResponseDto> {
     const { tasks: taskIds, action } = batchOperation;
 
     try {
@@ -193,10 +393,21 @@ export class TasksController {
       let result;
       switch (action) {
         case BatchAction.COMPLETE:
-          result = await this.tasksService.bulkUpdateStatus(taskIds, TaskStatus.COMPLETED, user.id, user.role);
+          result = await this.tasksService.bulkUpdateStatus(
+            taskIds,
+            TaskStatus.COMPLETED,
+            user.organizationId,
+            user.id,
+            user.permissions,
+          );
           break;
         case BatchAction.DELETE:
-          result = await this.tasksService.bulkDelete(taskIds, user.id, user.role);
+          result = await this.tasksService.bulkDelete(
+            taskIds,
+            user.organizationId,
+            user.id,
+            user.permissions,
+          );
           break;
         default:
           throw new HttpException(`Unknown action: ${action}`, HttpStatus.BAD_REQUEST);
@@ -231,32 +442,63 @@ export class TasksController {
         failedTaskIds: result.failed.length > 0 ? result.failed : undefined,
         successfulTaskIds: result.successful.length > 0 ? result.successful : undefined,
       };
-
     } catch (error) {
       // ✅ IMPROVED: Consistent error handling
       throw new HttpException(
         `Batch operation failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
-        HttpStatus.INTERNAL_SERVER_ERROR
+        HttpStatus.INTERNAL_SERVER_ERROR,
       );
     }
   }
 
   @Post('bulk-create')
   @ApiOperation({ summary: 'Create multiple tasks in bulk' })
+  @UseInterceptors(IdempotencyInterceptor)
+  @ApiHeader({
+    name: 'Idempotency-Key',
+    required: false,
+    description:
+      'Retries with the same key replay the first response instead of running again (24h)',
+  })
+  @ApiResponse({
+    status: 409,
+    description: 'Idempotency-Key reused with a different request, or still in progress',
+  })
   @ApiResponse({
     status: 201,
     description: 'Bulk create operation completed',
   })
-  async bulkCreate(@Body() createTaskDtos: CreateTaskDto[], @CurrentUser() user: any) {
+  async bulkCreate(
+    // ✅ VALIDATION: The global pipe skips array bodies, so each item is validated here
+    @Body(
+      new ParseArrayPipe({
+        items: CreateTaskDto,
+        whitelist: true,
+        forbidNonWhitelisted: true,
+        transformOptions: { enableImplicitConversion: true },
+      }),
+    )
+    createTaskDtos: CreateTaskDto[],
+    @CurrentUser() user: any,
+  ) {
     try {
-      // ✅ AUTHORIZATION: Check each task's userId - only admin can assign tasks to others
+      // ✅ AUTHORIZATION: Check each task's userId - only tasks:create:any can assign tasks to others
       const tasksWithUser = createTaskDtos.map(dto => {
-        if (dto.userId && user.role !== 'admin' && dto.userId !== user.id) {
+        if (
+          dto.userId &&
+          !hasPermission(user.permissions, PermissionName.TASKS_CREATE_ANY) &&
+          dto.userId !== user.id
+        ) {
           throw new ForbiddenException('You can only create tasks for yourself');
         }
         return { ...dto, userId: dto.userId || user.id };
       });
-      const result = await this.tasksService.bulkCreate(tasksWithUser);
+      const result = await this.tasksService.bulkCreate(
+        tasksWithUser,
+        user.organizationId,
+        user.id,
+        user.permissions,
+      );
 
       return {
         success: true,
@@ -269,28 +511,38 @@ export class TasksController {
     } catch (error) {
       throw new HttpException(
         `Bulk create failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
-        HttpStatus.INTERNAL_SERVER_ERROR
+        HttpStatus.INTERNAL_SERVER_ERROR,
       );
     }
   }
 
   @Post('bulk-update')
   @ApiOperation({ summary: 'Bulk update tasks' })
-  @ApiResponse({ status: 200, description: 'Tasks updated successfully' })
+  @ApiResponse({
+    status: 200,
+    description:
+      'Tasks updated; items the caller may not edit are listed in failedUpdates with a 403/404 statusCode',
+  })
   @ApiResponse({ status: 400, description: 'Bad Request' })
-  async bulkUpdateTasks(@Body() bulkUpdateDto: BulkUpdateTaskDto) {
-    return this.tasksService.bulkUpdateTasks(bulkUpdateDto);
+  async bulkUpdateTasks(@Body() bulkUpdateDto: BulkUpdateTaskDto, @CurrentUser() user: any) {
+    // ✅ AUTHORIZATION: Each item is checked like a single update (owner, assignee or tasks:update:any)
+    return this.tasksService.bulkUpdateTasks(
+      bulkUpdateDto,
+      user.organizationId,
+      user.id,
+      user.permissions,
+    );
   }
 
   // ✅ QUEUE MANAGEMENT ENDPOINTS (Admin only)
 
   @Post('admin/trigger-overdue-check')
-  @UseGuards(RolesGuard)
-  @Roles('admin')
+  @UseGuards(PermissionsGuard)
+  @RequirePermissions(PermissionName.SYSTEM_MANAGE)
   @ApiOperation({ summary: 'Manually trigger overdue tasks check (Admin only)' })
   @ApiResponse({
     status: 200,
-    description: 'Overdue tasks check triggered successfully'
+    description: 'Overdue tasks check triggered successfully',
   })
   async triggerOverdueCheck(@CurrentUser() user: any) {
     try {
@@ -306,18 +558,18 @@ export class TasksController {
     } catch (error) {
       throw new HttpException(
         `Failed to trigger overdue check: ${error instanceof Error ? error.message : 'Unknown error'}`,
-        HttpStatus.INTERNAL_SERVER_ERROR
+        HttpStatus.INTERNAL_SERVER_ERROR,
       );
     }
   }
 
   @Get('admin/queue-metrics')
-  @UseGuards(RolesGuard)
-  @Roles('admin')
+  @UseGuards(PermissionsGuard)
+  @RequirePermissions(PermissionName.SYSTEM_MONITOR)
   @ApiOperation({ summary: 'Get queue processing metrics (Admin only)' })
   @ApiResponse({
     status: 200,
-    description: 'Queue metrics retrieved successfully'
+    description: 'Queue metrics retrieved successfully',
   })
   async getQueueMetrics(@CurrentUser() user: any) {
     try {
@@ -332,18 +584,18 @@ export class TasksController {
     } catch (error) {
       throw new HttpException(
         `Failed to get queue metrics: ${error instanceof Error ? error.message : 'Unknown error'}`,
-        HttpStatus.INTERNAL_SERVER_ERROR
+        HttpStatus.INTERNAL_SERVER_ERROR,
       );
     }
   }
 
   @Post('admin/reset-queue-metrics')
-  @UseGuards(RolesGuard)
-  @Roles('admin')
+  @UseGuards(PermissionsGuard)
+  @RequirePermissions(PermissionName.SYSTEM_MANAGE)
   @ApiOperation({ summary: 'Reset queue processing metrics (Admin only)' })
   @ApiResponse({
     status: 200,
-    description: 'Queue metrics reset successfully'
+    description: 'Queue metrics reset successfully',
   })
   async resetQueueMetrics(@CurrentUser() user: any) {
     try {
@@ -358,8 +610,8 @@ export class TasksController {
     } catch (error) {
       throw new HttpException(
         `Failed to reset queue metrics: ${error instanceof Error ? error.message : 'Unknown error'}`,
-        HttpStatus.INTERNAL_SERVER_ERROR
+        HttpStatus.INTERNAL_SERVER_ERROR,
       );
     }
   }
-}
\ No newline at end of file
+}
@@ -3,25 +3,53 @@ import { TypeOrmModule } from '@nestjs/typeorm';
 import { BullModule } from '@nestjs/bullmq';
 import { TasksService } from './tasks.service';
 import { TasksController } from './tasks.controller';
+import { TaskCommentsController } from './task-comments.controller';
+import { TaskDependenciesController } from './task-dependencies.controller';
+import { TagsController } from './tags.controller';
+import { TaskTagsController } from './task-tags.controller';
+import { TaskParticipantsController } from './task-participants.controller';
 import { Task } from './entities/task.entity';
+import { TaskComment } from './entities/task-comment.entity';
+import { TaskDependency } from './entities/task-dependency.entity';
+import { Tag } from './entities/tag.entity';
+import { TaskEvent } from './entities/task-event.entity';
+import { TaskCommentsService } from './services/task-comments.service';
+import { TaskDependenciesService } from './services/task-dependencies.service';
+import { TagsService } from './services/tags.service';
+import { TaskParticipantsService } from './services/task-participants.service';
 import { CommonModule } from '../../common/common.module';
 import { TaskProcessorModule } from '../../queues/task-processor/task-processor.module';
 import { ScheduledTasksModule } from '../../queues/scheduled-tasks/scheduled-tasks.module';
 import { UsersModule } from '../users/users.module';
+import { OrganizationsModule } from '../organizations/organizations.module';
 
 @Module({
   imports: [
-    TypeOrmModule.forFeature([Task]),
+    TypeOrmModule.forFeature([Task, TaskComment, TaskDependency, Tag, TaskEvent]),
     BullModule.registerQueue({
       name: 'task-processing',
     }),
     CommonModule, // Import to access RateLimitingService
     UsersModule, // Import to access UsersService for validation
+    OrganizationsModule, // Import to resolve participants' permissions in the organization
     forwardRef(() => TaskProcessorModule), // Import to access TaskProcessorService
     forwardRef(() => ScheduledTasksModule), // Import to access OverdueTasksService
   ],
-  controllers: [TasksController],
-  providers: [TasksService],
+  controllers: [
+    TasksController,
+    TaskCommentsController,
+    TaskDependenciesController,
+    TagsController,
+    TaskTagsController,
+    TaskParticipantsController,
+  ],
+  providers: [
+    TasksService,
+    TaskCommentsService,
+    TaskDependenciesService,
+    TagsService,
+    TaskParticipantsService,
+  ],
   exports: [TasksService, TypeOrmModule],
 })
-export class TasksModule { }
\ No newline at end of file
+export class TasksModule {}
@@ -0,0 +1,810 @@
+import { Test } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { getQueueToken } from '@nestjs/bullmq';
+import {
+  BadRequestException,
+  ConflictException,
+  NotFoundException,
+  PreconditionFailedException,
+} from '@nestjs/common';
+import { DataSource } from 'typeorm';
+import { TasksService } from './tasks.service';
+import { Task } from './entities/task.entity';
+import { TaskEvent } from './entities/task-event.entity';
+import { TaskStatus } from './enums/task-status.enum';
+import { TaskEventType } from './enums/task-event-type.enum';
+import { CreateTaskDto } from './dto/create-task.dto';
+import { UpdateTaskDto } from './dto/update-task.dto';
+import { RedisCacheService } from '../../common/services/redis-cache.service';
+import { UsersService } from '../users/users.service';
+import { PermissionName } from '../roles/enums/permission-name.enum';
+import { createMockQueryBuilder } from '../../../test/utils/mock-query-builder';
+
+const ORG_ID = 'org-1';
+const OWNER_ID = 'user-owner';
+const OTHER_ID = 'user-other';
+
+describe('TasksService', () => {
+  let service: TasksService;
+  let tasksRepository: Record<string, jest.Mock>;
+  let taskEventsRepository: Record<string, jest.Mock>;
+  let manager: Record<string, jest.Mock>;
+  let taskQueue: { add: jest.Mock };
+  let cacheService: Record<string, jest.Mock>;
+  let usersService: { findOneInOrganization: jest.Mock };
+
+  // Query builders handed out in order, then empty ones
+  let repositoryQueries: any[];
+  let managerQueries: any[];
+
+  // Rows manager.findOne(Task, ...) can see, by id
+  let storedTasks: Map<string, Partial<Task>>;
+
+  beforeEach(async () => {
+    repositoryQueries = [];
+    managerQueries = [];
+    storedTasks = new Map();
+
+    tasksRepository = {
+      createQueryBuilder: jest.fn(() => repositoryQueries.shift() ?? createMockQueryBuilder()),
+      findOne: jest.fn(),
+      find: jest.fn().mockResolvedValue([]),
+      count: jest.fn().mockResolvedValue(0),
+      query: jest.fn().mockResolvedValue([]),
+    };
+    taskEventsRepository = {
+      createQueryBuilder: jest.fn(() => repositoryQueries.shift() ?? createMockQueryBuilder()),
+    };
+    manager = {
+      createQueryBuilder: jest.fn(() => managerQueries.shift() ?? createMockQueryBuilder()),
+      findOne: jest.fn(async (_entity, options) => storedTasks.get(options.where.id) ?? null),
+      create: jest.fn((_entity, data) => data),
+      save: jest.fn(async data => (Array.isArray(data) ? data : { id: 'task-new', ...data })),
+      query: jest.fn().mockResolvedValue([]),
+    };
+    const dataSource = {
+      manager,
+      transaction: jest.fn(async work => work(manager)),
+    };
+    taskQueue = { add: jest.fn() };
+    cacheService = {
+      getOrSet: jest.fn(async (_key, factory) => factory()),
+      delete: jest.fn(),
+      deletePattern: jest.fn(),
+    };
+    usersService = { findOneInOrganization: jest.fn().mockResolvedValue({ id: OWNER_ID }) };
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        TasksService,
+        { provide: getRepositoryToken(Task), useValue: tasksRepository },
+        { provide: getRepositoryToken(TaskEvent), useValue: taskEventsRepository },
+        { provide: getQueueToken('task-processing'), useValue: taskQueue },
+        { provide: DataSource, useValue: dataSource },
+        { provide: RedisCacheService, useValue: cacheService },
+        { provide: UsersService, useValue: usersService },
+      ],
+    }).compile();
+
+    service = moduleRef.get(TasksService);
+  });
+
+  describe('hierarchy', () => {
+    it('creates a subtask under a parent the caller owns', async () => {
+      storedTasks.set('parent', { id: 'parent', userId: OWNER_ID, parentTaskId: null });
+
+      const task = await service.create(
+        { title: 'Child', parentTaskId: 'parent' } as CreateTaskDto,
+        ORG_ID,
+        OWNER_ID,
+      );
+
+      expect(task.parentTaskId).toBe('parent');
+      // The parent embeds roll-up progress, so its cached copy goes
+      expect(cacheService.delete).toHaveBeenCalledWith('task:parent:admin', 'tasks', ORG_ID);
+    });
+
+    it('reports a missing parent as invalid', async () => {
+      await expect(
+        service.create(
+          { title: 'Child', parentTaskId: 'missing' } as CreateTaskDto,
+          ORG_ID,
+          OWNER_ID,
+        ),
+      ).rejects.toThrow(BadRequestException);
+      expect(manager.save).not.toHaveBeenCalled();
+    });
+
+    it("doesn't let users nest tasks under someone else's task", async () => {
+      storedTasks.set('parent', { id: 'parent', userId: OTHER_ID, parentTaskId: null });
+
+      await expect(
+        service.create(
+          { title: 'Child', parentTaskId: 'parent' } as CreateTaskDto,
+          ORG_ID,
+          OWNER_ID,
+        ),
+      ).rejects.toThrow('Invalid parentTaskId: Parent task not found');
+
+      await expect(
+        service.create(
+          { title: 'Child', parentTaskId: 'parent' } as CreateTaskDto,
+          ORG_ID,
+          OWNER_ID,
+          [PermissionName.TASKS_UPDATE_ANY],
+        ),
+      ).resolves.toBeDefined();
+    });
+
+    it('rejects moving a task under one of its own descendants', async () => {
+      // task -> child -> grandchild; making grandchild the parent of task closes a loop
+      storedTasks.set('child', { id: 'child', userId: OWNER_ID, parentTaskId: 'task' });
+      storedTasks.set('grandchild', { id: 'grandchild', userId: OWNER_ID, parentTaskId: 'child' });
+      managerQueries.push(
+        createMockQueryBuilder({
+          getOne: { id: 'task', version: 1, userId: OWNER_ID, parentTaskId: null },
+        }),
+      );
+
+      await expect(
+        service.update('task', { parentTaskId: 'grandchild' } as UpdateTaskDto, ORG_ID, OWNER_ID),
+      ).rejects.toThrow('Invalid parentTaskId: Task hierarchy cannot contain cycles');
+    });
+
+    it('rejects making a task its own parent', async () => {
+      managerQueries.push(
+        createMockQueryBuilder({
+          getOne: { id: 'task', version: 1, userId: OWNER_ID, parentTaskId: null },
+        }),
+      );
+
+      await expect(
+        service.update('task', { parentTaskId: 'task' } as UpdateTaskDto, ORG_ID, OWNER_ID),
+      ).rejects.toThrow('Invalid parentTaskId: A task cannot be its own parent');
+    });
+
+    it("won't complete a task while subtasks are open", async () => {
+      managerQueries.push(
+        createMockQueryBuilder({
+          getOne: { id: 'task', version: 1, userId: OWNER_ID, status: TaskStatus.IN_PROGRESS },
+        }),
+        createMockQueryBuilder({ getRawMany: [{ parentTaskId: 'task', open: '2' }] }),
+      );
+
+      await expect(
+        service.update('task', { status: TaskStatus.COMPLETED } as UpdateTaskDto, ORG_ID, OWNER_ID),
+      ).rejects.toThrow('Cannot complete task while 2 subtask(s) are still open');
+    });
+
+    it('rolls up the progress of direct subtasks', async () => {
+      repositoryQueries.push(
+        createMockQueryBuilder({ getOne: { id: 'task', userId: OWNER_ID } }),
+        createMockQueryBuilder({
+          getRawMany: [{ parentTaskId: 'task', total: '3', completed: '2' }],
+        }),
+      );
+
+      const task = await service.findOne('task', ORG_ID, OWNER_ID);
+
+      expect(task).toMatchObject({ subtaskCount: 3, completedSubtaskCount: 2, progress: 67 });
+    });
+
+    it('has no progress for a leaf task', async () => {
+      repositoryQueries.push(createMockQueryBuilder({ getOne: { id: 'task', userId: OWNER_ID } }));
+
+      const task = await service.findOne('task', ORG_ID, OWNER_ID);
+
+      expect(task).toMatchObject({ subtaskCount: 0, completedSubtaskCount: 0, progress: null });
+    });
+
+    it('hides tasks of other organizations', async () => {
+      await expect(service.findOne('task', 'org-2', OWNER_ID)).rejects.toThrow(NotFoundException);
+    });
+
+    it('refuses to delete a parent unless cascade is set', async () => {
+      tasksRepository.findOne.mockResolvedValue({ id: 'task', userId: OWNER_ID });
+      tasksRepository.count.mockResolvedValue(2);
+
+      await expect(service.remove('task', ORG_ID, OWNER_ID)).rejects.toThrow(ConflictException);
+      expect(manager.createQueryBuilder).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('projects', () => {
+    it('only files tasks under a project the caller belongs to', async () => {
+      // No row back: the project is elsewhere or the caller isn't a member
+      await expect(
+        service.create(
+          { title: 'Task', projectId: 'project-1' } as CreateTaskDto,
+          ORG_ID,
+          OWNER_ID,
+        ),
+      ).rejects.toThrow('Invalid projectId: Project not found');
+
+      expect(manager.query).toHaveBeenCalledWith(expect.stringContaining('project_members'), [
+        'project-1',
+        ORG_ID,
+        OWNER_ID,
+      ]);
+    });
+
+    it('applies the same membership check to bulk creation', async () => {
+      manager.query.mockImplementation(async (_sql, params) =>
+        params[0] === 'mine' ? [{ '?column?': 1 }] : [],
+      );
+
+      const result = await service.bulkCreate(
+        [
+          { title: 'Mine', projectId: 'mine' },
+          { title: 'Theirs', projectId: 'theirs' },
+        ] as CreateTaskDto[],
+        ORG_ID,
+        OWNER_ID,
+      );
+
+      expect(result.created).toHaveLength(1);
+      expect(result.failed).toEqual([{ index: 1, error: 'Invalid projectId: Project not found' }]);
+    });
+
+    it('skips the membership check with projects:read:any', async () => {
+      manager.query.mockResolvedValue([{ '?column?': 1 }]);
+
+      await service.create(
+        { title: 'Task', projectId: 'project-1' } as CreateTaskDto,
+        ORG_ID,
+        OWNER_ID,
+        [PermissionName.PROJECTS_READ_ANY],
+      );
+
+      expect(manager.query).toHaveBeenCalledWith(expect.not.stringContaining('project_members'), [
+        'project-1',
+        ORG_ID,
+      ]);
+    });
+  });
+
+  describe('dependencies', () => {
+    it("won't start a task while a blocker is open", async () => {
+      managerQueries.push(
+        createMockQueryBuilder({
+          getOne: { id: 'task', version: 1, userId: OWNER_ID, status: TaskStatus.PENDING },
+        }),
+      );
+      manager.query.mockResolvedValue([{ task_id: 'task', open: '1' }]);
+
+      await expect(
+        service.update(
+          'task',
+          { status: TaskStatus.IN_PROGRESS } as UpdateTaskDto,
+          ORG_ID,
+          OWNER_ID,
+        ),
+      ).rejects.toThrow('Cannot start task while 1 blocking task(s) are still open');
+    });
+
+    it('leaves blocked tasks out of a bulk start', async () => {
+      const update = createMockQueryBuilder({
+        execute: { affected: 1, raw: [{ id: 'free', version: 2 }] },
+      });
+      managerQueries.push(
+        createMockQueryBuilder({
+          getMany: [
+            { id: 'free', status: TaskStatus.PENDING },
+            { id: 'blocked', status: TaskStatus.PENDING },
+          ],
+        }),
+        update,
+      );
+      manager.query.mockResolvedValue([{ task_id: 'blocked', open: '2' }]);
+
+      const result = await service.bulkUpdateStatus(
+        ['free', 'blocked'],
+        TaskStatus.IN_PROGRESS,
+        ORG_ID,
+        OWNER_ID,
+      );
+
+      expect(result).toEqual({ affected: 1, successful: ['free'], failed: ['blocked'] });
+      expect(update.where).toHaveBeenCalledWith('id IN (:...existingIds)', {
+        existingIds: ['free'],
+      });
+    });
+  });
+
+  describe('assignees', () => {
+    it('lets assignees update the task but not hand it to someone else', async () => {
+      const original = createMockQueryBuilder({
+        getOne: { id: 'task', version: 1, userId: OWNER_ID },
+      });
+      managerQueries.push(original);
+
+      await expect(
+        service.update('task', { userId: OTHER_ID } as UpdateTaskDto, ORG_ID, 'user-assignee'),
+      ).rejects.toThrow('Insufficient permission: Only the task owner can reassign the task');
+      expect(original.andWhere).toHaveBeenCalledWith(expect.stringContaining('task_assignees'), {
+        editorId: 'user-assignee',
+      });
+    });
+
+    it('scopes bulk status changes to tasks the caller owns or is assigned to', async () => {
+      const tasks = createMockQueryBuilder();
+      managerQueries.push(tasks);
+
+      const result = await service.bulkUpdateStatus(
+        ['task'],
+        TaskStatus.COMPLETED,
+        ORG_ID,
+        'user-assignee',
+      );
+
+      expect(tasks.andWhere).toHaveBeenCalledWith(expect.stringContaining('task_assignees'), {
+        editorId: 'user-assignee',
+      });
+      expect(result).toMatchObject({ affected: 0, failed: ['task'] });
+    });
+
+    it('counts assigned tasks as existing for batch validation', async () => {
+      const tasks = createMockQueryBuilder({ getMany: [{ id: 'assigned' }] });
+      repositoryQueries.push(tasks);
+
+      await expect(
+        service.validateTasksExist(['assigned', 'other'], ORG_ID, 'user-assignee'),
+      ).resolves.toEqual({ existing: ['assigned'], missing: ['other'] });
+      expect(tasks.andWhere).toHaveBeenCalledWith(expect.stringContaining('task_assignees'), {
+        editorId: 'user-assignee',
+      });
+    });
+  });
+
+  describe('tag filters', () => {
+    it('needs every requested tag in "all" mode', async () => {
+      const list = createMockQueryBuilder();
+      repositoryQueries.push(list);
+
+      await service.findAllWithFilters({
+        organizationId: ORG_ID,
+        tags: ['urgent', 'backend', 'urgent'],
+        tagsMode: 'all',
+      });
+
+      expect(list.andWhere).toHaveBeenCalledWith(expect.stringContaining(') = :tagCount'), {
+        tagNames: ['backend', 'urgent'],
+        tagCount: 2,
+      });
+    });
+
+    it('needs one of the requested tags in "any" mode', async () => {
+      const list = createMockQueryBuilder();
+      repositoryQueries.push(list);
+
+      await service.findAllWithFilters({ organizationId: ORG_ID, tags: ['urgent'] });
+
+      expect(list.andWhere).toHaveBeenCalledWith(expect.stringContaining(') > 0'), {
+        tagNames: ['urgent'],
+        tagCount: 1,
+      });
+    });
+
+    it('caches the same tag set under one key whatever the order', async () => {
+      await service.findAllWithFilters({ organizationId: ORG_ID, tags: ['a', 'b'] });
+      await service.findAllWithFilters({ organizationId: ORG_ID, tags: ['b', 'a'] });
+
+      const [[firstKey], [secondKey]] = cacheService.getOrSet.mock.calls;
+      expect(firstKey).toBe(secondKey);
+    });
+  });
+
+  describe('history', () => {
+    const savedEvents = () =>
+      manager.create.mock.calls
+        .filter(([entity]) => entity === TaskEvent)
+        .flatMap(([, events]) => events);
+
+    it('records who created a task and its initial values', async () => {
+      manager.save.mockImplementationOnce(async data => ({ id: 'task-new', version: 1, ...data }));
+
+      await service.create({ title: 'Write specs' } as CreateTaskDto, ORG_ID, OWNER_ID);
+
+      expect(savedEvents()).toEqual([
+        expect.objectContaining({
+          taskId: 'task-new',
+          type: TaskEventType.CREATED,
+          actorId: OWNER_ID,
+          changes: expect.objectContaining({ title: { from: null, to: 'Write specs' } }),
+        }),
+      ]);
+      // The status job only applies while the task is still at the version it was queued for
+      expect(taskQueue.add).toHaveBeenCalledWith(
+        'task-status-update',
+        expect.objectContaining({ taskId: 'task-new', version: 1 }),
+        expect.anything(),
+      );
+    });
+
+    it('records only the fields an update changed', async () => {
+      const original = { id: 'task', version: 1, userId: OWNER_ID, title: 'Old', priority: 'LOW' };
+      managerQueries.push(
+        createMockQueryBuilder({ getOne: original }),
+        createMockQueryBuilder({ execute: { affected: 1, raw: [] } }),
+      );
+      storedTasks.set('task', { ...original, title: 'New', version: 2 } as Partial<Task>);
+
+      await service.update('task', { title: 'New' } as UpdateTaskDto, ORG_ID, OTHER_ID, [
+        PermissionName.TASKS_UPDATE_ANY,
+      ]);
+
+      expect(savedEvents()).toEqual([
+        {
+          taskId: 'task',
+          type: TaskEventType.UPDATED,
+          actorId: OTHER_ID,
+          changes: { title: { from: 'Old', to: 'New' } },
+        },
+      ]);
+    });
+
+    it('leaves no event for an update that changed nothing', async () => {
+      const original = { id: 'task', version: 1, userId: OWNER_ID, title: 'Same' };
+      managerQueries.push(
+        createMockQueryBuilder({ getOne: original }),
+        createMockQueryBuilder({ execute: { affected: 1, raw: [] } }),
+      );
+      storedTasks.set('task', original as Partial<Task>);
+
+      await service.update('task', { title: 'Same' } as UpdateTaskDto, ORG_ID, OWNER_ID);
+
+      expect(savedEvents()).toEqual([]);
+    });
+
+    it('pages through the events of a visible task, newest first', async () => {
+      const events = createMockQueryBuilder({ getManyAndCount: [[{ id: 'event-3' }], 45] });
+      repositoryQueries.push(
+        createMockQueryBuilder({ getOne: { id: 'task', userId: OWNER_ID } }),
+        createMockQueryBuilder(),
+        events,
+      );
+
+      const result = await service.findHistory('task', ORG_ID, OWNER_ID, undefined, { page: 2 });
+
+      expect(events.orderBy).toHaveBeenCalledWith('event.createdAt', 'DESC');
+      expect(events.skip).toHaveBeenCalledWith(20);
+      expect(result).toMatchObject({
+        total: 45,
+        page: 2,
+        totalPages: 3,
+        hasNext: true,
+        hasPrev: true,
+      });
+    });
+
+    it("hides the history of tasks the caller can't see", async () => {
+      await expect(service.findHistory('task', ORG_ID, OWNER_ID)).rejects.toThrow(
+        NotFoundException,
+      );
+      expect(taskEventsRepository.createQueryBuilder).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('If-Match', () => {
+    it('rejects an update made against a stale version', async () => {
+      const original = createMockQueryBuilder({
+        getOne: { id: 'task', version: 4, userId: OWNER_ID },
+      });
+      managerQueries.push(original);
+
+      await expect(
+        service.update('task', { title: 'New' } as UpdateTaskDto, ORG_ID, OWNER_ID, undefined, {
+          expectedVersions: [3],
+        }),
+      ).rejects.toThrow(PreconditionFailedException);
+      // The row stays locked from the check to the write
+      expect(original.setLock).toHaveBeenCalledWith('pessimistic_write');
+      expect(manager.createQueryBuilder).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects a delete made against a stale version', async () => {
+      tasksRepository.findOne.mockResolvedValue({ id: 'task', userId: OWNER_ID });
+      storedTasks.set('task', { id: 'task', version: 4 });
+
+      await expect(
+        service.remove('task', ORG_ID, OWNER_ID, undefined, { expectedVersions: [3] }),
+      ).rejects.toThrow('Task has been modified since it was read (current version 4)');
+      expect(manager.createQueryBuilder).not.toHaveBeenCalled();
+    });
+
+    it('reports stale items of a bulk update with 412, one by one', async () => {
+      managerQueries.push(
+        createMockQueryBuilder({ getOne: { id: 'stale', version: 2, userId: OWNER_ID } }),
+      );
+
+      const result = await service.bulkUpdateTasks(
+        { updates: [{ id: 'stale', version: 1, data: { title: 'New' } as UpdateTaskDto }] },
+        ORG_ID,
+        OWNER_ID,
+      );
+
+      expect(result.failedUpdates).toEqual([
+        { id: 'stale', statusCode: 412, error: expect.stringContaining('current version 2') },
+      ]);
+    });
+  });
+
+  describe('trash', () => {
+    it('moves a task to the trash and records its deletion', async () => {
+      tasksRepository.findOne.mockResolvedValue({ id: 'task', userId: OWNER_ID, title: 'Old' });
+      const trash = createMockQueryBuilder({ execute: { affected: 1, raw: [] } });
+      managerQueries.push(trash);
+
+      await service.remove('task', ORG_ID, OWNER_ID);
+
+      expect(trash.set).toHaveBeenCalledWith({ deletedAt: expect.any(Date) });
+      expect(trash.andWhere).toHaveBeenCalledWith('deleted_at IS NULL');
+      expect(manager.create).toHaveBeenCalledWith(TaskEvent, [
+        expect.objectContaining({
+          taskId: 'task',
+          type: TaskEventType.DELETED,
+          changes: expect.objectContaining({ title: { from: 'Old', to: null } }),
+        }),
+      ]);
+    });
+
+    it("refuses to trash someone else's task", async () => {
+      tasksRepository.findOne.mockResolvedValue({ id: 'task', userId: OTHER_ID });
+
+      await expect(service.remove('task', ORG_ID, OWNER_ID)).rejects.toThrow(
+        'Insufficient permission: You can only delete your own tasks',
+      );
+      expect(manager.createQueryBuilder).not.toHaveBeenCalled();
+    });
+
+    it('restores a task with the subtasks trashed together with it', async () => {
+      const deletedAt = new Date('2026-03-01T10:00:00.123Z');
+      tasksRepository.findOne.mockResolvedValueOnce({ id: 'task', userId: OWNER_ID, deletedAt });
+      tasksRepository.query.mockResolvedValue([{ id: 'task' }, { id: 'child' }]);
+      tasksRepository.find.mockResolvedValue([{ id: 'task' }, { id: 'child' }]);
+      const untrash = createMockQueryBuilder({ execute: { affected: 2, raw: [] } });
+      managerQueries.push(untrash);
+      repositoryQueries.push(createMockQueryBuilder({ getOne: { id: 'task', userId: OWNER_ID } }));
+
+      await service.restore('task', ORG_ID, OWNER_ID);
+
+      // Only descendants sharing the parent's deleted_at come back
+      expect(tasksRepository.query).toHaveBeenCalledWith(expect.any(String), [['task'], deletedAt]);
+      expect(untrash.set).toHaveBeenCalledWith({ deletedAt: null });
+      expect(untrash.where).toHaveBeenCalledWith('id IN (:...ids)', { ids: ['task', 'child'] });
+    });
+
+    it('keeps a subtask in the trash while its parent is there', async () => {
+      tasksRepository.findOne
+        .mockResolvedValueOnce({ id: 'child', userId: OWNER_ID, parentTaskId: 'task' })
+        .mockResolvedValueOnce({ id: 'task' });
+
+      await expect(service.restore('child', ORG_ID, OWNER_ID)).rejects.toThrow(
+        'Parent task is in the trash. Restore the parent task first',
+      );
+    });
+
+    it('reports a task that is not in the trash', async () => {
+      tasksRepository.findOne.mockResolvedValue(null);
+
+      await expect(service.restore('task', ORG_ID, OWNER_ID)).rejects.toThrow(
+        'Task not found in trash',
+      );
+    });
+  });
+
+  describe('recurrence', () => {
+    const recurringTask = (overrides: Partial<Task> = {}) =>
+      ({
+        id: 'task-1',
+        title: 'Weekly report',
+        organizationId: ORG_ID,
+        userId: OWNER_ID,
+        dueDate: new Date('2026-03-02T09:00:00Z'),
+        recurrenceRule: 'FREQ=WEEKLY;COUNT=3',
+        recurrenceSeriesId: null,
+        recurrenceIndex: 0,
+        ...overrides,
+      }) as Task;
+
+    it('creates the next occurrence one rule step after the due date', async () => {
+      const insert = createMockQueryBuilder({ execute: { raw: [{ id: 'task-2' }] } });
+      managerQueries.push(insert);
+      manager.findOneOrFail = jest.fn(async () => ({ id: 'task-2' }));
+
+      await expect(service.createNextOccurrence(recurringTask())).resolves.toEqual({
+        id: 'task-2',
+      });
+
+      expect(insert.values).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: TaskStatus.PENDING,
+          dueDate: new Date('2026-03-09T09:00:00Z'),
+          recurrenceSeriesId: 'task-1', // The first task of a series names it
+          recurrenceIndex: 1,
+        }),
+      );
+      expect(insert.orIgnore).toHaveBeenCalled();
+    });
+
+    it('stops after COUNT occurrences', async () => {
+      await expect(
+        service.createNextOccurrence(
+          recurringTask({ recurrenceSeriesId: 'task-1', recurrenceIndex: 2 }),
+        ),
+      ).resolves.toBeNull();
+      expect(manager.createQueryBuilder).not.toHaveBeenCalled();
+    });
+
+    it("doesn't bring back an occurrence that already exists, even trashed", async () => {
+      manager.findOne.mockResolvedValue({ id: 'task-2' });
+
+      await expect(service.createNextOccurrence(recurringTask())).resolves.toBeNull();
+      expect(manager.findOne).toHaveBeenCalledWith(
+        Task,
+        expect.objectContaining({
+          where: { recurrenceSeriesId: 'task-1', recurrenceIndex: 1 },
+          withDeleted: true,
+        }),
+      );
+      expect(manager.createQueryBuilder).not.toHaveBeenCalled();
+    });
+
+    it('skips a stored rule that no longer parses', async () => {
+      await expect(
+        service.createNextOccurrence(recurringTask({ recurrenceRule: 'FREQ=HOURLY' })),
+      ).resolves.toBeNull();
+    });
+  });
+
+  describe('cursor pagination', () => {
+    const FIRST_ID = '00000000-0000-4000-8000-000000000001';
+    const SECOND_ID = '00000000-0000-4000-8000-000000000002';
+
+    const encode = (cursor: object) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+    const decode = (cursor: string) => JSON.parse(Buffer.from(cursor, 'base64url').toString());
+
+    it('hands out a cursor past the last row of the first page', async () => {
+      repositoryQueries.push(
+        createMockQueryBuilder({ getManyAndCount: [[{ id: FIRST_ID }], 2] }),
+        createMockQueryBuilder(),
+        createMockQueryBuilder({
+          getRawMany: [{ id: FIRST_ID, value: '2026-01-01 10:00:00.123456' }],
+        }),
+      );
+
+      const result = await service.findAllWithFilters({ organizationId: ORG_ID, limit: 1 });
+
+      expect(result).toMatchObject({ hasNext: true, hasPrev: false, prevCursor: null });
+      expect(decode(result.nextCursor!)).toEqual({
+        sortBy: 'createdAt',
+        sortOrder: 'DESC',
+        value: '2026-01-01 10:00:00.123456',
+        id: FIRST_ID,
+        direction: 'next',
+      });
+    });
+
+    it('seeks past the cursor row and reads one extra row to detect more', async () => {
+      const list = createMockQueryBuilder({ getMany: [{ id: SECOND_ID }], getCount: 2 });
+      repositoryQueries.push(list);
+
+      const result = await service.findAllWithFilters({
+        organizationId: ORG_ID,
+        limit: 1,
+        cursor: encode({
+          sortBy: 'createdAt',
+          sortOrder: 'DESC',
+          value: '2026-01-01 10:00:00.123456',
+          id: FIRST_ID,
+          direction: 'next',
+        }),
+      });
+
+      expect(list.andWhere).toHaveBeenCalledWith(
+        expect.stringContaining('task.createdAt < :cursorValue'),
+        { cursorValue: '2026-01-01 10:00:00.123456', cursorId: FIRST_ID },
+      );
+      expect(list.take).toHaveBeenCalledWith(2);
+      expect(list.skip).not.toHaveBeenCalled();
+      // Nothing after this row, but we came from the one before it
+      expect(result).toMatchObject({ page: null, total: 2, hasNext: false, hasPrev: true });
+      expect(result.nextCursor).toBeNull();
+      expect(decode(result.prevCursor!)).toMatchObject({ id: SECOND_ID, direction: 'prev' });
+    });
+
+    it('reads backwards from a prev cursor and puts the page back in order', async () => {
+      const list = createMockQueryBuilder({
+        getMany: [{ id: SECOND_ID }, { id: FIRST_ID }],
+        getCount: 3,
+      });
+      repositoryQueries.push(list);
+
+      const result = await service.findAllWithFilters({
+        organizationId: ORG_ID,
+        limit: 2,
+        sortBy: 'title',
+        sortOrder: 'ASC',
+        cursor: encode({
+          sortBy: 'title',
+          sortOrder: 'ASC',
+          value: 'c',
+          id: '00000000-0000-4000-8000-000000000003',
+          direction: 'prev',
+        }),
+      });
+
+      expect(list.orderBy).toHaveBeenCalledWith('task.title', 'DESC');
+      expect(result.data.map(task => task.id)).toEqual([FIRST_ID, SECOND_ID]);
+      expect(result).toMatchObject({ hasNext: true, hasPrev: false });
+    });
+
+    it('rejects a cursor it did not issue', async () => {
+      await expect(
+        service.findAllWithFilters({ organizationId: ORG_ID, cursor: 'not-a-cursor' }),
+      ).rejects.toThrow(new BadRequestException('Invalid cursor'));
+
+      await expect(
+        service.findAllWithFilters({
+          organizationId: ORG_ID,
+          cursor: encode({ sortBy: 'createdAt', sortOrder: 'DESC', value: null, id: 'x' }),
+        }),
+      ).rejects.toThrow(new BadRequestException('Invalid cursor'));
+    });
+
+    it('rejects a cursor issued for another sort', async () => {
+      const cursor = encode({
+        sortBy: 'createdAt',
+        sortOrder: 'DESC',
+        value: null,
+        id: FIRST_ID,
+        direction: 'next',
+      });
+
+      await expect(
+        service.findAllWithFilters({ organizationId: ORG_ID, cursor, sortOrder: 'ASC' }),
+      ).rejects.toThrow('Cursor does not match the requested sortBy/sortOrder');
+    });
+  });
+
+  describe('search', () => {
+    it('orders matches by relevance and highlights them', async () => {
+      const list = createMockQueryBuilder({
+        getManyAndCount: [[{ id: 'task-1', title: 'Fix login' }], 1],
+      });
+      const matches = createMockQueryBuilder({
+        getRawMany: [
+          { id: 'task-1', rank: '0.6', title: 'Fix <mark>login</mark>', description: null },
+        ],
+      });
+      repositoryQueries.push(list, createMockQueryBuilder(), matches);
+
+      const result = await service.findAllWithFilters({ organizationId: ORG_ID, q: 'login' });
+
+      expect(list.andWhere).toHaveBeenCalledWith(expect.stringContaining('task.searchVector @@'), {
+        searchQuery: 'login',
+      });
+      expect(list.orderBy).toHaveBeenCalledWith('search_rank', 'DESC');
+      expect(result.data[0]).toMatchObject({
+        rank: 0.6,
+        highlights: { title: 'Fix <mark>login</mark>', description: null },
+      });
+      // Relevance order can't be resumed from a keyset cursor
+      expect(result).toMatchObject({ nextCursor: null, prevCursor: null });
+    });
+
+    it("doesn't run the highlight query without matches", async () => {
+      const result = await service.findAllWithFilters({ organizationId: ORG_ID, q: 'nothing' });
+
+      expect(result.data).toEqual([]);
+      expect(tasksRepository.createQueryBuilder).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects a cursor combined with q', async () => {
+      await expect(
+        service.findAllWithFilters({ organizationId: ORG_ID, q: 'login', cursor: 'abc' }),
+      ).rejects.toThrow('Cursor pagination cannot be combined with q');
+      expect(cacheService.getOrSet).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,42 +1,150 @@
-import { Injectable, NotFoundException, BadRequestException, ForbiddenException } from '@nestjs/common';
+import {
+  Injectable,
+  Logger,
+  NotFoundException,
+  BadRequestException,
+  ForbiddenException,
+  ConflictException,
+  HttpException,
+  HttpStatus,
+  PreconditionFailedException,
+} from '@nestjs/common';
 import { InjectRepository } from '@nestjs/typeorm';
-import { Repository, DataSource } from 'typeorm';
+import {
+  Repository,
+  DataSource,
+  EntityManager,
+  In,
+  IsNull,
+  Not,
+  SelectQueryBuilder,
+} from 'typeorm';
 import { Task } from './entities/task.entity';
+import { TaskEvent, TaskFieldChanges } from './entities/task-event.entity';
+import { TaskEventType } from './enums/task-event-type.enum';
 import { CreateTaskDto } from './dto/create-task.dto';
 import { UpdateTaskDto } from './dto/update-task.dto';
 import { InjectQueue } from '@nestjs/bullmq';
+import { plainToInstance } from 'class-transformer';
+import { validate } from 'class-validator';
 import { Queue } from 'bullmq';
 import { TaskStatus } from './enums/task-status.enum';
 import { TaskPriority } from './enums/task-priority.enum';
-import { RedisCacheService } from '../../common/services/redis-cache.service';
+import { ALL_ORGANIZATIONS, RedisCacheService } from '../../common/services/redis-cache.service';
 import { UsersService } from '../users/users.service';
 import { BulkUpdateTaskDto } from './dto/batch-operation.dto';
+import { parseRRule, nextOccurrence } from '../../common/utils/rrule';
+import { hasPermission } from '../../common/utils/permissions';
+import { PermissionName } from '../roles/enums/permission-name.enum';
+
+export interface SubtaskProgress {
+  subtaskCount: number;
+  completedSubtaskCount: number;
+  progress: number | null; // Percent of direct subtasks COMPLETED, null for leaf tasks
+}
+
+export interface SearchMatch {
+  rank: number;
+  highlights: { title: string; description: string | null }; // Matches wrapped in <mark>
+}
+
+// websearch syntax: quoted phrases, "or", and -excluded words, never a syntax error on user input
+const SEARCH_QUERY = `websearch_to_tsquery('english', :searchQuery)`;
+
+/**
+ * Decoded keyset cursor: the sort column value and id of the row the page starts after
+ */
+export interface TaskCursor {
+  sortBy: string;
+  sortOrder: 'ASC' | 'DESC';
+  value: string | null; // Postgres text form of the sort column, so timestamps keep full precision
+  id: string;
+  direction: 'next' | 'prev';
+}
+
+const CURSOR_SORT_FIELDS = ['title', 'status', 'priority', 'createdAt', 'dueDate'];
+
+// ✅ AUDIT: Fields whose changes are recorded in the task history
+const HISTORY_FIELDS: (keyof Task)[] = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'userId',
+  'parentTaskId',
+  'projectId',
+  'recurrenceRule',
+];
+
+export interface UpdateTaskOptions {
+  expectedVersions?: number[]; // From If-Match: reject with 412 unless the task is at one of these versions
+}
+
+export interface RemoveTaskOptions extends UpdateTaskOptions {
+  cascade?: boolean; // Also move subtasks to the trash instead of rejecting
+}
 
 @Injectable()
 export class TasksService {
+  private readonly logger = new Logger(TasksService.name);
+
   constructor(
     @InjectRepository(Task)
     private tasksRepository: Repository<Task>,
+    @InjectRepository(TaskEvent)
+    private taskEventsRepository: Repository<TaskEvent>,
     @InjectQueue('task-processing')
     private taskQueue: Queue,
     private dataSource: DataSource,
     private readonly cacheService: RedisCacheService,
     private readonly usersService: UsersService,
-  ) { }
-
-  async create(createTaskDto: CreateTaskDto, userId: string): Promise<Task> {
+  ) {}
+
+  async create(
+    createTaskDto: CreateTaskDto,
+    organizationId: string,
+    userId: string,
+    userPermissions?: string[],
+  ): Promise<Task> {
     // ✅ AUTHORIZATION: Use userId from DTO if provided (admin can assign to others),
     // otherwise use authenticated user's ID (authorization is handled in controller)
     const targetUserId = createTaskDto.userId || userId;
 
-    // ✅ VALIDATION: Check if the target userId exists
+    // ✅ VALIDATION: Check if the target userId exists in the organization
     try {
-      await this.usersService.findOne(targetUserId);
+      await this.usersService.findOneInOrganization(targetUserId, organizationId);
     } catch (error) {
       throw new BadRequestException('Invalid userId: User not found');
     }
 
-    const taskData = { ...createTaskDto, userId: targetUserId };
+    // ✅ HIERARCHY: Parent must exist and be visible to the caller
+    if (createTaskDto.parentTaskId) {
+      await this.validateParentTask(
+        this.dataSource.manager,
+        organizationId,
+        createTaskDto.parentTaskId,
+        undefined,
+        userId,
+        userPermissions,
+      );
+    }
+
+    // ✅ PROJECTS: Only members can file tasks under a project
+    if (
+      createTaskDto.projectId &&
+      !(await this.canAccessProject(
+        this.dataSource.manager,
+        organizationId,
+        createTaskDto.projectId,
+        userId,
+        userPermissions,
+      ))
+    ) {
+      throw new BadRequestException('Invalid projectId: Project not found');
+    }
+
+    const taskData = { ...createTaskDto, userId: targetUserId, organizationId };
 
     // ✅ OPTIMIZED: Atomic operation with transaction management
     return await this.dataSource.transaction(async manager => {
@@ -45,42 +153,63 @@ export class TasksService {
         const task = manager.create(Task, taskData);
         const savedTask = await manager.save(task);
 
+        // ✅ AUDIT: Record who created the task and its initial values
+        await this.recordEvents(manager, [
+          {
+            taskId: savedTask.id,
+            type: TaskEventType.CREATED,
+            actorId: userId,
+            changes: this.diffTaskFields({}, savedTask),
+          },
+        ]);
+
         // ✅ PERFORMANCE: Add to queue only after successful DB commit
         // Queue operation happens after transaction commits to ensure consistency
-        await this.taskQueue.add('task-status-update', {
-          taskId: savedTask.id,
-          status: savedTask.status,
-        }, {
-          // ✅ RELIABILITY: Add retry configuration
-          attempts: 3,
-          backoff: {
-            type: 'exponential',
-            delay: 2000,
+        await this.taskQueue.add(
+          'task-status-update',
+          {
+            taskId: savedTask.id,
+            status: savedTask.status,
+            version: savedTask.version,
           },
-        });
+          {
+            // ✅ RELIABILITY: Add retry configuration
+            attempts: 3,
+            backoff: {
+              type: 'exponential',
+              delay: 2000,
+            },
+          },
+        );
 
         // ✅ CACHE INVALIDATION: Clear task-related caches when new task is created
-        await this.clearTaskCaches(savedTask.userId);
+        await this.clearTaskCaches(organizationId, savedTask.userId);
+        if (savedTask.parentTaskId) {
+          await this.clearTaskCaches(organizationId, undefined, savedTask.parentTaskId);
+        }
 
         return savedTask;
       } catch (error) {
         // ✅ ERROR HANDLING: Transaction will automatically rollback
-        throw new Error(`Failed to create task: ${error instanceof Error ? error.message : 'Unknown error'}`);
+        throw new Error(
+          `Failed to create task: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        );
       }
     });
   }
 
-  async findAll(): Promise<Task[]> {
+  async findAll(organizationId: string): Promise<Task[]> {
     // ✅ OPTIMIZED: Load tasks without user relations by default for better performance
     // User relations should only be loaded when specifically needed
-    return this.tasksRepository.find();
+    return this.tasksRepository.find({ where: { organizationId } });
   }
 
   /**
    * ✅ OPTIMIZED: Separate method for when user relations are actually needed
    */
-  async findAllWithUsers(): Promise<Task[]> {
+  async findAllWithUsers(organizationId: string): Promise<Task[]> {
     return this.tasksRepository.find({
+      where: { organizationId },
       relations: ['user'],
     });
   }
@@ -90,44 +219,98 @@ export class TasksService {
    * Replaces memory-based filtering with efficient SQL queries + Redis cache
    */
   async findAllWithFilters(filters: {
+    organizationId: string;
+    q?: string;
     status?: string;
     priority?: string;
     userId?: string;
+    projectId?: string;
+    blocked?: boolean;
+    tags?: string[];
+    tagsMode?: 'any' | 'all';
+    cursor?: string;
     page?: number;
     limit?: number;
     sortBy?: string;
     sortOrder?: 'ASC' | 'DESC';
   }): Promise<{
-    data: Task[];
+    data: (Task & SubtaskProgress & Partial<SearchMatch>)[];
     total: number;
-    page: number;
+    page: number | null;
     limit: number;
     totalPages: number;
     hasNext: boolean;
     hasPrev: boolean;
+    nextCursor: string | null;
+    prevCursor: string | null;
   }> {
     const {
+      organizationId,
+      q,
       status,
       priority,
       userId,
+      projectId,
+      blocked,
+      tags,
+      tagsMode = 'any',
+      cursor,
       page = 1,
       limit = 10,
       sortBy = 'createdAt',
-      sortOrder = 'DESC'
+      sortOrder = 'DESC',
     } = filters;
 
+    const safeSortBy = CURSOR_SORT_FIELDS.includes(sortBy) ? sortBy : 'createdAt';
+
+    // ✅ PAGINATION: Keyset paging can't follow relevance order, so cursors and q are exclusive
+    if (cursor && q) {
+      throw new BadRequestException('Cursor pagination cannot be combined with q');
+    }
+    const decodedCursor = cursor ? this.decodeCursor(cursor, safeSortBy, sortOrder) : undefined;
+
     // ✅ CACHE: Create cache key based on filters (3 minutes TTL for task lists)
-    const cacheKey = `list:${JSON.stringify({ status, priority, userId, page, limit, sortBy, sortOrder })}`;
+    // Tag names are sorted so "a,b" and "b,a" share one cache entry
+    const tagFilter = tags && tags.length > 0 ? [...new Set(tags)].sort() : undefined;
+    const cacheKey = `list:${JSON.stringify({
+      q,
+      status,
+      priority,
+      userId,
+      projectId,
+      blocked,
+      tags: tagFilter,
+      tagsMode: tagFilter ? tagsMode : undefined,
+      cursor,
+      page: cursor ? undefined : page,
+      limit,
+      sortBy,
+      sortOrder,
+    })}`;
 
     return this.cacheService.getOrSet(
       cacheKey,
       async () => {
         // ✅ PERFORMANCE: Build query with database-level filtering
-        const queryBuilder = this.tasksRepository.createQueryBuilder('task');
+        // ✅ TENANCY: Only ever the caller's organization
+        const queryBuilder = this.tasksRepository
+          .createQueryBuilder('task')
+          .where('task.organizationId = :organizationId', { organizationId });
 
-        // ✅ AUTHORIZATION: Filter by userId if provided
+        // ✅ AUTHORIZATION: Restrict to tasks visible to userId if provided
         if (userId) {
-          queryBuilder.andWhere('task.userId = :userId', { userId });
+          this.applyVisibilityScope(queryBuilder, userId);
+        }
+
+        if (projectId) {
+          queryBuilder.andWhere('task.projectId = :projectId', { projectId });
+        }
+
+        // ✅ SEARCH: Match the GIN-indexed tsvector and select the rank so we can order by it
+        if (q) {
+          queryBuilder
+            .andWhere(`task.searchVector @@ ${SEARCH_QUERY}`, { searchQuery: q })
+            .addSelect(`ts_rank(task.searchVector, ${SEARCH_QUERY})`, 'search_rank');
         }
 
         // ✅ PERFORMANCE: Add filters at database level, not in memory
@@ -139,74 +322,150 @@ export class TasksService {
           queryBuilder.andWhere('task.priority = :priority', { priority });
         }
 
-        // ✅ PERFORMANCE: Database-level sorting
-        const allowedSortFields = ['title', 'status', 'priority', 'createdAt', 'dueDate'];
-        const safeSortBy = allowedSortFields.includes(sortBy) ? sortBy : 'createdAt';
-        queryBuilder.orderBy(`task.${safeSortBy}`, sortOrder);
+        // ✅ DEPENDENCIES: A task is blocked while any of its blockers isn't COMPLETED
+        if (blocked !== undefined) {
+          const hasOpenBlockers = `EXISTS (
+            SELECT 1 FROM task_dependencies dep
+            INNER JOIN tasks blocker ON blocker.id = dep.blocked_by_task_id
+            WHERE dep.task_id = task.id AND blocker.status != :completedStatus AND blocker.deleted_at IS NULL
+          )`;
+          queryBuilder.andWhere(blocked ? hasOpenBlockers : `NOT ${hasOpenBlockers}`, {
+            completedStatus: TaskStatus.COMPLETED,
+          });
+        }
+
+        // ✅ TAGS: "any" needs one matching tag, "all" needs every requested tag name
+        if (tagFilter) {
+          const matchingTags = `
+            SELECT COUNT(DISTINCT filter_tag.name) FROM task_tags tt
+            INNER JOIN tags filter_tag ON filter_tag.id = tt.tag_id
+            WHERE tt.task_id = task.id AND filter_tag.name IN (:...tagNames)
+          `;
+          queryBuilder.andWhere(
+            tagsMode === 'all' ? `(${matchingTags}) = :tagCount` : `(${matchingTags}) > 0`,
+            { tagNames: tagFilter, tagCount: tagFilter.length },
+          );
+        }
+
+        queryBuilder.leftJoinAndSelect('task.tags', 'tag');
+
+        // ✅ PERFORMANCE: Database-level sorting, id breaks ties so every row has a stable position
+        // Walking backwards from a cursor reads in reverse order; the page is flipped back below
+        const walkingBack = decodedCursor?.direction === 'prev';
+        const readOrder = walkingBack ? (sortOrder === 'ASC' ? 'DESC' : 'ASC') : sortOrder;
+        if (q) {
+          // Most relevant first, the requested sort only breaks ties
+          queryBuilder.orderBy('search_rank', 'DESC').addOrderBy(`task.${safeSortBy}`, sortOrder);
+        } else {
+          queryBuilder.orderBy(`task.${safeSortBy}`, readOrder);
+        }
+        queryBuilder.addOrderBy('task.id', readOrder);
+
+        // ✅ PERFORMANCE: Keyset pagination seeks past the cursor row instead of counting skipped rows
+        let rows: Task[];
+        let total: number;
+        if (decodedCursor) {
+          // Count before adding the cursor condition: total covers the whole filtered list
+          const countQuery = queryBuilder.clone();
+          this.applyCursorCondition(queryBuilder, decodedCursor, readOrder);
+          queryBuilder.take(limit + 1); // One extra row tells us whether there is more in this direction
+
+          [rows, total] = await Promise.all([queryBuilder.getMany(), countQuery.getCount()]);
+        } else {
+          const offset = (page - 1) * limit;
+          queryBuilder.skip(offset).take(limit);
+
+          // ✅ PERFORMANCE: Get total count and data in parallel
+          [rows, total] = await queryBuilder.getManyAndCount();
+        }
 
-        // ✅ PERFORMANCE: Database-level pagination
-        const offset = (page - 1) * limit;
-        queryBuilder.skip(offset).take(limit);
+        const hasMore = decodedCursor ? rows.length > limit : false;
+        const tasks = decodedCursor ? rows.slice(0, limit) : rows;
+        if (walkingBack) {
+          tasks.reverse();
+        }
 
-        // ✅ PERFORMANCE: Get total count and data in parallel
-        const [data, total] = await queryBuilder.getManyAndCount();
+        // ✅ HIERARCHY: Roll-up subtask progress for the whole page in one query
+        const withProgress = await this.attachSubtaskProgress(tasks);
+        const data = q ? await this.attachSearchMatches(withProgress, q) : withProgress;
 
         const totalPages = Math.ceil(total / limit);
-        const hasNext = page < totalPages;
-        const hasPrev = page > 1;
+        // A cursor always points at a row, so there is at least that row on the side we came from
+        const hasNext = decodedCursor ? walkingBack || hasMore : page < totalPages;
+        const hasPrev = decodedCursor ? !walkingBack || hasMore : page > 1;
+
+        const { nextCursor, prevCursor } = q
+          ? { nextCursor: null, prevCursor: null }
+          : await this.buildPageCursors(data, safeSortBy, sortOrder, hasNext, hasPrev);
 
         return {
           data,
           total,
-          page,
+          page: decodedCursor ? null : page,
           limit,
           totalPages,
           hasNext,
           hasPrev,
+          nextCursor,
+          prevCursor,
         };
       },
-      { ttl: 180, namespace: 'tasks' } // 3 minutes TTL for task lists
+      { ttl: 180, namespace: 'tasks', organizationId }, // 3 minutes TTL for task lists
     );
   }
 
-  async findOne(id: string, userId?: string, userRole?: string): Promise<Task> {
+  async findOne(
+    id: string,
+    organizationId: string,
+    userId?: string,
+    userPermissions?: string[],
+  ): Promise<Task & SubtaskProgress> {
     // ✅ CACHE: Cache individual tasks for 5 minutes with user-specific keys
-    const cacheKey = userRole === 'admin'
+    const cacheKey = hasPermission(userPermissions, PermissionName.TASKS_READ_ANY)
       ? `task:${id}:admin`
       : `task:${id}:user:${userId}`;
 
     return this.cacheService.getOrSet(
       cacheKey,
       async () => {
-        // ✅ AUTHORIZATION: Build query with ownership check
-        const whereCondition: any = { id };
-
-        // ✅ AUTHORIZATION: Non-admin users can only see their own tasks
-        if (userRole !== 'admin' && userId) {
-          whereCondition.userId = userId;
+        // ✅ OPTIMIZED: Single database call instead of count + findOne
+        const queryBuilder = this.tasksRepository
+          .createQueryBuilder('task')
+          .leftJoinAndSelect('task.user', 'user')
+          .leftJoinAndSelect('task.tags', 'tag')
+          .where('task.id = :id', { id })
+          .andWhere('task.organizationId = :organizationId', { organizationId });
+
+        // ✅ AUTHORIZATION: Non-admin users only see tasks they own, are assigned to or share a project with
+        if (!hasPermission(userPermissions, PermissionName.TASKS_READ_ANY) && userId) {
+          this.applyVisibilityScope(queryBuilder, userId);
         }
 
-        // ✅ OPTIMIZED: Single database call instead of count + findOne
-        const task = await this.tasksRepository.findOne({
-          where: whereCondition,
-          relations: ['user'],
-        });
+        const task = await queryBuilder.getOne();
 
         if (!task) {
           throw new NotFoundException('Task not found');
         }
 
-        return task;
+        const [taskWithProgress] = await this.attachSubtaskProgress([task]);
+        return taskWithProgress;
       },
-      { ttl: 300, namespace: 'tasks' } // 5 minutes TTL for individual tasks
+      { ttl: 300, namespace: 'tasks', organizationId }, // 5 minutes TTL for individual tasks
     );
   }
 
-  async update(id: string, updateTaskDto: UpdateTaskDto, userId?: string, userRole?: string): Promise<Task> {
-    // ✅ VALIDATION: Check if the userId in updateTaskDto exists (if provided)
+  async update(
+    id: string,
+    updateTaskDto: UpdateTaskDto,
+    organizationId: string,
+    userId?: string,
+    userPermissions?: string[],
+    options: UpdateTaskOptions = {},
+  ): Promise<Task> {
+    // ✅ VALIDATION: Check if the userId in updateTaskDto exists in the organization (if provided)
     if (updateTaskDto.userId) {
       try {
-        await this.usersService.findOne(updateTaskDto.userId);
+        await this.usersService.findOneInOrganization(updateTaskDto.userId, organizationId);
       } catch (error) {
         throw new BadRequestException('Invalid userId: User not found');
       }
@@ -215,22 +474,101 @@ export class TasksService {
     // ✅ OPTIMIZED: Single query with transaction management
     return await this.dataSource.transaction(async manager => {
       try {
-        // ✅ AUTHORIZATION: Build where condition with ownership check
-        const whereCondition: any = { id };
-        if (userRole !== 'admin' && userId) {
-          whereCondition.userId = userId;
+        // ✅ PERFORMANCE: Get original task data for status comparison
+        // Include userId for authorization, the rest for the history diff
+        const queryBuilder = manager
+          .createQueryBuilder(Task, 'task')
+          .select(['task.id', 'task.version', ...HISTORY_FIELDS.map(field => `task.${field}`)])
+          .where('task.id = :id', { id })
+          .andWhere('task.organizationId = :organizationId', { organizationId });
+
+        // ✅ AUTHORIZATION: Owners and assignees can update a task, admins can update any task
+        if (!hasPermission(userPermissions, PermissionName.TASKS_UPDATE_ANY) && userId) {
+          this.applyOwnerOrAssigneeScope(queryBuilder, userId);
         }
 
-        // ✅ PERFORMANCE: Get original task data for status comparison
-        const originalTask = await manager.findOne(Task, {
-          where: whereCondition,
-          select: ['id', 'status', 'userId'] // Include userId for authorization
-        });
+        // ✅ CONCURRENCY: Lock the row so it can't change between the version check and the UPDATE
+        if (options.expectedVersions) {
+          queryBuilder.setLock('pessimistic_write');
+        }
+
+        const originalTask = await queryBuilder.getOne();
 
         if (!originalTask) {
           throw new NotFoundException('Task not found');
         }
 
+        this.assertVersionMatches(originalTask, options.expectedVersions);
+
+        // ✅ AUTHORIZATION: Assignees work on the task but can't hand it to someone else
+        if (
+          !hasPermission(userPermissions, PermissionName.TASKS_UPDATE_ANY) &&
+          userId &&
+          originalTask.userId !== userId &&
+          updateTaskDto.userId &&
+          updateTaskDto.userId !== originalTask.userId
+        ) {
+          throw new ForbiddenException(
+            'Insufficient permission: Only the task owner can reassign the task',
+          );
+        }
+
+        // ✅ HIERARCHY: Validate re-parenting (existence, visibility, no cycles)
+        if (
+          updateTaskDto.parentTaskId &&
+          updateTaskDto.parentTaskId !== originalTask.parentTaskId
+        ) {
+          await this.validateParentTask(
+            manager,
+            organizationId,
+            updateTaskDto.parentTaskId,
+            id,
+            userId,
+            userPermissions,
+          );
+        }
+
+        // ✅ PROJECTS: Moving a task into a project requires membership of that project
+        if (
+          updateTaskDto.projectId &&
+          updateTaskDto.projectId !== originalTask.projectId &&
+          !(await this.canAccessProject(
+            manager,
+            organizationId,
+            updateTaskDto.projectId,
+            userId,
+            userPermissions,
+          ))
+        ) {
+          throw new BadRequestException('Invalid projectId: Project not found');
+        }
+
+        // ✅ HIERARCHY: A parent can't be completed while any of its subtasks are still open
+        if (
+          updateTaskDto.status === TaskStatus.COMPLETED &&
+          originalTask.status !== TaskStatus.COMPLETED
+        ) {
+          const openSubtasks = await this.countOpenSubtasks(manager, [id]);
+          if (openSubtasks.has(id)) {
+            throw new BadRequestException(
+              `Cannot complete task while ${openSubtasks.get(id)} subtask(s) are still open`,
+            );
+          }
+        }
+
+        // ✅ DEPENDENCIES: A task can't start while anything blocking it is still open
+        if (
+          updateTaskDto.status === TaskStatus.IN_PROGRESS &&
+          originalTask.status !== TaskStatus.IN_PROGRESS
+        ) {
+          const openBlockers = await this.countOpenBlockers(manager, [id]);
+          if (openBlockers.has(id)) {
+            throw new BadRequestException(
+              `Cannot start task while ${openBlockers.get(id)} blocking task(s) are still open`,
+            );
+          }
+        }
+
         // ✅ PERFORMANCE: Single UPDATE query instead of findOne + save
         const updateResult = await manager
           .createQueryBuilder()
@@ -246,80 +584,343 @@ export class TasksService {
         // ✅ PERFORMANCE: Get updated task with relations
         const updatedTask = await manager.findOne(Task, {
           where: { id },
-          relations: ['user']
+          relations: ['user'],
         });
 
+        // ✅ AUDIT: Record what actually changed (no-op updates leave no event)
+        const changes = this.diffTaskFields(originalTask, updatedTask!);
+        if (Object.keys(changes).length > 0) {
+          await this.recordEvents(manager, [
+            {
+              taskId: id,
+              type: TaskEventType.UPDATED,
+              actorId: userId ?? null,
+              changes,
+            },
+          ]);
+        }
+
+        // ✅ RECURRENCE: Completing a recurring task schedules its next occurrence
+        if (
+          updateTaskDto.status === TaskStatus.COMPLETED &&
+          originalTask.status !== TaskStatus.COMPLETED
+        ) {
+          await this.createNextOccurrence(updatedTask!, manager);
+        }
+
         // ✅ RELIABILITY: Add to queue only if status changed and after DB commit
         if (updateTaskDto.status && originalTask.status !== updateTaskDto.status) {
-          await this.taskQueue.add('task-status-update', {
-            taskId: updatedTask!.id,
-            status: updatedTask!.status,
-          }, {
-            attempts: 3,
-            backoff: {
-              type: 'exponential',
-              delay: 2000,
+          await this.taskQueue.add(
+            'task-status-update',
+            {
+              taskId: updatedTask!.id,
+              status: updatedTask!.status,
+              previousStatus: originalTask.status,
+              // ✅ CONCURRENCY: The job only applies while the task is still at this version
+              version: updatedTask!.version,
             },
-          });
+            {
+              attempts: 3,
+              backoff: {
+                type: 'exponential',
+                delay: 2000,
+              },
+            },
+          );
         }
 
         // ✅ CACHE INVALIDATION: Clear task-related caches when task is updated
         // Clear caches for both old and new user (in case userId changed)
-        await this.clearTaskCaches(originalTask.userId, id);
+        await this.clearTaskCaches(organizationId, originalTask.userId, id);
         if (updateTaskDto.userId && updateTaskDto.userId !== originalTask.userId) {
-          await this.clearTaskCaches(updateTaskDto.userId, id);
+          await this.clearTaskCaches(organizationId, updateTaskDto.userId, id);
+        }
+
+        // ✅ HIERARCHY: Parents embed roll-up progress, so refresh both old and new parent
+        const affectedParents = new Set([originalTask.parentTaskId, updatedTask!.parentTaskId]);
+        for (const parentTaskId of affectedParents) {
+          if (parentTaskId) {
+            await this.clearTaskCaches(organizationId, undefined, parentTaskId);
+          }
         }
 
         return updatedTask!;
       } catch (error) {
-        if (error instanceof NotFoundException) {
+        if (error instanceof HttpException) {
           throw error;
         }
-        throw new Error(`Failed to update task: ${error instanceof Error ? error.message : 'Unknown error'}`);
+        throw new Error(
+          `Failed to update task: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        );
       }
     });
   }
 
-  async remove(id: string, userId?: string, userRole?: string): Promise<void> {
+  async remove(
+    id: string,
+    organizationId: string,
+    userId?: string,
+    userPermissions?: string[],
+    options: RemoveTaskOptions = {},
+  ): Promise<void> {
+    // First, check if the task exists at all
+    const taskExists = await this.tasksRepository.findOne({
+      where: { id, organizationId },
+      select: ['id', ...HISTORY_FIELDS],
+    });
+
+    if (!taskExists) {
+      throw new NotFoundException('Task not found');
+    }
+
     // ✅ AUTHORIZATION: Enhanced authorization logic to distinguish between "not found" and "insufficient permission"
-    if (userRole !== 'admin' && userId) {
-      // First, check if the task exists at all
-      const taskExists = await this.tasksRepository.findOne({
-        where: { id },
-        select: ['id', 'userId']
-      });
+    // If task exists but doesn't belong to the user, it's a permission issue
+    if (
+      !hasPermission(userPermissions, PermissionName.TASKS_DELETE_ANY) &&
+      userId &&
+      taskExists.userId !== userId
+    ) {
+      throw new ForbiddenException('Insufficient permission: You can only delete your own tasks');
+    }
 
-      if (!taskExists) {
-        throw new NotFoundException('Task not found');
+    // ✅ HIERARCHY: Reject deleting a parent unless the caller opts into removing its subtree
+    const subtaskCount = await this.tasksRepository.count({ where: { parentTaskId: id } });
+    if (subtaskCount > 0 && !options.cascade) {
+      throw new ConflictException(
+        `Task has ${subtaskCount} subtask(s). Delete them first or pass cascade=true to delete them too`,
+      );
+    }
+
+    const deletedTasks = subtaskCount > 0 ? await this.findSubtree([id]) : [taskExists];
+
+    await this.dataSource.transaction(async manager => {
+      // ✅ CONCURRENCY: Lock the row so it can't change between the version check and the trashing
+      if (options.expectedVersions) {
+        const currentTask = await manager.findOne(Task, {
+          where: { id },
+          select: ['id', 'version'],
+          lock: { mode: 'pessimistic_write' },
+        });
+        if (!currentTask) {
+          throw new NotFoundException('Task not found');
+        }
+        this.assertVersionMatches(currentTask, options.expectedVersions);
       }
 
-      // If task exists but doesn't belong to the user, it's a permission issue
-      if (taskExists.userId !== userId) {
-        throw new ForbiddenException('Insufficient permission: You can only delete your own tasks');
+      // ✅ TRASH: Soft delete, the row is only removed for good by the retention purge
+      const affected = await this.moveToTrash(manager, deletedTasks, userId);
+
+      if (affected === 0) {
+        throw new NotFoundException('Task not found');
       }
+    });
+
+    // ✅ CACHE INVALIDATION: Clear task-related caches when task is deleted
+    // A cascaded delete trashes a whole subtree, so drop every individual task cache
+    await this.clearTaskCaches(organizationId, undefined, subtaskCount > 0 ? undefined : id);
+    if (taskExists.parentTaskId) {
+      await this.clearTaskCaches(organizationId, undefined, taskExists.parentTaskId);
     }
+  }
 
-    // ✅ OPTIMIZED: Single DELETE query with existence check
-    const deleteResult = await this.tasksRepository
-      .createQueryBuilder()
-      .delete()
-      .from(Task)
-      .where('id = :id', { id })
-      .execute();
+  /**
+   * ✅ HIERARCHY: Direct subtasks of a task, with their own roll-up progress
+   */
+  async findSubtasks(
+    id: string,
+    organizationId: string,
+    userId?: string,
+    userPermissions?: string[],
+  ): Promise<(Task & SubtaskProgress)[]> {
+    // ✅ AUTHORIZATION: Same ownership rules as reading the parent itself
+    await this.findOne(id, organizationId, userId, userPermissions);
 
-    if (deleteResult.affected === 0) {
-      throw new NotFoundException('Task not found');
+    const queryBuilder = this.tasksRepository
+      .createQueryBuilder('task')
+      .where('task.parentTaskId = :id', { id })
+      .andWhere('task.organizationId = :organizationId', { organizationId });
+
+    // ✅ AUTHORIZATION: Seeing the parent doesn't grant its children, each is scoped like a listing
+    if (!hasPermission(userPermissions, PermissionName.TASKS_READ_ANY) && userId) {
+      this.applyVisibilityScope(queryBuilder, userId);
     }
 
-    // ✅ CACHE INVALIDATION: Clear task-related caches when task is deleted
-    await this.clearTaskCaches(undefined, id);
+    const subtasks = await queryBuilder.orderBy('task.createdAt', 'ASC').getMany();
+
+    return this.attachSubtaskProgress(subtasks);
+  }
+
+  /**
+   * ✅ AUDIT: Paginated change history of a task, newest first
+   */
+  async findHistory(
+    id: string,
+    organizationId: string,
+    userId?: string,
+    userPermissions?: string[],
+    pagination: { page?: number; limit?: number } = {},
+  ): Promise<{
+    data: TaskEvent[];
+    total: number;
+    page: number;
+    limit: number;
+    totalPages: number;
+    hasNext: boolean;
+    hasPrev: boolean;
+  }> {
+    const { page = 1, limit = 20 } = pagination;
+
+    // ✅ AUTHORIZATION: Same visibility rules as reading the task itself
+    await this.findOne(id, organizationId, userId, userPermissions);
+
+    const [data, total] = await this.taskEventsRepository
+      .createQueryBuilder('event')
+      .leftJoin('event.actor', 'actor')
+      // ✅ SECURITY: Never load actor password hashes
+      .addSelect(['actor.id', 'actor.name', 'actor.email'])
+      .where('event.taskId = :id', { id })
+      .orderBy('event.createdAt', 'DESC')
+      .addOrderBy('event.id', 'DESC')
+      .skip((page - 1) * limit)
+      .take(limit)
+      .getManyAndCount();
+
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      data,
+      total,
+      page,
+      limit,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1,
+    };
+  }
+
+  /**
+   * ✅ TRASH: Paginated tasks in the trash, most recently deleted first
+   * Users see the trashed tasks they own, admins see all of them
+   */
+  async findTrash(
+    organizationId: string,
+    userId?: string,
+    userPermissions?: string[],
+    pagination: { page?: number; limit?: number } = {},
+  ): Promise<{
+    data: Task[];
+    total: number;
+    page: number;
+    limit: number;
+    totalPages: number;
+    hasNext: boolean;
+    hasPrev: boolean;
+  }> {
+    const { page = 1, limit = 20 } = pagination;
+
+    const queryBuilder = this.tasksRepository
+      .createQueryBuilder('task')
+      .withDeleted()
+      .where('task.deletedAt IS NOT NULL')
+      .andWhere('task.organizationId = :organizationId', { organizationId })
+      .orderBy('task.deletedAt', 'DESC')
+      .addOrderBy('task.id', 'DESC')
+      .skip((page - 1) * limit)
+      .take(limit);
+
+    // ✅ AUTHORIZATION: Only owners can delete tasks, so only owners get to see them in the trash
+    if (!hasPermission(userPermissions, PermissionName.TASKS_DELETE_ANY) && userId) {
+      queryBuilder.andWhere('task.userId = :userId', { userId });
+    }
+
+    const [data, total] = await queryBuilder.getManyAndCount();
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      data,
+      total,
+      page,
+      limit,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1,
+    };
   }
 
-  async findByStatus(status: TaskStatus): Promise<Task[]> {
+  /**
+   * ✅ TRASH: Bring a task back from the trash, along with the subtasks that were deleted with it
+   * Subtasks deleted on their own before the parent stay in the trash
+   */
+  async restore(
+    id: string,
+    organizationId: string,
+    userId?: string,
+    userPermissions?: string[],
+  ): Promise<Task & SubtaskProgress> {
+    const task = await this.tasksRepository.findOne({
+      where: { id, organizationId, deletedAt: Not(IsNull()) },
+      select: ['id', 'userId', 'parentTaskId', 'deletedAt'],
+      withDeleted: true,
+    });
+
+    if (!task) {
+      throw new NotFoundException('Task not found in trash');
+    }
+
+    // ✅ AUTHORIZATION: Same rule as deleting, only the owner (or an admin) can restore
+    if (
+      !hasPermission(userPermissions, PermissionName.TASKS_DELETE_ANY) &&
+      userId &&
+      task.userId !== userId
+    ) {
+      throw new ForbiddenException('Insufficient permission: You can only restore your own tasks');
+    }
+
+    // ✅ HIERARCHY: A subtask can't come back under a parent that is still in the trash
+    if (task.parentTaskId) {
+      const trashedParent = await this.tasksRepository.findOne({
+        where: { id: task.parentTaskId, deletedAt: Not(IsNull()) },
+        select: ['id'],
+        withDeleted: true,
+      });
+      if (trashedParent) {
+        throw new ConflictException('Parent task is in the trash. Restore the parent task first');
+      }
+    }
+
+    const restoredTasks = await this.findSubtree([id], task.deletedAt!);
+
+    await this.dataSource.transaction(async manager => {
+      await manager
+        .createQueryBuilder()
+        .update(Task)
+        .set({ deletedAt: null })
+        .where('id IN (:...ids)', { ids: restoredTasks.map(restored => restored.id) })
+        .execute();
+
+      await this.recordEvents(
+        manager,
+        restoredTasks.map(restored => ({
+          taskId: restored.id,
+          type: TaskEventType.RESTORED,
+          actorId: userId ?? null,
+          changes: {},
+        })),
+      );
+    });
+
+    // ✅ CACHE INVALIDATION: Lists, stats and the parent's roll-up all include the task again
+    await this.clearTaskCaches(organizationId, task.userId);
+
+    return this.findOne(id, organizationId, userId, userPermissions);
+  }
+
+  async findByStatus(status: TaskStatus, organizationId: string): Promise<Task[]> {
     // ✅ OPTIMIZED: Use QueryBuilder with proper typing and relations
     return this.tasksRepository
       .createQueryBuilder('task')
       .where('task.status = :status', { status })
+      .andWhere('task.organizationId = :organizationId', { organizationId })
       .orderBy('task.createdAt', 'DESC')
       .getMany();
   }
@@ -327,11 +928,12 @@ export class TasksService {
   /**
    * ✅ OPTIMIZED: Find tasks by status with user relations when needed
    */
-  async findByStatusWithUsers(status: TaskStatus): Promise<Task[]> {
+  async findByStatusWithUsers(status: TaskStatus, organizationId: string): Promise<Task[]> {
     return this.tasksRepository
       .createQueryBuilder('task')
       .leftJoinAndSelect('task.user', 'user')
       .where('task.status = :status', { status })
+      .andWhere('task.organizationId = :organizationId', { organizationId })
       .orderBy('task.createdAt', 'DESC')
       .getMany();
   }
@@ -340,15 +942,38 @@ export class TasksService {
    * ✅ OPTIMIZED: Get task statistics using SQL aggregation with caching
    * Replaces N+1 query problem with single efficient query + Redis cache
    */
-  async getTaskStatistics(userId?: string, userRole?: string): Promise<{
+  async getTaskStatistics(
+    organizationId: string,
+    userId?: string,
+    userPermissions?: string[],
+    projectId?: string,
+  ): Promise<{
     total: number;
     completed: number;
     inProgress: number;
     pending: number;
     highPriority: number;
   }> {
+    // ✅ PROJECTS: Project stats cover every task in the project, so check membership first
+    if (
+      projectId &&
+      !(await this.canAccessProject(
+        this.dataSource.manager,
+        organizationId,
+        projectId,
+        userId,
+        userPermissions,
+      ))
+    ) {
+      throw new NotFoundException('Project not found');
+    }
+
     // ✅ CACHE: Cache stats for 10 minutes (expensive aggregation query)
-    const cacheKey = userRole === 'admin' ? 'stats:global' : `stats:user:${userId}`;
+    const cacheKey = projectId
+      ? `stats:project:${projectId}`
+      : hasPermission(userPermissions, PermissionName.TASKS_READ_ANY)
+        ? 'stats:global'
+        : `stats:user:${userId}`;
 
     return this.cacheService.getOrSet(
       cacheKey,
@@ -361,17 +986,20 @@ export class TasksService {
             'COUNT(CASE WHEN task.status = :completed THEN 1 END) as completed',
             'COUNT(CASE WHEN task.status = :inProgress THEN 1 END) as inProgress',
             'COUNT(CASE WHEN task.status = :pending THEN 1 END) as pending',
-            'COUNT(CASE WHEN task.priority = :highPriority THEN 1 END) as highPriority'
+            'COUNT(CASE WHEN task.priority = :highPriority THEN 1 END) as highPriority',
           ])
           .setParameters({
             completed: TaskStatus.COMPLETED,
             inProgress: TaskStatus.IN_PROGRESS,
             pending: TaskStatus.PENDING,
-            highPriority: TaskPriority.HIGH
-          });
-
-        // ✅ AUTHORIZATION: Filter by userId for non-admin users
-        if (userRole !== 'admin' && userId) {
+            highPriority: TaskPriority.HIGH,
+          })
+          .where('task.organizationId = :organizationId', { organizationId });
+
+        // ✅ AUTHORIZATION: Filter by project, or by userId for non-admin users
+        if (projectId) {
+          queryBuilder.andWhere('task.projectId = :projectId', { projectId });
+        } else if (!hasPermission(userPermissions, PermissionName.TASKS_READ_ANY) && userId) {
           queryBuilder.andWhere('task.userId = :userId', { userId });
         }
 
@@ -385,27 +1013,62 @@ export class TasksService {
           highPriority: parseInt(result.highPriority) || 0,
         };
       },
-      { ttl: 600, namespace: 'tasks' } // 10 minutes TTL for stats
+      { ttl: 600, namespace: 'tasks', organizationId }, // 10 minutes TTL for stats
     );
   }
 
-  async updateStatus(id: string, status: string): Promise<Task> {
+  /**
+   * ✅ QUEUE: Apply a status computed when the job was queued
+   * With expectedVersion the job is stale once the task has moved past that version (a newer
+   * change must not be overwritten by a delayed or retried job): nothing is written and null
+   * is returned
+   */
+  async updateStatus(id: string, status: string, expectedVersion?: number): Promise<Task | null> {
     // ✅ OPTIMIZED: Single UPDATE query for queue processor
-    const updateResult = await this.tasksRepository
+    // Jobs usually carry a status the task already has, so only write (and bump the version
+    // clients hold as an ETag) when it actually differs
+    const updateBuilder = this.tasksRepository
       .createQueryBuilder()
       .update(Task)
       .set({ status: status as TaskStatus })
       .where('id = :id', { id })
-      .execute();
+      .andWhere('status != :status', { status });
+
+    if (expectedVersion !== undefined) {
+      updateBuilder.andWhere('version = :expectedVersion', { expectedVersion });
+    }
+
+    const updateResult = await updateBuilder.execute();
 
     if (updateResult.affected === 0) {
-      throw new NotFoundException('Task not found');
+      const current = await this.tasksRepository.findOne({
+        where: { id },
+        select: ['id', 'version'],
+      });
+      if (!current) {
+        throw new NotFoundException('Task not found');
+      }
+      if (expectedVersion !== undefined && current.version !== expectedVersion) {
+        return null;
+      }
+    } else {
+      // ✅ CACHE INVALIDATION: The cached task would serve a stale status and ETag
+      await this.clearTaskCaches(undefined, undefined, id);
+    }
+
+    // ✅ RECURRENCE: Idempotent, so re-processing a completion never spawns a second occurrence
+    if (status === TaskStatus.COMPLETED) {
+      const completedTask = await this.tasksRepository.findOne({ where: { id } });
+      const nextTask = completedTask ? await this.createNextOccurrence(completedTask) : null;
+      if (nextTask) {
+        await this.clearTaskCaches(nextTask.organizationId, nextTask.userId);
+      }
     }
 
     // ✅ PERFORMANCE: Return updated task with minimal data for queue processor
     const updatedTask = await this.tasksRepository.findOne({
       where: { id },
-      select: ['id', 'status', 'title'] // Only essential fields for queue response
+      select: ['id', 'status', 'title'], // Only essential fields for queue response
     });
 
     return updatedTask!;
@@ -414,7 +1077,13 @@ export class TasksService {
   /**
    * ✅ OPTIMIZED: Bulk update operations with transaction management
    */
-  async bulkUpdateStatus(taskIds: string[], status: TaskStatus, userId?: string, userRole?: string): Promise<{
+  async bulkUpdateStatus(
+    taskIds: string[],
+    status: TaskStatus,
+    organizationId: string,
+    userId?: string,
+    userPermissions?: string[],
+  ): Promise<{
     affected: number;
     successful: string[];
     failed: string[];
@@ -434,17 +1103,41 @@ export class TasksService {
         const queryBuilder = manager
           .createQueryBuilder(Task, 'task')
           .select(['task.id', 'task.status'])
-          .where('task.id IN (:...taskIds)', { taskIds });
+          .where('task.id IN (:...taskIds)', { taskIds })
+          .andWhere('task.organizationId = :organizationId', { organizationId });
 
-        // ✅ AUTHORIZATION: Filter by userId for non-admin users
-        if (userRole !== 'admin' && userId) {
-          queryBuilder.andWhere('task.userId = :userId', { userId });
+        // ✅ AUTHORIZATION: Same rule as a single update, owners and assignees for non-admin users
+        if (!hasPermission(userPermissions, PermissionName.TASKS_UPDATE_ANY) && userId) {
+          this.applyOwnerOrAssigneeScope(queryBuilder, userId);
         }
 
-        const existingTasks = await queryBuilder.getMany();
+        let existingTasks = await queryBuilder.getMany();
+        const missingIds = taskIds.filter(id => !existingTasks.some(task => task.id === id));
+
+        // ✅ HIERARCHY: Parents with subtasks still open outside this batch can't be completed
+        if (status === TaskStatus.COMPLETED && existingTasks.length > 0) {
+          const batchIds = existingTasks.map(task => task.id);
+          const openSubtasks = await this.countOpenSubtasks(manager, batchIds, batchIds);
+          missingIds.push(...batchIds.filter(id => openSubtasks.has(id)));
+          existingTasks = existingTasks.filter(task => !openSubtasks.has(task.id));
+        }
+
+        // ✅ DEPENDENCIES: Tasks still waiting on open blockers can't be started
+        const startingIds = existingTasks
+          .filter(
+            task => status === TaskStatus.IN_PROGRESS && task.status !== TaskStatus.IN_PROGRESS,
+          )
+          .map(task => task.id);
+        if (startingIds.length > 0) {
+          const openBlockers = await this.countOpenBlockers(manager, startingIds);
+          missingIds.push(...startingIds.filter(id => openBlockers.has(id)));
+          existingTasks = existingTasks.filter(task => !openBlockers.has(task.id));
+        }
 
         const existingIds = existingTasks.map(task => task.id);
-        const missingIds = taskIds.filter(id => !existingIds.includes(id));
+        if (existingIds.length === 0) {
+          return { affected: 0, successful: [], failed: missingIds };
+        }
 
         // ✅ TRANSACTION: Update only existing tasks
         const result = await manager
@@ -452,20 +1145,43 @@ export class TasksService {
           .update(Task)
           .set({ status, updatedAt: new Date() })
           .where('id IN (:...existingIds)', { existingIds })
+          .returning(['id', 'version'])
           .execute();
+        const versions = new Map<string, number>(
+          (result.raw as { id: string; version: number }[]).map(row => [row.id, row.version]),
+        );
 
-        // ✅ QUEUE: Add to queue only for tasks that actually changed status
+        // ✅ CACHE INVALIDATION: Statuses and parent roll-ups changed across many tasks
+        await this.clearTaskCaches(organizationId);
+
+        // ✅ AUDIT: One event per task whose status actually changed
         const changedTasks = existingTasks.filter(task => task.status !== status);
+        await this.recordEvents(
+          manager,
+          changedTasks.map(task => ({
+            taskId: task.id,
+            type: TaskEventType.UPDATED,
+            actorId: userId ?? null,
+            changes: { status: { from: task.status, to: status } },
+          })),
+        );
+
+        // ✅ QUEUE: Add to queue only for tasks that actually changed status
         if (changedTasks.length > 0) {
           const queuePromises = changedTasks.map(task =>
-            this.taskQueue.add('task-status-update', {
-              taskId: task.id,
-              status,
-              previousStatus: task.status,
-            }, {
-              attempts: 3,
-              backoff: { type: 'exponential', delay: 2000 },
-            })
+            this.taskQueue.add(
+              'task-status-update',
+              {
+                taskId: task.id,
+                status,
+                previousStatus: task.status,
+                version: versions.get(task.id),
+              },
+              {
+                attempts: 3,
+                backoff: { type: 'exponential', delay: 2000 },
+              },
+            ),
           );
 
           await Promise.all(queuePromises);
@@ -477,7 +1193,9 @@ export class TasksService {
           failed: missingIds,
         };
       } catch (error) {
-        throw new Error(`Bulk status update failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+        throw new Error(
+          `Bulk status update failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        );
       }
     });
   }
@@ -485,7 +1203,12 @@ export class TasksService {
   /**
    * ✅ OPTIMIZED: Bulk delete operations with transaction management and error handling
    */
-  async bulkDelete(taskIds: string[], userId?: string, userRole?: string): Promise<{
+  async bulkDelete(
+    taskIds: string[],
+    organizationId: string,
+    userId?: string,
+    userPermissions?: string[],
+  ): Promise<{
     affected: number;
     successful: string[];
     failed: string[];
@@ -502,13 +1225,15 @@ export class TasksService {
         }
 
         // ✅ VALIDATION: Check which tasks exist before deletion with authorization
+        // The tracked fields are loaded too so the history keeps a snapshot of what was deleted
         const queryBuilder = manager
           .createQueryBuilder(Task, 'task')
-          .select('task.id')
-          .where('task.id IN (:...taskIds)', { taskIds });
+          .select(['task.id', ...HISTORY_FIELDS.map(field => `task.${field}`)])
+          .where('task.id IN (:...taskIds)', { taskIds })
+          .andWhere('task.organizationId = :organizationId', { organizationId });
 
         // ✅ AUTHORIZATION: Filter by userId for non-admin users
-        if (userRole !== 'admin' && userId) {
+        if (!hasPermission(userPermissions, PermissionName.TASKS_DELETE_ANY) && userId) {
           queryBuilder.andWhere('task.userId = :userId', { userId });
         }
 
@@ -517,36 +1242,43 @@ export class TasksService {
         const existingIds = existingTasks.map(task => task.id);
         const missingIds = taskIds.filter(id => !existingIds.includes(id));
 
-        // ✅ TRANSACTION: Delete only existing tasks
-        const result = await manager
-          .createQueryBuilder()
-          .delete()
-          .from(Task)
-          .where('id IN (:...existingIds)', { existingIds })
-          .execute();
+        // ✅ TRASH: Move only existing tasks to the trash, subtasks go with their parents
+        const deletedTasks = existingIds.length > 0 ? await this.findSubtree(existingIds) : [];
+        const affected = await this.moveToTrash(manager, deletedTasks, userId);
+
+        // ✅ CACHE INVALIDATION: Trashed tasks must drop out of lists, stats and roll-ups
+        if (affected > 0) {
+          await this.clearTaskCaches(organizationId);
+        }
 
         // ✅ QUEUE: Add deletion notifications to queue
         if (existingIds.length > 0) {
           const queuePromises = existingIds.map(taskId =>
-            this.taskQueue.add('task-deleted', {
-              taskId,
-              deletedAt: new Date(),
-            }, {
-              attempts: 3,
-              backoff: { type: 'exponential', delay: 2000 },
-            })
+            this.taskQueue.add(
+              'task-deleted',
+              {
+                taskId,
+                deletedAt: new Date(),
+              },
+              {
+                attempts: 3,
+                backoff: { type: 'exponential', delay: 2000 },
+              },
+            ),
           );
 
           await Promise.all(queuePromises);
         }
 
         return {
-          affected: result.affected || 0,
+          affected,
           successful: existingIds,
           failed: missingIds,
         };
       } catch (error) {
-        throw new Error(`Bulk delete failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+        throw new Error(
+          `Bulk delete failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        );
       }
     });
   }
@@ -554,7 +1286,12 @@ export class TasksService {
   /**
    * ✅ NEW: Bulk create operations with transaction management
    */
-  async bulkCreate(createTaskDtos: CreateTaskDto[]): Promise<{
+  async bulkCreate(
+    createTaskDtos: CreateTaskDto[],
+    organizationId: string,
+    userId?: string,
+    userPermissions?: string[],
+  ): Promise<{
     created: Task[];
     failed: { index: number; error: string }[];
   }> {
@@ -575,27 +1312,78 @@ export class TasksService {
         // ✅ TRANSACTION: Create tasks in batches within transaction
         for (let i = 0; i < createTaskDtos.length; i++) {
           try {
-            const task = manager.create(Task, createTaskDtos[i]);
+            const dto = createTaskDtos[i];
+
+            // ✅ TENANCY: Owner, project and parent must all belong to the organization
+            if (dto.userId) {
+              await this.usersService.findOneInOrganization(dto.userId, organizationId);
+            }
+            // ✅ PROJECTS: Same rules as create(), only members can file tasks under a project
+            if (
+              dto.projectId &&
+              !(await this.canAccessProject(
+                manager,
+                organizationId,
+                dto.projectId,
+                userId,
+                userPermissions,
+              ))
+            ) {
+              throw new Error('Invalid projectId: Project not found');
+            }
+            // ✅ HIERARCHY: Parent must exist and be visible to the caller
+            if (dto.parentTaskId) {
+              await this.validateParentTask(
+                manager,
+                organizationId,
+                dto.parentTaskId,
+                undefined,
+                userId,
+                userPermissions,
+              );
+            }
+
+            const task = manager.create(Task, { ...dto, organizationId });
             const savedTask = await manager.save(task);
+
+            // ✅ AUDIT: Record who created the task and its initial values, like create()
+            await this.recordEvents(manager, [
+              {
+                taskId: savedTask.id,
+                type: TaskEventType.CREATED,
+                actorId: userId ?? null,
+                changes: this.diffTaskFields({}, savedTask),
+              },
+            ]);
+
             created.push(savedTask);
           } catch (error) {
             failed.push({
               index: i,
-              error: error instanceof Error ? error.message : 'Unknown error'
+              error: error instanceof Error ? error.message : 'Unknown error',
             });
           }
         }
 
+        if (created.length > 0) {
+          await this.clearTaskCaches(organizationId);
+        }
+
         // ✅ QUEUE: Add created tasks to queue
         if (created.length > 0) {
           const queuePromises = created.map(task =>
-            this.taskQueue.add('task-created', {
-              taskId: task.id,
-              status: task.status,
-            }, {
-              attempts: 3,
-              backoff: { type: 'exponential', delay: 2000 },
-            })
+            this.taskQueue.add(
+              'task-created',
+              {
+                taskId: task.id,
+                status: task.status,
+                version: task.version,
+              },
+              {
+                attempts: 3,
+                backoff: { type: 'exponential', delay: 2000 },
+              },
+            ),
           );
 
           await Promise.all(queuePromises);
@@ -603,184 +1391,695 @@ export class TasksService {
 
         return { created, failed };
       } catch (error) {
-        throw new Error(`Bulk create failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+        throw new Error(
+          `Bulk create failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        );
       }
     });
   }
 
   /**
-   * ✅ NEW: Bulk update operations for multiple fields with transaction management
+   * ✅ OPTIMIZED: Validate task existence in bulk with authorization
    */
-  async bulkUpdate(updates: { id: string; data: Partial<UpdateTaskDto> }[], userId?: string, userRole?: string): Promise<{
-    updated: string[];
-    failed: { id: string; error: string }[];
-  }> {
-    return await this.dataSource.transaction(async manager => {
-      try {
-        // ✅ VALIDATION: Input validation
-        if (!updates || updates.length === 0) {
-          throw new Error('No update data provided');
-        }
+  async validateTasksExist(
+    taskIds: string[],
+    organizationId: string,
+    userId?: string,
+    userPermissions?: string[],
+  ): Promise<{ existing: string[]; missing: string[] }> {
+    const queryBuilder = this.tasksRepository
+      .createQueryBuilder('task')
+      .select('task.id')
+      .where('task.id IN (:...taskIds)', { taskIds })
+      .andWhere('task.organizationId = :organizationId', { organizationId });
 
-        if (updates.length > 500) {
-          throw new Error('Maximum 500 tasks can be updated at once');
-        }
+    // ✅ AUTHORIZATION: Owners and assignees for non-admin users
+    if (!hasPermission(userPermissions, PermissionName.TASKS_READ_ANY) && userId) {
+      this.applyOwnerOrAssigneeScope(queryBuilder, userId);
+    }
 
-        const updated: string[] = [];
-        const failed: { id: string; error: string }[] = [];
+    const existingTasks = await queryBuilder.getMany();
+    const existingIds = existingTasks.map(task => task.id);
+    const missingIds = taskIds.filter(id => !existingIds.includes(id));
 
-        // ✅ TRANSACTION: Update tasks individually within transaction with authorization
-        for (const update of updates) {
-          try {
-            const updateBuilder = manager
-              .createQueryBuilder()
-              .update(Task)
-              .set({ ...update.data, updatedAt: new Date() })
-              .where('id = :id', { id: update.id });
-
-            // ✅ AUTHORIZATION: Add userId filter for non-admin users
-            if (userRole !== 'admin' && userId) {
-              updateBuilder.andWhere('userId = :userId', { userId });
-            }
+    return { existing: existingIds, missing: missingIds };
+  }
 
-            const result = await updateBuilder.execute();
+  /**
+   * ✅ AUDIT: Persist history events in the caller's transaction so they commit with the change
+   */
+  private async recordEvents(
+    manager: EntityManager,
+    events: Pick<TaskEvent, 'taskId' | 'type' | 'actorId' | 'changes'>[],
+  ): Promise<void> {
+    if (events.length > 0) {
+      await manager.save(manager.create(TaskEvent, events));
+    }
+  }
 
-            if (result.affected && result.affected > 0) {
-              updated.push(update.id);
-            } else {
-              failed.push({
-                id: update.id,
-                error: 'Task not found or access denied'
-              });
-            }
-          } catch (error) {
-            failed.push({
-              id: update.id,
-              error: error instanceof Error ? error.message : 'Unknown error'
-            });
-          }
-        }
+  /**
+   * ✅ CONCURRENCY: Enforce an If-Match precondition against the task's current version
+   */
+  private assertVersionMatches(task: Pick<Task, 'version'>, expectedVersions?: number[]): void {
+    if (expectedVersions && !expectedVersions.includes(task.version)) {
+      throw new PreconditionFailedException(
+        `Task has been modified since it was read (current version ${task.version}). Reload it and try again`,
+      );
+    }
+  }
 
-        // ✅ QUEUE: Add updated tasks to queue if status changed
-        const statusUpdates = updates.filter(update => update.data.status);
-        if (statusUpdates.length > 0) {
-          const queuePromises = statusUpdates
-            .filter(update => updated.includes(update.id))
-            .map(update =>
-              this.taskQueue.add('task-status-update', {
-                taskId: update.id,
-                status: update.data.status,
-              }, {
-                attempts: 3,
-                backoff: { type: 'exponential', delay: 2000 },
-              })
-            );
+  /**
+   * ✅ AUDIT: { field: { from, to } } for every tracked field that differs
+   * Pass {} as `before` for a creation and as `after` for a deletion
+   */
+  private diffTaskFields(before: Partial<Task>, after: Partial<Task>): TaskFieldChanges {
+    const normalize = (value: unknown) =>
+      value instanceof Date ? value.toISOString() : (value ?? null);
+    const changes: TaskFieldChanges = {};
+
+    for (const field of HISTORY_FIELDS) {
+      const from = normalize(before[field]);
+      const to = normalize(after[field]);
+      if (from !== to) {
+        changes[field] = { from, to };
+      }
+    }
 
-          await Promise.all(queuePromises);
-        }
+    return changes;
+  }
 
-        return { updated, failed };
-      } catch (error) {
-        throw new Error(`Bulk update failed: ${error instanceof Error ? error.message : 'Unknown error'}`);
+  /**
+   * ✅ HIERARCHY: Tasks and all of their descendants, with the fields tracked by the history
+   * Without trashedAt only descendants outside the trash are followed; with it, only those
+   * trashed together with the roots (the same deleted_at), so earlier deletions stay put
+   */
+  private async findSubtree(rootIds: string[], trashedAt?: Date): Promise<Task[]> {
+    const rows: { id: string }[] = await this.tasksRepository.query(
+      `
+      WITH RECURSIVE subtree(id) AS (
+        SELECT id FROM tasks WHERE id = ANY($1)
+        UNION
+        SELECT child.id FROM tasks child INNER JOIN subtree ON child.parent_task_id = subtree.id
+        WHERE child.deleted_at IS NOT DISTINCT FROM $2
+      )
+      SELECT id FROM subtree
+      `,
+      [rootIds, trashedAt ?? null],
+    );
+
+    return this.tasksRepository.find({
+      where: { id: In(rows.map(row => row.id)) },
+      select: ['id', ...HISTORY_FIELDS],
+      withDeleted: !!trashedAt,
+    });
+  }
+
+  /**
+   * ✅ TRASH: Soft delete tasks and record their deletion, returning how many were trashed
+   * The timestamp is set here rather than with now() so the whole batch shares one
+   * millisecond-precision value that restore() can match its subtree on
+   */
+  private async moveToTrash(
+    manager: EntityManager,
+    tasks: Task[],
+    actorId?: string,
+  ): Promise<number> {
+    if (tasks.length === 0) {
+      return 0;
+    }
+
+    const result = await manager
+      .createQueryBuilder()
+      .update(Task)
+      .set({ deletedAt: new Date() })
+      .where('id IN (:...ids)', { ids: tasks.map(task => task.id) })
+      .andWhere('deleted_at IS NULL')
+      .execute();
+
+    // ✅ AUDIT: Record each deletion with the task's last known values
+    await this.recordEvents(
+      manager,
+      tasks.map(task => ({
+        taskId: task.id,
+        type: TaskEventType.DELETED,
+        actorId: actorId ?? null,
+        changes: this.diffTaskFields(task, {}),
+      })),
+    );
+
+    return result.affected || 0;
+  }
+
+  /**
+   * ✅ RECURRENCE: Create the occurrence that follows a recurring task, due one rule step after it
+   * Returns null when the task doesn't recur, the rule is exhausted (COUNT/UNTIL) or the
+   * occurrence already exists. Public so the backfill job can catch up on missed occurrences.
+   */
+  async createNextOccurrence(
+    task: Task,
+    manager: EntityManager = this.dataSource.manager,
+  ): Promise<Task | null> {
+    if (!task.recurrenceRule) {
+      return null;
+    }
+
+    let rule;
+    try {
+      rule = parseRRule(task.recurrenceRule);
+    } catch (error) {
+      this.logger.warn(
+        `Skipping recurrence for task ${task.id}: ${error instanceof Error ? error.message : 'Unknown error'}`,
+      );
+      return null;
+    }
+
+    const recurrenceIndex = task.recurrenceIndex + 1;
+    if (rule.count && recurrenceIndex >= rule.count) {
+      return null;
+    }
+
+    // Tasks without a due date recur relative to when they were completed
+    const dueDate = nextOccurrence(rule, task.dueDate ?? new Date());
+    if (!dueDate) {
+      return null;
+    }
+
+    const recurrenceSeriesId = task.recurrenceSeriesId ?? task.id;
+    // A trashed occurrence still holds its slot, deleting it must not bring it back
+    const existing = await manager.findOne(Task, {
+      where: { recurrenceSeriesId, recurrenceIndex },
+      select: ['id'],
+      withDeleted: true,
+    });
+    if (existing) {
+      return null;
+    }
+
+    // ON CONFLICT DO NOTHING: losing a race for the slot (uq_tasks_recurrence_occurrence) must not
+    // abort the caller's transaction the way a unique violation would
+    const insertResult = await manager
+      .createQueryBuilder()
+      .insert()
+      .into(Task)
+      .values({
+        title: task.title,
+        description: task.description,
+        priority: task.priority,
+        status: TaskStatus.PENDING,
+        dueDate,
+        organizationId: task.organizationId,
+        userId: task.userId,
+        projectId: task.projectId,
+        parentTaskId: task.parentTaskId,
+        recurrenceRule: task.recurrenceRule,
+        recurrenceSeriesId,
+        recurrenceIndex,
+      })
+      .orIgnore()
+      .execute();
+
+    const nextTaskId: string | undefined = insertResult.raw[0]?.id;
+    if (!nextTaskId) {
+      return null;
+    }
+    const nextTask = await manager.findOneOrFail(Task, { where: { id: nextTaskId } });
+
+    // ✅ AUDIT: Occurrences are created by the system, not by whoever completed the previous one
+    await this.recordEvents(manager, [
+      {
+        taskId: nextTask.id,
+        type: TaskEventType.CREATED,
+        actorId: null,
+        changes: this.diffTaskFields({}, nextTask),
+      },
+    ]);
+
+    // Occurrences keep the tags of the task they follow
+    const tagsRelation = manager.createQueryBuilder().relation(Task, 'tags');
+    const tags = await tagsRelation.of(task.id).loadMany();
+    if (tags.length > 0) {
+      await tagsRelation.of(nextTask.id).add(tags.map(tag => tag.id));
+    }
+
+    return nextTask;
+  }
+
+  /**
+   * ✅ AUTHORIZATION: Restrict a task query to tasks the user owns, is assigned to, or that belong
+   * to one of their projects
+   * Public so the task sub-services apply the same visibility rules to their own queries
+   */
+  applyVisibilityScope(
+    queryBuilder: SelectQueryBuilder<Task>,
+    userId: string,
+    alias = 'task',
+  ): SelectQueryBuilder<Task> {
+    return queryBuilder.andWhere(
+      `(${alias}.userId = :visibleToUserId OR ${alias}.projectId IN (
+        SELECT pm.project_id FROM project_members pm WHERE pm.user_id = :visibleToUserId
+      ) OR ${alias}.id IN (
+        SELECT ta.task_id FROM task_assignees ta WHERE ta.user_id = :visibleToUserId
+      ))`,
+      { visibleToUserId: userId },
+    );
+  }
+
+  /**
+   * ✅ AUTHORIZATION: Restrict a task query to tasks the user owns or is assigned to, i.e. the
+   * tasks they may edit
+   */
+  private applyOwnerOrAssigneeScope(
+    queryBuilder: SelectQueryBuilder<Task>,
+    userId: string,
+    alias = 'task',
+  ): SelectQueryBuilder<Task> {
+    return queryBuilder.andWhere(
+      `(${alias}.userId = :editorId OR ${alias}.id IN (
+        SELECT ta.task_id FROM task_assignees ta WHERE ta.user_id = :editorId
+      ))`,
+      { editorId: userId },
+    );
+  }
+
+  /**
+   * ✅ WATCHERS: IDs of the users watching a task, for notification fan-out
+   */
+  async findWatcherIds(taskId: string): Promise<string[]> {
+    const rows: { user_id: string }[] = await this.tasksRepository.query(
+      'SELECT user_id FROM task_watchers WHERE task_id = $1',
+      [taskId],
+    );
+
+    return rows.map(row => row.user_id);
+  }
+
+  /**
+   * ✅ PROJECTS: Check a project exists in the organization and the caller is a member (admins can
+   * use any of the organization's projects)
+   */
+  private async canAccessProject(
+    manager: EntityManager,
+    organizationId: string,
+    projectId: string,
+    userId?: string,
+    userPermissions?: string[],
+  ): Promise<boolean> {
+    const params: unknown[] = [projectId, organizationId];
+    let sql = 'SELECT 1 FROM projects p WHERE p.id = $1 AND p.organization_id = $2';
+
+    if (!hasPermission(userPermissions, PermissionName.PROJECTS_READ_ANY) && userId) {
+      params.push(userId);
+      sql +=
+        ' AND EXISTS (SELECT 1 FROM project_members pm WHERE pm.project_id = p.id AND pm.user_id = $3)';
+    }
+
+    const rows = await manager.query(sql, params);
+    return rows.length > 0;
+  }
+
+  /**
+   * ✅ HIERARCHY: Ensure a parent exists, is visible to the caller and doesn't create a cycle
+   */
+  private async validateParentTask(
+    manager: EntityManager,
+    organizationId: string,
+    parentTaskId: string,
+    taskId: string | undefined,
+    userId?: string,
+    userPermissions?: string[],
+  ): Promise<void> {
+    if (parentTaskId === taskId) {
+      throw new BadRequestException('Invalid parentTaskId: A task cannot be its own parent');
+    }
+
+    const parent = await manager.findOne(Task, {
+      where: { id: parentTaskId, organizationId },
+      select: ['id', 'userId', 'parentTaskId'],
+    });
+
+    // ✅ AUTHORIZATION: Non-admin users can only nest under their own tasks
+    if (
+      !parent ||
+      (!hasPermission(userPermissions, PermissionName.TASKS_UPDATE_ANY) &&
+        userId &&
+        parent.userId !== userId)
+    ) {
+      throw new BadRequestException('Invalid parentTaskId: Parent task not found');
+    }
+
+    if (!taskId) {
+      return;
+    }
+
+    // ✅ INTEGRITY: Walk up the ancestors to make sure the task isn't one of them
+    const visited = new Set<string>([parent.id]);
+    let ancestorId = parent.parentTaskId;
+    while (ancestorId) {
+      if (ancestorId === taskId || visited.has(ancestorId)) {
+        throw new BadRequestException('Invalid parentTaskId: Task hierarchy cannot contain cycles');
       }
+      visited.add(ancestorId);
+
+      const ancestor = await manager.findOne(Task, {
+        where: { id: ancestorId },
+        select: ['id', 'parentTaskId'],
+      });
+      ancestorId = ancestor?.parentTaskId ?? null;
+    }
+  }
+
+  /**
+   * ✅ HIERARCHY: Count subtasks that aren't COMPLETED, per parent
+   * Subtasks listed in excludeIds are ignored (e.g. they're being completed in the same batch)
+   */
+  private async countOpenSubtasks(
+    manager: EntityManager,
+    parentTaskIds: string[],
+    excludeIds: string[] = [],
+  ): Promise<Map<string, number>> {
+    const rows: { parentTaskId: string; open: string }[] = await manager
+      .createQueryBuilder(Task, 'task')
+      .select('task.parentTaskId', 'parentTaskId')
+      .addSelect('COUNT(*)', 'open')
+      .where({
+        parentTaskId: In(parentTaskIds),
+        status: Not(TaskStatus.COMPLETED),
+        ...(excludeIds.length > 0 ? { id: Not(In(excludeIds)) } : {}),
+      })
+      .groupBy('task.parentTaskId')
+      .getRawMany();
+
+    return new Map(rows.map(row => [row.parentTaskId, parseInt(row.open, 10)]));
+  }
+
+  /**
+   * ✅ DEPENDENCIES: Count the tasks blocking each of these that aren't COMPLETED yet
+   * Blockers in the trash no longer block
+   */
+  private async countOpenBlockers(
+    manager: EntityManager,
+    taskIds: string[],
+  ): Promise<Map<string, number>> {
+    const rows: { task_id: string; open: string }[] = await manager.query(
+      `SELECT dep.task_id, COUNT(*) AS open FROM task_dependencies dep
+       INNER JOIN tasks blocker ON blocker.id = dep.blocked_by_task_id
+       WHERE dep.task_id = ANY($1) AND blocker.status != $2 AND blocker.deleted_at IS NULL
+       GROUP BY dep.task_id`,
+      [taskIds, TaskStatus.COMPLETED],
+    );
+
+    return new Map(rows.map(row => [row.task_id, parseInt(row.open, 10)]));
+  }
+
+  /**
+   * ✅ PERFORMANCE: Roll-up progress for many tasks with a single aggregate query
+   */
+  private async attachSubtaskProgress(tasks: Task[]): Promise<(Task & SubtaskProgress)[]> {
+    if (tasks.length === 0) {
+      return [];
+    }
+
+    const rows: { parentTaskId: string; total: string; completed: string }[] =
+      await this.tasksRepository
+        .createQueryBuilder('task')
+        .select('task.parentTaskId', 'parentTaskId')
+        .addSelect('COUNT(*)', 'total')
+        .addSelect('COUNT(CASE WHEN task.status = :completed THEN 1 END)', 'completed')
+        .where('task.parentTaskId IN (:...ids)', { ids: tasks.map(task => task.id) })
+        .setParameter('completed', TaskStatus.COMPLETED)
+        .groupBy('task.parentTaskId')
+        .getRawMany();
+
+    const counts = new Map(rows.map(row => [row.parentTaskId, row]));
+
+    return tasks.map(task => {
+      const row = counts.get(task.id);
+      const subtaskCount = row ? parseInt(row.total, 10) : 0;
+      const completedSubtaskCount = row ? parseInt(row.completed, 10) : 0;
+
+      return Object.assign(task, {
+        subtaskCount,
+        completedSubtaskCount,
+        progress:
+          subtaskCount > 0 ? Math.round((completedSubtaskCount / subtaskCount) * 100) : null,
+      });
     });
   }
 
   /**
-   * ✅ OPTIMIZED: Validate task existence in bulk with authorization
+   * ✅ PAGINATION: Restrict a query to the rows after the cursor in the given read order
+   * Postgres sorts NULLs last ascending and first descending; only dueDate can be NULL
    */
-  async validateTasksExist(taskIds: string[], userId?: string, userRole?: string): Promise<{ existing: string[], missing: string[] }> {
-    const queryBuilder = this.tasksRepository
+  private applyCursorCondition(
+    queryBuilder: SelectQueryBuilder<Task>,
+    cursor: TaskCursor,
+    readOrder: 'ASC' | 'DESC',
+  ): void {
+    const column = `task.${cursor.sortBy}`;
+    const ascending = readOrder === 'ASC';
+    const op = ascending ? '>' : '<';
+    const params = { cursorValue: cursor.value, cursorId: cursor.id };
+
+    if (cursor.value === null) {
+      queryBuilder.andWhere(
+        ascending
+          ? `(${column} IS NULL AND task.id > :cursorId)`
+          : `(${column} IS NOT NULL OR task.id < :cursorId)`,
+        params,
+      );
+      return;
+    }
+
+    // Ascending, the NULL due dates all come after any dated cursor row
+    const nullsAfter = ascending && cursor.sortBy === 'dueDate' ? ` OR ${column} IS NULL` : '';
+    queryBuilder.andWhere(
+      `(${column} ${op} :cursorValue OR (${column} = :cursorValue AND task.id ${op} :cursorId)${nullsAfter})`,
+      params,
+    );
+  }
+
+  /**
+   * ✅ PAGINATION: Cursors pointing after the last row and before the first row of a page
+   */
+  private async buildPageCursors(
+    tasks: Task[],
+    sortBy: string,
+    sortOrder: 'ASC' | 'DESC',
+    hasNext: boolean,
+    hasPrev: boolean,
+  ): Promise<{ nextCursor: string | null; prevCursor: string | null }> {
+    if (tasks.length === 0 || (!hasNext && !hasPrev)) {
+      return { nextCursor: null, prevCursor: null };
+    }
+
+    const first = tasks[0];
+    const last = tasks[tasks.length - 1];
+
+    // Read the sort values back as text: JS Dates would truncate microsecond timestamps
+    const rows: { id: string; value: string | null }[] = await this.tasksRepository
       .createQueryBuilder('task')
-      .select('task.id')
-      .where('task.id IN (:...taskIds)', { taskIds });
+      .select('task.id', 'id')
+      .addSelect(`CAST(task.${sortBy} AS text)`, 'value')
+      .where('task.id IN (:...ids)', { ids: [first.id, last.id] })
+      .getRawMany();
+    const values = new Map(rows.map(row => [row.id, row.value]));
+
+    const encode = (id: string, direction: TaskCursor['direction']) => {
+      const payload: TaskCursor = {
+        sortBy,
+        sortOrder,
+        value: values.get(id) ?? null,
+        id,
+        direction,
+      };
+      return Buffer.from(JSON.stringify(payload)).toString('base64url');
+    };
 
-    // ✅ AUTHORIZATION: Filter by userId for non-admin users
-    if (userRole !== 'admin' && userId) {
-      queryBuilder.andWhere('task.userId = :userId', { userId });
+    return {
+      nextCursor: hasNext ? encode(last.id, 'next') : null,
+      prevCursor: hasPrev ? encode(first.id, 'prev') : null,
+    };
+  }
+
+  /**
+   * ✅ VALIDATION: Cursors are opaque to clients, so reject anything we didn't issue for this sort
+   */
+  private decodeCursor(cursor: string, sortBy: string, sortOrder: string): TaskCursor {
+    let decoded: Partial<TaskCursor>;
+    try {
+      decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new BadRequestException('Invalid cursor');
     }
 
-    const existingTasks = await queryBuilder.getMany();
-    const existingIds = existingTasks.map(task => task.id);
-    const missingIds = taskIds.filter(id => !existingIds.includes(id));
+    const isValid =
+      decoded !== null &&
+      typeof decoded === 'object' &&
+      typeof decoded.id === 'string' &&
+      /^[0-9a-f-]{36}$/i.test(decoded.id) &&
+      (typeof decoded.value === 'string' || decoded.value === null) &&
+      (decoded.direction === 'next' || decoded.direction === 'prev') &&
+      typeof decoded.sortBy === 'string' &&
+      CURSOR_SORT_FIELDS.includes(decoded.sortBy);
+
+    if (!isValid) {
+      throw new BadRequestException('Invalid cursor');
+    }
 
-    return { existing: existingIds, missing: missingIds };
+    if (decoded.sortBy !== sortBy || decoded.sortOrder !== sortOrder) {
+      throw new BadRequestException('Cursor does not match the requested sortBy/sortOrder');
+    }
+
+    return decoded as TaskCursor;
+  }
+
+  /**
+   * ✅ SEARCH: Rank and highlighted snippets for a page of search results in one query
+   */
+  private async attachSearchMatches<T extends Task>(
+    tasks: T[],
+    q: string,
+  ): Promise<(T & SearchMatch)[]> {
+    if (tasks.length === 0) {
+      return [];
+    }
+
+    const rows: { id: string; rank: string; title: string; description: string | null }[] =
+      await this.tasksRepository
+        .createQueryBuilder('task')
+        .select('task.id', 'id')
+        .addSelect(`ts_rank(task.searchVector, ${SEARCH_QUERY})`, 'rank')
+        .addSelect(`ts_headline('english', task.title, ${SEARCH_QUERY}, :titleOptions)`, 'title')
+        .addSelect(
+          `ts_headline('english', task.description, ${SEARCH_QUERY}, :snippetOptions)`,
+          'description',
+        )
+        .where('task.id IN (:...ids)', { ids: tasks.map(task => task.id) })
+        .setParameters({
+          searchQuery: q,
+          titleOptions: 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true',
+          snippetOptions:
+            'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5, FragmentDelimiter=" … "',
+        })
+        .getRawMany();
+
+    const matches = new Map(rows.map(row => [row.id, row]));
+
+    return tasks.map(task => {
+      const row = matches.get(task.id);
+
+      return Object.assign(task, {
+        rank: row ? parseFloat(row.rank) : 0,
+        highlights: {
+          title: row?.title ?? task.title,
+          description: row?.description ?? null,
+        },
+      });
+    });
   }
 
   /**
    * ✅ OPTIMIZED: Centralized cache invalidation for task operations
    * Enhanced to include individual task cache clearing and comprehensive list cache invalidation
+   * Public so the task sub-services (dependencies, etc.) can invalidate after their own writes
+   * ✅ TENANCY: Without an organizationId the matching caches of every organization are cleared
    */
-  private async clearTaskCaches(specificUserId?: string, specificTaskId?: string): Promise<void> {
+  async clearTaskCaches(
+    organizationId?: string,
+    specificUserId?: string,
+    specificTaskId?: string,
+  ): Promise<void> {
     try {
       // ✅ SIMPLE & EFFECTIVE: Clear specific cache types instead of pattern matching
       const cachePromises = [];
+      const organization = organizationId ?? ALL_ORGANIZATIONS;
 
       // ✅ NEW: Clear individual task caches if specific task ID provided
       if (specificTaskId) {
         // Clear both admin and user-specific caches for this task
-        cachePromises.push(
-          this.cacheService.delete(`task:${specificTaskId}:admin`, 'tasks')
-        );
+        if (organizationId) {
+          cachePromises.push(
+            this.cacheService.delete(`task:${specificTaskId}:admin`, 'tasks', organizationId),
+          );
+        }
 
         // If we know the specific user, clear their cache
-        if (specificUserId) {
+        if (organizationId && specificUserId) {
           cachePromises.push(
-            this.cacheService.delete(`task:${specificTaskId}:user:${specificUserId}`, 'tasks')
+            this.cacheService.delete(
+              `task:${specificTaskId}:user:${specificUserId}`,
+              'tasks',
+              organizationId,
+            ),
           );
         }
 
         // ✅ FALLBACK: Clear all possible user caches for this task using pattern
         cachePromises.push(
-          this.cacheService.deletePattern(`task:${specificTaskId}:*`, 'tasks')
+          this.cacheService.deletePattern(`task:${specificTaskId}:*`, 'tasks', organization),
         );
       } else {
         // ✅ BULK: Clear all individual task caches when no specific task ID
-        cachePromises.push(
-          this.cacheService.deletePattern('task:*', 'tasks')
-        );
+        cachePromises.push(this.cacheService.deletePattern('task:*', 'tasks', organization));
       }
 
       // ✅ OPTIMIZED: Use pattern deletion instead of nested loops
       // This replaces 400+ individual deletions with just a few pattern deletions
 
       // Clear all task list caches using pattern matching
-      cachePromises.push(
-        this.cacheService.deletePattern('list:*', 'tasks')
-      );
+      cachePromises.push(this.cacheService.deletePattern('list:*', 'tasks', organization));
 
       // ✅ USER-SPECIFIC: Clear user-specific list caches if provided
       if (specificUserId) {
         // Clear caches that contain this specific user
         cachePromises.push(
-          this.cacheService.deletePattern(`list:*"userId":"${specificUserId}"*`, 'tasks')
+          this.cacheService.deletePattern(
+            `list:*"userId":"${specificUserId}"*`,
+            'tasks',
+            organization,
+          ),
         );
       }
 
       // ✅ STATS: Clear user-specific stats cache
-      if (specificUserId) {
-        cachePromises.push(this.cacheService.delete(`stats:user:${specificUserId}`, 'tasks'));
+      if (organizationId && specificUserId) {
+        cachePromises.push(
+          this.cacheService.delete(`stats:user:${specificUserId}`, 'tasks', organizationId),
+        );
       }
 
-      // ✅ GLOBAL STATS: Clear global stats cache
-      cachePromises.push(this.cacheService.delete('stats:global', 'tasks'));
+      // ✅ GLOBAL STATS: Clear the organization-wide stats cache
+      if (organizationId) {
+        cachePromises.push(this.cacheService.delete('stats:global', 'tasks', organizationId));
+      }
 
       // ✅ COMPREHENSIVE: Clear all stats caches using pattern
-      cachePromises.push(
-        this.cacheService.deletePattern('stats:*', 'tasks')
-      );
+      cachePromises.push(this.cacheService.deletePattern('stats:*', 'tasks', organization));
 
       await Promise.all(cachePromises);
 
-      // ✅ DEBUG: Log optimized cache clearing (remove in production)
-      console.log(`✅ OPTIMIZED: Cleared task caches using ${cachePromises.length} efficient operations${specificTaskId ? ` for task ${specificTaskId}` : ''}${specificUserId ? ` for user ${specificUserId}` : ''}`);
+      this.logger.debug(
+        `Cleared task caches using ${cachePromises.length} efficient operations${organizationId ? ` in organization ${organizationId}` : ''}${specificTaskId ? ` for task ${specificTaskId}` : ''}${specificUserId ? ` for user ${specificUserId}` : ''}`,
+      );
     } catch (error) {
       // ✅ RESILIENT: Don't fail the operation if cache clearing fails
-      console.warn('Cache clearing failed:', error);
+      this.logger.warn(
+        `Cache clearing failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
+      );
     }
   }
 
-  async bulkUpdateTasks(bulkUpdateDto: BulkUpdateTaskDto) {
+  /**
+   * ✅ BULK: Each item goes through update(), so it gets the same ownership, hierarchy and
+   * dependency checks, history and status jobs as a single PATCH. Items fail on their own
+   * (with the status a single update would have returned) without stopping the rest.
+   */
+  async bulkUpdateTasks(
+    bulkUpdateDto: BulkUpdateTaskDto,
+    organizationId: string,
+    userId?: string,
+    userPermissions?: string[],
+  ) {
     const { updates } = bulkUpdateDto;
     const results = {
       success: true,
@@ -788,26 +2087,48 @@ export class TasksService {
       updated: 0,
       failed: 0,
       updatedTaskIds: [] as string[],
-      failedUpdates: [] as { id: string; error: string }[]
+      failedUpdates: [] as { id: string; statusCode: number; error: string }[],
     };
 
     for (const update of updates) {
       try {
-        // Validate update data using UpdateTaskDto
-        const updateDto = new UpdateTaskDto();
-        Object.assign(updateDto, update.data);
+        // ✅ VALIDATION: Items aren't checked by the global pipe, so validate each like a PATCH body
+        // (whitelisted, so no column outside UpdateTaskDto such as organizationId can be set)
+        const updateDto = plainToInstance(UpdateTaskDto, update.data ?? {});
+        const errors = await validate(updateDto, {
+          whitelist: true,
+          forbidNonWhitelisted: true,
+          skipMissingProperties: true,
+        });
+        if (errors.length > 0) {
+          throw new BadRequestException(
+            `Invalid update data: ${errors.map(error => Object.values(error.constraints ?? {}).join(', ')).join('; ')}`,
+          );
+        }
+
+        // ✅ CONCURRENCY: An item carrying a version only applies if the task is still at it
+        if (update.version !== undefined && !Number.isInteger(update.version)) {
+          throw new BadRequestException('Invalid version: must be an integer');
+        }
+
+        await this.update(update.id, updateDto, organizationId, userId, userPermissions, {
+          expectedVersions: update.version !== undefined ? [update.version] : undefined,
+        });
 
-        // Update the task in the database
-        await this.tasksRepository.update(update.id, updateDto);
         results.updated++;
         results.updatedTaskIds.push(update.id);
       } catch (error) {
         results.failed++;
-        results.failedUpdates.push({ id: update.id, error: error instanceof Error ? error.message : 'Unknown error' });
+        results.failedUpdates.push({
+          id: update.id,
+          statusCode:
+            error instanceof HttpException ? error.getStatus() : HttpStatus.INTERNAL_SERVER_ERROR,
+          error: error instanceof Error ? error.message : 'Unknown error',
+        });
       }
     }
 
     results.message = `Successfully updated ${results.updated} tasks`;
     return results;
   }
-}
\ No newline at end of file
+}
@@ -1,4 +1,4 @@
-import { IsEmail, IsNotEmpty, IsString, MinLength, IsOptional, IsIn } from 'class-validator';
+import { IsEmail, IsNotEmpty, IsString, MinLength, IsOptional } from 'class-validator';
 import { ApiProperty } from '@nestjs/swagger';
 import { IsStrongPassword } from '../../../common/decorators/validation.decorators';
 
@@ -21,13 +21,11 @@ export class CreateUserDto {
 
   @ApiProperty({
     example: 'user',
-    description: 'User role (defaults to user)',
-    enum: ['user', 'admin'],
+    description: 'Name of an existing role (defaults to user)',
     required: false,
-    default: 'user'
+    default: 'user',
   })
   @IsOptional()
   @IsString()
-  @IsIn(['user', 'admin'])
   role?: string;
-}
\ No newline at end of file
+}
@@ -1,17 +1,15 @@
 import { PartialType } from '@nestjs/swagger';
-import { IsOptional, IsString, IsIn } from 'class-validator';
+import { IsOptional, IsString } from 'class-validator';
 import { ApiProperty } from '@nestjs/swagger';
 import { CreateUserDto } from './create-user.dto';
 
 export class UpdateUserDto extends PartialType(CreateUserDto) {
-    @ApiProperty({
-        example: 'admin',
-        description: 'User role (admin only)',
-        enum: ['user', 'admin'],
-        required: false
-    })
-    @IsOptional()
-    @IsString()
-    @IsIn(['user', 'admin'])
-    role?: string;
-}
\ No newline at end of file
+  @ApiProperty({
+    example: 'admin',
+    description: 'Name of an existing role (requires roles:manage)',
+    required: false,
+  })
+  @IsOptional()
+  @IsString()
+  role?: string;
+}
@@ -19,6 +19,10 @@ export class UserResponseDto {
   @ApiProperty({ example: 'user' })
   role: string;
 
+  @Expose()
+  @ApiProperty({ example: '2023-01-01T00:00:00.000Z', nullable: true })
+  emailVerifiedAt: Date | null;
+
   @Expose()
   @ApiProperty({ example: '2023-01-01T00:00:00.000Z' })
   createdAt: Date;
@@ -30,4 +34,4 @@ export class UserResponseDto {
   constructor(partial: Partial<UserResponseDto>) {
     Object.assign(this, partial);
   }
-} 
\ No newline at end of file
+}
@@ -1,5 +1,15 @@
-import { Column, CreateDateColumn, Entity, OneToMany, PrimaryGeneratedColumn, UpdateDateColumn } from 'typeorm';
+import {
+  Column,
+  CreateDateColumn,
+  Entity,
+  JoinColumn,
+  ManyToOne,
+  OneToMany,
+  PrimaryGeneratedColumn,
+  UpdateDateColumn,
+} from 'typeorm';
 import { Task } from '../../tasks/entities/task.entity';
+import { Organization } from '../../organizations/entities/organization.entity';
 import { RefreshToken } from '../../auth/entities/refresh-token.entity';
 import { Exclude } from 'class-transformer';
 
@@ -14,17 +24,42 @@ export class User {
   @Column()
   name: string;
 
-  @Column()
+  // null for users provisioned through single sign-on, who have no password
+  @Column({ type: 'varchar', nullable: true })
   @Exclude({ toPlainOnly: true })
-  password: string;
+  password: string | null;
 
   @Column({ default: 'user' })
   role: string;
 
-  @OneToMany(() => Task, (task) => task.user)
+  // ✅ TENANCY: The organization the user is currently working in, always one they are a member of
+  @Column({ name: 'organization_id', type: 'uuid' })
+  organizationId: string;
+
+  @ManyToOne(() => Organization)
+  @JoinColumn({ name: 'organization_id' })
+  organization: Organization;
+
+  // ✅ VERIFICATION: Set once the user follows the link from the verification email
+  @Column({ name: 'email_verified_at', type: 'timestamp', nullable: true })
+  emailVerifiedAt: Date | null;
+
+  // ✅ 2FA: TOTP secret, encrypted by TwoFactorService; never loaded (or cached) unless asked for.
+  // Set during enrollment, but only in use once twoFactorEnabledAt is set by the confirmation
+  @Column({ name: 'two_factor_secret', type: 'text', nullable: true, select: false })
+  twoFactorSecret?: string | null;
+
+  @Column({ name: 'two_factor_enabled_at', type: 'timestamp', nullable: true })
+  twoFactorEnabledAt: Date | null;
+
+  // Time step of the last accepted code, so a code can't be replayed within its window
+  @Column({ name: 'two_factor_last_used_step', type: 'int', nullable: true, select: false })
+  twoFactorLastUsedStep?: number | null;
+
+  @OneToMany(() => Task, task => task.user)
   tasks: Task[];
 
-  @OneToMany(() => RefreshToken, (refreshToken) => refreshToken.user)
+  @OneToMany(() => RefreshToken, refreshToken => refreshToken.user)
   refreshTokens: RefreshToken[];
 
   @CreateDateColumn({ name: 'created_at' })
@@ -32,4 +67,4 @@ export class User {
 
   @UpdateDateColumn({ name: 'updated_at' })
   updatedAt: Date;
-} 
\ No newline at end of file
+}
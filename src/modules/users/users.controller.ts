@@ -1,105 +1,179 @@
-import { Controller, Get, Post, Body, Patch, Param, Delete, UseGuards, ClassSerializerInterceptor, UseInterceptors, ForbiddenException, HttpCode, HttpStatus } from '@nestjs/common';
+import {
+  Controller,
+  Get,
+  Post,
+  Body,
+  Patch,
+  Param,
+  Delete,
+  UseGuards,
+  ClassSerializerInterceptor,
+  UseInterceptors,
+  ForbiddenException,
+  HttpCode,
+  HttpStatus,
+} from '@nestjs/common';
 import { UsersService } from './users.service';
 import { CreateUserDto } from './dto/create-user.dto';
 import { UpdateUserDto } from './dto/update-user.dto';
 import { UserResponseDto } from './dto/user-response.dto';
 import { JwtAuthGuard } from '../auth/guards/jwt-auth.guard';
 import { ApiBearerAuth, ApiTags, ApiOperation, ApiResponse } from '@nestjs/swagger';
-import { Roles } from '../../common/decorators/roles.decorator';
-import { RolesGuard } from '../../common/guards/roles.guard';
+import { RequirePermissions } from '../../common/decorators/require-permissions.decorator';
+import { PermissionsGuard } from '../../common/guards/permissions.guard';
+import { PermissionName } from '../roles/enums/permission-name.enum';
 import { CurrentUser } from '../auth/decorators/current-user.decorator';
+import { DenyWhileImpersonating } from '../auth/decorators/deny-while-impersonating.decorator';
+import { DEFAULT_ROLE } from '../roles/roles.service';
 
 @ApiTags('users')
 @Controller('users')
 @UseInterceptors(ClassSerializerInterceptor)
 export class UsersController {
-  constructor(private readonly usersService: UsersService) { }
+  constructor(private readonly usersService: UsersService) {}
 
-  @UseGuards(JwtAuthGuard, RolesGuard)
-  @Roles('admin')
+  @UseGuards(JwtAuthGuard, PermissionsGuard)
+  @RequirePermissions(PermissionName.USERS_CREATE)
   @ApiBearerAuth()
   @Post()
-  @ApiOperation({ summary: 'Create a new user (admin only)' })
+  @ApiOperation({
+    summary: 'Create a new user (requires users:create, other roles than user need roles:manage)',
+  })
   @ApiResponse({ status: 201, description: 'User created successfully', type: UserResponseDto })
   @ApiResponse({ status: 400, description: 'Validation failed' })
   @ApiResponse({ status: 401, description: 'Authentication required' })
-  @ApiResponse({ status: 403, description: 'Admin access required' })
+  @ApiResponse({ status: 403, description: 'Permission required' })
   @ApiResponse({ status: 409, description: 'Email already exists' })
-  async create(@Body() createUserDto: CreateUserDto): Promise<UserResponseDto> {
-    // ✅ AUTHORIZATION: Only admins can create users
-    const user = await this.usersService.create(createUserDto);
+  async create(
+    @Body() createUserDto: CreateUserDto,
+    @CurrentUser() currentUser: any,
+  ): Promise<UserResponseDto> {
+    // ✅ AUTHORIZATION: Assigning a role other than the default one means managing roles
+    if (createUserDto.role && createUserDto.role !== DEFAULT_ROLE) {
+      this.assertCanAssignRoles(currentUser);
+    }
+
+    // ✅ TENANCY: New users join the organization of whoever creates them
+    const user = await this.usersService.create(createUserDto, {
+      organizationId: currentUser.organizationId,
+    });
     return new UserResponseDto(user);
   }
 
-  @UseGuards(JwtAuthGuard, RolesGuard)
-  @Roles('admin')
+  @UseGuards(JwtAuthGuard, PermissionsGuard)
+  @RequirePermissions(PermissionName.USERS_READ_ANY)
   @ApiBearerAuth()
   @Get()
-  @ApiOperation({ summary: 'Get all users (admin only)' })
-  @ApiResponse({ status: 200, description: 'Users retrieved successfully', type: [UserResponseDto] })
+  @ApiOperation({ summary: 'Get all users of your current organization (requires users:read:any)' })
+  @ApiResponse({
+    status: 200,
+    description: 'Users retrieved successfully',
+    type: [UserResponseDto],
+  })
   @ApiResponse({ status: 401, description: 'Authentication required' })
-  @ApiResponse({ status: 403, description: 'Admin access required' })
-  async findAll(): Promise<UserResponseDto[]> {
-    // ✅ AUTHORIZATION: Only admins can view all users
-    const users = await this.usersService.findAll();
+  @ApiResponse({ status: 403, description: 'Permission required' })
+  async findAll(@CurrentUser() currentUser: any): Promise<UserResponseDto[]> {
+    const users = await this.usersService.findAll(currentUser.organizationId);
     return users.map(user => new UserResponseDto(user));
   }
 
   @UseGuards(JwtAuthGuard)
   @ApiBearerAuth()
   @Get(':id')
-  @ApiOperation({ summary: 'Get user by ID (users can only access their own data, admins can access any user)' })
+  @ApiOperation({
+    summary: 'Get user by ID (your own, or any in your organization with users:read:any)',
+  })
   @ApiResponse({ status: 200, description: 'User found successfully', type: UserResponseDto })
   @ApiResponse({ status: 401, description: 'Authentication required' })
   @ApiResponse({ status: 403, description: 'Access denied - can only access your own data' })
   @ApiResponse({ status: 404, description: 'User not found or invalid UUID format' })
   async findOne(@Param('id') id: string, @CurrentUser() user: any): Promise<UserResponseDto> {
-    // ✅ AUTHORIZATION: Users can only access their own data, admins can access any user
-    if (user.role !== 'admin' && user.id !== id) {
+    // ✅ AUTHORIZATION: Users can only access their own data unless they may read any user
+    if (!user.permissions.includes(PermissionName.USERS_READ_ANY) && user.id !== id) {
       throw new ForbiddenException('Access denied - you can only access your own data');
     }
-    const foundUser = await this.usersService.findOne(id);
+    const foundUser =
+      user.id === id
+        ? await this.usersService.findOne(id)
+        : await this.usersService.findOneInOrganization(id, user.organizationId);
     return new UserResponseDto(foundUser);
   }
 
   @UseGuards(JwtAuthGuard)
+  @DenyWhileImpersonating() // Email, password and role changes would outlive the impersonation
   @ApiBearerAuth()
   @Patch(':id')
-  @ApiOperation({ summary: 'Update user by ID (users can only update their own data, admins can update any user)' })
+  @ApiOperation({
+    summary:
+      'Update user by ID (your own, or any only in your organization with users:update:any; role changes need roles:manage)',
+  })
   @ApiResponse({ status: 200, description: 'User updated successfully', type: UserResponseDto })
   @ApiResponse({ status: 401, description: 'Authentication required' })
-  @ApiResponse({ status: 403, description: 'Access denied - can only update your own data or role changes require admin' })
+  @ApiResponse({
+    status: 403,
+    description:
+      'Access denied - can only update your own data, users of other organizations too, or role changes require roles:manage',
+  })
   @ApiResponse({ status: 404, description: 'User not found or invalid UUID format' })
-  async update(@Param('id') id: string, @Body() updateUserDto: UpdateUserDto, @CurrentUser() user: any): Promise<UserResponseDto> {
-    // ✅ AUTHORIZATION: Users can only update their own data, admins can update any user
-    if (user.role !== 'admin' && user.id !== id) {
+  async update(
+    @Param('id') id: string,
+    @Body() updateUserDto: UpdateUserDto,
+    @CurrentUser() user: any,
+  ): Promise<UserResponseDto> {
+    // ✅ AUTHORIZATION: Users can only update their own data unless they may update any user
+    if (!user.permissions.includes(PermissionName.USERS_UPDATE_ANY) && user.id !== id) {
       throw new ForbiddenException('Access denied - you can only update your own data');
     }
 
-    // ✅ SECURITY: Prevent role escalation - only admins can change roles
-    if (updateUserDto.role && user.role !== 'admin') {
-      throw new ForbiddenException('Access denied - only administrators can change user roles');
+    // ✅ SECURITY: Prevent role escalation - only role managers can change roles
+    if (updateUserDto.role) {
+      this.assertCanAssignRoles(user);
+    }
+
+    // ✅ TENANCY: Accounts shared with other organizations are left to their owners
+    if (user.id !== id) {
+      await this.usersService.findOneManagedBy(id, user.organizationId);
     }
 
     const updatedUser = await this.usersService.update(id, updateUserDto);
     return new UserResponseDto(updatedUser);
   }
 
-  @UseGuards(JwtAuthGuard, RolesGuard)
-  @Roles('admin')
+  @UseGuards(JwtAuthGuard, PermissionsGuard)
+  @RequirePermissions(PermissionName.USERS_DELETE)
   @ApiBearerAuth()
   @Delete(':id')
   @HttpCode(HttpStatus.OK)
-  @ApiOperation({ summary: 'Delete user by ID (admin only, cannot delete admins or self)' })
+  @ApiOperation({
+    summary:
+      'Delete user by ID (requires users:delete, only users of your organization alone, cannot delete administrators or self)',
+  })
   @ApiResponse({ status: 200, description: 'User deleted successfully' })
   @ApiResponse({ status: 400, description: 'Cannot delete user with related records' })
   @ApiResponse({ status: 401, description: 'Authentication required' })
-  @ApiResponse({ status: 403, description: 'Admin access required, cannot delete admin users or self' })
+  @ApiResponse({
+    status: 403,
+    description:
+      'users:delete permission required, cannot delete administrators, self or users of other organizations too',
+  })
   @ApiResponse({ status: 404, description: 'User not found or invalid UUID format' })
-  async remove(@Param('id') id: string, @CurrentUser() currentUser: any): Promise<{ message: string }> {
-    // ✅ AUTHORIZATION: Only admins can delete users
-    // ✅ SECURITY: Prevent admin from deleting themselves or other admins
+  async remove(
+    @Param('id') id: string,
+    @CurrentUser() currentUser: any,
+  ): Promise<{ message: string }> {
+    // ✅ TENANCY: Only users who belong to this organization alone
+    if (currentUser.id !== id) {
+      await this.usersService.findOneManagedBy(id, currentUser.organizationId);
+    }
+
+    // ✅ SECURITY: Prevent deleting yourself or other administrators
     await this.usersService.remove(id, currentUser.id);
     return { message: 'User deleted successfully' };
   }
-} 
\ No newline at end of file
+
+  private assertCanAssignRoles(user: any): void {
+    if (!user.permissions.includes(PermissionName.ROLES_MANAGE)) {
+      throw new ForbiddenException('Access denied - only role managers can change user roles');
+    }
+  }
+}
@@ -3,15 +3,18 @@ import { TypeOrmModule } from '@nestjs/typeorm';
 import { UsersService } from './users.service';
 import { UsersController } from './users.controller';
 import { User } from './entities/user.entity';
+import { OrganizationMembership } from '../organizations/entities/organization-membership.entity';
 import { CommonModule } from '../../common/common.module';
+import { RolesModule } from '../roles/roles.module';
 
 @Module({
   imports: [
-    TypeOrmModule.forFeature([User]),
+    TypeOrmModule.forFeature([User, OrganizationMembership]),
     CommonModule, // Import CommonModule to access RedisCacheService
+    RolesModule, // Import to validate role assignments
   ],
   controllers: [UsersController],
   providers: [UsersService],
   exports: [UsersService, TypeOrmModule],
 })
-export class UsersModule { } 
\ No newline at end of file
+export class UsersModule {}
@@ -1,37 +1,110 @@
-import { Injectable, NotFoundException, ConflictException, BadRequestException, ForbiddenException } from '@nestjs/common';
+import {
+  Injectable,
+  NotFoundException,
+  ConflictException,
+  BadRequestException,
+  ForbiddenException,
+} from '@nestjs/common';
 import { InjectRepository } from '@nestjs/typeorm';
 import { Repository } from 'typeorm';
 import { User } from './entities/user.entity';
 import { CreateUserDto } from './dto/create-user.dto';
 import { UpdateUserDto } from './dto/update-user.dto';
 import { RedisCacheService } from '../../common/services/redis-cache.service';
+import { ADMIN_ROLE, DEFAULT_ROLE, RolesService } from '../roles/roles.service';
+import { PermissionName } from '../roles/enums/permission-name.enum';
+import { Organization } from '../organizations/entities/organization.entity';
+import { OrganizationMembership } from '../organizations/entities/organization-membership.entity';
 import * as bcrypt from 'bcrypt';
 
+/**
+ * A user to create. Without a password the account can only sign in through an identity
+ * provider (see OidcService).
+ */
+export type NewUser = Omit<CreateUserDto, 'password'> & { password?: string };
+
+export interface CreateUserOptions {
+  emailVerified?: boolean; // Already verified elsewhere, e.g. by the identity provider
+  organizationId?: string; // Join this organization instead of getting a personal one
+  organizationRole?: string; // Role in organizationId, DEFAULT_ROLE unless given
+}
+
 @Injectable()
 export class UsersService {
   constructor(
     @InjectRepository(User)
     private usersRepository: Repository<User>,
+    @InjectRepository(OrganizationMembership)
+    private membershipsRepository: Repository<OrganizationMembership>,
     private readonly cacheService: RedisCacheService,
-  ) { }
+    private readonly rolesService: RolesService,
+  ) {}
 
-  async create(createUserDto: CreateUserDto): Promise<User> {
+  /**
+   * ✅ TENANCY: Every user belongs to at least one organization. Without options.organizationId
+   * they get a personal one, which they administer.
+   */
+  async create(
+    createUserDto: CreateUserDto | NewUser,
+    options: CreateUserOptions = {},
+  ): Promise<User> {
     // Check if user with this email already exists
     const existingUser = await this.findByEmail(createUserDto.email);
     if (existingUser) {
       throw new ConflictException('Email already exists');
     }
 
-    const hashedPassword = await bcrypt.hash(createUserDto.password, 10);
-    const user = this.usersRepository.create({
-      ...createUserDto,
-      password: hashedPassword,
+    if (createUserDto.role) {
+      await this.rolesService.assertExists(createUserDto.role);
+    }
+
+    if (options.organizationRole) {
+      await this.rolesService.assertExists(options.organizationRole);
+    }
+    const organizationRole = options.organizationId
+      ? (options.organizationRole ?? DEFAULT_ROLE)
+      : ADMIN_ROLE;
+
+    const { password, ...profile } = createUserDto;
+    const passwordHash = password ? await bcrypt.hash(password, 10) : null;
+
+    return this.usersRepository.manager.transaction(async manager => {
+      const organizationId =
+        options.organizationId ??
+        (await manager.save(manager.create(Organization, { name: `${profile.name}'s workspace` })))
+          .id;
+
+      const user = await manager.save(
+        manager.create(User, {
+          ...profile,
+          password: passwordHash,
+          organizationId,
+          ...(options.emailVerified && { emailVerifiedAt: new Date() }),
+        }),
+      );
+
+      await manager.save(
+        manager.create(OrganizationMembership, {
+          organizationId,
+          userId: user.id,
+          role: organizationRole,
+        }),
+      );
+
+      return user;
     });
-    return this.usersRepository.save(user);
   }
 
-  findAll(): Promise<User[]> {
-    return this.usersRepository.find();
+  /**
+   * ✅ TENANCY: Members of one organization
+   */
+  findAll(organizationId: string): Promise<User[]> {
+    return this.usersRepository
+      .createQueryBuilder('user')
+      .innerJoin(OrganizationMembership, 'membership', 'membership.user_id = user.id')
+      .where('membership.organization_id = :organizationId', { organizationId })
+      .orderBy('user.createdAt', 'ASC')
+      .getMany();
   }
 
   async findOne(id: string): Promise<User> {
@@ -50,10 +123,41 @@ export class UsersService {
         }
         return user;
       },
-      { ttl: 300, namespace: 'users' } // 5 minutes TTL
+      { ttl: 300, namespace: 'users' }, // 5 minutes TTL
     );
   }
 
+  /**
+   * ✅ TENANCY: A user, as long as they are a member of the organization. Outsiders are reported
+   * as not found so other tenants' users can't be probed for.
+   */
+  async findOneInOrganization(id: string, organizationId: string): Promise<User> {
+    const user = await this.findOne(id);
+
+    if (!(await this.membershipsRepository.exists({ where: { organizationId, userId: id } }))) {
+      throw new NotFoundException('User not found');
+    }
+
+    return user;
+  }
+
+  /**
+   * ✅ TENANCY: A user whose account the organization may administer (edit, delete, sign out):
+   * a member of it and of no other organization, which would be affected too
+   */
+  async findOneManagedBy(id: string, organizationId: string): Promise<User> {
+    const user = await this.findOneInOrganization(id, organizationId);
+
+    const memberships = await this.membershipsRepository.count({ where: { userId: id } });
+    if (memberships > 1) {
+      throw new ForbiddenException(
+        'User also belongs to other organizations and can only be managed by themselves',
+      );
+    }
+
+    return user;
+  }
+
   async findByEmail(email: string): Promise<User | null> {
     return this.usersRepository.findOne({ where: { email } });
   }
@@ -66,10 +170,19 @@ export class UsersService {
 
     const user = await this.findOne(id);
 
+    if (updateUserDto.role && updateUserDto.role !== user.role) {
+      await this.rolesService.assertExists(updateUserDto.role);
+    }
+
     if (updateUserDto.password) {
       updateUserDto.password = await bcrypt.hash(updateUserDto.password, 10);
     }
 
+    // ✅ VERIFICATION: A new address has to be verified again
+    if (updateUserDto.email && updateUserDto.email !== user.email) {
+      user.emailVerifiedAt = null;
+    }
+
     this.usersRepository.merge(user, updateUserDto);
     const updatedUser = await this.usersRepository.save(user);
 
@@ -79,6 +192,20 @@ export class UsersService {
     return updatedUser;
   }
 
+  async markEmailVerified(id: string): Promise<void> {
+    await this.usersRepository.update({ id }, { emailVerifiedAt: new Date() });
+
+    // ✅ CACHE INVALIDATION: The JWT strategy reads the verification state from the cached user
+    await this.invalidateCache(id);
+  }
+
+  /**
+   * Drop the cached profile after changing the user outside this service
+   */
+  async invalidateCache(id: string): Promise<void> {
+    await this.cacheService.delete(`user:${id}`, 'users');
+  }
+
   async remove(id: string, currentUserId?: string): Promise<void> {
     // Validate UUID format first
     if (!this.isValidUUID(id)) {
@@ -92,9 +219,9 @@ export class UsersService {
       throw new ForbiddenException('You cannot delete your own account');
     }
 
-    // ✅ SECURITY: Prevent admin from deleting other admins
-    if (user.role === 'admin') {
-      throw new ForbiddenException('Cannot delete admin users. Contact system administrator.');
+    // ✅ SECURITY: Prevent deleting administrators (anyone who can manage roles)
+    if (await this.rolesService.hasPermission(user.role, PermissionName.ROLES_MANAGE)) {
+      throw new ForbiddenException('Cannot delete administrators. Contact system administrator.');
     }
 
     try {
@@ -106,7 +233,7 @@ export class UsersService {
       // Handle foreign key constraint violations
       if (error.code === '23503' || error.message?.includes('foreign key constraint')) {
         throw new BadRequestException(
-          'Cannot delete user because they have related records. Please remove or transfer their data first.'
+          'Cannot delete user because they have related records. Please remove or transfer their data first.',
         );
       }
 
@@ -122,4 +249,4 @@ export class UsersService {
     const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
     return uuidRegex.test(uuid);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,146 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { Processor, WorkerHost } from '@nestjs/bullmq';
+import { Job } from 'bullmq';
+
+export const EMAIL_QUEUE = 'email';
+
+export interface PasswordResetEmailJob {
+  userId: string;
+  email: string;
+  name: string;
+  token: string; // Raw reset token, only ever stored hashed in the database
+  expiresAt: string;
+}
+
+export interface EmailVerificationEmailJob {
+  userId: string;
+  email: string;
+  name: string;
+  token: string; // Signed verification token
+  expiresAt: string;
+}
+
+export interface OrganizationInvitationEmailJob {
+  invitationId: string;
+  email: string;
+  organizationName: string;
+  role: string;
+  expiresAt: string;
+}
+
+/**
+ * Sends transactional emails off the request path, so a slow or failing mail provider never
+ * delays (or reveals anything through) the auth endpoints that trigger them
+ */
+@Injectable()
+@Processor(EMAIL_QUEUE, {
+  concurrency: 5,
+})
+export class EmailProcessorService extends WorkerHost {
+  private readonly logger = new Logger(EmailProcessorService.name);
+
+  constructor(private readonly configService: ConfigService) {
+    super();
+  }
+
+  async process(job: Job): Promise<any> {
+    this.logger.debug(
+      `🔄 Processing email job ${job.id} (${job.name}) - Attempt ${job.attemptsMade + 1}/${job.opts.attempts || 1}`,
+    );
+
+    switch (job.name) {
+      case 'password-reset':
+        return this.handlePasswordReset(job as Job<PasswordResetEmailJob>);
+      case 'email-verification':
+        return this.handleEmailVerification(job as Job<EmailVerificationEmailJob>);
+      case 'organization-invitation':
+        return this.handleOrganizationInvitation(job as Job<OrganizationInvitationEmailJob>);
+      default:
+        throw new Error(`Unknown job type: ${job.name}`);
+    }
+  }
+
+  private async handlePasswordReset(job: Job<PasswordResetEmailJob>) {
+    const { userId, email, name, token, expiresAt } = job.data;
+
+    if (!email || !token) {
+      throw new Error('email and token are required for password reset email');
+    }
+
+    const resetUrl = new URL(
+      this.configService.get('PASSWORD_RESET_URL', 'http://localhost:3000/reset-password'),
+    );
+    resetUrl.searchParams.set('token', token);
+
+    // ✅ NOTIFICATION: In a real application, this would hand the email to a mail provider
+    // For now, we'll log it (the link itself only outside production, it grants account access)
+    this.logger.log(
+      `📧 PASSWORD RESET EMAIL: Sent to ${email} for user ${userId}, link valid until ${expiresAt}`,
+    );
+    if (this.configService.get('NODE_ENV') !== 'production') {
+      this.logger.debug(`Password reset link for ${name} <${email}>: ${resetUrl.toString()}`);
+    }
+
+    return {
+      success: true,
+      userId,
+      email,
+    };
+  }
+
+  private async handleEmailVerification(job: Job<EmailVerificationEmailJob>) {
+    const { userId, email, name, token, expiresAt } = job.data;
+
+    if (!email || !token) {
+      throw new Error('email and token are required for email verification email');
+    }
+
+    const verifyUrl = new URL(
+      this.configService.get('EMAIL_VERIFICATION_URL', 'http://localhost:3000/verify-email'),
+    );
+    verifyUrl.searchParams.set('token', token);
+
+    // ✅ NOTIFICATION: In a real application, this would hand the email to a mail provider
+    this.logger.log(
+      `📧 VERIFICATION EMAIL: Sent to ${email} for user ${userId}, link valid until ${expiresAt}`,
+    );
+    if (this.configService.get('NODE_ENV') !== 'production') {
+      this.logger.debug(`Verification link for ${name} <${email}>: ${verifyUrl.toString()}`);
+    }
+
+    return {
+      success: true,
+      userId,
+      email,
+    };
+  }
+
+  private async handleOrganizationInvitation(job: Job<OrganizationInvitationEmailJob>) {
+    const { invitationId, email, organizationName, role, expiresAt } = job.data;
+
+    if (!email || !invitationId) {
+      throw new Error('email and invitationId are required for organization invitation email');
+    }
+
+    // No token in the link: the invitation is accepted after signing in with the invited address
+    const invitationsUrl = this.configService.get(
+      'ORGANIZATION_INVITATION_URL',
+      'http://localhost:3000/invitations',
+    );
+
+    // ✅ NOTIFICATION: In a real application, this would hand the email to a mail provider
+    this.logger.log(
+      `📧 INVITATION EMAIL: Sent to ${email} for invitation ${invitationId}, valid until ${expiresAt}`,
+    );
+    this.logger.debug(
+      `Invitation to join ${organizationName} as ${role} for ${email}: ${invitationsUrl}`,
+    );
+
+    return {
+      success: true,
+      invitationId,
+      email,
+    };
+  }
+}
@@ -0,0 +1,14 @@
+import { Module } from '@nestjs/common';
+import { BullModule } from '@nestjs/bullmq';
+import { EmailProcessorService, EMAIL_QUEUE } from './email-processor.service';
+
+@Module({
+  imports: [
+    BullModule.registerQueue({
+      name: EMAIL_QUEUE,
+    }),
+  ],
+  providers: [EmailProcessorService],
+  exports: [EmailProcessorService],
+})
+export class EmailModule {}
@@ -0,0 +1,128 @@
+import { Injectable, Logger, Inject, forwardRef } from '@nestjs/common';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { InjectRepository } from '@nestjs/typeorm';
+import { In, Repository } from 'typeorm';
+import { Task } from '../../modules/tasks/entities/task.entity';
+import { TaskStatus } from '../../modules/tasks/enums/task-status.enum';
+import { TasksService } from '../../modules/tasks/tasks.service';
+
+@Injectable()
+export class RecurringTasksService {
+  private readonly logger = new Logger(RecurringTasksService.name);
+  private readonly BATCH_SIZE = 100; // Load series heads in batches
+  private readonly MAX_OCCURRENCES_PER_SERIES = 50; // Cap catch-up per run for long-ignored series
+
+  constructor(
+    @InjectRepository(Task)
+    private tasksRepository: Repository<Task>,
+    @Inject(forwardRef(() => TasksService))
+    private readonly tasksService: TasksService,
+  ) {}
+
+  /**
+   * ✅ RECURRENCE: Backfill occurrences that were never created
+   * Catches completions that didn't spawn a successor (e.g. a failed job) and recurring tasks
+   * left open past their due date, whose later occurrences would otherwise never appear
+   */
+  @Cron(CronExpression.EVERY_HOUR)
+  async backfillMissedOccurrences() {
+    const startTime = Date.now();
+    this.logger.log('🔁 Starting recurring tasks backfill...');
+
+    try {
+      const headIds = await this.findSeriesHeadsNeedingOccurrences();
+      let totalCreated = 0;
+
+      for (let offset = 0; offset < headIds.length; offset += this.BATCH_SIZE) {
+        const heads = await this.tasksRepository.find({
+          where: { id: In(headIds.slice(offset, offset + this.BATCH_SIZE)) },
+        });
+
+        for (const head of heads) {
+          totalCreated += await this.backfillSeries(head);
+        }
+      }
+
+      const duration = Date.now() - startTime;
+      this.logger.log(
+        `✅ Recurring tasks backfill completed: ${headIds.length} series checked, ${totalCreated} occurrences created (${duration}ms)`,
+      );
+
+      if (totalCreated > 0) {
+        await this.tasksService.clearTaskCaches();
+      }
+
+      return { checked: headIds.length, created: totalCreated };
+    } catch (error) {
+      this.logger.error(
+        `❌ Recurring tasks backfill failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        {
+          error: error instanceof Error ? error.stack : error,
+          timestamp: new Date().toISOString(),
+        },
+      );
+
+      // ✅ RELIABILITY: Don't throw error to prevent cron job from stopping
+      return { checked: 0, created: 0 };
+    }
+  }
+
+  /**
+   * Latest occurrence of every series that still recurs and is either completed or overdue
+   */
+  private async findSeriesHeadsNeedingOccurrences(): Promise<string[]> {
+    // The head is picked before filtering on the rule: clearing the rule on the latest
+    // occurrence ends the series, so older occurrences must not be picked up instead.
+    // The same goes for trashing it, so trashed occurrences still compete for the head
+    const rows: { id: string }[] = await this.tasksRepository.query(
+      `
+      SELECT head.id FROM (
+        SELECT DISTINCT ON (COALESCE(t.recurrence_series_id, t.id))
+          t.id, t.recurrence_rule, t.status, t.due_date, t.deleted_at
+        FROM tasks t
+        WHERE t.recurrence_rule IS NOT NULL OR t.recurrence_series_id IS NOT NULL
+        ORDER BY COALESCE(t.recurrence_series_id, t.id), t.recurrence_index DESC
+      ) head
+      WHERE head.recurrence_rule IS NOT NULL
+        AND head.deleted_at IS NULL
+        AND (head.status = $1 OR head.due_date < now())
+      `,
+      [TaskStatus.COMPLETED],
+    );
+
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * Create occurrences after a series head until the series has an open task that isn't overdue
+   */
+  private async backfillSeries(head: Task): Promise<number> {
+    const now = new Date();
+    let current = head;
+    let created = 0;
+
+    try {
+      while (created < this.MAX_OCCURRENCES_PER_SERIES) {
+        const isOverdue = !!current.dueDate && current.dueDate < now;
+        if (current.status !== TaskStatus.COMPLETED && !isOverdue) {
+          break;
+        }
+
+        const nextTask = await this.tasksService.createNextOccurrence(current);
+        if (!nextTask) {
+          break; // Rule exhausted or the occurrence already exists
+        }
+
+        current = nextTask;
+        created++;
+      }
+    } catch (error) {
+      // ✅ RELIABILITY: One broken series must not stop the others
+      this.logger.error(
+        `Failed to backfill recurring task ${head.id}: ${error instanceof Error ? error.message : 'Unknown error'}`,
+      );
+    }
+
+    return created;
+  }
+}
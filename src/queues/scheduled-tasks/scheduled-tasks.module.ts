@@ -2,6 +2,8 @@ import { Module, forwardRef } from '@nestjs/common';
 import { ScheduleModule } from '@nestjs/schedule';
 import { BullModule } from '@nestjs/bullmq';
 import { OverdueTasksService } from './overdue-tasks.service';
+import { RecurringTasksService } from './recurring-tasks.service';
+import { TrashPurgeService } from './trash-purge.service';
 import { TasksModule } from '../../modules/tasks/tasks.module';
 
 @Module({
@@ -12,7 +14,7 @@ import { TasksModule } from '../../modules/tasks/tasks.module';
     }),
     forwardRef(() => TasksModule),
   ],
-  providers: [OverdueTasksService],
-  exports: [OverdueTasksService],
+  providers: [OverdueTasksService, RecurringTasksService, TrashPurgeService],
+  exports: [OverdueTasksService, RecurringTasksService, TrashPurgeService],
 })
-export class ScheduledTasksModule { }
\ No newline at end of file
+export class ScheduledTasksModule {}
@@ -0,0 +1,91 @@
+import { Test } from '@nestjs/testing';
+import { getRepositoryToken } from '@nestjs/typeorm';
+import { ConfigService } from '@nestjs/config';
+import { In } from 'typeorm';
+import { TrashPurgeService } from './trash-purge.service';
+import { Task } from '../../modules/tasks/entities/task.entity';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('TrashPurgeService', () => {
+  let service: TrashPurgeService;
+  let tasksRepository: { query: jest.Mock; delete: jest.Mock };
+  let config: Record<string, unknown>;
+
+  const ids = (count: number, prefix = 'task') =>
+    Array.from({ length: count }, (_, index) => ({ id: `${prefix}-${index}` }));
+
+  beforeEach(async () => {
+    config = {};
+    tasksRepository = {
+      query: jest.fn().mockResolvedValue([]),
+      delete: jest.fn(async ({ id }) => ({ affected: id.value.length })),
+    };
+
+    const moduleRef = await Test.createTestingModule({
+      providers: [
+        TrashPurgeService,
+        { provide: getRepositoryToken(Task), useValue: tasksRepository },
+        {
+          provide: ConfigService,
+          useValue: { get: jest.fn((key, fallback) => config[key] ?? fallback) },
+        },
+      ],
+    }).compile();
+
+    service = moduleRef.get(TrashPurgeService);
+  });
+
+  it('deletes tasks trashed before the retention period, batch by batch', async () => {
+    tasksRepository.query
+      .mockResolvedValueOnce(ids(500))
+      .mockResolvedValueOnce(ids(3, 'rest'))
+      .mockResolvedValueOnce([]);
+
+    await expect(service.purgeExpiredTasks()).resolves.toEqual({ purged: 503 });
+
+    // A short batch is the last one, no need to ask again
+    expect(tasksRepository.query).toHaveBeenCalledTimes(2);
+    expect(tasksRepository.delete).toHaveBeenLastCalledWith({
+      id: In(['rest-0', 'rest-1', 'rest-2']),
+    });
+  });
+
+  it('keeps tasks for TASK_TRASH_RETENTION_DAYS', async () => {
+    config.TASK_TRASH_RETENTION_DAYS = '7';
+    const before = Date.now();
+
+    await service.purgeExpiredTasks();
+
+    const [[, [cutoff, batchSize]]] = tasksRepository.query.mock.calls;
+    expect(cutoff.getTime()).toBeGreaterThanOrEqual(before - 7 * DAY_MS);
+    expect(cutoff.getTime()).toBeLessThanOrEqual(Date.now() - 7 * DAY_MS);
+    expect(batchSize).toBe(500);
+    expect(tasksRepository.delete).not.toHaveBeenCalled();
+  });
+
+  it('falls back to 30 days on a nonsensical retention', async () => {
+    config.TASK_TRASH_RETENTION_DAYS = '0';
+    const before = Date.now();
+
+    await service.purgeExpiredTasks();
+
+    const [[, [cutoff]]] = tasksRepository.query.mock.calls;
+    expect(cutoff.getTime()).toBeGreaterThanOrEqual(before - 30 * DAY_MS);
+    expect(cutoff.getTime()).toBeLessThanOrEqual(Date.now() - 30 * DAY_MS);
+  });
+
+  it('keeps the latest trashed occurrence of a live recurring series', async () => {
+    await service.purgeExpiredTasks();
+
+    const [[sql]] = tasksRepository.query.mock.calls;
+    expect(sql).toContain('later.recurrence_index > t.recurrence_index');
+    expect(sql).toContain('live.deleted_at IS NULL');
+  });
+
+  it("doesn't throw out of the cron job when the database fails", async () => {
+    tasksRepository.query.mockRejectedValue(new Error('connection lost'));
+
+    await expect(service.purgeExpiredTasks()).resolves.toEqual({ purged: 0 });
+  });
+});
@@ -0,0 +1,117 @@
+import { Injectable, Logger } from '@nestjs/common';
+import { Cron, CronExpression } from '@nestjs/schedule';
+import { ConfigService } from '@nestjs/config';
+import { InjectRepository } from '@nestjs/typeorm';
+import { In, Repository } from 'typeorm';
+import { Task } from '../../modules/tasks/entities/task.entity';
+
+@Injectable()
+export class TrashPurgeService {
+  private readonly logger = new Logger(TrashPurgeService.name);
+  private readonly BATCH_SIZE = 500; // Delete trashed tasks in batches
+  private readonly DEFAULT_RETENTION_DAYS = 30;
+
+  constructor(
+    @InjectRepository(Task)
+    private tasksRepository: Repository<Task>,
+    private configService: ConfigService,
+  ) {}
+
+  /**
+   * ✅ TRASH: Permanently delete tasks that have been in the trash longer than the retention period
+   * (TASK_TRASH_RETENTION_DAYS, 30 days by default). Comments, tags, dependencies and subtasks
+   * go with them through their foreign keys; the task history is kept.
+   */
+  @Cron(CronExpression.EVERY_DAY_AT_3AM)
+  async purgeExpiredTasks() {
+    const startTime = Date.now();
+    const retentionDays = this.getRetentionDays();
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+    this.logger.log(
+      `🗑️ Purging tasks trashed before ${cutoff.toISOString()} (${retentionDays} days retention)...`,
+    );
+
+    try {
+      let totalPurged = 0;
+
+      while (true) {
+        const ids = await this.findExpiredTaskIds(cutoff);
+        if (ids.length === 0) {
+          break;
+        }
+
+        const result = await this.tasksRepository.delete({ id: In(ids) });
+        totalPurged += result.affected || 0;
+
+        if (ids.length < this.BATCH_SIZE) {
+          break;
+        }
+      }
+
+      const duration = Date.now() - startTime;
+      this.logger.log(
+        `✅ Trash purge completed: ${totalPurged} tasks permanently deleted (${duration}ms)`,
+      );
+
+      return { purged: totalPurged };
+    } catch (error) {
+      this.logger.error(
+        `❌ Trash purge failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        {
+          error: error instanceof Error ? error.stack : error,
+          timestamp: new Date().toISOString(),
+        },
+      );
+
+      // ✅ RELIABILITY: Don't throw error to prevent cron job from stopping
+      return { purged: 0 };
+    }
+  }
+
+  private getRetentionDays(): number {
+    const configured = Number(
+      this.configService.get('TASK_TRASH_RETENTION_DAYS', this.DEFAULT_RETENTION_DAYS),
+    );
+
+    if (!Number.isFinite(configured) || configured < 1) {
+      this.logger.warn(
+        `Invalid TASK_TRASH_RETENTION_DAYS, using the default of ${this.DEFAULT_RETENTION_DAYS} days`,
+      );
+      return this.DEFAULT_RETENTION_DAYS;
+    }
+
+    return configured;
+  }
+
+  /**
+   * Next batch of tasks trashed before the cutoff
+   */
+  private async findExpiredTaskIds(cutoff: Date): Promise<string[]> {
+    // A trashed latest occurrence is what ends a recurring series (see RecurringTasksService),
+    // so it is kept while older occurrences are live; purging it would let the backfill recreate it
+    const rows: { id: string }[] = await this.tasksRepository.query(
+      `
+      SELECT t.id FROM tasks t
+      WHERE t.deleted_at < $1
+        AND NOT (
+          (t.recurrence_rule IS NOT NULL OR t.recurrence_series_id IS NOT NULL)
+          AND NOT EXISTS (
+            SELECT 1 FROM tasks later
+            WHERE COALESCE(later.recurrence_series_id, later.id) = COALESCE(t.recurrence_series_id, t.id)
+              AND later.recurrence_index > t.recurrence_index
+          )
+          AND EXISTS (
+            SELECT 1 FROM tasks live
+            WHERE COALESCE(live.recurrence_series_id, live.id) = COALESCE(t.recurrence_series_id, t.id)
+              AND live.deleted_at IS NULL
+          )
+        )
+      ORDER BY t.deleted_at
+      LIMIT $2
+      `,
+      [cutoff, this.BATCH_SIZE],
+    );
+
+    return rows.map(row => row.id);
+  }
+}
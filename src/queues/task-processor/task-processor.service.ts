@@ -37,7 +37,9 @@ export class TaskProcessorService extends WorkerHost {
       maxAttempts: job.opts.attempts || 1,
     };
 
-    this.logger.debug(`🔄 Processing job ${jobContext.jobId} (${jobContext.jobName}) - Attempt ${jobContext.attemptNumber}/${jobContext.maxAttempts}`);
+    this.logger.debug(
+      `🔄 Processing job ${jobContext.jobId} (${jobContext.jobName}) - Attempt ${jobContext.attemptNumber}/${jobContext.maxAttempts}`,
+    );
 
     try {
       // ✅ VALIDATION: Comprehensive job data validation
@@ -59,6 +61,9 @@ export class TaskProcessorService extends WorkerHost {
         case 'overdue-tasks-notification':
           result = await this.handleOverdueTasks(job);
           break;
+        case 'task-comment-mentioned':
+          result = await this.handleCommentMentioned(job);
+          break;
         default:
           throw new Error(`Unknown job type: ${job.name}`);
       }
@@ -76,7 +81,6 @@ export class TaskProcessorService extends WorkerHost {
         processingTime,
         timestamp: new Date().toISOString(),
       };
-
     } catch (error) {
       // ✅ ENHANCED ERROR HANDLING: Sophisticated error categorization and handling
       const processingTime = Date.now() - startTime;
@@ -94,13 +98,19 @@ export class TaskProcessorService extends WorkerHost {
 
       // ✅ RETRY STRATEGY: Different handling based on error type
       if (errorInfo.isRetryable && jobContext.attemptNumber < jobContext.maxAttempts) {
-        this.logger.warn(`🔄 Job ${jobContext.jobId} will be retried (attempt ${jobContext.attemptNumber + 1}/${jobContext.maxAttempts})`);
+        this.logger.warn(
+          `🔄 Job ${jobContext.jobId} will be retried (attempt ${jobContext.attemptNumber + 1}/${jobContext.maxAttempts})`,
+        );
         throw error; // Let BullMQ handle the retry
       } else if (!errorInfo.isRetryable) {
-        this.logger.error(`🚫 Job ${jobContext.jobId} failed with non-retryable error - moving to failed queue`);
+        this.logger.error(
+          `🚫 Job ${jobContext.jobId} failed with non-retryable error - moving to failed queue`,
+        );
         throw error; // Move to failed queue immediately
       } else {
-        this.logger.error(`💀 Job ${jobContext.jobId} exhausted all retry attempts - moving to failed queue`);
+        this.logger.error(
+          `💀 Job ${jobContext.jobId} exhausted all retry attempts - moving to failed queue`,
+        );
         throw error; // Final failure
       }
     }
@@ -110,7 +120,7 @@ export class TaskProcessorService extends WorkerHost {
    * ✅ ENHANCED: Robust task status update handler
    */
   private async handleStatusUpdate(job: Job) {
-    const { taskId, status, previousStatus } = job.data;
+    const { taskId, status, previousStatus, version } = job.data;
 
     // ✅ VALIDATION: Comprehensive input validation
     if (!taskId) {
@@ -120,24 +130,67 @@ export class TaskProcessorService extends WorkerHost {
       throw new Error('Status is required');
     }
 
-    this.logger.debug(`Updating task ${taskId} status from ${previousStatus || 'unknown'} to ${status}`);
+    this.logger.debug(
+      `Updating task ${taskId} status from ${previousStatus || 'unknown'} to ${status}`,
+    );
 
     try {
       // ✅ RELIABILITY: Use service method with built-in error handling
-      const task = await this.tasksService.updateStatus(taskId, status);
+      const task = await this.tasksService.updateStatus(taskId, status, version);
+
+      // ✅ CONCURRENCY: The task changed again after this job was queued, so its status is stale
+      // (the newer change queued a job of its own)
+      if (!task) {
+        this.logger.debug(
+          `⏭️ Skipping stale status update for task ${taskId}, it has moved past version ${version}`,
+        );
+
+        return {
+          success: true,
+          taskId,
+          previousStatus,
+          skipped: true,
+          message: `Task ${taskId} was modified after version ${version}`,
+        };
+      }
 
       this.logger.debug(`✅ Task ${taskId} status updated successfully to ${task.status}`);
 
+      // ✅ WATCHERS: Fan a real status change out to everyone watching the task
+      // (jobs without a previous status, like task creation, aren't changes)
+      let notifiedWatchers = 0;
+      if (previousStatus && previousStatus !== task.status) {
+        const watcherIds = await this.tasksService.findWatcherIds(taskId);
+
+        // ✅ NOTIFICATION: In a real application, this would send notifications
+        // For now, we'll log one alert per watcher
+        for (const watcherId of watcherIds) {
+          this.logger.log(
+            `👀 STATUS CHANGE: User ${watcherId} is watching task ${taskId} "${task.title}", moved from ${previousStatus} to ${task.status}`,
+            {
+              taskId,
+              userId: watcherId,
+              previousStatus,
+              status: task.status,
+            },
+          );
+        }
+        notifiedWatchers = watcherIds.length;
+      }
+
       return {
         success: true,
         taskId: task.id,
         previousStatus,
         newStatus: task.status,
         title: task.title,
+        notifiedWatchers,
       };
     } catch (error) {
       // ✅ ERROR HANDLING: Add context to errors
-      throw new Error(`Failed to update task ${taskId} status: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      throw new Error(
+        `Failed to update task ${taskId} status: ${error instanceof Error ? error.message : 'Unknown error'}`,
+      );
     }
   }
 
@@ -166,19 +219,24 @@ export class TaskProcessorService extends WorkerHost {
   private async handleOverdueTasks(job: Job) {
     const { taskId, title, dueDate, status, userId, overdueBy } = job.data;
 
-    this.logger.debug(`Processing overdue notification for task ${taskId} (overdue by ${overdueBy})`);
+    this.logger.debug(
+      `Processing overdue notification for task ${taskId} (overdue by ${overdueBy})`,
+    );
 
     try {
       // ✅ NOTIFICATION: In a real application, this would send notifications
       // For now, we'll log the overdue task details
-      this.logger.warn(`📅 OVERDUE TASK ALERT: "${title}" (ID: ${taskId}) is overdue by ${overdueBy}`, {
-        taskId,
-        title,
-        dueDate,
-        status,
-        userId,
-        overdueBy,
-      });
+      this.logger.warn(
+        `📅 OVERDUE TASK ALERT: "${title}" (ID: ${taskId}) is overdue by ${overdueBy}`,
+        {
+          taskId,
+          title,
+          dueDate,
+          status,
+          userId,
+          overdueBy,
+        },
+      );
 
       // ✅ EXTENSIBILITY: Placeholder for notification logic
       // In production, this could:
@@ -196,8 +254,41 @@ export class TaskProcessorService extends WorkerHost {
         message: `Overdue notification processed for task ${taskId}`,
       };
     } catch (error) {
-      throw new Error(`Failed to process overdue notification for task ${taskId}: ${error instanceof Error ? error.message : 'Unknown error'}`);
+      throw new Error(
+        `Failed to process overdue notification for task ${taskId}: ${error instanceof Error ? error.message : 'Unknown error'}`,
+      );
+    }
+  }
+
+  /**
+   * ✅ NEW: Notify users mentioned in a task comment
+   */
+  private async handleCommentMentioned(job: Job) {
+    const { taskId, commentId, authorId, mentionedUserIds } = job.data;
+
+    this.logger.debug(
+      `Processing mention notifications for comment ${commentId} on task ${taskId}`,
+    );
+
+    // ✅ NOTIFICATION: In a real application, this would send notifications
+    // For now, we'll log one alert per mentioned user
+    for (const userId of mentionedUserIds) {
+      this.logger.log(`💬 MENTION: User ${userId} was mentioned by ${authorId} on task ${taskId}`, {
+        taskId,
+        commentId,
+        authorId,
+        userId,
+      });
     }
+
+    return {
+      success: true,
+      taskId,
+      commentId,
+      notificationType: 'mention',
+      notified: mentionedUserIds.length,
+      message: `Mention notifications processed for comment ${commentId}`,
+    };
   }
 
   /**
@@ -228,6 +319,13 @@ export class TaskProcessorService extends WorkerHost {
         if (!job.data.title) errors.push('title is required for overdue notification');
         if (!job.data.dueDate) errors.push('dueDate is required for overdue notification');
         break;
+
+      case 'task-comment-mentioned':
+        if (!job.data.taskId) errors.push('taskId is required for mention notification');
+        if (!job.data.commentId) errors.push('commentId is required for mention notification');
+        if (!Array.isArray(job.data.mentionedUserIds))
+          errors.push('mentionedUserIds is required for mention notification');
+        break;
     }
 
     return { isValid: errors.length === 0, errors };
@@ -236,7 +334,10 @@ export class TaskProcessorService extends WorkerHost {
   /**
    * ✅ ERROR HANDLING: Categorize errors for appropriate retry strategies
    */
-  private categorizeError(error: unknown, jobContext: any): {
+  private categorizeError(
+    error: unknown,
+    jobContext: any,
+  ): {
     type: string;
     message: string;
     isRetryable: boolean;
@@ -245,10 +346,12 @@ export class TaskProcessorService extends WorkerHost {
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
 
     // ✅ DATABASE ERRORS: Usually retryable
-    if (errorMessage.includes('database') ||
+    if (
+      errorMessage.includes('database') ||
       errorMessage.includes('connection') ||
       errorMessage.includes('timeout') ||
-      errorMessage.includes('ECONNREFUSED')) {
+      errorMessage.includes('ECONNREFUSED')
+    ) {
       return {
         type: 'DatabaseError',
         message: errorMessage,
@@ -258,9 +361,11 @@ export class TaskProcessorService extends WorkerHost {
     }
 
     // ✅ VALIDATION ERRORS: Not retryable
-    if (errorMessage.includes('validation') ||
+    if (
+      errorMessage.includes('validation') ||
       errorMessage.includes('required') ||
-      errorMessage.includes('invalid')) {
+      errorMessage.includes('invalid')
+    ) {
       return {
         type: 'ValidationError',
         message: errorMessage,
@@ -270,8 +375,7 @@ export class TaskProcessorService extends WorkerHost {
     }
 
     // ✅ NOT FOUND ERRORS: Usually not retryable
-    if (errorMessage.includes('not found') ||
-      errorMessage.includes('does not exist')) {
+    if (errorMessage.includes('not found') || errorMessage.includes('does not exist')) {
       return {
         type: 'NotFoundError',
         message: errorMessage,
@@ -281,9 +385,11 @@ export class TaskProcessorService extends WorkerHost {
     }
 
     // ✅ NETWORK ERRORS: Retryable
-    if (errorMessage.includes('network') ||
+    if (
+      errorMessage.includes('network') ||
       errorMessage.includes('ENOTFOUND') ||
-      errorMessage.includes('ETIMEDOUT')) {
+      errorMessage.includes('ETIMEDOUT')
+    ) {
       return {
         type: 'NetworkError',
         message: errorMessage,
@@ -305,16 +411,21 @@ export class TaskProcessorService extends WorkerHost {
    * ✅ MONITORING: Get job processing metrics
    */
   getMetrics() {
-    const avgProcessingTime = this.jobMetrics.processed > 0
-      ? this.jobMetrics.totalProcessingTime / this.jobMetrics.processed
-      : 0;
+    const avgProcessingTime =
+      this.jobMetrics.processed > 0
+        ? this.jobMetrics.totalProcessingTime / this.jobMetrics.processed
+        : 0;
 
     return {
       ...this.jobMetrics,
       averageProcessingTime: Math.round(avgProcessingTime),
-      successRate: this.jobMetrics.processed > 0
-        ? ((this.jobMetrics.processed / (this.jobMetrics.processed + this.jobMetrics.failed)) * 100).toFixed(2) + '%'
-        : '0%',
+      successRate:
+        this.jobMetrics.processed > 0
+          ? (
+              (this.jobMetrics.processed / (this.jobMetrics.processed + this.jobMetrics.failed)) *
+              100
+            ).toFixed(2) + '%'
+          : '0%',
     };
   }
 
@@ -327,4 +438,4 @@ export class TaskProcessorService extends WorkerHost {
     this.jobMetrics.totalProcessingTime = 0;
     this.logger.debug('Job metrics reset');
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * 🧪 OIDC Login Test
+ *
+ * Walks through single sign-on against a local mock OIDC server. Start the mock server:
+ *
+ *   docker run --rm -p 8080:8080 -e JSON_CONFIG_PATH=/config.json \
+ *     -v "$(pwd)/test/oidc/mock-oidc-config.json:/config.json" ghcr.io/navikt/mock-oauth2-server:2.1.10
+ *
+ * and run the app with:
+ *
+ *   OIDC_PROVIDERS=mock
+ *   OIDC_MOCK_ISSUER=http://localhost:8080/default
+ *   OIDC_MOCK_CLIENT_ID=taskflow
+ *   OIDC_MOCK_CLIENT_SECRET=secret
+ *
+ * The mock server signs everyone in as oidc.user@example.com without showing a login page.
+ */
+
+const axios = require('axios');
+
+axios.defaults.timeout = 10000;
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:3000';
+const PROVIDER = process.env.OIDC_PROVIDER || 'mock';
+
+const log = {
+  header: (msg) => console.log(`\n${'='.repeat(50)}\n🧪 ${msg}\n${'='.repeat(50)}`),
+  test: (msg) => console.log(`\n🔬 ${msg}`),
+  success: (msg) => console.log(`✅ ${msg}`),
+  error: (msg) => console.log(`❌ ${msg}`),
+  info: (msg) => console.log(`ℹ️  ${msg}`),
+};
+
+// Redirects are followed by hand so every hop can be checked
+const noRedirects = { maxRedirects: 0, validateStatus: (status) => status < 500 };
+
+/**
+ * Runs the authorization code flow like a browser would and returns the callback URL
+ */
+async function getCallbackUrl() {
+  const authorize = await axios.get(`${BASE_URL}/auth/oidc/${PROVIDER}/authorize`, noRedirects);
+  if (authorize.status !== 302) {
+    throw new Error(`Expected a redirect to the identity provider, got ${authorize.status}`);
+  }
+
+  const authorizationUrl = new URL(authorize.headers.location);
+  for (const param of ['state', 'nonce', 'code_challenge']) {
+    if (!authorizationUrl.searchParams.get(param)) {
+      throw new Error(`Authorization request is missing ${param}`);
+    }
+  }
+  log.success(`Redirected to ${authorizationUrl.origin}${authorizationUrl.pathname} with state, nonce and PKCE`);
+
+  const idp = await axios.get(authorizationUrl.toString(), noRedirects);
+  if (idp.status !== 302) {
+    throw new Error(`Expected the identity provider to redirect back, got ${idp.status}`);
+  }
+
+  return idp.headers.location;
+}
+
+async function testLogin() {
+  log.header('OIDC Login');
+
+  log.test('Listing identity providers...');
+  const { data: providers } = await axios.get(`${BASE_URL}/auth/oidc/providers`);
+  if (!providers.some((provider) => provider.id === PROVIDER)) {
+    throw new Error(`Provider "${PROVIDER}" is not configured (got ${JSON.stringify(providers)})`);
+  }
+  log.success(`Provider "${PROVIDER}" is configured`);
+
+  log.test('Signing in...');
+  const callbackUrl = await getCallbackUrl();
+  const { data: tokens } = await axios.get(callbackUrl);
+  if (!tokens.accessToken || !tokens.refreshToken) {
+    throw new Error(`Expected tokens, got ${JSON.stringify(tokens)}`);
+  }
+  log.success('Signed in, got access and refresh tokens');
+
+  log.test('Using the access token...');
+  const tasks = await axios.get(`${BASE_URL}/tasks`, {
+    headers: { Authorization: `Bearer ${tokens.accessToken}` },
+  });
+  log.success(`GET /tasks answered ${tasks.status}`);
+
+  log.test('Signing in again (the identity is linked now)...');
+  const { data: again } = await axios.get(await getCallbackUrl());
+  const firstUser = JSON.parse(Buffer.from(tokens.accessToken.split('.')[1], 'base64url').toString()).sub;
+  const secondUser = JSON.parse(Buffer.from(again.accessToken.split('.')[1], 'base64url').toString()).sub;
+  if (firstUser !== secondUser) {
+    throw new Error(`Second sign-in created another user (${firstUser} vs ${secondUser})`);
+  }
+  log.success(`Both sign-ins are user ${firstUser}`);
+}
+
+async function testRejections() {
+  log.header('OIDC Rejections');
+
+  log.test('Tampering with the state...');
+  const callbackUrl = new URL(await getCallbackUrl());
+  callbackUrl.searchParams.set('state', 'tampered');
+  const tampered = await axios.get(callbackUrl.toString(), noRedirects);
+  if (tampered.status === 400) {
+    log.success('Tampered state rejected with 400');
+  } else {
+    log.error(`Unexpected status: ${tampered.status}`);
+  }
+
+  log.test('Reporting an error from the identity provider...');
+  const denied = await axios.get(
+    `${BASE_URL}/auth/oidc/${PROVIDER}/callback?error=access_denied`,
+    noRedirects,
+  );
+  if (denied.status === 401) {
+    log.success('Provider error answered with 401');
+  } else {
+    log.error(`Unexpected status: ${denied.status}`);
+  }
+
+  log.test('Using an unknown provider...');
+  const unknown = await axios.get(`${BASE_URL}/auth/oidc/does-not-exist/authorize`, noRedirects);
+  if (unknown.status === 404) {
+    log.success('Unknown provider answered with 404');
+  } else {
+    log.error(`Unexpected status: ${unknown.status}`);
+  }
+}
+
+async function main() {
+  try {
+    await testLogin();
+    await testRejections();
+    log.header('Done');
+  } catch (error) {
+    log.error(error.response ? `${error.response.status} ${JSON.stringify(error.response.data)}` : error.message);
+    process.exit(1);
+  }
+}
+
+main();
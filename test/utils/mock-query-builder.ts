@@ -0,0 +1,47 @@
+type QueryResults = Partial<{
+  getOne: unknown;
+  getMany: unknown[];
+  getRawOne: unknown;
+  getRawMany: unknown[];
+  getCount: number;
+  getManyAndCount: [unknown[], number];
+  execute: { affected?: number; raw: unknown[] };
+}>;
+
+const DEFAULT_RESULTS: Required<QueryResults> = {
+  getOne: null,
+  getMany: [],
+  getRawOne: undefined,
+  getRawMany: [],
+  getCount: 0,
+  getManyAndCount: [[], 0],
+  execute: { affected: 0, raw: [] },
+};
+
+/**
+ * Stand-in for a TypeORM query builder in unit tests. Every builder method (where, andWhere,
+ * orderBy, ...) is a jest.fn returning the builder, so calls can be asserted on; the methods
+ * running the query resolve to `results`, or to an empty result.
+ */
+export function createMockQueryBuilder(results: QueryResults = {}): any {
+  const methods: Record<string | symbol, jest.Mock> = {};
+
+  for (const [method, value] of Object.entries({ ...DEFAULT_RESULTS, ...results })) {
+    methods[method] = jest.fn().mockResolvedValue(value);
+  }
+
+  const queryBuilder: any = new Proxy(methods, {
+    get(target, property) {
+      // Not a promise, so `await`ing something that returns the builder doesn't hang
+      if (property === 'then') {
+        return undefined;
+      }
+      if (!(property in target)) {
+        target[property] = jest.fn(() => queryBuilder);
+      }
+      return target[property];
+    },
+  });
+
+  return queryBuilder;
+}